@@ -1,20 +1,43 @@
 const express = require('express');
+const http = require('http');
+const https = require('https');
 const path = require('path');
 const os = require('os');
 const cors = require('cors');
+const { JsonStore } = require('./server/store');
+const { createApiRouter } = require('./server/api');
+const { ensureAdminAccount } = require('./server/auth');
+const { getTlsOptions } = require('./server/tls');
+const { securityHeaders, noStore, servePublicFiles } = require('./server/security');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Only this directory is served to browsers (see server/security.js for the allowed file types)
+const PUBLIC_DIR = path.join(__dirname, 'src');
+// Phones only allow microphone access on secure (HTTPS) pages, so serve HTTPS for LAN testing.
+// HTTPS is on when HTTPS=true or when your own certificate is given (TLS_CERT + TLS_KEY).
+const HTTPS_ENABLED = process.env.HTTPS === 'true' || Boolean(process.env.TLS_CERT);
+const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
+// Redirect plain HTTP requests on PORT to HTTPS instead of serving the app there too
+const HTTPS_REDIRECT = process.env.HTTPS_REDIRECT === 'true';
+
+app.disable('x-powered-by');
+app.use(securityHeaders());
 
 // Enable CORS (optional, helpful for local dev)
 app.use(cors());
 
-// Serve static files from project root
-app.use(express.static(path.join(__dirname)));
+// REST API backed by files in DATA_DIR (patients, assignments, recordings + audio)
+const store = new JsonStore(DATA_DIR);
+ensureAdminAccount(store);
+app.use('/api', noStore, createApiRouter(store));
+
+// The app's assets, referenced from index.html as src/...
+app.use('/src', servePublicFiles(PUBLIC_DIR));
 
-// Fallback to index.html for root
 app.get('/', (req, res) => {
-    res.sendFile(path.join(path.join(__dirname, 'src'), 'index.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
 });
 
 // Helper to get local IPs for instructions
@@ -31,10 +54,45 @@ function getLocalIPs() {
     return addresses;
 }
 
-app.listen(PORT, '0.0.0.0', () => {
-    const ips = getLocalIPs();
-    console.log(`Server running on:`);
-    console.log(`- Local:   http://localhost:${PORT}`);
-    ips.forEach(ip => console.log(`- Network: http://${ip}:${PORT}`));
-    console.log('Open the Network URL on your phone (same Wi‑Fi) to test.');
-});
+function redirectToHttps(req, res) {
+    const host = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+    // 307 keeps the method and body, so API calls are redirected too
+    res.writeHead(307, { Location: `https://${host}:${HTTPS_PORT}${req.url}` });
+    res.end();
+}
+
+const ips = getLocalIPs();
+
+if (HTTPS_ENABLED) {
+    const tls = getTlsOptions({
+        certFile: process.env.TLS_CERT,
+        keyFile: process.env.TLS_KEY,
+        cacheDir: path.join(DATA_DIR, 'tls'),
+        hosts: ['localhost', os.hostname(), '127.0.0.1', ...ips]
+    });
+
+    https.createServer({ cert: tls.cert, key: tls.key }, app).listen(HTTPS_PORT, '0.0.0.0', () => {
+        console.log(`Server running on:`);
+        console.log(`- Local:   https://localhost:${HTTPS_PORT}`);
+        ips.forEach(ip => console.log(`- Network: https://${ip}:${HTTPS_PORT}`));
+        console.log('Open the Network URL on your phone (same Wi‑Fi) to test.');
+        if (tls.selfSigned) {
+            console.log(`The certificate is self-signed (${tls.certFile}): browsers show a warning the first time,`);
+            console.log('which you can accept, or install the certificate on the device to trust it.');
+        }
+    });
+
+    http.createServer(HTTPS_REDIRECT ? redirectToHttps : app).listen(PORT, '0.0.0.0', () => {
+        console.log(HTTPS_REDIRECT
+            ? `HTTP requests on port ${PORT} are redirected to HTTPS.`
+            : `- Local (HTTP): http://localhost:${PORT}`);
+    });
+} else {
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`Server running on:`);
+        console.log(`- Local:   http://localhost:${PORT}`);
+        ips.forEach(ip => console.log(`- Network: http://${ip}:${PORT}`));
+        console.log('Open the Network URL on your phone (same Wi‑Fi) to test.');
+        console.log('Phones only allow recording over HTTPS: start with HTTPS=true to test on a phone.');
+    });
+}
@@ -0,0 +1,378 @@
+const express = require('express');
+const { createUploadsRouter } = require('./uploads');
+const { authenticatePatient, createLinksRouter } = require('./links');
+const { audioMimeType } = require('./security');
+const {
+    ROLES,
+    READ_ROLES,
+    WRITE_ROLES,
+    authenticate,
+    requireAccess,
+    createAuthRouter
+} = require('./auth');
+
+// Upper bound for a single uploaded recording
+const MAX_AUDIO_SIZE = '200mb';
+// Upper bound for a test result, which includes the raw samples of the test
+const MAX_RESULT_SIZE = '20mb';
+
+/**
+ * REST API for patients, test assignments and recordings.
+ * Mirrors the method surface of the client's DatabaseManager so the
+ * RemoteDatabaseManager can map each call onto one endpoint.
+ *
+ * Clinicians need a session (see server/auth.js); researchers are read-only.
+ * A patient session, opened through a signed assignment link (see server/links.js),
+ * only reaches its own assignment, patient and recordings.
+ * @param {JsonStore} store The file-backed store.
+ * @returns {express.Router} Router to mount under `/api`.
+ */
+function createApiRouter(store) {
+    const router = express.Router();
+    const parseJson = express.json({ limit: '1mb' });
+    const parseResult = express.json({ limit: MAX_RESULT_SIZE });
+    router.use((req, res, next) => (req.path === '/test-results' ? parseResult : parseJson)(req, res, next));
+    router.use(authenticate(store));
+    router.use(authenticatePatient(store));
+    router.use(createAuthRouter(store));
+    router.use(createLinksRouter(store));
+
+    const canRead = requireAccess({ roles: READ_ROLES });
+    const canWrite = requireAccess({ roles: WRITE_ROLES });
+    const isAdmin = requireAccess({ roles: [ROLES.ADMIN] });
+
+    // PATIENTS
+
+    router.get('/patients', canRead, (req, res) => {
+        const patients = store.list('patients')
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        res.json(patients);
+    });
+
+    router.post('/patients', canWrite, (req, res) => {
+        const body = req.body || {};
+        if (!body.firstName || !body.lastName) {
+            return res.status(400).json({ error: 'Patient data must include firstName and lastName' });
+        }
+
+        const now = new Date().toISOString();
+        const patient = store.insert('patients', {
+            ...pickPatientFields(body),
+            createdAt: now,
+            updatedAt: now
+        });
+        res.status(201).json(patient);
+    });
+
+    router.get('/patients/:id', requireAccess({
+        roles: READ_ROLES,
+        assignment: req => Number(req.assignment.patientId) === Number(req.params.id)
+    }), (req, res) => {
+        const patient = store.get('patients', req.params.id);
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json(patient);
+    });
+
+    router.put('/patients/:id', canWrite, (req, res) => {
+        const patient = store.update('patients', req.params.id, {
+            ...pickPatientFields(req.body || {}),
+            updatedAt: new Date().toISOString()
+        });
+        if (!patient) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.json(patient);
+    });
+
+    router.delete('/patients/:id', canWrite, (req, res) => {
+        const patientId = Number(req.params.id);
+        store.list('recordings', r => r.patientId === patientId)
+            .forEach(recording => store.remove('recordings', recording.id));
+        store.list('testResults', r => r.patientId === patientId)
+            .forEach(result => store.remove('testResults', result.id));
+
+        if (!store.remove('patients', patientId)) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        res.status(204).end();
+    });
+
+    router.get('/patients/:id/recordings', canRead, (req, res) => {
+        const patientId = Number(req.params.id);
+        const sortOrder = req.query.sort === 'asc' ? 'asc' : 'desc';
+        const recordings = store.list('recordings', r => r.patientId === patientId)
+            .sort((a, b) => {
+                const diff = new Date(a.dateTime) - new Date(b.dateTime);
+                return sortOrder === 'desc' ? -diff : diff;
+            });
+        res.json(recordings);
+    });
+
+    router.get('/patients/:id/features', canRead, (req, res) => {
+        const patientId = Number(req.params.id);
+        res.json(store.list('features', f => f.patientId === patientId));
+    });
+
+    router.get('/patients/:id/assignments', canRead, (req, res) => {
+        const patientId = Number(req.params.id);
+        res.json(store.list('assignments', a => Number(a.patientId) === patientId));
+    });
+
+    // Without their raw data, which GET /test-results/:id returns
+    router.get('/patients/:id/test-results', canRead, (req, res) => {
+        const patientId = Number(req.params.id);
+        res.json(store.list('testResults', r => r.patientId === patientId)
+            .map(({ data, ...result }) => result));
+    });
+
+    // RECORDINGS
+    // Metadata is created with POST /recordings, the audio is sent separately,
+    // either in one go with PUT /recordings/:id/audio as the raw request body or
+    // through the resumable /uploads protocol.
+
+    router.get('/recordings', canRead, (req, res) => {
+        const recordings = store.list('recordings')
+            .sort((a, b) => new Date(b.dateTime) - new Date(a.dateTime));
+        res.json(recordings);
+    });
+
+    router.post('/recordings', requireAccess({
+        roles: WRITE_ROLES,
+        assignment: req => Number(req.assignment.patientId) === Number(req.body?.patientId)
+    }), (req, res) => {
+        const body = req.body || {};
+        const metadata = { ...body.metadata };
+        if (!req.clinician) {
+            // Recordings made through a link always belong to that assignment
+            metadata.assignmentId = req.assignment.id;
+        }
+        if (!body.patientId) {
+            return res.status(400).json({ error: 'Recording data must include patientId' });
+        }
+        if (!store.get('patients', body.patientId)) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        const mimeType = body.mimeType ? audioMimeType(body.mimeType) : 'audio/wav';
+        if (!mimeType) {
+            return res.status(400).json({ error: 'Recording must be a supported audio format' });
+        }
+
+        const recording = store.insert('recordings', {
+            patientId: Number(body.patientId),
+            dateTime: body.dateTime || new Date().toISOString(),
+            duration: body.duration || 0,
+            mimeType,
+            fileSize: body.fileSize || 0,
+            metadata,
+            hasAudio: false,
+            uploadStatus: 'pending',
+            createdAt: new Date().toISOString()
+        });
+        res.status(201).json(recording);
+    });
+
+    router.get('/recordings/:id', canRead, (req, res) => {
+        const recording = store.get('recordings', req.params.id);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json(recording);
+    });
+
+    router.delete('/recordings/:id', canWrite, (req, res) => {
+        if (!store.remove('recordings', req.params.id)) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.status(204).end();
+    });
+
+    router.put('/recordings/:id/audio', canWrite, express.raw({ type: () => true, limit: MAX_AUDIO_SIZE }), (req, res) => {
+        const recording = store.get('recordings', req.params.id);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Audio data is required' });
+        }
+
+        store.writeAudio(recording.id, req.body);
+        res.json(store.update('recordings', recording.id, {
+            hasAudio: true,
+            fileSize: req.body.length,
+            uploadStatus: 'uploaded',
+            uploadedAt: new Date().toISOString()
+        }));
+    });
+
+    router.get('/recordings/:id/audio', canRead, (req, res) => {
+        const recording = store.get('recordings', req.params.id);
+        if (!recording || !store.hasAudio(recording.id)) {
+            return res.status(404).json({ error: 'Recording audio not found' });
+        }
+        // Stored bytes are only ever served as audio, and never rendered as a page if opened directly
+        res.set({
+            'Content-Disposition': 'attachment',
+            'Content-Security-Policy': "default-src 'none'; sandbox"
+        });
+        res.type(audioMimeType(recording.mimeType) || 'application/octet-stream').sendFile(store.audioPath(recording.id));
+    });
+
+    // Which recording an upload may go to is checked by the uploads router itself
+    router.use('/uploads', requireAccess({ roles: WRITE_ROLES, assignment: req => Boolean(req.assignment) }), createUploadsRouter(store));
+
+    // RECORDING FEATURES
+    // Acoustic features are computed by the client (src/services/voice-features.js)
+    // or by `npm run compute-features`, and stored once per recording; a new
+    // computation replaces the old one.
+
+    // A patient session may read and store the features of the recordings it made
+    const ownRecording = req => store.get('recordings', req.params.id)?.metadata?.assignmentId === req.assignment.id;
+
+    router.get('/recordings/:id/features', requireAccess({ roles: READ_ROLES, assignment: ownRecording }), (req, res) => {
+        const features = store.get('features', Number(req.params.id));
+        if (!features) {
+            return res.status(404).json({ error: 'Recording features not found' });
+        }
+        res.json(features);
+    });
+
+    router.put('/recordings/:id/features', requireAccess({ roles: WRITE_ROLES, assignment: ownRecording }), (req, res) => {
+        const recording = store.get('recordings', req.params.id);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        const body = req.body || {};
+        if (!body.features || typeof body.features !== 'object' || !body.extractorVersion) {
+            return res.status(400).json({ error: 'Features must include features and extractorVersion' });
+        }
+
+        const id = String(recording.id);
+        const record = {
+            id,
+            recordingId: recording.id,
+            patientId: recording.patientId,
+            extractorVersion: String(body.extractorVersion),
+            computedAt: body.computedAt || new Date().toISOString(),
+            sampleRate: body.sampleRate ?? null,
+            duration: body.duration ?? null,
+            features: body.features
+        };
+        res.json(store.get('features', id)
+            ? store.update('features', id, record)
+            : store.insert('features', record));
+    });
+
+    // TEST RESULTS
+    // Results of the tests that are not voice recordings (e.g. the drawing test), created
+    // by the test module once the patient has finished; the raw data is stored with them.
+
+    router.post('/test-results', requireAccess({
+        roles: WRITE_ROLES,
+        assignment: req => Number(req.assignment.patientId) === Number(req.body?.patientId)
+    }), (req, res) => {
+        const body = req.body || {};
+        if (!body.id || !body.patientId || !body.testId) {
+            return res.status(400).json({ error: 'Test result must include id, patientId and testId' });
+        }
+        if (!store.get('patients', body.patientId)) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+        if (store.get('testResults', body.id)) {
+            return res.status(409).json({ error: 'Test result already exists' });
+        }
+
+        const result = store.insert('testResults', {
+            ...body,
+            id: String(body.id),
+            patientId: Number(body.patientId),
+            // Results saved through a link always belong to that assignment
+            assignmentId: req.clinician ? body.assignmentId || null : req.assignment.id,
+            createdAt: body.createdAt || new Date().toISOString()
+        });
+        const { data, ...summary } = result;
+        res.status(201).json(summary);
+    });
+
+    router.get('/test-results/:id', canRead, (req, res) => {
+        const result = store.get('testResults', req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Test result not found' });
+        }
+        res.json(result);
+    });
+
+    // TEST ASSIGNMENTS
+
+    router.get('/assignments', canRead, (req, res) => {
+        res.json(store.list('assignments'));
+    });
+
+    router.post('/assignments', canWrite, (req, res) => {
+        // Links are only created through POST /assignments/:id/link
+        const { link, ...body } = req.body || {};
+        if (!body.id || !body.patientId || !Array.isArray(body.tests)) {
+            return res.status(400).json({ error: 'Test assignment must include id, patientId and tests' });
+        }
+        if (store.get('assignments', body.id)) {
+            return res.status(409).json({ error: 'Test assignment already exists' });
+        }
+        res.status(201).json(store.insert('assignments', body));
+    });
+
+    const ownAssignment = req => req.assignment.id === req.params.id;
+
+    router.get('/assignments/:id', requireAccess({ roles: READ_ROLES, assignment: ownAssignment }), (req, res) => {
+        const assignment = store.get('assignments', req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Test assignment not found' });
+        }
+        res.json(assignment);
+    });
+
+    router.put('/assignments/:id', requireAccess({ roles: WRITE_ROLES, assignment: ownAssignment }), (req, res) => {
+        // A patient session may only record its progress; links are managed by their own endpoints
+        const { link, ...body } = req.body || {};
+        const changes = req.clinician
+            ? body
+            : { progress: body.progress, updatedAt: new Date().toISOString() };
+        const assignment = store.update('assignments', req.params.id, changes);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Test assignment not found' });
+        }
+        res.json(assignment);
+    });
+
+    // UTILITY
+
+    router.delete('/data', isAdmin, (req, res) => {
+        store.clear();
+        res.status(204).end();
+    });
+
+    router.use((req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+
+    router.use((error, req, res, next) => {
+        console.error('API error:', error);
+        res.status(error.status || 500).json({ error: error.expose ? error.message : 'Internal server error' });
+    });
+
+    return router;
+}
+
+// Only the known patient fields are stored, mirroring DatabaseManager.addPatient
+function pickPatientFields(body) {
+    const fields = ['firstName', 'lastName', 'dateOfBirth', 'gender', 'email', 'phone', 'medicalHistory'];
+    const patient = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) {
+            patient[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+        }
+    });
+    return patient;
+}
+
+module.exports = { createApiRouter };
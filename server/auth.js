@@ -0,0 +1,579 @@
+const crypto = require('crypto');
+const express = require('express');
+const { generateSecret, verifyTotp, otpauthUri } = require('./totp');
+
+const SESSION_COOKIE = 'pwt_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // one working day
+const MIN_PASSWORD_LENGTH = 10;
+
+// Failed logins per username before the account is locked for LOCKOUT_MS
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Failures are forgotten LOCKOUT_MS after the last one; at most this many usernames are tracked
+const MAX_TRACKED_LOGINS = 10000;
+
+// Two-factor authentication (TOTP, see server/totp.js)
+const MFA_ISSUER = 'Parkinson Web Test';
+const MFA_CHALLENGE_TTL_MS = 5 * 60 * 1000; // time to enter the code after the password
+const MAX_MFA_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+// With REQUIRE_MFA=true, clinicians must enroll before they can use anything but their own account settings
+const REQUIRE_MFA = process.env.REQUIRE_MFA === 'true';
+
+const ROLES = {
+    ADMIN: 'admin',
+    CLINICIAN: 'clinician',
+    RESEARCHER: 'researcher' // read-only
+};
+const READ_ROLES = [ROLES.ADMIN, ROLES.CLINICIAN, ROLES.RESEARCHER];
+const WRITE_ROLES = [ROLES.ADMIN, ROLES.CLINICIAN];
+
+// PASSWORDS
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked when the username is unknown, so the response takes as long as for a real account
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// SESSIONS
+// Only a hash of the session token is stored, so a leaked db.json cannot be replayed.
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSession(store, clinician) {
+    const token = crypto.randomBytes(32).toString('hex');
+    store.insert('sessions', {
+        id: hashToken(token),
+        clinicianId: clinician.id,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+    });
+    return token;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            const value = pair.slice(index + 1).trim();
+            try {
+                cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+            } catch (error) {
+                // Malformed percent-encoding: keep the raw value
+                cookies[pair.slice(0, index).trim()] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+function publicClinician(clinician) {
+    const { passwordHash, mfa, ...fields } = clinician;
+    const mfaEnabled = Boolean(mfa?.enabled);
+    return {
+        ...fields,
+        mfaEnabled,
+        mfaSetupRequired: REQUIRE_MFA && !mfaEnabled,
+        recoveryCodesRemaining: mfaEnabled ? mfa.recoveryCodes.length : 0
+    };
+}
+
+function endSessions(store, clinicianId, keepSessionId = null) {
+    store.list('sessions', s => s.clinicianId === clinicianId && s.id !== keepSessionId)
+        .forEach(session => store.remove('sessions', session.id));
+}
+
+// TWO-FACTOR AUTHENTICATION
+// Recovery codes are stored hashed like session tokens; each one works once.
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const hex = crypto.randomBytes(5).toString('hex');
+        codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+    return codes;
+}
+
+/**
+ * Checks a second factor for a clinician with MFA enabled and records its use.
+ * @returns {boolean} True if `code` is a valid TOTP code or `recoveryCode` an unused recovery code.
+ */
+function verifySecondFactor(store, clinician, { code, recoveryCode }) {
+    const mfa = clinician.mfa;
+
+    if (recoveryCode) {
+        const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+        if (!mfa.recoveryCodes.includes(hash)) {
+            return false;
+        }
+        store.update('clinicians', clinician.id, {
+            mfa: { ...mfa, recoveryCodes: mfa.recoveryCodes.filter(h => h !== hash) }
+        });
+        return true;
+    }
+
+    const step = verifyTotp(mfa.secret, code, mfa.lastUsedStep);
+    if (step === null) {
+        return false;
+    }
+    store.update('clinicians', clinician.id, { mfa: { ...mfa, lastUsedStep: step } });
+    return true;
+}
+
+/**
+ * Removes two-factor authentication from an account and signs it out everywhere.
+ * Used by admins for clinicians who lost their authenticator and recovery codes.
+ * @returns {object|null} The updated clinician, or null if it does not exist.
+ */
+function resetMfa(store, clinicianId) {
+    const clinician = store.update('clinicians', clinicianId, {
+        mfa: null,
+        updatedAt: new Date().toISOString()
+    });
+    if (clinician) {
+        endSessions(store, clinician.id);
+    }
+    return clinician;
+}
+
+/**
+ * Resolves the logged-in clinician (`req.clinician`) from the session cookie.
+ * Patient sessions opened through an assignment link are resolved by
+ * `authenticatePatient` in server/links.js.
+ */
+function authenticate(store) {
+    return (req, res, next) => {
+        req.clinician = null;
+
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = token && store.get('sessions', hashToken(token));
+        if (session && new Date(session.expiresAt) > new Date()) {
+            const clinician = store.get('clinicians', session.clinicianId);
+            if (clinician && !clinician.disabled) {
+                req.clinician = publicClinician(clinician);
+                req.sessionId = session.id;
+            }
+        }
+
+        next();
+    };
+}
+
+/**
+ * Allows clinicians with one of `roles`, or a patient session whose assignment passes `assignment`.
+ * @param {object} options
+ * @param {Array<string>} options.roles Clinician roles that may use the route.
+ * @param {Function} [options.assignment] (req) => boolean; grants access through an assignment link.
+ * @param {boolean} [options.allowMfaSetup] Also allow clinicians who still have to enroll in MFA.
+ */
+function requireAccess({ roles, assignment, allowMfaSetup = false }) {
+    return (req, res, next) => {
+        if (req.clinician?.mfaSetupRequired && !allowMfaSetup) {
+            return res.status(403).json({
+                error: 'Set up two-factor authentication to continue',
+                mfaSetupRequired: true
+            });
+        }
+        if (req.clinician && roles.includes(req.clinician.role)) {
+            return next();
+        }
+        if (req.assignment && assignment && assignment(req)) {
+            return next();
+        }
+        if (req.clinician) {
+            return res.status(403).json({ error: 'Your role does not allow this action' });
+        }
+        res.status(401).json({ error: 'Authentication required' });
+    };
+}
+
+// Creates the first admin account so a fresh install can be logged into
+function ensureAdminAccount(store) {
+    if (store.list('clinicians').length > 0) {
+        return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    const now = new Date().toISOString();
+    store.insert('clinicians', {
+        username,
+        displayName: 'Administrator',
+        role: ROLES.ADMIN,
+        passwordHash: hashPassword(password),
+        disabled: false,
+        createdAt: now,
+        updatedAt: now
+    });
+
+    console.log(`Created admin account "${username}".`);
+    if (!process.env.ADMIN_PASSWORD) {
+        console.log(`Initial password: ${password} (change it after the first login)`);
+    }
+}
+
+/**
+ * Login/logout and clinician account management.
+ * @param {JsonStore} store The file-backed store.
+ * @returns {express.Router} Router to mount under `/api`.
+ */
+function createAuthRouter(store) {
+    const router = express.Router();
+    const failedLogins = new Map(); // username -> { count, lockedUntil, expiresAt }
+    const mfaChallenges = new Map(); // hashed challenge token -> { clinicianId, username, expiresAt, attempts }
+    const adminOnly = requireAccess({ roles: [ROLES.ADMIN] });
+    const ownAccount = requireAccess({ roles: READ_ROLES, allowMfaSetup: true });
+
+    const recordFailedLogin = (username) => {
+        const now = Date.now();
+        const previous = failedLogins.get(username);
+        const count = (previous?.expiresAt > now ? previous.count : 0) + 1;
+        // Re-inserted, so the map stays in order of the last failure
+        failedLogins.delete(username);
+        failedLogins.set(username, {
+            count,
+            lockedUntil: count >= MAX_FAILED_LOGINS ? now + LOCKOUT_MS : 0,
+            expiresAt: now + LOCKOUT_MS
+        });
+        pruneFailedLogins(now);
+    };
+
+    // Drops expired entries, then the oldest unlocked ones while there are too many
+    const pruneFailedLogins = (now) => {
+        for (const [username, entry] of failedLogins) {
+            if (entry.expiresAt > now) break;
+            failedLogins.delete(username);
+        }
+        for (const [username, entry] of failedLogins) {
+            if (failedLogins.size <= MAX_TRACKED_LOGINS) break;
+            if (entry.lockedUntil <= now) failedLogins.delete(username);
+        }
+    };
+
+    // Challenges all live MFA_CHALLENGE_TTL_MS, so the map is in order of expiry
+    const pruneMfaChallenges = (now) => {
+        for (const [challengeId, challenge] of mfaChallenges) {
+            if (challenge.expiresAt > now) break;
+            mfaChallenges.delete(challengeId);
+        }
+    };
+
+    const isLockedOut = (username) => failedLogins.get(username)?.lockedUntil > Date.now();
+
+    const startSession = (req, res, clinician) => {
+        failedLogins.delete(clinician.username);
+        const token = createSession(store, clinician);
+        const updated = store.update('clinicians', clinician.id, { lastLoginAt: new Date().toISOString() });
+
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            maxAge: SESSION_TTL_MS,
+            path: '/'
+        });
+        res.json(publicClinician(updated));
+    };
+
+    router.post('/auth/login', (req, res) => {
+        const username = String(req.body?.username || '').trim().toLowerCase();
+        const password = String(req.body?.password || '');
+
+        if (isLockedOut(username)) {
+            return res.status(429).json({ error: 'Too many failed logins. Please try again later.' });
+        }
+
+        const clinician = store.list('clinicians', c => c.username === username)[0];
+        const passwordValid = verifyPassword(password, clinician ? clinician.passwordHash : DUMMY_PASSWORD_HASH);
+        if (!clinician || clinician.disabled || !passwordValid) {
+            recordFailedLogin(username);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        if (!clinician.mfa?.enabled) {
+            return startSession(req, res, clinician);
+        }
+
+        // Password is correct: the session is only created once the second factor is verified
+        const mfaToken = crypto.randomBytes(32).toString('hex');
+        pruneMfaChallenges(Date.now());
+        mfaChallenges.set(hashToken(mfaToken), {
+            clinicianId: clinician.id,
+            username,
+            expiresAt: Date.now() + MFA_CHALLENGE_TTL_MS,
+            attempts: 0
+        });
+        res.json({ mfaRequired: true, mfaToken });
+    });
+
+    // Second login step: { mfaToken, code } or { mfaToken, recoveryCode }
+    router.post('/auth/mfa/verify', (req, res) => {
+        const challengeId = hashToken(String(req.body?.mfaToken || ''));
+        const challenge = mfaChallenges.get(challengeId);
+        if (!challenge || challenge.expiresAt < Date.now()) {
+            mfaChallenges.delete(challengeId);
+            return res.status(401).json({ error: 'Verification expired. Please log in again.', mfaExpired: true });
+        }
+        if (isLockedOut(challenge.username)) {
+            mfaChallenges.delete(challengeId);
+            return res.status(429).json({ error: 'Too many failed logins. Please try again later.' });
+        }
+
+        const clinician = store.get('clinicians', challenge.clinicianId);
+        if (!clinician || clinician.disabled || !clinician.mfa?.enabled) {
+            mfaChallenges.delete(challengeId);
+            return res.status(401).json({ error: 'Verification expired. Please log in again.', mfaExpired: true });
+        }
+
+        if (!verifySecondFactor(store, clinician, req.body)) {
+            recordFailedLogin(challenge.username);
+            challenge.attempts += 1;
+            if (challenge.attempts >= MAX_MFA_ATTEMPTS) {
+                mfaChallenges.delete(challengeId);
+            }
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+
+        mfaChallenges.delete(challengeId);
+        startSession(req, res, store.get('clinicians', clinician.id));
+    });
+
+    router.post('/auth/logout', (req, res) => {
+        if (req.sessionId) {
+            store.remove('sessions', req.sessionId);
+        }
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.status(204).end();
+    });
+
+    router.get('/auth/me', (req, res) => {
+        if (!req.clinician) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        res.json(req.clinician);
+    });
+
+    router.put('/auth/password', ownAccount, (req, res) => {
+        const clinician = store.get('clinicians', req.clinician.id);
+        if (!verifyPassword(req.body?.currentPassword, clinician.passwordHash)) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        const passwordError = validatePassword(req.body?.newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        store.update('clinicians', clinician.id, {
+            passwordHash: hashPassword(req.body.newPassword),
+            updatedAt: new Date().toISOString()
+        });
+        // Keep the current session, end all others
+        endSessions(store, clinician.id, req.sessionId);
+        res.status(204).end();
+    });
+
+    // MFA ENROLLMENT (own account)
+
+    // Step 1: create a secret; it only takes effect once a code from it is confirmed
+    router.post('/auth/mfa/setup', ownAccount, (req, res) => {
+        const clinician = store.get('clinicians', req.clinician.id);
+        if (clinician.mfa?.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        store.update('clinicians', clinician.id, { mfa: { enabled: false, pendingSecret: secret } });
+        res.json({
+            secret,
+            otpauthUri: otpauthUri({ secret, account: clinician.username, issuer: MFA_ISSUER })
+        });
+    });
+
+    // Step 2: { code } from the authenticator app -> recovery codes, shown only this once
+    router.post('/auth/mfa/enable', ownAccount, (req, res) => {
+        const clinician = store.get('clinicians', req.clinician.id);
+        const pendingSecret = clinician.mfa?.pendingSecret;
+        if (!pendingSecret) {
+            return res.status(409).json({ error: 'Start the two-factor setup first' });
+        }
+
+        const step = verifyTotp(pendingSecret, req.body?.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        const updated = store.update('clinicians', clinician.id, {
+            mfa: {
+                enabled: true,
+                secret: pendingSecret,
+                lastUsedStep: step,
+                recoveryCodes: recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code))),
+                enabledAt: new Date().toISOString()
+            },
+            updatedAt: new Date().toISOString()
+        });
+        // Sessions opened with the password alone are no longer enough
+        endSessions(store, clinician.id, req.sessionId);
+        res.json({ clinician: publicClinician(updated), recoveryCodes });
+    });
+
+    // { code } -> a new set of recovery codes, replacing the old ones
+    router.post('/auth/mfa/recovery-codes', ownAccount, (req, res) => {
+        const clinician = store.get('clinicians', req.clinician.id);
+        if (!clinician.mfa?.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (!verifySecondFactor(store, clinician, { code: req.body?.code })) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        const current = store.get('clinicians', clinician.id);
+        const updated = store.update('clinicians', clinician.id, {
+            mfa: { ...current.mfa, recoveryCodes: recoveryCodes.map(code => hashToken(normalizeRecoveryCode(code))) }
+        });
+        res.json({ clinician: publicClinician(updated), recoveryCodes });
+    });
+
+    // { password, code } -> turns MFA off for the own account
+    router.delete('/auth/mfa', ownAccount, (req, res) => {
+        if (REQUIRE_MFA) {
+            return res.status(403).json({ error: 'Two-factor authentication is required on this server' });
+        }
+        const clinician = store.get('clinicians', req.clinician.id);
+        if (!clinician.mfa?.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (!verifyPassword(req.body?.password, clinician.passwordHash)) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        if (!verifySecondFactor(store, clinician, { code: req.body?.code })) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        const updated = store.update('clinicians', clinician.id, { mfa: null, updatedAt: new Date().toISOString() });
+        res.json(publicClinician(updated));
+    });
+
+    // CLINICIAN ACCOUNTS (admin only)
+
+    router.get('/clinicians', adminOnly, (req, res) => {
+        res.json(store.list('clinicians').map(publicClinician));
+    });
+
+    router.post('/clinicians', adminOnly, (req, res) => {
+        const body = req.body || {};
+        const username = String(body.username || '').trim().toLowerCase();
+        if (!username) {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+        if (!Object.values(ROLES).includes(body.role)) {
+            return res.status(400).json({ error: `Role must be one of: ${Object.values(ROLES).join(', ')}` });
+        }
+        const passwordError = validatePassword(body.password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        if (store.list('clinicians', c => c.username === username).length > 0) {
+            return res.status(409).json({ error: 'Username is already taken' });
+        }
+
+        const now = new Date().toISOString();
+        const clinician = store.insert('clinicians', {
+            username,
+            displayName: String(body.displayName || username).trim(),
+            role: body.role,
+            passwordHash: hashPassword(body.password),
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        });
+        res.status(201).json(publicClinician(clinician));
+    });
+
+    router.put('/clinicians/:id', adminOnly, (req, res) => {
+        const body = req.body || {};
+        const changes = { updatedAt: new Date().toISOString() };
+
+        if (body.displayName !== undefined) changes.displayName = String(body.displayName).trim();
+        if (body.disabled !== undefined) changes.disabled = Boolean(body.disabled);
+        if (body.role !== undefined) {
+            if (!Object.values(ROLES).includes(body.role)) {
+                return res.status(400).json({ error: 'Invalid role' });
+            }
+            changes.role = body.role;
+        }
+        if (body.password !== undefined) {
+            const passwordError = validatePassword(body.password);
+            if (passwordError) {
+                return res.status(400).json({ error: passwordError });
+            }
+            changes.passwordHash = hashPassword(body.password);
+        }
+
+        const clinician = store.update('clinicians', req.params.id, changes);
+        if (!clinician) {
+            return res.status(404).json({ error: 'Clinician not found' });
+        }
+        if (changes.disabled || changes.passwordHash) {
+            // Sign the account out everywhere
+            endSessions(store, clinician.id);
+        }
+        res.json(publicClinician(clinician));
+    });
+
+    // For clinicians who lost both their authenticator and their recovery codes
+    router.delete('/clinicians/:id/mfa', adminOnly, (req, res) => {
+        const clinician = resetMfa(store, req.params.id);
+        if (!clinician) {
+            return res.status(404).json({ error: 'Clinician not found' });
+        }
+        res.json(publicClinician(clinician));
+    });
+
+    return router;
+}
+
+module.exports = {
+    ROLES,
+    READ_ROLES,
+    WRITE_ROLES,
+    authenticate,
+    requireAccess,
+    ensureAdminAccount,
+    createAuthRouter,
+    resetMfa,
+    hashPassword,
+    verifyPassword,
+    parseCookies
+};
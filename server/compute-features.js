@@ -0,0 +1,73 @@
+/**
+ * Computes the acoustic voice features (src/services/voice-features.js) of the
+ * recordings stored on the server, e.g. for recordings made before features existed
+ * or after the extractor changed. Recordings whose features were computed by the
+ * current extractor version are skipped unless --force is given.
+ *
+ * Node cannot decode compressed audio (WebM/Opus, MP4) without extra tools, so only
+ * WAV recordings are analysed here; others can be analysed from the dashboard.
+ *
+ * Usage (with the server stopped, it keeps db.json in memory):
+ *   npm run compute-features -- [--force] [--patient <id>]
+ */
+const fs = require('fs');
+const path = require('path');
+const { JsonStore } = require('./store');
+const VoiceFeatures = require('../src/services/voice-features');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const patientArg = args.indexOf('--patient');
+const patientId = patientArg >= 0 ? Number(args[patientArg + 1]) : null;
+
+if (patientArg >= 0 && !patientId) {
+    console.error('Usage: npm run compute-features -- [--force] [--patient <id>]');
+    process.exit(1);
+}
+
+const store = new JsonStore(DATA_DIR);
+const recordings = store.list('recordings', r => r.hasAudio && (!patientId || r.patientId === patientId));
+const summary = { computed: 0, skipped: 0, notWav: 0, failed: 0 };
+
+recordings.forEach(recording => {
+    const existing = store.get('features', String(recording.id));
+    if (!force && existing?.extractorVersion === VoiceFeatures.VERSION) {
+        summary.skipped++;
+        return;
+    }
+    if (!/^audio\/(x-)?wav/.test(recording.mimeType)) {
+        summary.notWav++;
+        console.log(`Recording ${recording.id}: skipped, ${recording.mimeType} can only be analysed from the dashboard`);
+        return;
+    }
+
+    try {
+        const file = fs.readFileSync(store.audioPath(recording.id));
+        const buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+        const { samples, sampleRate } = VoiceFeatures.parseWav(buffer);
+        const { duration, ...features } = VoiceFeatures.analyzeRecording(samples, sampleRate, recording.metadata?.taskLabel);
+
+        const record = {
+            recordingId: recording.id,
+            patientId: recording.patientId,
+            extractorVersion: VoiceFeatures.VERSION,
+            computedAt: new Date().toISOString(),
+            sampleRate,
+            duration,
+            features
+        };
+        if (existing) {
+            store.update('features', existing.id, record);
+        } else {
+            store.insert('features', { id: String(recording.id), ...record });
+        }
+        summary.computed++;
+        console.log(`Recording ${recording.id}: done`);
+    } catch (error) {
+        summary.failed++;
+        console.error(`Recording ${recording.id} (${recording.mimeType}): ${error.message}`);
+    }
+});
+
+console.log(`${summary.computed} computed, ${summary.skipped} already up to date, ${summary.notWav} not WAV, ${summary.failed} failed`);
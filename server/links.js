@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const express = require('express');
+const { WRITE_ROLES, requireAccess, parseCookies } = require('./auth');
+
+const PATIENT_COOKIE = 'pwt_patient';
+// A patient session outlives a page reload, but not the day
+const PATIENT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const DEFAULT_MAX_USES = 1;
+const MAX_USES_LIMIT = 20;
+// Wrong dates of birth before the link is locked
+const MAX_DOB_ATTEMPTS = 5;
+
+/**
+ * Assignment links.
+ *
+ * A link carries a token `<payload>.<signature>`: the payload holds the assignment ID,
+ * the ID of the link issued for it and the expiry time, and is signed with HMAC-SHA256
+ * using a server key (LINK_SECRET, or `link-signing.key` in the data directory).
+ * Only the link settings are stored on the assignment (`assignment.link`), so
+ * reissuing a link (new link ID) or revoking it invalidates every earlier token.
+ *
+ * Opening a link (POST /patient-sessions) counts one use and starts a patient
+ * session cookie. Reloading the page on the same device continues that session
+ * without using the link again.
+ */
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signToken(secret, payload) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${signature}`;
+}
+
+// Returns the payload of a correctly signed token, or null
+function verifyToken(secret, token) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) {
+        return null;
+    }
+    const expected = crypto.createHmac('sha256', secret).update(body).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+    try {
+        return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Each failure reason is reported so the session page can explain what happened
+function rejectLink(res, status, reason, error) {
+    return res.status(status).json({ error, reason });
+}
+
+function parseBoundedInteger(value, fallback, max) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+}
+
+/**
+ * Resolves `req.assignment` from the patient session cookie. The session ends as soon
+ * as the link it was opened with is revoked or reissued.
+ */
+function authenticatePatient(store) {
+    return (req, res, next) => {
+        req.assignment = null;
+
+        const token = parseCookies(req.headers.cookie)[PATIENT_COOKIE];
+        const session = token && store.get('patientSessions', hashToken(token));
+        if (!session || new Date(session.expiresAt) <= new Date()) {
+            return next();
+        }
+
+        const assignment = store.get('assignments', session.assignmentId);
+        if (assignment?.link && assignment.link.id === session.linkId && !assignment.link.revokedAt) {
+            req.assignment = assignment;
+            req.patientSessionId = session.id;
+        }
+        next();
+    };
+}
+
+/**
+ * Link issuing and revocation for clinicians, and link redemption for patients.
+ * @param {JsonStore} store The file-backed store.
+ * @returns {express.Router} Router to mount under `/api`.
+ */
+function createLinksRouter(store) {
+    const router = express.Router();
+    const secret = process.env.LINK_SECRET || store.getSecret('link-signing');
+    const canWrite = requireAccess({ roles: WRITE_ROLES });
+
+    const endPatientSessions = (assignmentId) => {
+        store.list('patientSessions', s => s.assignmentId === assignmentId)
+            .forEach(session => store.remove('patientSessions', session.id));
+    };
+
+    // Issues a new link, replacing (and invalidating) any earlier one
+    // Body: { expiresInDays, maxUses, requireDateOfBirth } -> { token, assignment }
+    router.post('/assignments/:id/link', canWrite, (req, res) => {
+        const assignment = store.get('assignments', req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Test assignment not found' });
+        }
+
+        const body = req.body || {};
+        const expiresInDays = parseBoundedInteger(body.expiresInDays, DEFAULT_EXPIRY_DAYS, MAX_EXPIRY_DAYS);
+        const maxUses = parseBoundedInteger(body.maxUses, DEFAULT_MAX_USES, MAX_USES_LIMIT);
+        if (expiresInDays === null) {
+            return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+        }
+        if (maxUses === null) {
+            return res.status(400).json({ error: `Maximum uses must be between 1 and ${MAX_USES_LIMIT}` });
+        }
+
+        const requireDateOfBirth = Boolean(body.requireDateOfBirth);
+        if (requireDateOfBirth && !store.get('patients', assignment.patientId)?.dateOfBirth) {
+            return res.status(400).json({ error: 'The patient has no date of birth on record' });
+        }
+
+        const link = {
+            id: crypto.randomUUID(),
+            issuedAt: new Date().toISOString(),
+            issuedBy: req.clinician.id,
+            expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+            maxUses,
+            uses: 0,
+            requireDateOfBirth,
+            failedAttempts: 0,
+            revokedAt: null
+        };
+        const token = signToken(secret, {
+            a: assignment.id,
+            l: link.id,
+            e: Date.parse(link.expiresAt)
+        });
+
+        endPatientSessions(assignment.id);
+        const updated = store.update('assignments', assignment.id, { link, updatedAt: link.issuedAt });
+        res.status(201).json({ token, assignment: updated });
+    });
+
+    router.delete('/assignments/:id/link', canWrite, (req, res) => {
+        const assignment = store.get('assignments', req.params.id);
+        if (!assignment?.link) {
+            return res.status(404).json({ error: 'Test assignment has no link' });
+        }
+
+        endPatientSessions(assignment.id);
+        const updated = store.update('assignments', assignment.id, {
+            link: { ...assignment.link, revokedAt: new Date().toISOString(), revokedBy: req.clinician.id },
+            updatedAt: new Date().toISOString()
+        });
+        res.json(updated);
+    });
+
+    // Opens a link. Body: { token, dateOfBirth } -> assignment; sets the patient session cookie
+    router.post('/patient-sessions', (req, res) => {
+        const payload = verifyToken(secret, req.body?.token);
+        const assignment = payload && store.get('assignments', payload.a);
+        if (!assignment) {
+            return rejectLink(res, 404, 'invalid', 'This link is not valid');
+        }
+
+        const link = assignment.link;
+        if (!link || link.id !== payload.l || (link.revokedAt && link.revokedReason !== 'too-many-attempts')) {
+            return rejectLink(res, 410, 'revoked', 'This link is no longer valid');
+        }
+        if (link.revokedAt) {
+            return rejectLink(res, 410, 'locked', 'This link was locked after too many incorrect attempts');
+        }
+        if (payload.e <= Date.now()) {
+            return rejectLink(res, 410, 'expired', 'This link has expired');
+        }
+        if (assignment.progress?.status === 'completed') {
+            return rejectLink(res, 410, 'completed', 'These tests have already been completed');
+        }
+
+        // Same device reopening the link (e.g. a reload): continue without using it again
+        if (req.assignment?.id === assignment.id) {
+            return res.json(assignment);
+        }
+
+        if (link.uses >= link.maxUses) {
+            return rejectLink(res, 410, 'used', 'This link has already been used');
+        }
+
+        if (link.requireDateOfBirth) {
+            const dateOfBirth = String(req.body?.dateOfBirth || '').trim();
+            if (!dateOfBirth) {
+                return rejectLink(res, 401, 'dob-required', 'Please enter your date of birth');
+            }
+            const patient = store.get('patients', assignment.patientId);
+            if (!patient || dateOfBirth !== patient.dateOfBirth) {
+                const failedAttempts = (link.failedAttempts || 0) + 1;
+                const locked = failedAttempts >= MAX_DOB_ATTEMPTS;
+                store.update('assignments', assignment.id, {
+                    link: {
+                        ...link,
+                        failedAttempts,
+                        ...(locked ? { revokedAt: new Date().toISOString(), revokedReason: 'too-many-attempts' } : {})
+                    }
+                });
+                return locked
+                    ? rejectLink(res, 410, 'locked', 'This link was locked after too many incorrect attempts')
+                    : rejectLink(res, 401, 'dob-invalid', 'The date of birth does not match our records');
+            }
+        }
+
+        const now = new Date();
+        const expiresAt = new Date(Math.min(now.getTime() + PATIENT_SESSION_TTL_MS, payload.e));
+        const sessionToken = crypto.randomBytes(32).toString('hex');
+        store.insert('patientSessions', {
+            id: hashToken(sessionToken),
+            assignmentId: assignment.id,
+            linkId: link.id,
+            createdAt: now.toISOString(),
+            expiresAt: expiresAt.toISOString()
+        });
+        const updated = store.update('assignments', assignment.id, {
+            link: { ...link, uses: link.uses + 1, failedAttempts: 0, lastUsedAt: now.toISOString() }
+        });
+
+        res.cookie(PATIENT_COOKIE, sessionToken, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            maxAge: expiresAt.getTime() - now.getTime(),
+            path: '/'
+        });
+        res.json(updated);
+    });
+
+    return router;
+}
+
+module.exports = {
+    authenticatePatient,
+    createLinksRouter
+};
@@ -0,0 +1,28 @@
+/**
+ * Removes two-factor authentication from a clinician account from the command line,
+ * for when no other admin can do it in the dashboard (e.g. the only admin lost their device).
+ *
+ * Usage (with the server stopped, it keeps db.json in memory):
+ *   npm run reset-mfa -- <username>
+ */
+const path = require('path');
+const { JsonStore } = require('./store');
+const { resetMfa } = require('./auth');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const username = String(process.argv[2] || '').trim().toLowerCase();
+
+if (!username) {
+    console.error('Usage: npm run reset-mfa -- <username>');
+    process.exit(1);
+}
+
+const store = new JsonStore(DATA_DIR);
+const clinician = store.list('clinicians', c => c.username === username)[0];
+if (!clinician) {
+    console.error(`No clinician account "${username}" in ${DATA_DIR}`);
+    process.exit(1);
+}
+
+resetMfa(store, clinician.id);
+console.log(`Two-factor authentication removed from "${username}". They can set it up again after logging in.`);
@@ -0,0 +1,115 @@
+const express = require('express');
+const path = require('path');
+const CONFIG = require('../src/config');
+
+// File types the browser app is made of; anything else in the public directory is not served
+const PUBLIC_EXTENSIONS = ['.html', '.js', '.css', '.svg', '.png', '.ico'];
+
+// HSTS max-age (180 days). Browsers ignore it on connections with certificate warnings,
+// so it only takes effect with a trusted certificate.
+const HSTS_MAX_AGE_SECONDS = 180 * 24 * 60 * 60;
+
+// Scripts and styles only from our own files (no inline code); recordings are played back
+// and downloaded through blob: URLs; no plugins, framing or third-party connections.
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "img-src 'self' data: blob:",
+    "media-src 'self' blob:",
+    "connect-src 'self'",
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+// The app records from the microphone and reads motion sensors; every other feature is off
+const PERMISSIONS_POLICY = [
+    'microphone=(self)',
+    'accelerometer=(self)',
+    'gyroscope=(self)',
+    'camera=()',
+    'geolocation=()',
+    'magnetometer=()',
+    'payment=()',
+    'usb=()',
+    'serial=()',
+    'bluetooth=()',
+    'hid=()',
+    'midi=()',
+    'display-capture=()'
+].join(', ');
+
+// Recording audio types the server accepts and serves: the browser formats plus WAV
+const AUDIO_MIME_TYPES = [...CONFIG.RECORDING.SUPPORTED_FORMATS, 'audio/wav'];
+const AUDIO_BASE_TYPES = AUDIO_MIME_TYPES.map(type => type.split(';')[0]);
+
+/**
+ * Maps a client-supplied MIME type onto the audio allow-list, so stored recordings can
+ * never be served as a document or script.
+ * @param {string} type E.g. 'audio/ogg; codecs=opus' as reported by MediaRecorder.
+ * @returns {string|null} The allowed type ('audio/ogg;codecs=opus', or its base type for
+ *   other parameters), or null if it is not a recording format.
+ */
+function audioMimeType(type) {
+    const normalized = String(type || '').toLowerCase().replace(/\s+/g, '');
+    if (AUDIO_MIME_TYPES.includes(normalized)) {
+        return normalized;
+    }
+    const base = normalized.split(';')[0];
+    return AUDIO_BASE_TYPES.includes(base) ? base : null;
+}
+
+/**
+ * Security headers for every response. HSTS is only sent over HTTPS.
+ */
+function securityHeaders() {
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+            'Permissions-Policy': PERMISSIONS_POLICY,
+            'Referrer-Policy': 'no-referrer',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        if (req.secure) {
+            res.set('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE_SECONDS}`);
+        }
+        next();
+    };
+}
+
+/**
+ * Keeps API responses (patient data, recordings) out of browser and proxy caches.
+ */
+function noStore(req, res, next) {
+    res.set({
+        'Cache-Control': 'no-store',
+        Pragma: 'no-cache'
+    });
+    next();
+}
+
+/**
+ * Serves the files in `root` whose extension is on the allow-list. Dotfiles and
+ * directory listings are never served.
+ * @param {string} root The public directory.
+ * @returns {Function} Express middleware.
+ */
+function servePublicFiles(root) {
+    const serve = express.static(root, { dotfiles: 'deny', index: false, redirect: false });
+    return (req, res, next) => {
+        if (!PUBLIC_EXTENSIONS.includes(path.extname(req.path).toLowerCase())) {
+            return next();
+        }
+        serve(req, res, next);
+    };
+}
+
+module.exports = {
+    audioMimeType,
+    securityHeaders,
+    noStore,
+    servePublicFiles
+};
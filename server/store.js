@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File-backed store for the server API.
+ * Records live in a single JSON file (`db.json`) inside the data directory;
+ * audio files are written next to it in `audio/`, one file per recording ID.
+ * Acoustic features are kept in `features`, one record per recording, with the
+ * recording ID as its ID. Results of the other tests, with their raw data, are kept
+ * in `testResults`.
+ * Partial chunked uploads are kept in `uploads/` until they are verified.
+ */
+class JsonStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.audioDir = path.join(dataDir, 'audio');
+        this.uploadsDir = path.join(dataDir, 'uploads');
+        this.file = path.join(dataDir, 'db.json');
+
+        // Collections with numeric, auto-incremented IDs (like the IndexedDB stores)
+        this.autoIncrement = ['patients', 'recordings', 'clinicians'];
+
+        fs.mkdirSync(this.audioDir, { recursive: true });
+        fs.mkdirSync(this.uploadsDir, { recursive: true });
+        this.data = this.load();
+    }
+
+    load() {
+        const empty = {
+            patients: [],
+            recordings: [],
+            features: [],
+            testResults: [],
+            assignments: [],
+            uploads: [],
+            clinicians: [],
+            sessions: [],
+            patientSessions: [],
+            counters: { patients: 0, recordings: 0, clinicians: 0 }
+        };
+
+        if (!fs.existsSync(this.file)) {
+            return empty;
+        }
+        const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return { ...empty, ...stored, counters: { ...empty.counters, ...stored.counters } };
+    }
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated db.json
+    save() {
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    normalizeId(collection, id) {
+        return this.autoIncrement.includes(collection) ? Number(id) : String(id);
+    }
+
+    list(collection, filter = () => true) {
+        return this.data[collection].filter(filter);
+    }
+
+    get(collection, id) {
+        const key = this.normalizeId(collection, id);
+        return this.data[collection].find(record => record.id === key) || null;
+    }
+
+    insert(collection, record) {
+        const stored = { ...record };
+        if (this.autoIncrement.includes(collection)) {
+            this.data.counters[collection] += 1;
+            stored.id = this.data.counters[collection];
+        } else if (!stored.id) {
+            throw new Error(`Records in "${collection}" must include an ID`);
+        } else if (this.get(collection, stored.id)) {
+            throw new Error(`Record ${stored.id} already exists in "${collection}"`);
+        }
+
+        this.data[collection].push(stored);
+        this.save();
+        return stored;
+    }
+
+    update(collection, id, changes) {
+        const existing = this.get(collection, id);
+        if (!existing) {
+            return null;
+        }
+
+        Object.assign(existing, changes, { id: existing.id });
+        this.save();
+        return existing;
+    }
+
+    remove(collection, id) {
+        const key = this.normalizeId(collection, id);
+        const before = this.data[collection].length;
+        this.data[collection] = this.data[collection].filter(record => record.id !== key);
+
+        if (this.data[collection].length === before) {
+            return false;
+        }
+        if (collection === 'recordings') {
+            // Features are stored under the ID of their recording
+            this.data.features = this.data.features.filter(record => record.id !== String(key));
+            this.removeAudio(key);
+        }
+        this.save();
+        return true;
+    }
+
+    // Removes patient data; clinician accounts and sessions are kept
+    clear() {
+        this.data.recordings.forEach(recording => this.removeAudio(recording.id));
+        this.data.uploads.forEach(upload => this.discardUploadData(upload.id));
+        this.data.patients = [];
+        this.data.recordings = [];
+        this.data.features = [];
+        this.data.testResults = [];
+        this.data.assignments = [];
+        this.data.uploads = [];
+        this.data.patientSessions = [];
+        this.save();
+    }
+
+    /**
+     * Reads a secret key kept next to db.json, creating it on first use.
+     * @param {string} name Key name; stored as `<name>.key` in the data directory.
+     * @returns {string} Hex-encoded 256-bit key.
+     */
+    getSecret(name) {
+        const file = path.join(this.dataDir, `${name}.key`);
+        if (!fs.existsSync(file)) {
+            fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+        }
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+
+    // AUDIO FILES
+
+    audioPath(recordingId) {
+        return path.join(this.audioDir, String(Number(recordingId)));
+    }
+
+    writeAudio(recordingId, buffer) {
+        fs.writeFileSync(this.audioPath(recordingId), buffer);
+    }
+
+    hasAudio(recordingId) {
+        return fs.existsSync(this.audioPath(recordingId));
+    }
+
+    removeAudio(recordingId) {
+        fs.rmSync(this.audioPath(recordingId), { force: true });
+    }
+
+    // CHUNKED UPLOADS
+
+    uploadPath(uploadId) {
+        return path.join(this.uploadsDir, `${path.basename(String(uploadId))}.part`);
+    }
+
+    // The size of the partial file is the source of truth for how much was received
+    getUploadedBytes(uploadId) {
+        const file = this.uploadPath(uploadId);
+        return fs.existsSync(file) ? fs.statSync(file).size : 0;
+    }
+
+    appendUploadData(uploadId, buffer) {
+        fs.appendFileSync(this.uploadPath(uploadId), buffer);
+        return this.getUploadedBytes(uploadId);
+    }
+
+    // Move a verified upload into place as the recording's audio file
+    commitUploadData(uploadId, recordingId) {
+        fs.renameSync(this.uploadPath(uploadId), this.audioPath(recordingId));
+    }
+
+    discardUploadData(uploadId) {
+        fs.rmSync(this.uploadPath(uploadId), { force: true });
+    }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Browsers (Safari in particular) reject server certificates valid for more than 825 days
+const SELF_SIGNED_VALIDITY_DAYS = 365;
+// Renew a cached certificate this long before it expires
+const RENEW_BEFORE_MS = 14 * 24 * 60 * 60 * 1000;
+const COMMON_NAME = 'Parkinson Web Test (self-signed)';
+
+/**
+ * TLS options for the HTTPS listener.
+ *
+ * Uses the certificate and key at `certFile`/`keyFile` when given. Otherwise a
+ * self-signed certificate for `hosts` is created with Node's crypto module (no
+ * openssl needed) and cached in `cacheDir`; it is replaced when it is about to
+ * expire or when a host (e.g. a new Wi-Fi IP address) is not covered.
+ * @param {object} options
+ * @param {string} [options.certFile] Path of a PEM certificate (chain).
+ * @param {string} [options.keyFile] Path of the PEM private key.
+ * @param {string} options.cacheDir Directory for the self-signed certificate.
+ * @param {Array<string>} options.hosts Host names and IP addresses the certificate must cover.
+ * @returns {{ cert: string, key: string, selfSigned: boolean, certFile: string }} Options for https.createServer.
+ */
+function getTlsOptions({ certFile, keyFile, cacheDir, hosts }) {
+    if (certFile || keyFile) {
+        if (!certFile || !keyFile) {
+            throw new Error('Both TLS_CERT and TLS_KEY must be set to use your own certificate');
+        }
+        return {
+            cert: fs.readFileSync(certFile, 'utf8'),
+            key: fs.readFileSync(keyFile, 'utf8'),
+            selfSigned: false,
+            certFile
+        };
+    }
+
+    const cachedCert = path.join(cacheDir, 'self-signed-cert.pem');
+    const cachedKey = path.join(cacheDir, 'self-signed-key.pem');
+    if (fs.existsSync(cachedCert) && fs.existsSync(cachedKey)) {
+        const cert = fs.readFileSync(cachedCert, 'utf8');
+        if (coversHosts(cert, hosts)) {
+            return { cert, key: fs.readFileSync(cachedKey, 'utf8'), selfSigned: true, certFile: cachedCert };
+        }
+    }
+
+    const { cert, key } = createSelfSignedCertificate(hosts);
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cachedKey, key, { mode: 0o600 });
+    fs.writeFileSync(cachedCert, cert);
+    console.log(`Created a self-signed certificate for ${hosts.join(', ')}`);
+    return { cert, key, selfSigned: true, certFile: cachedCert };
+}
+
+function coversHosts(certPem, hosts) {
+    try {
+        const certificate = new crypto.X509Certificate(certPem);
+        if (new Date(certificate.validTo).getTime() - Date.now() < RENEW_BEFORE_MS) {
+            return false;
+        }
+        const names = (certificate.subjectAltName || '').split(', ')
+            .map(entry => entry.replace(/^(DNS|IP Address):/, ''));
+        return hosts.every(host => names.includes(host));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Creates a self-signed X.509 v3 server certificate with an ECDSA P-256 key.
+ * @param {Array<string>} hosts Host names and IPv4 addresses for the subjectAltName extension.
+ * @returns {{ cert: string, key: string }} PEM-encoded certificate and private key.
+ */
+function createSelfSignedCertificate(hosts) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+    const serial = crypto.randomBytes(16);
+    serial[0] &= 0x7f; // must be positive
+    const notBefore = new Date(Date.now() - 60 * 60 * 1000); // allow for clock skew
+    const notAfter = new Date(notBefore.getTime() + SELF_SIGNED_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    const name = sequence(set(sequence(oid('2.5.4.3'), der(0x0c, Buffer.from(COMMON_NAME)))));
+    const signatureAlgorithm = sequence(oid('1.2.840.10045.4.3.2')); // ecdsa-with-SHA256
+
+    const altNames = hosts.map(host => (isIPv4(host)
+        ? der(0x87, Buffer.from(host.split('.').map(Number)))
+        : der(0x82, Buffer.from(host))));
+
+    const extensions = sequence(
+        extension('2.5.29.17', sequence(...altNames)), // subjectAltName
+        extension('2.5.29.19', sequence(), true), // basicConstraints: not a CA
+        extension('2.5.29.15', der(0x03, Buffer.from([0x07, 0x80])), true), // keyUsage: digitalSignature
+        extension('2.5.29.37', sequence(oid('1.3.6.1.5.5.7.3.1'))) // extKeyUsage: serverAuth
+    );
+
+    const tbsCertificate = sequence(
+        der(0xa0, integer(Buffer.from([2]))), // version 3
+        integer(serial),
+        signatureAlgorithm,
+        name,
+        sequence(utcTime(notBefore), utcTime(notAfter)),
+        name,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        der(0xa3, extensions)
+    );
+    const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    const certificate = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+
+    return {
+        cert: toPem('CERTIFICATE', certificate),
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+}
+
+// DER ENCODING
+
+function der(tag, content) {
+    let length;
+    if (content.length < 0x80) {
+        length = Buffer.from([content.length]);
+    } else {
+        const bytes = [];
+        for (let n = content.length; n > 0; n >>= 8) {
+            bytes.unshift(n & 0xff);
+        }
+        length = Buffer.from([0x80 | bytes.length, ...bytes]);
+    }
+    return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+function sequence(...items) {
+    return der(0x30, Buffer.concat(items));
+}
+
+function set(...items) {
+    return der(0x31, Buffer.concat(items));
+}
+
+function integer(bytes) {
+    return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+function bitString(bytes) {
+    return der(0x03, Buffer.concat([Buffer.from([0]), bytes]));
+}
+
+function oid(dotted) {
+    const [first, second, ...rest] = dotted.split('.').map(Number);
+    const bytes = [first * 40 + second];
+    rest.forEach(value => {
+        const chunk = [value & 0x7f];
+        for (let n = value >> 7; n > 0; n >>= 7) {
+            chunk.unshift((n & 0x7f) | 0x80);
+        }
+        bytes.push(...chunk);
+    });
+    return der(0x06, Buffer.from(bytes));
+}
+
+function utcTime(date) {
+    const text = date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z';
+    return der(0x17, Buffer.from(text));
+}
+
+function extension(id, value, critical = false) {
+    const parts = [oid(id)];
+    if (critical) {
+        parts.push(der(0x01, Buffer.from([0xff])));
+    }
+    parts.push(der(0x04, value));
+    return sequence(...parts);
+}
+
+function isIPv4(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+}
+
+function toPem(label, buffer) {
+    const lines = buffer.toString('base64').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+}
+
+module.exports = { getTlsOptions, createSelfSignedCertificate };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults, which is what authenticator apps expect
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+// Accept codes from one step before and after the current one to allow for clock drift
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// RFC 4226 HOTP with HMAC-SHA1 and dynamic truncation
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Checks a TOTP code against the secret.
+ * @param {string} secret Base32 secret.
+ * @param {string} code Code entered by the user.
+ * @param {number} [lastUsedStep] Step of the last accepted code; it and earlier steps are rejected so a code cannot be replayed.
+ * @returns {number|null} The matched time step, or null if the code is invalid.
+ */
+function verifyTotp(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep();
+    for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+        if (candidate <= lastUsedStep) continue;
+        const expected = hotp(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URI understood by authenticator apps (and encoded in enrollment QR codes).
+ * @param {object} options
+ * @param {string} options.secret Base32 secret.
+ * @param {string} options.account Account name shown in the app, e.g. the username.
+ * @param {string} options.issuer Application name shown in the app.
+ */
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    generateSecret,
+    verifyTotp,
+    otpauthUri,
+    hotp
+};
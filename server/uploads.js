@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+const { WRITE_ROLES } = require('./auth');
+const { audioMimeType } = require('./security');
+
+// Upper bound for a single chunk request
+const MAX_CHUNK_SIZE = '5mb';
+
+/**
+ * Resumable chunked upload protocol for recording audio.
+ *
+ * 1. POST   /uploads                    { recordingId, size, mimeType } -> { id, receivedBytes }
+ * 2. PUT    /uploads/:id/chunks?offset=N raw chunk bytes                 -> { receivedBytes }
+ * 3. GET    /uploads/:id                 current state, used to resume after a dropped connection
+ * 4. POST   /uploads/:id/complete        { sha256 }                      -> recording
+ *
+ * A chunk must start at or before the number of bytes already received; bytes the
+ * server already has are skipped, so a retried chunk is never appended twice.
+ * The upload is only acknowledged once the SHA-256 of the assembled file matches.
+ * Clinicians with write access, and the patient session the recording belongs to, may upload.
+ * @param {JsonStore} store The file-backed store.
+ * @returns {express.Router} Router to mount under `/api/uploads`.
+ */
+function createUploadsRouter(store) {
+    const router = express.Router();
+
+    router.post('/', express.json(), (req, res) => {
+        const { recordingId, size, mimeType } = req.body || {};
+        const recording = recordingId && store.get('recordings', recordingId);
+        if (!recording || !canUpload(req, recording)) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (!Number.isInteger(size) || size <= 0) {
+            return res.status(400).json({ error: 'Upload size must be a positive integer' });
+        }
+        // Only recording formats; the audio keeps the type its recording was created with
+        if (mimeType && audioMimeType(mimeType) === null) {
+            return res.status(400).json({ error: 'Upload must be a supported audio format' });
+        }
+
+        const upload = store.insert('uploads', {
+            id: crypto.randomUUID(),
+            recordingId: recording.id,
+            size,
+            mimeType: recording.mimeType,
+            status: 'uploading',
+            createdAt: new Date().toISOString()
+        });
+        store.update('recordings', recording.id, { uploadStatus: 'uploading' });
+
+        res.status(201).json(describeUpload(store, upload));
+    });
+
+    router.get('/:id', (req, res) => {
+        const upload = findUpload(store, req);
+        if (!upload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        res.json(describeUpload(store, upload));
+    });
+
+    router.put('/:id/chunks', express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), (req, res) => {
+        const upload = findUpload(store, req);
+        if (!upload || upload.status !== 'uploading') {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const offset = Number(req.query.offset);
+        const receivedBytes = store.getUploadedBytes(upload.id);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: 'A valid offset is required' });
+        }
+        if (offset > receivedBytes) {
+            return res.status(409).json({ error: 'Chunk is ahead of the received data', receivedBytes });
+        }
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(400).json({ error: 'Chunk data is required' });
+        }
+
+        const newData = req.body.subarray(receivedBytes - offset);
+        if (receivedBytes + newData.length > upload.size) {
+            return res.status(400).json({ error: 'Chunk exceeds the declared upload size' });
+        }
+
+        res.json({ receivedBytes: store.appendUploadData(upload.id, newData) });
+    });
+
+    router.post('/:id/complete', express.json(), async (req, res, next) => {
+        try {
+            const upload = findUpload(store, req);
+            if (!upload || upload.status !== 'uploading') {
+                return res.status(404).json({ error: 'Upload not found' });
+            }
+
+            const receivedBytes = store.getUploadedBytes(upload.id);
+            if (receivedBytes !== upload.size) {
+                return res.status(409).json({ error: 'Upload is incomplete', receivedBytes });
+            }
+
+            const checksum = await hashFile(store.uploadPath(upload.id));
+            if (checksum !== String(req.body?.sha256 || '').toLowerCase()) {
+                // The assembled file is corrupt: drop it so the client starts over
+                store.discardUploadData(upload.id);
+                store.update('uploads', upload.id, { status: 'failed' });
+                store.update('recordings', upload.recordingId, { uploadStatus: 'failed' });
+                return res.status(422).json({ error: 'Checksum mismatch' });
+            }
+
+            store.commitUploadData(upload.id, upload.recordingId);
+            store.update('uploads', upload.id, { status: 'complete', completedAt: new Date().toISOString() });
+            res.json(store.update('recordings', upload.recordingId, {
+                hasAudio: true,
+                fileSize: upload.size,
+                checksum,
+                uploadStatus: 'uploaded',
+                uploadedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+function canUpload(req, recording) {
+    if (req.clinician) {
+        return WRITE_ROLES.includes(req.clinician.role);
+    }
+    return Boolean(req.assignment)
+        && recording.metadata?.assignmentId === req.assignment.id
+        && Number(recording.patientId) === Number(req.assignment.patientId);
+}
+
+// Uploads the caller may not touch are reported as missing
+function findUpload(store, req) {
+    const upload = store.get('uploads', req.params.id);
+    const recording = upload && store.get('recordings', upload.recordingId);
+    return recording && canUpload(req, recording) ? upload : null;
+}
+
+function describeUpload(store, upload) {
+    return {
+        ...upload,
+        receivedBytes: upload.status === 'uploading' ? store.getUploadedBytes(upload.id) : upload.size
+    };
+}
+
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', data => hash.update(data))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+module.exports = { createUploadsRouter };
@@ -2,11 +2,18 @@
 class ParkinsonWebTestApp {
     constructor() {
         this.databaseManager = null;
+        this.authService = null;
+        this.clinicianLogin = null;
+        this.accountSecurity = null;
         this.patientManager = null;
         this.voiceRecorder = null;
         this.testManager = null;
+        this.featureExtractor = null;
+        this.recordingEditor = null;
+        this.recordingStaging = null;
         this.router = null;
         this.clinicianDashboard = null;
+        this.patientSession = null;
         this.isInitialized = false;
         
         this.init();
@@ -18,18 +25,50 @@ class ParkinsonWebTestApp {
 
 
             // Step 1: Initialize core services
-            this.databaseManager = new DatabaseManager();
+            this.databaseManager = CONFIG.DATABASE.BACKEND === 'remote'
+                ? new RemoteDatabaseManager(CONFIG.API.BASE_URL)
+                : new DatabaseManager();
             await this.databaseManager.init();
             
+            // Continue uploads interrupted by a reload or a lost connection
+            if (this.databaseManager.uploadManager) {
+                this.databaseManager.uploadManager.resumePending();
+            }
+            
+            // Restore the clinician session (if any) before any guarded route is shown
+            this.authService = new AuthService(CONFIG.API.BASE_URL);
+            await this.authService.init();
+            
             // Step 2: Initialize business logic managers,
             // passing their dependencies (the database manager)
             this.patientManager = new PatientManager(this.databaseManager);
             this.testManager = new TestManager(this.databaseManager);
+            this.featureExtractor = new FeatureExtractor(this.databaseManager);
+            this.recordingEditor = new RecordingEditor(this.databaseManager);
+            this.recordingStaging = new RecordingStaging(this.databaseManager);
+            // Continue analyses interrupted by a reload (patient sessions resume their own)
+            if (this.isClinicianAuthenticated()) {
+                this.featureExtractor.resumePending();
+            }
             
             // Step 3: Initialize UI/page-specific modules,
             // passing the managers they will need
-            this.voiceRecorder = new VoiceRecorder(this.databaseManager, this.patientManager);
-            this.clinicianDashboard = new ClinicianDashboard(this.patientManager, this.testManager);
+            this.voiceRecorder = new VoiceRecorder(this.databaseManager, this.patientManager, this.recordingStaging);
+            this.clinicianLogin = new ClinicianLogin(this.authService);
+            this.accountSecurity = new AccountSecurity(this.authService);
+            this.clinicianDashboard = new ClinicianDashboard(this.patientManager, this.testManager, this.authService, this.featureExtractor, this.recordingEditor);
+            this.drawingTest = new DrawingTest(this.testManager, this.patientManager);
+            this.tappingTest = new TappingTest(this.testManager, this.patientManager);
+            this.reactionTest = new ReactionTest(this.testManager, this.patientManager);
+            this.trailMakingTest = new TrailMakingTest(this.testManager, this.patientManager);
+            this.tremorTest = new TremorTest(this.testManager, this.patientManager);
+            this.patientSession = new PatientSession(this.testManager, this.patientManager, this.voiceRecorder, this.featureExtractor, {
+                'drawing-test': this.drawingTest,
+                'tapping-test': this.tappingTest,
+                'reaction-test': this.reactionTest,
+                'trail-making-test': this.trailMakingTest,
+                'tremor-test': this.tremorTest
+            });
             this.router = new Router(this); 
             
             // Set up global references for debugging
@@ -38,8 +77,11 @@ class ParkinsonWebTestApp {
             window.patientManager = this.patientManager;
             window.voiceRecorder = this.voiceRecorder;
             window.testManager = this.testManager;
+            window.featureExtractor = this.featureExtractor;
             window.router = this.router;
+            window.authService = this.authService;
             window.clinicianDashboard = this.clinicianDashboard;
+            window.patientSession = this.patientSession;
             
             this.isInitialized = true;
             console.log('Application initialized successfully');
@@ -57,6 +99,11 @@ class ParkinsonWebTestApp {
     }
 
     async showInitialStatus() {
+        // Statistics cover all patients, so they are only shown to clinicians
+        if (!this.isClinicianAuthenticated() || this.authService.needsMfaSetup()) {
+            return;
+        }
+
         try {
             const stats = await this.databaseManager.getDatabaseStats();
             console.log('Database statistics:', stats);
@@ -72,6 +119,10 @@ class ParkinsonWebTestApp {
 
     // Public: update DB status area using provided stats or by fetching them
     async updateDatabaseStatus(providedStats) {
+        if (!providedStats && !this.isClinicianAuthenticated()) {
+            return;
+        }
+
         try {
             const stats = providedStats || await this.databaseManager.getDatabaseStats();
             const dbStatusElement = document.getElementById('db-status');
@@ -100,7 +151,7 @@ class ParkinsonWebTestApp {
 
         // Handle beforeunload to warn about unsaved recordings
         window.addEventListener('beforeunload', (e) => {
-            if (this.voiceRecorder && this.voiceRecorder.hasRecording()) {
+            if (this.voiceRecorder && this.voiceRecorder.hasUnsavedRecording()) {
                 e.preventDefault();
                 e.returnValue = 'You have an unsaved recording. Are you sure you want to leave?';
                 return e.returnValue;
@@ -126,6 +177,10 @@ class ParkinsonWebTestApp {
         }, 10000);
     }
 
+    isClinicianAuthenticated() {
+        return Boolean(this.authService && this.authService.isAuthenticated());
+    }
+
     // Public methods for external access
     getDatabaseManager() {
         return this.databaseManager;
@@ -141,6 +196,10 @@ class ParkinsonWebTestApp {
 
     // Utility method to export database
     async exportDatabase() {
+        if (!this.isClinicianAuthenticated()) {
+            throw new Error('Exporting data requires a logged-in clinician');
+        }
+
         try {
             const [patients, recordings] = await Promise.all([
                 this.databaseManager.getAllPatients(),
@@ -3,9 +3,22 @@ const CONFIG = {
     // Database configuration
     DATABASE: {
         NAME: 'parkinson_test_db',
-        VERSION: 2,
+        VERSION: 7,
         PATIENTS_TABLE: 'patients',
-        RECORDINGS_TABLE: 'recordings'
+        RECORDINGS_TABLE: 'recordings',
+        FEATURES_TABLE: 'recording-features',
+        UPLOADS_TABLE: 'pending-uploads',
+        ANALYSIS_JOBS_TABLE: 'analysis-jobs',
+        STAGED_TAKES_TABLE: 'staged-takes',
+        STAGED_CHUNKS_TABLE: 'staged-chunks',
+        TEST_RESULTS_TABLE: 'test-results',
+        // 'remote' keeps data on the server (shared across devices), 'indexeddb' in this browser only
+        BACKEND: 'remote'
+    },
+
+    // Server REST API (see server/api.js)
+    API: {
+        BASE_URL: '/api'
     },
     
     // Patient form validation
@@ -19,6 +32,23 @@ const CONFIG = {
     // Recording settings
     RECORDING: {
         CHUNK_INTERVAL: 100, // milliseconds
+        // 'wav': lossless PCM (see PcmRecorder) with the browser's echo cancellation, noise
+        // suppression and gain control turned off, as needed for acoustic measures;
+        // 'compressed': MediaRecorder in one of SUPPORTED_FORMATS, with browser processing on
+        CAPTURE_MODE: 'wav',
+        WAV: {
+            SAMPLE_RATE: 44100, // Hz; the device rate is used if the browser cannot resample
+            BIT_DEPTH: 16 // 16 or 24
+        },
+        // Room noise measured before the first voice task (and with "Check Room Noise")
+        CALIBRATION: {
+            DURATION_SECONDS: 3,
+            MAX_NOISE_FLOOR: -50 // dBFS; noisier rooms get a warning
+        },
+        // Takes are written to IndexedDB chunk by chunk while recording (see RecordingStaging)
+        STAGING: {
+            GAP_THRESHOLD: 1000 // milliseconds of recording time without audio counted as a gap
+        },
         SUPPORTED_FORMATS: [
             'audio/webm;codecs=opus',
             'audio/webm',
@@ -27,6 +57,35 @@ const CONFIG = {
         ]
     },
     
+    // Standardized voice tasks (defaults are set per task in TestManager, and per assignment by clinicians)
+    VOICE_TASKS: {
+        MAX_DURATION_SECONDS: 180,
+        MAX_REPETITIONS: 5,
+        MAX_COUNTDOWN_SECONDS: 10
+    },
+
+    // Motor tests (defaults are set per test in TestManager, and per assignment by clinicians)
+    MOTOR_TESTS: {
+        MAX_REPETITIONS: 5,
+        MAX_TIME_LIMIT_SECONDS: 120,
+        MAX_TRIALS: 60
+    },
+    
+    // Resumable upload of recordings to the server
+    UPLOAD: {
+        CHUNK_SIZE: 256 * 1024, // bytes per request
+        RETRY_DELAYS: [1000, 2000, 5000, 10000, 30000] // milliseconds between attempts
+    },
+    
+    // Patient test links (limits are enforced by the server, see server/links.js)
+    LINKS: {
+        DEFAULT_EXPIRY_DAYS: 7,
+        MAX_EXPIRY_DAYS: 90,
+        DEFAULT_MAX_USES: 1,
+        MAX_USES: 20,
+        MAX_DOB_ATTEMPTS: 5 // wrong dates of birth before a link is locked
+    },
+
     // UI settings
     UI: {
         ANIMATION_DURATION: 300,
@@ -0,0 +1,160 @@
+/**
+ * Account Security Module
+ * Lets the logged-in clinician set up two-factor authentication (TOTP) for their
+ * own account, view new recovery codes once, and manage or turn off MFA.
+ */
+class AccountSecurity {
+    constructor(authService) {
+        this.authService = authService;
+
+        this.elements = {
+            message: document.getElementById('security-message'),
+            status: document.getElementById('mfa-status'),
+            setupBtn: document.getElementById('mfa-setup-btn'),
+            enrollPanel: document.getElementById('mfa-enroll'),
+            secret: document.getElementById('mfa-secret'),
+            uriLink: document.getElementById('mfa-uri-link'),
+            enrollForm: document.getElementById('mfa-enroll-form'),
+            enrollCode: document.getElementById('mfa-enroll-code'),
+            recoveryPanel: document.getElementById('mfa-recovery'),
+            recoveryList: document.getElementById('mfa-recovery-list'),
+            recoveryDoneBtn: document.getElementById('mfa-recovery-done'),
+            managePanel: document.getElementById('mfa-manage'),
+            manageCode: document.getElementById('mfa-manage-code'),
+            managePassword: document.getElementById('mfa-manage-password'),
+            regenerateBtn: document.getElementById('mfa-regenerate-btn'),
+            disableBtn: document.getElementById('mfa-disable-btn')
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.elements.setupBtn.addEventListener('click', () => this.startSetup());
+        this.elements.enrollForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmSetup();
+        });
+        this.elements.recoveryDoneBtn.addEventListener('click', () => this.refresh());
+        this.elements.regenerateBtn.addEventListener('click', () => this.regenerateRecoveryCodes());
+        this.elements.disableBtn.addEventListener('click', () => this.disable());
+    }
+
+    // Called by the router each time the security page is opened
+    refresh() {
+        const clinician = this.authService.getCurrentClinician();
+        this.hideAllPanels();
+        this.elements.manageCode.value = '';
+        this.elements.managePassword.value = '';
+
+        if (clinician.mfaEnabled) {
+            this.elements.status.textContent = `Two-factor authentication is on. ${clinician.recoveryCodesRemaining} unused recovery codes left.`;
+            this.elements.managePanel.style.display = 'block';
+        } else {
+            this.elements.status.textContent = 'Two-factor authentication is off.';
+            this.elements.setupBtn.style.display = 'inline-block';
+        }
+
+        if (this.authService.needsMfaSetup()) {
+            this.showBanner('Two-factor authentication is required for all clinician accounts. Please set it up to continue.', 'info');
+        } else {
+            this.hideBanner();
+        }
+    }
+
+    hideAllPanels() {
+        this.elements.setupBtn.style.display = 'none';
+        this.elements.enrollPanel.style.display = 'none';
+        this.elements.recoveryPanel.style.display = 'none';
+        this.elements.managePanel.style.display = 'none';
+    }
+
+    // ENROLLMENT
+
+    async startSetup() {
+        try {
+            const { secret, otpauthUri } = await this.authService.startMfaSetup();
+            this.hideAllPanels();
+            this.hideBanner();
+            // Group the secret in fours so it is easier to type into an app
+            this.elements.secret.textContent = secret.match(/.{1,4}/g).join(' ');
+            this.elements.uriLink.href = otpauthUri;
+            this.elements.enrollCode.value = '';
+            this.elements.enrollPanel.style.display = 'block';
+            this.elements.enrollCode.focus();
+        } catch (error) {
+            console.error('Failed to start two-factor setup:', error);
+            this.showBanner(error.message, 'error');
+        }
+    }
+
+    async confirmSetup() {
+        try {
+            const recoveryCodes = await this.authService.enableMfa(this.elements.enrollCode.value.trim());
+            this.showRecoveryCodes(recoveryCodes);
+            this.showBanner('Two-factor authentication is now on.', 'success');
+        } catch (error) {
+            console.error('Failed to enable two-factor authentication:', error);
+            this.elements.enrollCode.value = '';
+            this.showBanner(error.message, 'error');
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        this.hideAllPanels();
+        this.elements.recoveryList.innerHTML = '';
+        codes.forEach(code => {
+            const li = document.createElement('li');
+            li.textContent = code;
+            this.elements.recoveryList.appendChild(li);
+        });
+        this.elements.recoveryPanel.style.display = 'block';
+    }
+
+    // MANAGEMENT (MFA enabled)
+
+    async regenerateRecoveryCodes() {
+        const code = this.elements.manageCode.value.trim();
+        if (!code) {
+            return this.showBanner('Enter a code from your authenticator app first.', 'error');
+        }
+        try {
+            const recoveryCodes = await this.authService.regenerateRecoveryCodes(code);
+            this.showRecoveryCodes(recoveryCodes);
+            this.showBanner('New recovery codes created. The old ones no longer work.', 'success');
+        } catch (error) {
+            console.error('Failed to create new recovery codes:', error);
+            this.showBanner(error.message, 'error');
+        }
+    }
+
+    async disable() {
+        const code = this.elements.manageCode.value.trim();
+        const password = this.elements.managePassword.value;
+        if (!code || !password) {
+            return this.showBanner('Enter your password and a code from your authenticator app to turn off two-factor authentication.', 'error');
+        }
+        if (!confirm('Turn off two-factor authentication for your account?')) {
+            return;
+        }
+        try {
+            await this.authService.disableMfa(password, code);
+            this.refresh();
+            this.showBanner('Two-factor authentication is now off.', 'success');
+        } catch (error) {
+            console.error('Failed to turn off two-factor authentication:', error);
+            this.showBanner(error.message, 'error');
+        }
+    }
+
+    // BANNER MANAGEMENT
+    showBanner(message, type) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = `info-banner ${type}`;
+        this.elements.message.style.display = 'block';
+    }
+
+    hideBanner() {
+        this.elements.message.style.display = 'none';
+    }
+}
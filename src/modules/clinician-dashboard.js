@@ -1,11 +1,48 @@
 /**
  * Clinician Dashboard Module
- * Manages the clinician-facing interface for creating test assignments.
+ * Manages the clinician-facing interface for creating test assignments,
+ * reviewing a patient's recordings and their acoustic features and the
+ * results of their other tests and, for admins, clinician accounts.
  */
 class ClinicianDashboard {
-    constructor(patientManager, testManager) {
+    constructor(patientManager, testManager, authService, featureExtractor, recordingEditor) {
         this.patientManager = patientManager;
         this.testManager = testManager;
+        this.authService = authService;
+        this.featureExtractor = featureExtractor;
+        this.recordingEditor = recordingEditor;
+
+        // Link shown in the link container: { url, qrCode, assignment }
+        this.generatedLink = null;
+        // Rows of the recordings table by recording ID: { recording, features }
+        this.recordingRows = new Map();
+        // Object URL of the recording under review, revoked when another is opened
+        this.reviewAudioUrl = null;
+        // Recording under review, its decoded audio, the selected region and the marked segments
+        this.reviewRecordingId = null;
+        this.reviewSamples = null;
+        this.reviewSelection = null;
+        this.reviewMarks = [];
+
+        // Shown next to each issued link
+        this.linkStatusLabels = {
+            none: 'No link',
+            active: 'Active',
+            expired: 'Expired',
+            revoked: 'Revoked',
+            locked: 'Locked (wrong date of birth)',
+            used: 'All uses taken',
+            completed: 'Completed'
+        };
+
+        // Test modules whose static describe(summary) lists the measures of their results
+        this.resultModules = {
+            'drawing-test': DrawingTest,
+            'tapping-test': TappingTest,
+            'reaction-test': ReactionTest,
+            'trail-making-test': TrailMakingTest,
+            'tremor-test': TremorTest
+        };
         
         this.elements = {
             patientSelect: document.getElementById('dashboard-patient-select'),
@@ -14,20 +51,101 @@ class ClinicianDashboard {
             generatedLink: document.getElementById('generated-link'),
             linkContainer: document.getElementById('link-container'),
             linkInput: document.getElementById('link-input'),
-            copyLinkBtn: document.getElementById('copy-link-btn')
+            copyLinkBtn: document.getElementById('copy-link-btn'),
+            qrCode: document.getElementById('link-qr-code'),
+            downloadQrBtn: document.getElementById('download-qr-btn'),
+            printSheetBtn: document.getElementById('print-sheet-btn'),
+            printSheet: document.getElementById('print-sheet'),
+            printSheetQr: document.getElementById('print-sheet-qr'),
+            printSheetPatient: document.getElementById('print-sheet-patient'),
+            printSheetExpiry: document.getElementById('print-sheet-expiry'),
+            printSheetUses: document.getElementById('print-sheet-uses'),
+            printSheetDob: document.getElementById('print-sheet-dob'),
+            linkExpiryDays: document.getElementById('link-expiry-days'),
+            linkMaxUses: document.getElementById('link-max-uses'),
+            linkRequireDob: document.getElementById('link-require-dob'),
+            assignmentsList: document.getElementById('assignments-list'),
+            assignmentMessage: document.getElementById('assignment-message'),
+            readOnlyNotice: document.getElementById('dashboard-readonly-notice'),
+            recordingsTableBody: document.getElementById('recordings-table-body'),
+            recomputeFeaturesBtn: document.getElementById('recompute-features-btn'),
+            updateAllFeaturesBtn: document.getElementById('update-all-features-btn'),
+            analysisStatus: document.getElementById('analysis-status'),
+            analysisStatusText: document.getElementById('analysis-status-text'),
+            analysisProgressFill: document.getElementById('analysis-progress-fill'),
+            cancelAnalysisBtn: document.getElementById('cancel-analysis-btn'),
+            featuresMessage: document.getElementById('features-message'),
+            recordingReview: document.getElementById('recording-review'),
+            recordingReviewTitle: document.getElementById('recording-review-title'),
+            recordingReviewAudio: document.getElementById('recording-review-audio'),
+            recordingReviewTimeline: document.getElementById('recording-review-timeline'),
+            recordingReviewLegend: document.getElementById('recording-review-legend'),
+            recordingReviewWaveform: document.getElementById('recording-review-waveform'),
+            recordingEdit: document.getElementById('recording-edit'),
+            recordingEditSelection: document.getElementById('recording-edit-selection'),
+            recordingEditMessage: document.getElementById('recording-edit-message'),
+            playSelectionBtn: document.getElementById('play-selection-btn'),
+            trimSelectionBtn: document.getElementById('trim-selection-btn'),
+            markSegmentBtn: document.getElementById('mark-segment-btn'),
+            clearMarksBtn: document.getElementById('clear-marks-btn'),
+            saveSegmentsBtn: document.getElementById('save-segments-btn'),
+            testResultsTableBody: document.getElementById('test-results-table-body'),
+            testResultsMessage: document.getElementById('test-results-message'),
+            accountsCard: document.getElementById('accounts-card'),
+            accountsList: document.getElementById('accounts-list'),
+            accountForm: document.getElementById('account-form'),
+            accountUsername: document.getElementById('account-username'),
+            accountDisplayName: document.getElementById('account-display-name'),
+            accountRole: document.getElementById('account-role'),
+            accountPassword: document.getElementById('account-password'),
+            accountMessage: document.getElementById('account-message')
         };
         
         this.init();
     }
     
-    async init() {
+    init() {
         console.log("ClinicianDashboard module is loaded.");
-        await this.populatePatients();
+        this.timeline = new SegmentTimeline(this.elements.recordingReviewTimeline, this.elements.recordingReviewAudio);
+        this.waveform = new WaveformView(this.elements.recordingReviewWaveform, this.elements.recordingReviewAudio, {
+            selectable: true,
+            onSelect: (selection) => this.onReviewSelection(selection)
+        });
         this.populateTests();
         this.bindEvents();
     }
 
+    // Called by the router each time the dashboard is opened by a logged-in clinician
+    async refresh() {
+        const canWrite = this.authService.canWrite();
+        this.elements.createLinkBtn.disabled = !canWrite;
+        this.elements.readOnlyNotice.style.display = canWrite ? 'none' : 'block';
+        this.elements.recomputeFeaturesBtn.style.display = canWrite ? 'inline-block' : 'none';
+        this.elements.updateAllFeaturesBtn.style.display = canWrite ? 'inline-block' : 'none';
+        this.elements.featuresMessage.style.display = 'none';
+        this.hideRecordingReview();
+
+        this.elements.linkContainer.style.display = 'none';
+        this.elements.linkExpiryDays.value = CONFIG.LINKS.DEFAULT_EXPIRY_DAYS;
+        this.elements.linkMaxUses.value = CONFIG.LINKS.DEFAULT_MAX_USES;
+        await this.populatePatients();
+        await this.populateAssignments();
+        await this.populateRecordings();
+        await this.populateTestResults();
+        // Analyses queued before a reload (or before the login) continue now
+        this.featureExtractor.resumePending();
+
+        if (this.authService.hasRole('admin')) {
+            this.elements.accountsCard.style.display = 'block';
+            await this.populateAccounts();
+        } else {
+            this.elements.accountsCard.style.display = 'none';
+        }
+    }
+
     async populatePatients() {
+        this.elements.patientSelect.innerHTML = '';
+        this.elements.patientSelect.disabled = false;
         try {
             const patients = await this.patientManager.getAllPatients();
             if (!patients || patients.length === 0) {
@@ -66,15 +184,177 @@ class ClinicianDashboard {
                 <label for="test-${test.id}">${test.name}</label>
                 <p>${test.description}</p>
             `;
+            if (test.parameterFields) {
+                li.appendChild(this.createParameterFields(test));
+            }
             this.elements.testsList.appendChild(li);
         });
     }
 
+    // Inputs for a configurable test's parameters, shown while the test is selected
+    createParameterFields(test) {
+        const container = document.createElement('div');
+        container.className = 'test-parameters';
+        container.dataset.testId = test.id;
+        container.style.display = 'none';
+
+        test.parameterFields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = `form-group${field.type === 'textarea' ? ' full-width' : ''}`;
+
+            const id = `test-${test.id}-${field.name}`;
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = field.label;
+
+            if (field.type === 'checkbox') {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.id = id;
+                checkbox.dataset.parameter = field.name;
+                checkbox.checked = !!test.parameters[field.name];
+                label.className = 'checkbox-label';
+                label.prepend(checkbox);
+                group.appendChild(label);
+                container.appendChild(group);
+                return;
+            }
+
+            const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+            input.id = id;
+            input.dataset.parameter = field.name;
+            if (field.type === 'number') {
+                input.type = 'number';
+                input.min = field.min;
+                input.max = field.max;
+            } else if (field.type === 'text') {
+                input.type = 'text';
+            } else {
+                input.rows = 4;
+            }
+            input.value = test.parameters[field.name];
+
+            group.append(label, input);
+            container.appendChild(group);
+        });
+        return container;
+    }
+
+    // Parameters entered for the selected configurable tests: { [testId]: parameters }
+    getTestParameters() {
+        const testParameters = {};
+        this.elements.testsList.querySelectorAll('.test-parameters').forEach(container => {
+            const checkbox = document.getElementById(`test-${container.dataset.testId}`);
+            if (!checkbox.checked) return;
+
+            testParameters[container.dataset.testId] = Object.fromEntries(
+                Array.from(container.querySelectorAll('[data-parameter]'))
+                    .map(input => [input.dataset.parameter, input.type === 'checkbox' ? input.checked : input.value])
+            );
+        });
+        return testParameters;
+    }
+
     bindEvents() {
+        this.elements.testsList.addEventListener('change', (e) => {
+            // Test checkboxes, not checkbox parameters
+            if (e.target.type !== 'checkbox' || e.target.dataset.parameter) return;
+            const parameters = this.elements.testsList.querySelector(`.test-parameters[data-test-id="${e.target.value}"]`);
+            if (parameters) {
+                parameters.style.display = e.target.checked ? 'grid' : 'none';
+            }
+        });
+
         this.elements.createLinkBtn.addEventListener('click', async () => {
             await this.createTestAssignment();
         });
+
+        this.elements.patientSelect.addEventListener('change', async () => {
+            this.elements.linkContainer.style.display = 'none';
+            this.elements.featuresMessage.style.display = 'none';
+            this.hideRecordingReview();
+            await this.populateAssignments();
+            await this.populateRecordings();
+            await this.populateTestResults();
+        });
+
+        this.elements.recomputeFeaturesBtn.addEventListener('click', async () => {
+            await this.recomputeFeatures();
+        });
+
+        this.elements.updateAllFeaturesBtn.addEventListener('click', async () => {
+            await this.updateAllFeatures();
+        });
+
+        this.elements.cancelAnalysisBtn.addEventListener('click', () => {
+            this.featureExtractor.cancelAll();
+        });
+
+        document.addEventListener('analysis-progress', (e) => this.updateAnalysisStatus(e.detail));
+
+        this.elements.recordingsTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-recording-id]');
+            if (button) {
+                this.showRecordingReview(Number(button.dataset.recordingId));
+            }
+        });
+
+        this.elements.testResultsTableBody.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-result-id]');
+            if (button) {
+                await this.downloadTestResult(button.dataset.resultId);
+            }
+        });
+
+        this.elements.playSelectionBtn.addEventListener('click', () => this.waveform.playSelection());
+        this.elements.trimSelectionBtn.addEventListener('click', async () => {
+            await this.saveDerivedRecordings([this.reviewSelection], 'trim');
+        });
+        this.elements.markSegmentBtn.addEventListener('click', () => this.markSegment());
+        this.elements.clearMarksBtn.addEventListener('click', () => this.setReviewMarks([]));
+        this.elements.saveSegmentsBtn.addEventListener('click', async () => {
+            await this.saveDerivedRecordings(this.reviewMarks, 'segment');
+        });
+
+        // Features of a new recording are computed in the background
+        document.addEventListener('features-updated', async (e) => {
+            if (!this.authService.isAuthenticated()) return;
+            if (Number(e.detail.features.patientId) === Number(this.elements.patientSelect.value)) {
+                await this.populateRecordings();
+            }
+        });
+
+        this.elements.assignmentsList.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-assignment-id]');
+            if (!button) return;
+
+            if (button.dataset.action === 'revoke') {
+                await this.revokeLink(button.dataset.assignmentId);
+            } else {
+                await this.reissueLink(button.dataset.assignmentId);
+            }
+        });
         
+        this.elements.accountForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.createAccount();
+        });
+
+        this.elements.accountsList.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-clinician-id]');
+            if (!button) return;
+
+            if (button.dataset.action === 'reset-mfa') {
+                await this.resetAccountMfa(button.dataset.clinicianId);
+            } else {
+                await this.toggleAccount(button.dataset.clinicianId, button.dataset.disabled !== 'true');
+            }
+        });
+
+        this.elements.downloadQrBtn.addEventListener('click', () => this.downloadQrCode());
+        this.elements.printSheetBtn.addEventListener('click', () => this.printInstructionSheet());
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-sheet'));
+
         this.elements.copyLinkBtn.addEventListener('click', () => {
             this.elements.linkInput.select();
             document.execCommand('copy');
@@ -87,7 +367,7 @@ class ClinicianDashboard {
 
     async createTestAssignment() {
         const patientId = this.elements.patientSelect.value;
-        const selectedTests = Array.from(this.elements.testsList.querySelectorAll('input:checked'))
+        const selectedTests = Array.from(this.elements.testsList.querySelectorAll('input[type=checkbox]:checked:not([data-parameter])'))
             .map(checkbox => checkbox.value);
 
         if (!patientId || selectedTests.length === 0) {
@@ -96,18 +376,729 @@ class ClinicianDashboard {
         }
 
         try {
-            const assignmentId = await this.testManager.saveTestAssignment(patientId, selectedTests);
-            this.displayGeneratedLink(assignmentId);
+            const assignmentId = await this.testManager.saveTestAssignment(patientId, selectedTests, this.getTestParameters());
+            const { token, assignment } = await this.testManager.issueAssignmentLink(assignmentId, this.getLinkOptions());
+            this.displayGeneratedLink(token, assignment);
         } catch (error) {
             console.error('Failed to create test assignment:', error);
-            alert('An error occurred. Failed to create the test link.');
+            alert(`An error occurred. Failed to create the test link.${error.message ? `\n${error.message}` : ''}`);
+        }
+        await this.populateAssignments();
+    }
+
+    getLinkOptions() {
+        return {
+            expiresInDays: Number(this.elements.linkExpiryDays.value) || CONFIG.LINKS.DEFAULT_EXPIRY_DAYS,
+            maxUses: Number(this.elements.linkMaxUses.value) || CONFIG.LINKS.DEFAULT_MAX_USES,
+            requireDateOfBirth: this.elements.linkRequireDob.checked
+        };
+    }
+
+    // PATIENT LINKS
+
+    async populateAssignments() {
+        this.elements.assignmentsList.innerHTML = '';
+        this.elements.assignmentMessage.style.display = 'none';
+
+        const patientId = this.elements.patientSelect.value;
+        if (!patientId || this.elements.patientSelect.disabled) {
+            return;
+        }
+
+        try {
+            const assignments = await this.testManager.getPatientAssignments(patientId);
+            if (assignments.length === 0) {
+                const li = document.createElement('li');
+                li.className = 'assignment-item';
+                li.textContent = 'No links have been created for this patient yet.';
+                this.elements.assignmentsList.appendChild(li);
+                return;
+            }
+            assignments.forEach(assignment => {
+                this.elements.assignmentsList.appendChild(this.renderAssignment(assignment));
+            });
+        } catch (error) {
+            console.error('Failed to load test assignments:', error);
+            this.showAssignmentMessage('Could not load the links of this patient.', 'error');
+        }
+    }
+
+    renderAssignment(assignment) {
+        const status = this.testManager.getLinkStatus(assignment);
+        const link = assignment.link;
+        const testNames = assignment.tests
+            .map(testId => this.testManager.getTest(testId)?.name || testId)
+            .join(', ');
+
+        const li = document.createElement('li');
+        li.className = 'assignment-item';
+
+        const info = document.createElement('span');
+        const details = [
+            `Created ${new Date(assignment.createdAt).toLocaleDateString()}`,
+            testNames
+        ];
+        if (link) {
+            details.push(`used ${link.uses} of ${link.maxUses}`);
+            details.push(`expires ${new Date(link.expiresAt).toLocaleDateString()}`);
+            if (link.requireDateOfBirth) details.push('date of birth required');
+        }
+        const statusLabel = document.createElement('strong');
+        statusLabel.className = `link-status ${status}`;
+        statusLabel.textContent = this.linkStatusLabels[status];
+        info.appendChild(statusLabel);
+        info.appendChild(document.createTextNode(` - ${details.join(' · ')}`));
+        li.appendChild(info);
+
+        if (this.authService.canWrite() && status !== 'completed') {
+            const actions = document.createElement('span');
+            actions.className = 'account-actions';
+
+            if (status === 'active' || status === 'used') {
+                const revokeButton = document.createElement('button');
+                revokeButton.className = 'btn btn-secondary';
+                revokeButton.dataset.assignmentId = assignment.id;
+                revokeButton.dataset.action = 'revoke';
+                revokeButton.textContent = 'Revoke';
+                actions.appendChild(revokeButton);
+            }
+
+            const reissueButton = document.createElement('button');
+            reissueButton.className = 'btn btn-secondary';
+            reissueButton.dataset.assignmentId = assignment.id;
+            reissueButton.dataset.action = 'reissue';
+            reissueButton.textContent = link ? 'Reissue' : 'Create Link';
+            actions.appendChild(reissueButton);
+            li.appendChild(actions);
+        }
+        return li;
+    }
+
+    async revokeLink(assignmentId) {
+        if (!confirm('Revoke this link? The patient will no longer be able to open it.')) {
+            return;
+        }
+        try {
+            await this.testManager.revokeAssignmentLink(assignmentId);
+            this.elements.linkContainer.style.display = 'none';
+            await this.populateAssignments();
+            this.showAssignmentMessage('Link revoked.', 'success');
+        } catch (error) {
+            console.error('Failed to revoke link:', error);
+            this.showAssignmentMessage(error.message, 'error');
+        }
+    }
+
+    // A new link with the settings above; the previous link stops working
+    async reissueLink(assignmentId) {
+        try {
+            const { token, assignment } = await this.testManager.issueAssignmentLink(assignmentId, this.getLinkOptions());
+            this.displayGeneratedLink(token, assignment);
+            await this.populateAssignments();
+            this.showAssignmentMessage('New link created. The previous link no longer works.', 'success');
+        } catch (error) {
+            console.error('Failed to reissue link:', error);
+            this.showAssignmentMessage(error.message, 'error');
+        }
+    }
+
+    showAssignmentMessage(message, type) {
+        this.elements.assignmentMessage.textContent = message;
+        this.elements.assignmentMessage.className = `info-banner ${type}`;
+        this.elements.assignmentMessage.style.display = 'block';
+    }
+
+    // RECORDINGS AND VOICE FEATURES
+
+    async populateRecordings() {
+        const tbody = this.elements.recordingsTableBody;
+        tbody.innerHTML = '';
+        this.recordingRows.clear();
+
+        const patientId = this.elements.patientSelect.value;
+        if (!patientId || this.elements.patientSelect.disabled) {
+            return;
+        }
+
+        try {
+            const rows = await this.featureExtractor.getPatientRecordingFeatures(patientId);
+            if (rows.length === 0) {
+                tbody.appendChild(this.createMessageRow('No recordings for this patient yet.'));
+                return;
+            }
+            // All rows first, so derived recordings can name their original
+            rows.forEach(row => this.recordingRows.set(row.recording.id, row));
+            rows.forEach(row => tbody.appendChild(this.renderRecordingRow(row.recording, row.features)));
+        } catch (error) {
+            console.error('Failed to load recordings:', error);
+            this.showFeaturesMessage('Could not load the recordings of this patient.', 'error');
+        }
+    }
+
+    renderRecordingRow(recording, featureRecord) {
+        const metadata = recording.metadata || {};
+        const task = metadata.taskLabel
+            ? `${metadata.taskLabel} (take ${metadata.repetition} of ${metadata.repetitions})`
+            : 'Free recording';
+
+        const tr = document.createElement('tr');
+        const cells = [
+            new Date(recording.dateTime).toLocaleString(),
+            task,
+            `${(recording.duration / 1000).toFixed(1)} s`
+        ];
+
+        if (featureRecord) {
+            const f = featureRecord.features;
+            cells.push(
+                this.formatFeature(f.f0Mean, 1),
+                this.formatFeature(f.f0Sd, 1),
+                this.formatFeature(f.jitterLocal, 2),
+                this.formatFeature(f.shimmerLocal, 2),
+                this.formatFeature(f.hnr, 1),
+                this.formatFeature(f.cpp, 1),
+                `${Math.round(f.voicedFraction * 100)}%`,
+                this.formatTaskMeasures(f)
+            );
+        }
+
+        cells.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        // Takes saved although they failed the quality check
+        const qc = metadata.qc;
+        if (qc && !qc.passed) {
+            const warning = document.createElement('span');
+            warning.className = 'qc-warning';
+            warning.textContent = `QC: ${qc.problems.map(name => RecordingQc.LABELS[name] || name).join(', ')}`;
+            warning.title = qc.problems
+                .map(name => `${RecordingQc.LABELS[name] || name}: ${qc.checks[name].value} (limit ${qc.checks[name].limit})`)
+                .join('\n') + (qc.override ? `\nSaved anyway by the ${qc.override.by}` : '');
+            tr.children[1].appendChild(warning);
+        }
+
+        // Takes recovered from the staging stores after a crash or a closed tab
+        const recovered = metadata.recovered;
+        if (recovered) {
+            const note = document.createElement('span');
+            note.className = 'recovered-note';
+            note.textContent = recovered.interrupted ? 'Recovered after an interruption' : 'Recovered (was not saved)';
+            if (recovered.gaps.length > 0) {
+                note.textContent += `, ${recovered.gaps.length} gap(s)`;
+            }
+            note.title = [
+                `Last audio received ${new Date(recovered.lastChunkAt).toLocaleString()}`,
+                ...recovered.gaps.map(gap => `No audio from ${gap.start.toFixed(1)} s to ${gap.end.toFixed(1)} s`)
+            ].join('\n');
+            tr.children[1].appendChild(note);
+        }
+
+        // Trimmed copies and marked segments of another recording
+        if (metadata.derivedFrom) {
+            const note = document.createElement('span');
+            note.className = 'derived-note';
+            note.textContent = this.describeDerivedRecording(metadata.derivedFrom);
+            tr.children[1].appendChild(note);
+        }
+
+        if (!featureRecord) {
+            const td = document.createElement('td');
+            td.colSpan = 8;
+            td.className = 'features-pending';
+            td.textContent = 'Not analysed yet';
+            tr.appendChild(td);
+        }
+
+        const actions = document.createElement('td');
+        const playButton = document.createElement('button');
+        playButton.className = 'btn btn-secondary';
+        playButton.dataset.recordingId = recording.id;
+        playButton.textContent = 'Review';
+        actions.appendChild(playButton);
+        tr.appendChild(actions);
+        return tr;
+    }
+
+    // Plays a recording with the segments (and DDK syllable onsets) its analysis found
+    showRecordingReview(recordingId) {
+        const row = this.recordingRows.get(recordingId);
+        if (!row) return;
+
+        const { recording, features: featureRecord } = row;
+        const audio = this.elements.recordingReviewAudio;
+        if (this.reviewAudioUrl) {
+            URL.revokeObjectURL(this.reviewAudioUrl);
+            this.reviewAudioUrl = null;
+        }
+        if (recording.audioBlob) {
+            this.reviewAudioUrl = URL.createObjectURL(recording.audioBlob);
+            audio.src = this.reviewAudioUrl;
+        } else {
+            audio.src = recording.audioUrl;
+        }
+
+        const features = featureRecord?.features || {};
+        const timing = features.speechTiming;
+        this.timeline.render({
+            duration: featureRecord?.duration || recording.duration / 1000,
+            segments: timing?.segments || [],
+            markers: timing?.nuclei || features.ddk?.onsets || []
+        });
+
+        let legend = 'This recording has no segment analysis.';
+        if (timing) {
+            legend = `Green: speech, grey: ${timing.pauseCount} pauses, lines: ${timing.syllableCount} syllable nuclei. Click the bar to play from there.`;
+        } else if (features.ddk) {
+            legend = `Lines: ${features.ddk.syllableCount} detected syllable onsets. Click the bar to play from there.`;
+        }
+        this.elements.recordingReviewLegend.textContent = legend;
+        const derivedFrom = recording.metadata?.derivedFrom;
+        this.elements.recordingReviewTitle.textContent = `${new Date(recording.dateTime).toLocaleString()} - ${recording.metadata?.taskLabel || 'Free recording'}`
+            + (derivedFrom ? ` (${this.describeDerivedRecording(derivedFrom)})` : '');
+        this.elements.recordingEdit.style.display = this.authService.canWrite() ? 'block' : 'none';
+        this.elements.recordingEditMessage.style.display = 'none';
+        this.elements.recordingReview.style.display = 'block';
+        this.loadReviewWaveform(recording);
+    }
+
+    // Decodes the recording under review for the waveform
+    async loadReviewWaveform(recording) {
+        this.reviewRecordingId = recording.id;
+        this.reviewSamples = null;
+        this.reviewMarks = [];
+        this.waveform.clear();
+        this.onReviewSelection(null);
+
+        try {
+            const audio = await this.recordingEditor.loadSamples(recording);
+            // Another recording was opened in the meantime
+            if (this.reviewRecordingId !== recording.id) return;
+            this.reviewSamples = audio;
+            this.waveform.load(audio.samples, audio.sampleRate);
+        } catch (error) {
+            if (this.reviewRecordingId !== recording.id) return;
+            console.error('Failed to load the waveform:', error);
+            this.showRecordingEditMessage(error.message, 'error');
+        }
+    }
+
+    onReviewSelection(selection) {
+        this.reviewSelection = selection;
+        this.updateRecordingEditControls();
+    }
+
+    // Adds the selected region to the segments to be saved, in time order
+    markSegment() {
+        if (!this.reviewSelection) return;
+        this.setReviewMarks([...this.reviewMarks, this.reviewSelection].sort((a, b) => a.start - b.start));
+        this.waveform.clearSelection();
+    }
+
+    setReviewMarks(marks) {
+        this.reviewMarks = marks;
+        this.waveform.setMarks(marks);
+        this.updateRecordingEditControls();
+    }
+
+    updateRecordingEditControls(busy = false) {
+        const selection = this.reviewSelection;
+        const loaded = this.reviewSamples !== null;
+        this.elements.playSelectionBtn.disabled = busy || !selection;
+        this.elements.trimSelectionBtn.disabled = busy || !selection || !loaded;
+        this.elements.markSegmentBtn.disabled = busy || !selection;
+        this.elements.clearMarksBtn.disabled = busy || this.reviewMarks.length === 0;
+        this.elements.saveSegmentsBtn.disabled = busy || this.reviewMarks.length === 0 || !loaded;
+        this.elements.saveSegmentsBtn.textContent = this.reviewMarks.length > 0
+            ? `Save ${this.reviewMarks.length} Marked Segment(s)`
+            : 'Save Marked Segments';
+
+        let text = 'Drag across the waveform to select a region; click it to play from there.';
+        if (selection) {
+            text = `Selected ${selection.start.toFixed(2)}–${selection.end.toFixed(2)} s (${(selection.end - selection.start).toFixed(2)} s).`;
+        }
+        this.elements.recordingEditSelection.textContent = text;
+    }
+
+    // Saves a trimmed copy ('trim') or the marked segments ('segment') as new recordings
+    async saveDerivedRecordings(segments, kind) {
+        const row = this.recordingRows.get(this.reviewRecordingId);
+        if (!row || !this.reviewSamples || segments.length === 0) return;
+
+        this.updateRecordingEditControls(true);
+        try {
+            const ids = await this.recordingEditor.saveSegments(row.recording, segments, kind, this.reviewSamples);
+            if (kind === 'segment') {
+                this.setReviewMarks([]);
+            }
+            await this.populateRecordings();
+            this.showRecordingEditMessage(`Saved ${ids.length} new recording(s) linked to this one. Their features are computed in the background.`, 'success');
+        } catch (error) {
+            console.error('Failed to save the derived recordings:', error);
+            this.showRecordingEditMessage(`Could not save: ${error.message}`, 'error');
+        } finally {
+            this.updateRecordingEditControls();
+        }
+    }
+
+    describeDerivedRecording(derivedFrom) {
+        const original = this.recordingRows.get(derivedFrom.recordingId)?.recording;
+        const source = original ? `the recording of ${new Date(original.dateTime).toLocaleString()}` : 'a deleted recording';
+        const range = `${derivedFrom.start.toFixed(2)}–${derivedFrom.end.toFixed(2)} s`;
+        return derivedFrom.kind === 'trim'
+            ? `Trimmed from ${source}, ${range}`
+            : `Segment ${derivedFrom.index} of ${derivedFrom.count} from ${source}, ${range}`;
+    }
+
+    showRecordingEditMessage(message, type) {
+        this.elements.recordingEditMessage.textContent = message;
+        this.elements.recordingEditMessage.className = `info-banner ${type}`;
+        this.elements.recordingEditMessage.style.display = 'block';
+    }
+
+    hideRecordingReview() {
+        const audio = this.elements.recordingReviewAudio;
+        audio.pause();
+        audio.removeAttribute('src');
+        if (this.reviewAudioUrl) {
+            URL.revokeObjectURL(this.reviewAudioUrl);
+            this.reviewAudioUrl = null;
+        }
+        this.timeline.clear();
+        this.reviewRecordingId = null;
+        this.reviewSamples = null;
+        this.reviewMarks = [];
+        this.reviewSelection = null;
+        this.waveform.clear();
+        this.elements.recordingReview.style.display = 'none';
+    }
+
+    formatFeature(value, decimals) {
+        return value === null || value === undefined ? '–' : value.toFixed(decimals);
+    }
+
+    // Measures that only exist for some voice tasks
+    formatTaskMeasures(features) {
+        const ddk = features.ddk;
+        if (ddk) {
+            return [
+                `${ddk.syllableCount} syllables`,
+                `${this.formatFeature(ddk.rate, 1)}/s`,
+                `CV ${this.formatFeature(ddk.intervalCv, 1)}%`,
+                `decay ${this.formatFeature(ddk.rateDecay, 1)}%`
+            ].join(', ');
+        }
+        const timing = features.speechTiming;
+        if (timing) {
+            return [
+                `${timing.pauseCount} pauses (mean ${this.formatFeature(timing.pauseDurations.mean, 2)} s)`,
+                `speech/pause ${this.formatFeature(timing.speechToPauseRatio, 1)}`,
+                `articulation ${this.formatFeature(timing.articulationRate, 1)} syl/s`,
+                `intensity ${this.formatFeature(timing.intensityDecay, 1)} dB`
+            ].join(', ');
+        }
+        return '';
+    }
+
+    createMessageRow(message, columns = 12) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = columns;
+        td.textContent = message;
+        tr.appendChild(td);
+        return tr;
+    }
+
+    // Analyses all of the selected patient's recordings again in this browser
+    async recomputeFeatures() {
+        const patientId = this.elements.patientSelect.value;
+        if (!patientId || this.elements.patientSelect.disabled) {
+            return;
+        }
+
+        await this.runRecompute(this.elements.recomputeFeaturesBtn, { patientId: Number(patientId), force: true });
+    }
+
+    // Analyses every recording whose features were computed by an older extractor version
+    async updateAllFeatures() {
+        await this.runRecompute(this.elements.updateAllFeaturesBtn, { force: false });
+    }
+
+    async runRecompute(button, options) {
+        button.disabled = true;
+        try {
+            const summary = await this.featureExtractor.recomputeAll({
+                ...options,
+                onProgress: ({ done, total }) => {
+                    this.showFeaturesMessage(`Analysing recordings... ${done} of ${total}`, 'info');
+                }
+            });
+            await this.populateRecordings();
+
+            const notes = [`Features computed for ${summary.computed} recording(s) with extractor version ${VoiceFeatures.VERSION}.`];
+            if (summary.skipped > 0) notes.push(`${summary.skipped} already up to date.`);
+            if (summary.cancelled > 0) notes.push(`${summary.cancelled} cancelled.`);
+            if (summary.failed > 0) notes.push(`${summary.failed} could not be analysed (audio not available).`);
+            this.showFeaturesMessage(notes.join(' '), summary.failed > 0 ? 'error' : 'success');
+        } catch (error) {
+            console.error('Failed to recompute features:', error);
+            this.showFeaturesMessage(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Shows the recording being analysed in this browser and how many are waiting
+    updateAnalysisStatus({ recordingId, status, progress, pending }) {
+        if (pending === 0) {
+            this.elements.analysisStatus.style.display = 'none';
+            return;
+        }
+        if (status !== 'running') {
+            return;
+        }
+
+        const waiting = pending > 1 ? ` (${pending - 1} more waiting)` : '';
+        this.elements.analysisStatusText.textContent = `Analysing recording ${recordingId}... ${Math.round((progress || 0) * 100)}%${waiting}`;
+        this.elements.analysisProgressFill.style.width = `${Math.round((progress || 0) * 100)}%`;
+        this.elements.analysisStatus.style.display = 'block';
+    }
+
+    showFeaturesMessage(message, type) {
+        this.elements.featuresMessage.textContent = message;
+        this.elements.featuresMessage.className = `info-banner ${type}`;
+        this.elements.featuresMessage.style.display = 'block';
+    }
+
+    // TEST RESULTS
+
+    async populateTestResults() {
+        const tbody = this.elements.testResultsTableBody;
+        tbody.innerHTML = '';
+        this.elements.testResultsMessage.style.display = 'none';
+
+        const patientId = this.elements.patientSelect.value;
+        if (!patientId || this.elements.patientSelect.disabled) {
+            return;
+        }
+
+        try {
+            const results = await this.testManager.getPatientTestResults(patientId);
+            if (results.length === 0) {
+                tbody.appendChild(this.createMessageRow('No test results for this patient yet.', 4));
+                return;
+            }
+            results.forEach(result => tbody.appendChild(this.renderTestResultRow(result)));
+        } catch (error) {
+            console.error('Failed to load test results:', error);
+            this.showTestResultsMessage('Could not load the test results of this patient.', 'error');
         }
     }
 
-    displayGeneratedLink(assignmentId) {
+    renderTestResultRow(result) {
+        const tr = document.createElement('tr');
+        [
+            new Date(result.createdAt).toLocaleString(),
+            this.testManager.getTest(result.testId)?.name || result.testId
+        ].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        const measures = document.createElement('td');
+        const module = this.resultModules[result.moduleId];
+        (module && result.summary ? module.describe(result.summary) : []).forEach(line => {
+            const div = document.createElement('div');
+            div.textContent = line;
+            measures.appendChild(div);
+        });
+        tr.appendChild(measures);
+
+        const actions = document.createElement('td');
+        const downloadButton = document.createElement('button');
+        downloadButton.className = 'btn btn-secondary';
+        downloadButton.dataset.resultId = result.id;
+        downloadButton.textContent = 'Download Data';
+        downloadButton.title = 'The result with its raw samples, as JSON';
+        actions.appendChild(downloadButton);
+        tr.appendChild(actions);
+        return tr;
+    }
+
+    // Saves a result with its raw data as a JSON file
+    async downloadTestResult(resultId) {
+        try {
+            const result = await this.testManager.getTestResult(resultId);
+            if (!result) {
+                throw new Error('Test result not found');
+            }
+            const url = URL.createObjectURL(new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' }));
+            const anchor = document.createElement('a');
+            anchor.href = url;
+            anchor.download = `${result.testId}-patient-${result.patientId}-${result.createdAt.slice(0, 10)}.json`;
+            document.body.appendChild(anchor);
+            anchor.click();
+            anchor.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to download test result:', error);
+            this.showTestResultsMessage('Could not download this test result.', 'error');
+        }
+    }
+
+    showTestResultsMessage(message, type) {
+        this.elements.testResultsMessage.textContent = message;
+        this.elements.testResultsMessage.className = `info-banner ${type}`;
+        this.elements.testResultsMessage.style.display = 'block';
+    }
+
+    // CLINICIAN ACCOUNTS (admin only)
+
+    async populateAccounts() {
+        try {
+            const clinicians = await this.authService.getClinicians();
+            const currentId = this.authService.getCurrentClinician().id;
+            this.elements.accountsList.innerHTML = '';
+
+            clinicians.forEach(clinician => {
+                const li = document.createElement('li');
+                li.className = 'account-item';
+
+                const label = document.createElement('span');
+                label.textContent = `${clinician.displayName} (${clinician.username}) - ${clinician.role}`
+                    + `${clinician.mfaEnabled ? ', 2FA' : ''}${clinician.disabled ? ', disabled' : ''}`;
+                li.appendChild(label);
+
+                if (clinician.id !== currentId) {
+                    const actions = document.createElement('span');
+                    actions.className = 'account-actions';
+
+                    if (clinician.mfaEnabled) {
+                        const resetButton = document.createElement('button');
+                        resetButton.className = 'btn btn-secondary';
+                        resetButton.dataset.clinicianId = clinician.id;
+                        resetButton.dataset.action = 'reset-mfa';
+                        resetButton.textContent = 'Reset 2FA';
+                        actions.appendChild(resetButton);
+                    }
+
+                    const button = document.createElement('button');
+                    button.className = 'btn btn-secondary';
+                    button.dataset.clinicianId = clinician.id;
+                    button.dataset.disabled = String(Boolean(clinician.disabled));
+                    button.textContent = clinician.disabled ? 'Enable' : 'Disable';
+                    actions.appendChild(button);
+                    li.appendChild(actions);
+                }
+                this.elements.accountsList.appendChild(li);
+            });
+        } catch (error) {
+            console.error('Failed to load clinician accounts:', error);
+            this.showAccountMessage('Could not load clinician accounts.', 'error');
+        }
+    }
+
+    async createAccount() {
+        try {
+            await this.authService.createClinician({
+                username: this.elements.accountUsername.value.trim(),
+                displayName: this.elements.accountDisplayName.value.trim(),
+                role: this.elements.accountRole.value,
+                password: this.elements.accountPassword.value
+            });
+            this.elements.accountForm.reset();
+            this.showAccountMessage('Account created.', 'success');
+            await this.populateAccounts();
+        } catch (error) {
+            console.error('Failed to create clinician account:', error);
+            this.showAccountMessage(error.message, 'error');
+        }
+    }
+
+    async toggleAccount(clinicianId, disabled) {
+        try {
+            await this.authService.updateClinician(clinicianId, { disabled });
+            await this.populateAccounts();
+        } catch (error) {
+            console.error('Failed to update clinician account:', error);
+            this.showAccountMessage(error.message, 'error');
+        }
+    }
+
+    // For clinicians who lost their authenticator and recovery codes; they enroll again at their next login
+    async resetAccountMfa(clinicianId) {
+        if (!confirm('Remove two-factor authentication from this account? The clinician will be signed out and can log in with the password alone until they set it up again.')) {
+            return;
+        }
+        try {
+            await this.authService.resetClinicianMfa(clinicianId);
+            this.showAccountMessage('Two-factor authentication was reset.', 'success');
+            await this.populateAccounts();
+        } catch (error) {
+            console.error('Failed to reset two-factor authentication:', error);
+            this.showAccountMessage(error.message, 'error');
+        }
+    }
+
+    showAccountMessage(message, type) {
+        this.elements.accountMessage.textContent = message;
+        this.elements.accountMessage.className = `info-banner ${type}`;
+        this.elements.accountMessage.style.display = 'block';
+    }
+
+    displayGeneratedLink(token, assignment) {
         const baseUrl = window.location.origin + window.location.pathname;
-        const link = `${baseUrl}#test-session?id=${assignmentId}`;
+        const link = `${baseUrl}#test-session?token=${encodeURIComponent(token)}`;
         this.elements.linkInput.value = link;
+
+        // Built in the browser (see src/services/qr-code.js), so the link never leaves the app
+        const qrCode = QrCode.encode(link, 'M');
+        this.elements.qrCode.innerHTML = qrCode.toSvg();
+        this.generatedLink = { url: link, qrCode, assignment };
+
         this.elements.linkContainer.style.display = 'block';
     }
+
+    // QR CODE OUTPUT
+
+    downloadQrCode() {
+        if (!this.generatedLink) return;
+
+        const canvas = document.createElement('canvas');
+        this.generatedLink.qrCode.drawToCanvas(canvas, { scale: 10 });
+        canvas.toBlob(blob => {
+            const url = URL.createObjectURL(blob);
+            const anchor = document.createElement('a');
+            anchor.href = url;
+            anchor.download = `test-link-patient-${this.generatedLink.assignment.patientId}.png`;
+            document.body.appendChild(anchor);
+            anchor.click();
+            anchor.remove();
+            URL.revokeObjectURL(url);
+        }, 'image/png');
+    }
+
+    // Prints a sheet to hand to the patient; only the sheet is visible while printing (see styles.css)
+    printInstructionSheet() {
+        if (!this.generatedLink) return;
+
+        const { qrCode, assignment } = this.generatedLink;
+        const link = assignment.link;
+        this.elements.printSheetQr.innerHTML = qrCode.toSvg();
+        this.elements.printSheetPatient.textContent = String(assignment.patientId);
+        this.elements.printSheetExpiry.textContent = new Date(link.expiresAt).toLocaleString([], {
+            dateStyle: 'long',
+            timeStyle: 'short'
+        });
+        this.elements.printSheetUses.textContent = link.maxUses === 1
+            ? 'The code can only be used once, on one device.'
+            : `The code can be used on up to ${link.maxUses} devices.`;
+        this.elements.printSheetDob.style.display = link.requireDateOfBirth ? 'list-item' : 'none';
+
+        document.body.classList.add('printing-sheet');
+        window.print();
+    }
 }
\ No newline at end of file
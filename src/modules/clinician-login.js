@@ -0,0 +1,174 @@
+/**
+ * Clinician Login Module
+ * Handles the login form, the header bar of the logged-in clinician and logout.
+ */
+class ClinicianLogin {
+    constructor(authService) {
+        this.authService = authService;
+        // Hash to return to after logging in
+        this.nextHash = null;
+        // Set between the password and the two-factor step
+        this.mfaToken = null;
+
+        this.elements = {
+            form: document.getElementById('login-form'),
+            usernameInput: document.getElementById('login-username'),
+            passwordInput: document.getElementById('login-password'),
+            loginBtn: document.getElementById('login-btn'),
+            mfaForm: document.getElementById('login-mfa-form'),
+            mfaCodeInput: document.getElementById('login-mfa-code'),
+            mfaBtn: document.getElementById('login-mfa-btn'),
+            mfaCancelBtn: document.getElementById('login-mfa-cancel'),
+            message: document.getElementById('login-message'),
+            sessionBar: document.getElementById('session-bar'),
+            sessionUser: document.getElementById('session-user'),
+            logoutBtn: document.getElementById('logout-btn')
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.onLoginSubmitted();
+        });
+        this.elements.mfaForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.onMfaSubmitted();
+        });
+        this.elements.mfaCancelBtn.addEventListener('click', () => this.showPasswordStep());
+        this.elements.logoutBtn.addEventListener('click', () => this.onLogoutClicked());
+
+        // The server rejected a request because the session expired
+        document.addEventListener('auth-required', () => {
+            if (!this.authService.isAuthenticated()) return;
+            this.authService.clear();
+            this.updateSessionBar();
+            window.location.hash = `#login?next=${encodeURIComponent(window.location.hash)}`;
+        });
+
+        this.updateSessionBar();
+    }
+
+    // Called by the router when the login route is entered
+    show(nextHash) {
+        this.nextHash = nextHash || null;
+        this.hideBanner();
+        this.showPasswordStep();
+    }
+
+    showPasswordStep() {
+        this.mfaToken = null;
+        this.elements.passwordInput.value = '';
+        this.elements.mfaCodeInput.value = '';
+        this.elements.mfaForm.style.display = 'none';
+        this.elements.form.style.display = 'block';
+        this.elements.usernameInput.focus();
+    }
+
+    showMfaStep(mfaToken) {
+        this.mfaToken = mfaToken;
+        this.elements.passwordInput.value = '';
+        this.elements.form.style.display = 'none';
+        this.elements.mfaForm.style.display = 'block';
+        this.elements.mfaCodeInput.focus();
+    }
+
+    async onLoginSubmitted() {
+        const username = this.elements.usernameInput.value.trim();
+        const password = this.elements.passwordInput.value;
+        if (!username || !password) {
+            return this.showErrorBanner('Please enter your username and password.');
+        }
+
+        this.elements.loginBtn.disabled = true;
+        try {
+            const result = await this.authService.login(username, password);
+            this.hideBanner();
+            if (result.mfaRequired) {
+                this.showMfaStep(result.mfaToken);
+            } else {
+                this.onLoggedIn();
+            }
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showErrorBanner(error.status === 401 || error.status === 429
+                ? error.message
+                : 'Login failed. Please try again.');
+        } finally {
+            this.elements.loginBtn.disabled = false;
+        }
+    }
+
+    async onMfaSubmitted() {
+        const value = this.elements.mfaCodeInput.value.trim();
+        if (!value) {
+            return this.showErrorBanner('Please enter the code from your authenticator app.');
+        }
+        // Six digits are an app code; anything else is treated as a recovery code
+        const factor = /^\d{6}$/.test(value.replace(/\s/g, '')) ? { code: value } : { recoveryCode: value };
+
+        this.elements.mfaBtn.disabled = true;
+        try {
+            await this.authService.verifyMfa(this.mfaToken, factor);
+            this.elements.mfaCodeInput.value = '';
+            this.onLoggedIn();
+        } catch (error) {
+            console.error('Two-factor verification failed:', error);
+            if (error.status === 429 || error.payload?.mfaExpired) {
+                // The challenge is gone: start over with the password
+                this.showPasswordStep();
+            } else {
+                this.elements.mfaCodeInput.value = '';
+            }
+            this.showErrorBanner(error.status === 401 || error.status === 429
+                ? error.message
+                : 'Verification failed. Please try again.');
+        } finally {
+            this.elements.mfaBtn.disabled = false;
+        }
+    }
+
+    onLoggedIn() {
+        this.mfaToken = null;
+        this.elements.passwordInput.value = '';
+        this.elements.form.style.display = 'block';
+        this.elements.mfaForm.style.display = 'none';
+        this.updateSessionBar();
+        // Clinicians who must enroll in MFA are sent to the security page by the router guard
+        window.location.hash = this.nextHash || '#clinician-dashboard';
+    }
+
+    async onLogoutClicked() {
+        try {
+            await this.authService.logout();
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+        // Reload so no patient data stays in memory
+        window.location.hash = '#login';
+        window.location.reload();
+    }
+
+    updateSessionBar() {
+        const clinician = this.authService.getCurrentClinician();
+        if (!clinician) {
+            this.elements.sessionBar.style.display = 'none';
+            return;
+        }
+        this.elements.sessionUser.textContent = `${clinician.displayName} (${clinician.role})`;
+        this.elements.sessionBar.style.display = 'flex';
+    }
+
+    // BANNER MANAGEMENT
+    showErrorBanner(message) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = 'info-banner error';
+        this.elements.message.style.display = 'block';
+    }
+
+    hideBanner() {
+        this.elements.message.style.display = 'none';
+    }
+}
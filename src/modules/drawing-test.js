@@ -0,0 +1,459 @@
+/**
+ * Drawing Test Module
+ * Spiral and straight-line drawing test of a patient session. The patient traces a
+ * template on a canvas with a finger or a stylus; every pointer sample (position,
+ * pressure and time, including the coalesced samples the browser delivers between
+ * events) is kept as the raw trace. Once all drawings are done, their measures
+ * (see MotorAnalysis.analyzeDrawing) and traces are stored as a test result of the
+ * assignment and the session moves on.
+ *
+ * Usage (see PatientSession):
+ *   drawingTest.start({ assignmentId, testId, testIndex }, { turns: 3, repetitions: 1, timeLimit: 60 });
+ */
+class DrawingTest {
+    constructor(testManager, patientManager) {
+        this.testManager = testManager;
+        this.patientManager = patientManager;
+
+        // { assignmentId, testId, testIndex } of the session test, and its parameters
+        this.context = null;
+        this.parameters = null;
+        // Drawings still to make ({ shape, repetition }) and the finished ones
+        this.queue = [];
+        this.drawings = [];
+        // Drawing in progress: { shape, repetition, template, trace, startedAt, pointerType, restarts }
+        this.current = null;
+        // Pointer drawing the current stroke, the time origin of the trace and the last point drawn
+        this.pointerId = null;
+        this.timeOrigin = null;
+        this.lastPoint = null;
+        this.timeLimitTimer = null;
+        // Result kept for another attempt when saving it failed
+        this.pendingResult = null;
+
+        this.elements = {
+            shapeName: document.getElementById('drawing-shape-name'),
+            instructions: document.getElementById('drawing-instructions'),
+            progress: document.getElementById('drawing-progress'),
+            message: document.getElementById('drawing-message'),
+            canvas: document.getElementById('drawing-canvas'),
+            restartBtn: document.getElementById('drawing-restart-btn'),
+            doneBtn: document.getElementById('drawing-done-btn')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const canvas = this.elements.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+
+        this.elements.restartBtn.addEventListener('click', () => this.restartDrawing());
+        this.elements.doneBtn.addEventListener('click', async () => {
+            if (this.pendingResult) {
+                await this.saveResult();
+            } else {
+                this.completeDrawing();
+            }
+        });
+        console.log('DrawingTest module is loaded.');
+    }
+
+    /**
+     * Starts the test for a session test.
+     * @param {object} context `{ assignmentId, testId, testIndex }` reported with the result.
+     * @param {object} parameters `turns` of the spiral, `repetitions` of each shape and the
+     *   `timeLimit` of each drawing in seconds (see TestManager).
+     */
+    start(context, parameters) {
+        this.reset();
+        this.context = context;
+        this.parameters = parameters;
+        for (let repetition = 1; repetition <= parameters.repetitions; repetition++) {
+            DrawingTest.SHAPE_ORDER.forEach(shape => this.queue.push({ shape, repetition }));
+        }
+        this.nextDrawing();
+    }
+
+    reset() {
+        this.clearTimeLimit();
+        this.context = null;
+        this.parameters = null;
+        this.queue = [];
+        this.drawings = [];
+        this.current = null;
+        this.pointerId = null;
+        this.lastPoint = null;
+        this.pendingResult = null;
+        this.hideMessage();
+        this.elements.doneBtn.textContent = 'Done';
+        this.updateControls();
+    }
+
+    // =============================================================================
+    // DRAWINGS
+    // =============================================================================
+
+    nextDrawing() {
+        const next = this.queue.shift();
+        if (!next) {
+            this.current = null;
+            this.finish();
+            return;
+        }
+
+        const total = this.drawings.length + this.queue.length + 1;
+        const shape = DrawingTest.SHAPES[next.shape];
+        this.elements.shapeName.textContent = shape.name;
+        this.elements.instructions.textContent = shape.instructions;
+        this.elements.progress.textContent = `Drawing ${this.drawings.length + 1} of ${total}`;
+
+        const size = this.setupCanvas();
+        this.current = {
+            ...next,
+            template: DrawingTest.createTemplate(next.shape, size, this.parameters),
+            canvas: { width: size, height: size, devicePixelRatio: window.devicePixelRatio || 1 },
+            restarts: 0
+        };
+        this.clearTrace();
+    }
+
+    // Starts the current drawing over on an empty canvas
+    restartDrawing() {
+        if (!this.current) return;
+        this.current.restarts += 1;
+        this.clearTrace();
+        this.hideMessage();
+    }
+
+    clearTrace() {
+        this.clearTimeLimit();
+        Object.assign(this.current, {
+            trace: { t: [], x: [], y: [], pressure: [], strokes: [] },
+            startedAt: null,
+            pointerType: null,
+            timedOut: false
+        });
+        this.pointerId = null;
+        this.timeOrigin = null;
+        this.lastPoint = null;
+        this.drawTemplate();
+        this.updateControls();
+    }
+
+    /**
+     * Finishes the current drawing and moves on to the next one.
+     * @param {boolean} [timedOut] The time limit ended the drawing.
+     */
+    completeDrawing(timedOut = false) {
+        const drawing = this.current;
+        if (!drawing) return;
+        if (drawing.trace.t.length < 2) {
+            this.showMessage('Please trace the shape before pressing Done.', 'error');
+            return;
+        }
+
+        this.clearTimeLimit();
+        this.pointerId = null;
+        this.drawings.push({
+            ...drawing,
+            timedOut,
+            measures: MotorAnalysis.analyzeDrawing(drawing.trace, drawing.template)
+        });
+        if (timedOut) {
+            this.showMessage('The time for this drawing is up.', 'info');
+        } else {
+            this.hideMessage();
+        }
+        this.nextDrawing();
+    }
+
+    startTimeLimit() {
+        this.clearTimeLimit();
+        this.timeLimitTimer = setTimeout(() => this.completeDrawing(true), this.parameters.timeLimit * 1000);
+    }
+
+    clearTimeLimit() {
+        if (this.timeLimitTimer) {
+            clearTimeout(this.timeLimitTimer);
+            this.timeLimitTimer = null;
+        }
+    }
+
+    // =============================================================================
+    // RESULT
+    // =============================================================================
+
+    async finish() {
+        const { assignmentId, testId } = this.context;
+        this.elements.shapeName.textContent = 'All drawings done';
+        this.elements.instructions.textContent = '';
+        this.elements.progress.textContent = '';
+        this.drawTemplate();
+        this.updateControls();
+
+        this.pendingResult = {
+            patientId: this.patientManager.getCurrentPatient().id,
+            assignmentId,
+            testId,
+            moduleId: 'drawing-test',
+            parameters: { ...this.parameters },
+            summary: {
+                version: MotorAnalysis.VERSION,
+                drawings: this.drawings.map(({ shape, repetition, timedOut, restarts, measures }) => ({
+                    shape,
+                    repetition,
+                    timedOut,
+                    restarts,
+                    ...measures
+                }))
+            },
+            data: {
+                drawings: this.drawings.map(({ measures, ...drawing }) => drawing)
+            }
+        };
+        await this.saveResult();
+    }
+
+    async saveResult() {
+        this.elements.doneBtn.disabled = true;
+        try {
+            const resultId = await this.testManager.saveTestResult(this.pendingResult);
+            this.pendingResult = null;
+            this.elements.doneBtn.textContent = 'Done';
+            document.dispatchEvent(new CustomEvent('test-completed', {
+                detail: {
+                    ...this.context,
+                    result: { resultId }
+                }
+            }));
+        } catch (error) {
+            console.error('Failed to save drawing test result:', error);
+            this.showMessage('Your drawings could not be saved. Please check your connection and press Save Again.', 'error');
+            this.elements.doneBtn.textContent = 'Save Again';
+            this.elements.doneBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Lines describing a result's measures, for clinicians.
+     * @param {object} summary The `summary` of a drawing test result.
+     * @returns {Array<string>}
+     */
+    static describe(summary) {
+        const format = (value, decimals, unit) => (value === null || value === undefined ? '–' : `${value.toFixed(decimals)} ${unit}`);
+        return summary.drawings.map(drawing => [
+            `${DrawingTest.SHAPES[drawing.shape]?.name || drawing.shape} ${drawing.repetition}: ${format(drawing.duration, 1, 's')}`,
+            `speed ${format(drawing.meanSpeed, 0, 'px/s')}`,
+            `deviation ${format(drawing.meanDeviation, 1, 'px')}`,
+            drawing.tremorFrequency === null ? 'tremor –' : `tremor ${format(drawing.tremorFrequency, 1, 'Hz')} (${format(drawing.tremorAmplitude, 2, 'px')} RMS)`,
+            ...(drawing.penLifts > 0 ? [`${drawing.penLifts} lift(s)`] : []),
+            ...(drawing.timedOut ? ['time limit reached'] : [])
+        ].join(', '));
+    }
+
+    // =============================================================================
+    // POINTER INPUT
+    // =============================================================================
+
+    onPointerDown(e) {
+        const drawing = this.current;
+        if (!drawing || !e.isPrimary || this.pointerId !== null) return;
+        e.preventDefault();
+
+        this.pointerId = e.pointerId;
+        if (this.elements.canvas.setPointerCapture) {
+            this.elements.canvas.setPointerCapture(e.pointerId);
+        }
+        if (drawing.trace.t.length === 0) {
+            drawing.startedAt = new Date().toISOString();
+            drawing.pointerType = e.pointerType || null;
+            this.timeOrigin = e.timeStamp;
+            this.startTimeLimit();
+        }
+        drawing.trace.strokes.push(drawing.trace.t.length);
+        this.lastPoint = null;
+        this.addSample(e);
+    }
+
+    onPointerMove(e) {
+        if (e.pointerId !== this.pointerId) return;
+        // Samples the browser merged into this event, at the full rate of the screen or pen
+        const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (events.length > 0 ? events : [e]).forEach(event => this.addSample(event));
+    }
+
+    onPointerUp(e) {
+        if (e.pointerId !== this.pointerId) return;
+        this.pointerId = null;
+        this.lastPoint = null;
+        this.updateControls();
+    }
+
+    addSample(event) {
+        const trace = this.current.trace;
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const { width, height } = this.current.canvas;
+        const x = rect.width > 0 ? (event.clientX - rect.left) * width / rect.width : event.offsetX;
+        const y = rect.height > 0 ? (event.clientY - rect.top) * height / rect.height : event.offsetY;
+
+        trace.t.push(Number((event.timeStamp - this.timeOrigin).toFixed(1)));
+        trace.x.push(Number(x.toFixed(1)));
+        trace.y.push(Number(y.toFixed(1)));
+        trace.pressure.push(Number((event.pressure ?? 0.5).toFixed(3)));
+        this.drawInk({ x, y });
+    }
+
+    // =============================================================================
+    // CANVAS
+    // =============================================================================
+
+    // Sizes the canvas to the section (square, at most MAX_SIZE CSS pixels); returns its size
+    setupCanvas() {
+        const canvas = this.elements.canvas;
+        const available = canvas.parentElement?.clientWidth || DrawingTest.MAX_SIZE;
+        const size = Math.floor(Math.min(DrawingTest.MAX_SIZE, available));
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(size * ratio);
+        canvas.height = Math.round(size * ratio);
+        canvas.style.width = `${size}px`;
+        canvas.style.height = `${size}px`;
+        return size;
+    }
+
+    getContext() {
+        const context = this.elements.canvas.getContext('2d');
+        if (context) {
+            const ratio = this.elements.canvas.width / (this.current?.canvas.width || this.elements.canvas.width);
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        }
+        return context;
+    }
+
+    drawTemplate() {
+        const context = this.getContext();
+        if (!context) return;
+        const canvas = this.elements.canvas;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.current) return;
+
+        const points = DrawingTest.templatePoints(this.current.template);
+        const colors = DrawingTest.COLORS;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.strokeStyle = colors.template;
+        context.lineWidth = DrawingTest.TEMPLATE_WIDTH;
+        context.beginPath();
+        points.forEach((point, index) => (index === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+        context.stroke();
+
+        [[points[0], colors.start], [points[points.length - 1], colors.end]].forEach(([point, color]) => {
+            context.fillStyle = color;
+            context.beginPath();
+            context.arc(point.x, point.y, DrawingTest.DOT_RADIUS, 0, 2 * Math.PI);
+            context.fill();
+        });
+    }
+
+    drawInk(point) {
+        const context = this.getContext();
+        if (context) {
+            const from = this.lastPoint || point;
+            context.strokeStyle = DrawingTest.COLORS.ink;
+            context.lineWidth = DrawingTest.INK_WIDTH;
+            context.lineCap = 'round';
+            context.beginPath();
+            context.moveTo(from.x, from.y);
+            context.lineTo(point.x, point.y);
+            context.stroke();
+        }
+        this.lastPoint = point;
+    }
+
+    updateControls() {
+        const hasTrace = !!this.current && this.current.trace.t.length > 0;
+        this.elements.restartBtn.disabled = !hasTrace;
+        this.elements.doneBtn.disabled = !hasTrace || this.pointerId !== null;
+    }
+
+    showMessage(message, type) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = `info-banner ${type}`;
+        this.elements.message.style.display = 'block';
+    }
+
+    hideMessage() {
+        this.elements.message.style.display = 'none';
+    }
+
+    /**
+     * The template of a shape on a square canvas.
+     * @param {string} shape 'spiral' or 'line'.
+     * @param {number} size Canvas size in CSS pixels.
+     * @param {object} parameters The test's parameters (`turns` of the spiral).
+     * @returns {object} Spiral: `{ type, centerX, centerY, turns, growth }` (radius = growth·θ);
+     *   line: `{ type, x1, y1, x2, y2 }`.
+     */
+    static createTemplate(shape, size, parameters) {
+        const margin = size * DrawingTest.MARGIN;
+        if (shape === 'spiral') {
+            return {
+                type: 'spiral',
+                centerX: size / 2,
+                centerY: size / 2,
+                turns: parameters.turns,
+                growth: (size / 2 - margin) / (2 * Math.PI * parameters.turns)
+            };
+        }
+        return { type: 'line', x1: margin, y1: size / 2, x2: size - margin, y2: size / 2 };
+    }
+
+    // Points along a template, from its start to its end
+    static templatePoints(template) {
+        if (template.type === 'line') {
+            return [{ x: template.x1, y: template.y1 }, { x: template.x2, y: template.y2 }];
+        }
+        const points = [];
+        const end = 2 * Math.PI * template.turns;
+        for (let angle = 0; angle < end; angle += DrawingTest.ANGLE_STEP) {
+            points.push({
+                x: template.centerX + template.growth * angle * Math.cos(angle),
+                y: template.centerY + template.growth * angle * Math.sin(angle)
+            });
+        }
+        points.push({
+            x: template.centerX + template.growth * end * Math.cos(end),
+            y: template.centerY + template.growth * end * Math.sin(end)
+        });
+        return points;
+    }
+}
+
+DrawingTest.SHAPE_ORDER = ['spiral', 'line'];
+DrawingTest.SHAPES = {
+    spiral: {
+        name: 'Spiral',
+        instructions: 'Start at the green dot in the middle and trace the spiral outwards, without stopping, until you reach the red dot.'
+    },
+    line: {
+        name: 'Straight Line',
+        instructions: 'Draw along the line from the green dot to the red dot at an even pace.'
+    }
+};
+// Largest canvas (CSS pixels) and the share of it left free around the template
+DrawingTest.MAX_SIZE = 480;
+DrawingTest.MARGIN = 0.06;
+// Angle (radians) between the points the spiral template is drawn through
+DrawingTest.ANGLE_STEP = 0.05;
+DrawingTest.TEMPLATE_WIDTH = 6;
+DrawingTest.INK_WIDTH = 2;
+DrawingTest.DOT_RADIUS = 7;
+DrawingTest.COLORS = {
+    template: '#cbd5e0',
+    ink: '#2b6cb0',
+    start: '#48bb78',
+    end: '#f56565'
+};
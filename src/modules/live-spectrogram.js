@@ -0,0 +1,203 @@
+/**
+ * Live Spectrogram Module
+ * Scrolling spectrogram and pitch trace of the microphone signal while recording, so the
+ * clinician (or patient) can see that the voice is picked up and how steady it is.
+ * Each update() draws one column from the AnalyserNode at the right edge and moves the
+ * picture one pixel to the left. The pitch of the newest frame is estimated with the
+ * autocorrelation method of VoiceFeatures and drawn on a log scale from minPitch to maxPitch.
+ *
+ * Usage:
+ *   const view = new LiveSpectrogram(spectrogramCanvas, pitchCanvas);
+ *   view.start(analyser, audioContext.sampleRate);
+ *   setInterval(() => view.update(), CONFIG.UI.VISUALIZATION_UPDATE_INTERVAL);
+ */
+class LiveSpectrogram {
+    constructor(spectrogramCanvas, pitchCanvas) {
+        this.spectrogramCanvas = spectrogramCanvas;
+        this.pitchCanvas = pitchCanvas;
+        this.spectrogram = spectrogramCanvas.getContext('2d');
+        this.pitch = pitchCanvas.getContext('2d');
+        this.palette = LiveSpectrogram.createPalette();
+
+        this.analyser = null;
+        this.sampleRate = null;
+        this.frequencyData = null;
+        this.timeData = null;
+        this.pitchAnalysis = null;
+        // Loudest sample so far, the reference for telling silence from voice
+        this.globalPeak = 0;
+        this.lastPitchY = null;
+    }
+
+    /**
+     * Prepares the buffers for an analyser; sets its FFT size so a frame holds enough
+     * periods of the lowest pitch.
+     * @param {AnalyserNode} analyser Connected to the microphone.
+     * @param {number} sampleRate Sample rate of the analyser's AudioContext.
+     */
+    start(analyser, sampleRate) {
+        const settings = VoiceFeatures.DEFAULTS;
+        const windowLength = Math.round(settings.periodsPerWindow / settings.minPitch * sampleRate);
+        analyser.fftSize = Math.max(LiveSpectrogram.MIN_FFT_SIZE, VoiceFeatures.nextPowerOfTwo(windowLength));
+        analyser.smoothingTimeConstant = LiveSpectrogram.SMOOTHING;
+
+        const minLag = Math.max(2, Math.floor(sampleRate / settings.maxPitch));
+        const maxLag = Math.min(Math.ceil(sampleRate / settings.minPitch), Math.floor(windowLength / 2));
+        const fftSize = VoiceFeatures.nextPowerOfTwo(windowLength + maxLag);
+        const hann = VoiceFeatures.window(windowLength, 'hann');
+        this.pitchAnalysis = {
+            windowLength,
+            hann,
+            windowCorrelation: VoiceFeatures.autocorrelation(hann, fftSize),
+            frame: new Float64Array(windowLength),
+            options: { sampleRate, fftSize, minLag, maxLag, settings }
+        };
+
+        this.analyser = analyser;
+        this.sampleRate = sampleRate;
+        this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        this.timeData = new Float32Array(analyser.fftSize);
+        this.globalPeak = 0;
+        this.lastPitchY = null;
+    }
+
+    // Stops drawing; the picture stays until clear()
+    stop() {
+        this.analyser = null;
+        this.lastPitchY = null;
+    }
+
+    // Blanks both views
+    clear() {
+        this.lastPitchY = null;
+        this.spectrogram.fillStyle = this.palette[0];
+        this.spectrogram.fillRect(0, 0, this.spectrogramCanvas.width, this.spectrogramCanvas.height);
+        this.pitch.clearRect(0, 0, this.pitchCanvas.width, this.pitchCanvas.height);
+        this.drawPitchGrid();
+    }
+
+    // Adds the newest column to both views
+    update() {
+        if (!this.analyser) return;
+
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        this.drawSpectrumColumn();
+        this.drawPitchColumn(this.estimatePitch());
+    }
+
+    // =============================================================================
+    // DRAWING
+    // =============================================================================
+
+    drawSpectrumColumn() {
+        const { width, height } = this.spectrogramCanvas;
+        const context = this.spectrogram;
+        context.drawImage(this.spectrogramCanvas, -1, 0);
+
+        // Bins up to MAX_FREQUENCY, lowest frequency at the bottom
+        const binWidth = this.sampleRate / this.analyser.fftSize;
+        const bins = Math.min(this.frequencyData.length, Math.ceil(LiveSpectrogram.MAX_FREQUENCY / binWidth));
+        for (let y = 0; y < height; y++) {
+            const bin = Math.floor((height - 1 - y) / height * bins);
+            context.fillStyle = this.palette[this.frequencyData[bin]];
+            context.fillRect(width - 1, y, 1, 1);
+        }
+    }
+
+    drawPitchColumn(f0) {
+        const { width } = this.pitchCanvas;
+        const context = this.pitch;
+        context.drawImage(this.pitchCanvas, -1, 0);
+        context.clearRect(width - 1, 0, 1, this.pitchCanvas.height);
+        this.drawPitchGrid(width - 1);
+
+        if (!f0) {
+            this.lastPitchY = null;
+            return;
+        }
+        const y = this.pitchToY(f0);
+        context.fillStyle = LiveSpectrogram.COLORS.pitch;
+        // Joins consecutive voiced columns so fast pitch changes stay a line
+        const top = this.lastPitchY === null ? y : Math.min(y, this.lastPitchY);
+        const bottom = this.lastPitchY === null ? y : Math.max(y, this.lastPitchY);
+        context.fillRect(width - 2, top - 1, 2, bottom - top + 2);
+        this.lastPitchY = y;
+    }
+
+    // Guide lines at the frequencies in PITCH_GRID; the whole width, or one column
+    drawPitchGrid(fromX = 0) {
+        const context = this.pitch;
+        context.fillStyle = LiveSpectrogram.COLORS.grid;
+        LiveSpectrogram.PITCH_GRID.forEach(frequency => {
+            context.fillRect(fromX, Math.round(this.pitchToY(frequency)), this.pitchCanvas.width - fromX, 1);
+        });
+    }
+
+    pitchToY(f0) {
+        const { minPitch, maxPitch } = VoiceFeatures.DEFAULTS;
+        const share = Math.log(f0 / minPitch) / Math.log(maxPitch / minPitch);
+        return (1 - Math.max(0, Math.min(1, share))) * (this.pitchCanvas.height - 1);
+    }
+
+    // =============================================================================
+    // PITCH
+    // =============================================================================
+
+    /**
+     * Pitch of the newest frame: the strongest autocorrelation candidate (see
+     * VoiceFeatures.pitchCandidates), or null when the unvoiced candidate is stronger.
+     * @returns {number|null} f0 in Hz.
+     */
+    estimatePitch() {
+        const { windowLength, hann, windowCorrelation, frame, options } = this.pitchAnalysis;
+        const offset = this.timeData.length - windowLength;
+
+        let frameMean = 0;
+        for (let i = 0; i < windowLength; i++) {
+            frameMean += this.timeData[offset + i];
+        }
+        frameMean /= windowLength;
+
+        let localPeak = 0;
+        for (let i = 0; i < windowLength; i++) {
+            frame[i] = this.timeData[offset + i] - frameMean;
+            localPeak = Math.max(localPeak, Math.abs(frame[i]));
+        }
+        this.globalPeak = Math.max(this.globalPeak, localPeak);
+        if (this.globalPeak === 0) return null;
+
+        const candidates = VoiceFeatures.pitchCandidates(frame, hann, windowCorrelation, {
+            ...options,
+            localPeak,
+            globalPeak: this.globalPeak
+        });
+        const best = candidates.reduce((a, b) => (b.strength > a.strength ? b : a));
+        return best.f0;
+    }
+
+    // 256 colours from dark blue (quiet) over red to yellow (loud)
+    static createPalette() {
+        const palette = [];
+        for (let i = 0; i < 256; i++) {
+            const t = i / 255;
+            const red = Math.round(255 * Math.min(1, t * 2));
+            const green = Math.round(255 * Math.max(0, t * 2 - 1));
+            const blue = Math.round(96 * (1 - t) + 32);
+            palette.push(`rgb(${red}, ${green}, ${blue})`);
+        }
+        return palette;
+    }
+}
+
+// Highest frequency shown in the spectrogram (Hz); the voice has little energy above it
+LiveSpectrogram.MAX_FREQUENCY = 5000;
+LiveSpectrogram.MIN_FFT_SIZE = 2048;
+// AnalyserNode smoothing between updates; low, so the columns stay sharp in time
+LiveSpectrogram.SMOOTHING = 0.2;
+// Frequencies (Hz) marked in the pitch trace
+LiveSpectrogram.PITCH_GRID = [100, 200, 400];
+LiveSpectrogram.COLORS = {
+    pitch: '#673b96',
+    grid: '#e2e8f0'
+};
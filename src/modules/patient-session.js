@@ -0,0 +1,426 @@
+/**
+ * Patient Session Module
+ * Runs the test battery behind a `#test-session?token=` link: opens the link
+ * (which checks its expiry, uses and, if required, the patient's date of birth),
+ * resolves the patient and walks them through each assigned test in order.
+ * Progress is stored on the assignment so the session resumes after a reload.
+ * The completion screen summarizes the session, including the syllable rate
+ * measured in each DDK take.
+ */
+class PatientSession {
+    constructor(testManager, patientManager, voiceRecorder, featureExtractor, testModules = {}) {
+        this.testManager = testManager;
+        this.patientManager = patientManager;
+        this.voiceRecorder = voiceRecorder;
+        this.featureExtractor = featureExtractor;
+        // Modules of the other tests by module ID, each with start(context, parameters) and reset()
+        this.testModules = testModules;
+
+        this.assignment = null;
+        this.patient = null;
+        this.currentIndex = 0;
+        // Token of the link being opened, kept while asking for the date of birth
+        this.linkToken = null;
+        // Completed test whose progress could not be stored, kept for another attempt
+        this.pendingCompletion = null;
+
+        // What the patient is told when a link cannot be opened, by failure reason
+        this.linkErrorMessages = {
+            invalid: 'This test link is not valid. Please check that you opened the complete link, or ask your clinician for a new one.',
+            revoked: 'This test link has been withdrawn. Please ask your clinician for a new link.',
+            locked: 'This test link has been locked after too many incorrect dates of birth. Please contact your clinician.',
+            expired: 'This test link has expired. Please ask your clinician for a new link.',
+            used: 'This test link has already been used. Please ask your clinician for a new link.'
+        };
+
+        // Section shown below the session card while a test of that module is active
+        this.moduleSections = {
+            'voice-recorder': 'recording-section',
+            'drawing-test': 'drawing-test-section',
+            'tapping-test': 'tapping-test-section',
+            'reaction-test': 'reaction-test-section',
+            'trail-making-test': 'trail-making-test-section',
+            'tremor-test': 'tremor-test-section'
+        };
+
+        this.elements = {
+            section: document.getElementById('test-session-section'),
+            message: document.getElementById('session-message'),
+            dobForm: document.getElementById('session-dob-form'),
+            dobInput: document.getElementById('session-dob-input'),
+            dobBtn: document.getElementById('session-dob-btn'),
+            greeting: document.getElementById('session-greeting'),
+            progress: document.getElementById('session-progress'),
+            progressText: document.getElementById('session-progress-text'),
+            progressFill: document.getElementById('session-progress-fill'),
+            testCard: document.getElementById('session-test-card'),
+            testName: document.getElementById('session-test-name'),
+            testDescription: document.getElementById('session-test-description'),
+            retryBtn: document.getElementById('session-retry-btn'),
+            complete: document.getElementById('session-complete'),
+            summary: document.getElementById('session-summary')
+        };
+
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('test-completed', (event) => this.onTestCompleted(event.detail));
+        // DDK measures of the last takes may only be ready after the completion screen is shown
+        document.addEventListener('features-updated', () => {
+            if (this.assignment && this.elements.complete.style.display === 'block') {
+                this.renderSummary();
+            }
+        });
+        this.elements.retryBtn.addEventListener('click', () => this.saveProgress());
+        this.elements.dobForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.onDateOfBirthSubmitted();
+        });
+        console.log('PatientSession module is loaded.');
+    }
+
+    /**
+     * Opens a session link and shows the next pending test.
+     * @param {string} token The token from the `#test-session?token=` link.
+     */
+    async start(token) {
+        this.reset();
+
+        if (!token) {
+            this.showErrorBanner('This test link is incomplete. Please ask your clinician for a new link.');
+            return;
+        }
+
+        this.linkToken = token;
+        await this.openLink();
+    }
+
+    async onDateOfBirthSubmitted() {
+        const dateOfBirth = this.elements.dobInput.value;
+        if (!dateOfBirth) {
+            this.showErrorBanner('Please enter your date of birth.');
+            return;
+        }
+
+        this.elements.dobBtn.disabled = true;
+        await this.openLink(dateOfBirth);
+        this.elements.dobBtn.disabled = false;
+    }
+
+    async openLink(dateOfBirth = null) {
+        let assignment;
+        try {
+            assignment = await this.testManager.openAssignmentLink(this.linkToken, dateOfBirth);
+        } catch (error) {
+            this.onLinkRejected(error);
+            return;
+        }
+
+        this.elements.dobForm.style.display = 'none';
+        this.hideBanner();
+
+        try {
+            this.testManager.setAssignmentAccess(assignment.id);
+            // Analyses of this patient's recordings interrupted by a reload continue now
+            this.featureExtractor.resumePending(assignment.patientId);
+
+            const patient = await this.patientManager.getPatient(assignment.patientId);
+            if (!patient) {
+                this.showErrorBanner('The patient for this test link could not be found. Please contact your clinician.');
+                return;
+            }
+
+            this.assignment = assignment;
+            this.patient = patient;
+            this.patientManager.setCurrentPatient(patient);
+            this.elements.greeting.textContent = `Hello, ${patient.firstName}. Please complete the tests below in order.`;
+
+            const completedCount = this.getCompletedTestIds().length;
+            if (assignment.progress?.status === 'completed' || completedCount >= assignment.tests.length) {
+                this.showCompletion();
+                return;
+            }
+
+            this.currentIndex = assignment.progress?.currentIndex || 0;
+            if (completedCount > 0) {
+                this.showInfoBanner(`Welcome back! Continuing with test ${this.currentIndex + 1} of ${assignment.tests.length}.`);
+            }
+            this.showCurrentTest();
+        } catch (error) {
+            console.error('Failed to start test session:', error);
+            this.showErrorBanner('Could not load your tests. Please refresh the page.');
+        }
+    }
+
+    onLinkRejected(error) {
+        if (error.reason === 'dob-required' || error.reason === 'dob-invalid') {
+            this.elements.dobInput.value = '';
+            this.elements.dobForm.style.display = 'block';
+            if (error.reason === 'dob-invalid') {
+                this.showErrorBanner('The date of birth does not match our records. Please try again.');
+            }
+            return;
+        }
+
+        this.elements.dobForm.style.display = 'none';
+        if (error.reason === 'completed') {
+            this.elements.complete.style.display = 'block';
+            return;
+        }
+
+        const message = this.linkErrorMessages[error.reason];
+        if (message) {
+            this.showErrorBanner(message);
+        } else {
+            console.error('Failed to open test link:', error);
+            this.showErrorBanner('Could not load your tests. Please check your connection and refresh the page.');
+        }
+    }
+
+    // Handles the `test-completed` event a test module dispatches with { assignmentId, testId, testIndex, result }
+    async onTestCompleted(detail) {
+        if (!this.assignment || detail?.assignmentId !== this.assignment.id) {
+            return;
+        }
+        if (detail.testIndex !== this.currentIndex) {
+            return;
+        }
+
+        this.pendingCompletion = detail;
+        await this.saveProgress();
+    }
+
+    // Stores the progress of the completed test and moves on to the next one
+    async saveProgress() {
+        const detail = this.pendingCompletion;
+        if (!detail) return;
+
+        const completedTests = {
+            ...this.assignment.progress?.completedTests,
+            [detail.testId]: {
+                completedAt: new Date().toISOString(),
+                result: detail.result || null
+            }
+        };
+        const nextIndex = this.currentIndex + 1;
+        const isFinished = nextIndex >= this.assignment.tests.length;
+
+        this.elements.retryBtn.disabled = true;
+        try {
+            this.assignment = await this.testManager.updateAssignmentProgress(this.assignment, {
+                currentIndex: nextIndex,
+                completedTests,
+                status: isFinished ? 'completed' : 'in-progress',
+                completedAt: isFinished ? new Date().toISOString() : null
+            });
+        } catch (error) {
+            console.error('Failed to update session progress:', error);
+            this.showErrorBanner('Your result was saved, but your progress could not be stored. Please check your connection and press Try Again.');
+            this.elements.retryBtn.disabled = false;
+            this.elements.retryBtn.style.display = 'inline-block';
+            return;
+        }
+
+        this.pendingCompletion = null;
+        this.elements.retryBtn.style.display = 'none';
+        this.hideModuleSections();
+        this.resetModules();
+        this.currentIndex = nextIndex;
+
+        if (isFinished) {
+            this.showCompletion();
+        } else {
+            this.showSuccessBanner('Test completed. Please continue with the next test.');
+            this.showCurrentTest();
+        }
+    }
+
+    showCurrentTest() {
+        const testId = this.assignment.tests[this.currentIndex];
+        const test = this.testManager.getTest(testId);
+        const total = this.assignment.tests.length;
+
+        this.updateProgress(this.currentIndex, total);
+        this.elements.testCard.style.display = 'block';
+        this.elements.complete.style.display = 'none';
+
+        if (!test) {
+            this.elements.testName.textContent = 'Unknown test';
+            this.elements.testDescription.textContent = '';
+            this.showErrorBanner(`Test "${testId}" is not available. Please contact your clinician.`);
+            return;
+        }
+
+        this.elements.testName.textContent = `Test ${this.currentIndex + 1}: ${test.name}`;
+        this.elements.testDescription.textContent = test.description;
+
+        const context = {
+            assignmentId: this.assignment.id,
+            testId: test.id,
+            testIndex: this.currentIndex
+        };
+
+        if (test.moduleId === 'voice-recorder') {
+            this.voiceRecorder.setSessionContext(context);
+            this.voiceRecorder.setTask(this.testManager.getVoiceTask(test.id, this.assignment));
+        }
+
+        // Patients stay inside the session, so module navigation links are hidden
+        document.body.classList.add('test-session-active');
+        this.hideModuleSections();
+        this.showModuleSection(test.moduleId);
+
+        // Shown first, so the module can size its canvas to the section
+        const module = this.testModules[test.moduleId];
+        if (module) {
+            module.start(context, this.testManager.getTestParameters(test.id, this.assignment.testParameters?.[test.id]));
+        }
+    }
+
+    showCompletion() {
+        const total = this.assignment.tests.length;
+        this.updateProgress(total, total);
+        this.hideModuleSections();
+        this.elements.testCard.style.display = 'none';
+        this.elements.complete.style.display = 'block';
+        this.voiceRecorder.setSessionContext(null);
+        this.voiceRecorder.setTask(null);
+        this.renderSummary();
+    }
+
+    // One entry per test; voice tests list their takes, with the measures of DDK takes
+    async renderSummary() {
+        const completedTests = this.assignment.progress?.completedTests || {};
+        const entries = await Promise.all(this.assignment.tests.map(testId =>
+            this.describeResult(testId, completedTests[testId]?.result)
+        ));
+
+        const list = this.elements.summary;
+        list.innerHTML = '';
+        entries.forEach(({ name, lines }) => {
+            const li = document.createElement('li');
+            const title = document.createElement('strong');
+            title.textContent = name;
+            li.appendChild(title);
+
+            const details = document.createElement('ul');
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                details.appendChild(item);
+            });
+            li.appendChild(details);
+            list.appendChild(li);
+        });
+    }
+
+    async describeResult(testId, result) {
+        const name = this.testManager.getTest(testId)?.name || testId;
+        const recordingIds = result?.recordingIds || (result?.recordingId ? [result.recordingId] : []);
+        if (recordingIds.length === 0) {
+            return { name, lines: ['Completed'] };
+        }
+        if (result.taskLabel !== 'ddk') {
+            return { name, lines: [`${recordingIds.length} recording${recordingIds.length === 1 ? '' : 's'} saved`] };
+        }
+
+        const records = await Promise.all(recordingIds.map(recordingId =>
+            this.featureExtractor.getRecordingFeatures(recordingId).catch(() => null)
+        ));
+        const lines = records.map((record, index) => {
+            const ddk = record?.features?.ddk;
+            if (!ddk) {
+                return `Take ${index + 1}: being analysed...`;
+            }
+            const parts = [`${ddk.syllableCount} syllables`];
+            if (ddk.rate !== null) parts.push(`${ddk.rate.toFixed(1)} syllables per second`);
+            if (ddk.intervalCv !== null) parts.push(`rhythm variation ${ddk.intervalCv.toFixed(1)}%`);
+            if (ddk.rateDecay !== null) parts.push(`rate change ${ddk.rateDecay > 0 ? '+' : ''}${ddk.rateDecay.toFixed(1)}%`);
+            return `Take ${index + 1}: ${parts.join(', ')}`;
+        });
+        return { name, lines };
+    }
+
+    updateProgress(completed, total) {
+        const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+        this.elements.progress.style.display = 'block';
+        this.elements.progressText.textContent = `${completed} of ${total} tests completed`;
+        this.elements.progressFill.style.width = percentage + '%';
+    }
+
+    getCompletedTestIds() {
+        return Object.keys(this.assignment?.progress?.completedTests || {});
+    }
+
+    showModuleSection(moduleId) {
+        const sectionId = this.moduleSections[moduleId];
+        const section = sectionId && document.getElementById(sectionId);
+        if (section) {
+            section.style.display = 'block';
+        }
+    }
+
+    hideModuleSections() {
+        Object.values(this.moduleSections).forEach(sectionId => {
+            const section = document.getElementById(sectionId);
+            if (section) section.style.display = 'none';
+        });
+    }
+
+    resetModules() {
+        this.voiceRecorder.resetRecording();
+        this.voiceRecorder.setSessionContext(null);
+        this.voiceRecorder.setTask(null);
+        Object.values(this.testModules).forEach(module => module.reset());
+    }
+
+    reset() {
+        this.assignment = null;
+        this.patient = null;
+        this.currentIndex = 0;
+        this.linkToken = null;
+        this.pendingCompletion = null;
+        this.elements.retryBtn.style.display = 'none';
+        this.hideBanner();
+        this.elements.dobForm.style.display = 'none';
+        this.elements.greeting.textContent = '';
+        this.elements.progress.style.display = 'none';
+        this.elements.testCard.style.display = 'none';
+        this.elements.complete.style.display = 'none';
+        this.elements.summary.innerHTML = '';
+        document.body.classList.remove('test-session-active');
+        this.testManager.setAssignmentAccess(null);
+        this.voiceRecorder.setSessionContext(null);
+        this.voiceRecorder.setTask(null);
+        Object.values(this.testModules).forEach(module => module.reset());
+    }
+
+    // BANNER MANAGEMENT
+    showSuccessBanner(message) {
+        this.showBanner(message, 'success');
+    }
+
+    showErrorBanner(message) {
+        this.showBanner(message, 'error');
+    }
+
+    showInfoBanner(message) {
+        this.showBanner(message, 'info');
+    }
+
+    showBanner(message, type = 'info') {
+        const banner = this.elements.message;
+        banner.textContent = message;
+        banner.className = `info-banner ${type}`;
+        banner.style.display = 'block';
+
+        if (type === 'success' || type === 'info') {
+            setTimeout(() => this.hideBanner(), CONFIG.UI.BANNER_DURATION);
+        }
+    }
+
+    hideBanner() {
+        this.elements.message.style.display = 'none';
+    }
+}
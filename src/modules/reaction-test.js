@@ -0,0 +1,436 @@
+/**
+ * Reaction Test Module
+ * Simple and choice reaction-time test of a patient session. After a random wait a
+ * circle appears, in the middle (simple) or on the left or right (choice); the patient
+ * taps the screen (choice: the side of the circle) or presses a key as fast as possible.
+ * Times are taken with performance.now() and event time stamps, from the animation frame
+ * that shows the circle. Before the trials the display's frame rate and the timer
+ * resolution are measured, and each response notes how long its event took to be handled,
+ * so results from different devices can be compared. Once all trials are done, the
+ * trials and their measures (see MotorAnalysis.analyzeReactionTimes) are stored as a test
+ * result of the assignment and the session moves on.
+ *
+ * Usage (see PatientSession):
+ *   reactionTest.start({ assignmentId, testId, testIndex }, { variant: 'choice', trials: 20, minInterval: 1000, maxInterval: 3000 });
+ */
+class ReactionTest {
+    constructor(testManager, patientManager) {
+        this.testManager = testManager;
+        this.patientManager = patientManager;
+
+        // { assignmentId, testId, testIndex } of the session test, and its parameters
+        this.context = null;
+        this.parameters = null;
+        // 'idle', 'measuring', 'waiting' (for the stimulus), 'stimulus' or 'done'
+        this.state = 'idle';
+        // Stimuli still to show, the finished trials and the trial in progress
+        this.queue = [];
+        this.trials = [];
+        this.trial = null;
+        // Frame intervals and timer resolution measured before the trials
+        this.display = null;
+        // performance.now() at the start of the trials, the origin of the stored times
+        this.timeOrigin = null;
+        this.timer = {
+            stimulus: null,
+            frame: null,
+            response: null
+        };
+        // Result kept for another attempt when saving it failed
+        this.pendingResult = null;
+
+        this.elements = {
+            taskName: document.getElementById('reaction-task-name'),
+            instructions: document.getElementById('reaction-instructions'),
+            progress: document.getElementById('reaction-progress'),
+            message: document.getElementById('reaction-message'),
+            area: document.getElementById('reaction-area'),
+            stimulus: document.getElementById('reaction-stimulus'),
+            prompt: document.getElementById('reaction-prompt'),
+            startBtn: document.getElementById('reaction-start-btn')
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.elements.area.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.elements.area.addEventListener('contextmenu', (e) => e.preventDefault());
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        this.elements.startBtn.addEventListener('click', async () => {
+            if (this.pendingResult) {
+                await this.saveResult();
+            } else {
+                await this.startTrials();
+            }
+        });
+        console.log('ReactionTest module is loaded.');
+    }
+
+    /**
+     * Starts the test for a session test.
+     * @param {object} context `{ assignmentId, testId, testIndex }` reported with the result.
+     * @param {object} parameters `variant` ('simple' or 'choice'), number of `trials` and the
+     *   shortest and longest wait before a stimulus (`minInterval`, `maxInterval`, ms; see TestManager).
+     */
+    start(context, parameters) {
+        this.reset();
+        this.context = context;
+        this.parameters = parameters;
+
+        const variant = ReactionTest.VARIANTS[parameters.variant] || ReactionTest.VARIANTS.simple;
+        this.elements.taskName.textContent = variant.name;
+        this.elements.instructions.textContent = variant.instructions;
+        this.elements.progress.textContent = `${parameters.trials} trials`;
+        this.elements.area.classList.toggle('choice', parameters.variant === 'choice');
+        this.elements.prompt.textContent = 'Press Start when you are ready.';
+        this.elements.startBtn.style.display = 'inline-block';
+    }
+
+    reset() {
+        this.clearTimers();
+        this.context = null;
+        this.parameters = null;
+        this.state = 'idle';
+        this.queue = [];
+        this.trials = [];
+        this.trial = null;
+        this.display = null;
+        this.pendingResult = null;
+        this.hideMessage();
+        this.hideStimulus();
+        this.elements.prompt.textContent = '';
+        this.elements.startBtn.textContent = 'Start';
+        this.elements.startBtn.disabled = false;
+        this.elements.startBtn.style.display = 'none';
+    }
+
+    // =============================================================================
+    // TRIALS
+    // =============================================================================
+
+    async startTrials() {
+        if (this.state !== 'idle') return;
+        this.state = 'measuring';
+        this.elements.startBtn.style.display = 'none';
+        this.elements.prompt.textContent = 'Get ready…';
+        this.display = await ReactionTest.measureDisplay();
+        if (this.state !== 'measuring') return;
+
+        this.queue = ReactionTest.createStimuli(this.parameters.variant, this.parameters.trials);
+        this.timeOrigin = performance.now();
+        this.nextTrial();
+    }
+
+    nextTrial() {
+        const stimulus = this.queue.shift();
+        if (!stimulus) {
+            this.finish();
+            return;
+        }
+        this.trial = {
+            index: this.trials.length + 1,
+            stimulus,
+            interval: null,
+            onset: null,
+            frameDelay: null,
+            response: null,
+            responseTime: null,
+            inputType: null,
+            inputDelay: null,
+            premature: 0
+        };
+        this.elements.progress.textContent = `Trial ${this.trial.index} of ${this.parameters.trials}`;
+        this.wait();
+    }
+
+    // Waits a random interval before showing the stimulus of the current trial
+    wait() {
+        const low = Math.min(this.parameters.minInterval, this.parameters.maxInterval);
+        const high = Math.max(this.parameters.minInterval, this.parameters.maxInterval);
+        this.trial.interval = Math.round(low + Math.random() * (high - low));
+        this.state = 'waiting';
+        this.elements.prompt.textContent = 'Wait for the circle…';
+        this.timer.stimulus = setTimeout(() => this.showStimulus(), this.trial.interval);
+    }
+
+    showStimulus() {
+        this.timer.frame = requestAnimationFrame((frameTime) => {
+            this.timer.frame = null;
+            const trial = this.trial;
+            const stimulus = this.elements.stimulus;
+            stimulus.className = `reaction-stimulus ${trial.stimulus}`;
+            stimulus.style.display = 'block';
+            this.elements.prompt.textContent = '';
+            trial.onset = frameTime;
+            this.state = 'stimulus';
+            // The next frame starts once the circle has been drawn
+            requestAnimationFrame((nextFrameTime) => {
+                trial.frameDelay = Number((nextFrameTime - frameTime).toFixed(2));
+            });
+            this.timer.response = setTimeout(() => this.endTrial(), ReactionTest.RESPONSE_WINDOW);
+        });
+    }
+
+    /**
+     * Handles a response.
+     * @param {string} response 'left', 'right' or 'any' (simple).
+     * @param {Event} event The input event, for its time stamp.
+     * @param {string} inputType Pointer type or 'keyboard'.
+     */
+    respond(response, event, inputType) {
+        const handledAt = performance.now();
+        if (this.state === 'waiting') {
+            this.clearTimers();
+            this.trial.premature += 1;
+            this.showMessage('Too early! Wait for the circle to appear.', 'error');
+            this.wait();
+            return;
+        }
+        if (this.state !== 'stimulus') return;
+
+        // Older browsers stamp events with the wall-clock time instead of performance.now()
+        const eventTime = Math.abs(handledAt - event.timeStamp) < ReactionTest.MAX_INPUT_DELAY ? event.timeStamp : handledAt;
+        Object.assign(this.trial, {
+            response,
+            responseTime: Number((eventTime - this.trial.onset).toFixed(1)),
+            inputType,
+            inputDelay: Number(Math.max(0, handledAt - eventTime).toFixed(2))
+        });
+        const outcome = MotorAnalysis.reactionOutcome(this.trial);
+        if (outcome === 'anticipation') {
+            this.showMessage('Too early! Wait for the circle to appear.', 'error');
+        } else if (outcome === 'wrong') {
+            this.showMessage('Wrong side. Tap the side where the circle appears.', 'error');
+        } else {
+            this.hideMessage();
+        }
+        this.endTrial();
+    }
+
+    // Keeps the current trial (a miss if nobody responded) and moves on
+    endTrial() {
+        this.clearTimers();
+        const trial = this.trial;
+        if (trial.response === null) {
+            this.showMessage('Too slow. Respond as soon as the circle appears.', 'info');
+        }
+        trial.onset = Number((trial.onset - this.timeOrigin).toFixed(1));
+        this.trials.push(trial);
+        this.trial = null;
+        this.hideStimulus();
+        this.nextTrial();
+    }
+
+    clearTimers() {
+        clearTimeout(this.timer.stimulus);
+        clearTimeout(this.timer.response);
+        cancelAnimationFrame(this.timer.frame);
+        this.timer.stimulus = null;
+        this.timer.frame = null;
+        this.timer.response = null;
+    }
+
+    hideStimulus() {
+        this.elements.stimulus.style.display = 'none';
+    }
+
+    // =============================================================================
+    // RESULT
+    // =============================================================================
+
+    async finish() {
+        const { assignmentId, testId } = this.context;
+        this.state = 'done';
+        this.elements.progress.textContent = '';
+        this.elements.prompt.textContent = 'All trials done';
+
+        const measures = MotorAnalysis.analyzeReactionTimes(this.trials, this.display);
+        this.pendingResult = {
+            patientId: this.patientManager.getCurrentPatient().id,
+            assignmentId,
+            testId,
+            moduleId: 'reaction-test',
+            parameters: { ...this.parameters },
+            summary: {
+                version: MotorAnalysis.VERSION,
+                variant: this.parameters.variant,
+                ...measures
+            },
+            data: {
+                trials: this.trials,
+                display: this.display,
+                screen: {
+                    width: window.screen?.width ?? null,
+                    height: window.screen?.height ?? null,
+                    devicePixelRatio: window.devicePixelRatio || 1
+                },
+                responseWindow: ReactionTest.RESPONSE_WINDOW,
+                anticipationThreshold: MotorAnalysis.DEFAULTS.anticipationThreshold
+            }
+        };
+        await this.saveResult();
+    }
+
+    async saveResult() {
+        this.elements.startBtn.disabled = true;
+        try {
+            const resultId = await this.testManager.saveTestResult(this.pendingResult);
+            this.pendingResult = null;
+            this.elements.startBtn.style.display = 'none';
+            document.dispatchEvent(new CustomEvent('test-completed', {
+                detail: {
+                    ...this.context,
+                    result: { resultId }
+                }
+            }));
+        } catch (error) {
+            console.error('Failed to save reaction test result:', error);
+            this.showMessage('Your responses could not be saved. Please check your connection and press Save Again.', 'error');
+            this.elements.startBtn.textContent = 'Save Again';
+            this.elements.startBtn.style.display = 'inline-block';
+            this.elements.startBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Lines describing a result's measures, for clinicians.
+     * @param {object} summary The `summary` of a reaction test result.
+     * @returns {Array<string>}
+     */
+    static describe(summary) {
+        const format = (value, decimals, unit) => (value === null || value === undefined ? '–' : `${value.toFixed(decimals)}${unit}`);
+        const latency = summary.latency || {};
+        return [
+            [
+                `${ReactionTest.VARIANTS[summary.variant]?.name || summary.variant}: median ${format(summary.medianRT, 0, ' ms')} (IQR ${format(summary.iqrRT, 0, ' ms')})`,
+                `${summary.validTrials} of ${summary.trials} trials valid`,
+                `errors ${format(summary.errorRate, 0, '%')}`
+            ].join(', '),
+            [
+                `${summary.anticipations} anticipation(s), ${summary.misses} miss(es)`,
+                ...(summary.variant === 'choice' ? [`${summary.wrongResponses} wrong side`] : []),
+                `${summary.prematureResponses} premature`
+            ].join(', '),
+            [
+                `Display ${format(latency.refreshRate, 0, ' Hz')} (jitter ${format(latency.frameJitter, 1, ' ms')})`,
+                `timer ${format(latency.timerResolution, 3, ' ms')}`,
+                `input delay ${format(latency.meanInputDelay, 1, ' ms')}`,
+                ...(latency.inputTypes?.length ? [latency.inputTypes.join('/')] : [])
+            ].join(', ')
+        ];
+    }
+
+    // =============================================================================
+    // INPUT
+    // =============================================================================
+
+    onPointerDown(e) {
+        if (this.state !== 'waiting' && this.state !== 'stimulus') return;
+        e.preventDefault();
+        const rect = this.elements.area.getBoundingClientRect();
+        const side = e.clientX - rect.left < rect.width / 2 ? 'left' : 'right';
+        this.respond(this.parameters.variant === 'choice' ? side : 'any', e, e.pointerType || 'pointer');
+    }
+
+    onKeyDown(e) {
+        if (this.state !== 'waiting' && this.state !== 'stimulus') return;
+        if (e.repeat) return;
+        const choice = this.parameters.variant === 'choice';
+        const side = ReactionTest.KEYS[e.code];
+        if (!side || (choice && side === 'any')) return;
+        e.preventDefault();
+        this.respond(choice ? side : 'any', e, 'keyboard');
+    }
+
+    showMessage(message, type) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = `info-banner ${type}`;
+        this.elements.message.style.display = 'block';
+    }
+
+    hideMessage() {
+        this.elements.message.style.display = 'none';
+    }
+
+    // =============================================================================
+    // DEVICE TIMING
+    // =============================================================================
+
+    /**
+     * Intervals between animation frames and the smallest step of performance.now().
+     * @returns {Promise<{ frameIntervals: Array<number>, timerResolution: number|null }>}
+     */
+    static measureDisplay() {
+        const timerResolution = ReactionTest.measureTimerResolution();
+        return new Promise(resolve => {
+            const times = [];
+            const onFrame = (frameTime) => {
+                times.push(frameTime);
+                if (times.length <= ReactionTest.MEASURED_FRAMES) {
+                    requestAnimationFrame(onFrame);
+                    return;
+                }
+                const frameIntervals = times.slice(1).map((time, i) => Number((time - times[i]).toFixed(2)));
+                resolve({ frameIntervals, timerResolution });
+            };
+            requestAnimationFrame(onFrame);
+        });
+    }
+
+    // Browsers coarsen performance.now() (to 5 µs – 1 ms, depending on browser and isolation)
+    static measureTimerResolution() {
+        let smallest = Infinity;
+        let previous = performance.now();
+        for (let i = 0; i < ReactionTest.TIMER_SAMPLES; i++) {
+            const now = performance.now();
+            if (now > previous) smallest = Math.min(smallest, now - previous);
+            previous = now;
+        }
+        return Number.isFinite(smallest) ? smallest : null;
+    }
+
+    /**
+     * The stimuli of a series: all in the middle (simple) or as many on the left as on
+     * the right, in random order (choice).
+     * @returns {Array<string>} 'center', 'left' or 'right' for each trial.
+     */
+    static createStimuli(variant, count) {
+        if (variant !== 'choice') {
+            return Array(count).fill('center');
+        }
+        const stimuli = Array.from({ length: count }, (_, i) => (i % 2 === 0 ? 'left' : 'right'));
+        for (let i = stimuli.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [stimuli[i], stimuli[j]] = [stimuli[j], stimuli[i]];
+        }
+        return stimuli;
+    }
+}
+
+ReactionTest.VARIANTS = {
+    simple: {
+        name: 'Simple Reaction Time',
+        instructions: 'Rest your finger near the screen. As soon as the circle appears, tap anywhere in the box (or press the space bar). Do not tap before the circle appears.'
+    },
+    choice: {
+        name: 'Choice Reaction Time',
+        instructions: 'A circle appears on the left or on the right. As soon as it appears, tap that side of the box (or press the left or right arrow key). Do not tap before the circle appears.'
+    }
+};
+// Keys that answer each side (any of them for simple reaction time)
+ReactionTest.KEYS = {
+    Space: 'any',
+    ArrowLeft: 'left',
+    KeyF: 'left',
+    ArrowRight: 'right',
+    KeyJ: 'right'
+};
+// Milliseconds a stimulus waits for a response before the trial counts as a miss
+ReactionTest.RESPONSE_WINDOW = 2000;
+// Input events older than this (ms) when handled are taken to have wall-clock time stamps
+ReactionTest.MAX_INPUT_DELAY = 1000;
+// Animation frames and performance.now() calls sampled to measure the device's timing
+ReactionTest.MEASURED_FRAMES = 60;
+ReactionTest.TIMER_SAMPLES = 10000;
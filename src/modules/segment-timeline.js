@@ -0,0 +1,75 @@
+/**
+ * Segment Timeline Module
+ * A bar under an <audio> element that shows what the analysis of a recording found:
+ * speech and pause segments (see VoiceFeatures.analyzeSpeechTiming) and time markers
+ * such as DDK syllable onsets. A playhead follows playback and clicking the bar seeks
+ * the audio, so clinicians can listen to each detected segment.
+ */
+class SegmentTimeline {
+    constructor(container, audio) {
+        this.container = container;
+        this.audio = audio;
+        this.duration = 0;
+        this.playhead = null;
+
+        this.audio.addEventListener('timeupdate', () => this.updatePlayhead());
+        this.container.addEventListener('click', (e) => this.seek(e));
+    }
+
+    /**
+     * Draws the timeline of one recording.
+     * @param {object} timeline
+     * @param {number} timeline.duration Length of the analysed audio in seconds.
+     * @param {Array<{ start: number, end: number, type: string }>} [timeline.segments] Segments in seconds; `type` is used as CSS class.
+     * @param {Array<number>} [timeline.markers] Marker times in seconds.
+     */
+    render({ duration, segments = [], markers = [] }) {
+        this.clear();
+        this.duration = duration;
+        if (!duration) return;
+
+        segments.forEach(segment => {
+            const element = document.createElement('div');
+            element.className = `timeline-segment ${segment.type}`;
+            element.style.left = this.toPercent(segment.start);
+            element.style.width = this.toPercent(segment.end - segment.start);
+            element.title = `${segment.type === 'pause' ? 'Pause' : 'Speech'}: ${segment.start.toFixed(2)}–${segment.end.toFixed(2)} s (${(segment.end - segment.start).toFixed(2)} s)`;
+            this.container.appendChild(element);
+        });
+
+        markers.forEach(time => {
+            const element = document.createElement('div');
+            element.className = 'timeline-marker';
+            element.style.left = this.toPercent(time);
+            this.container.appendChild(element);
+        });
+
+        this.playhead = document.createElement('div');
+        this.playhead.className = 'timeline-playhead';
+        this.container.appendChild(this.playhead);
+        this.updatePlayhead();
+    }
+
+    clear() {
+        this.container.innerHTML = '';
+        this.playhead = null;
+        this.duration = 0;
+    }
+
+    updatePlayhead() {
+        if (!this.playhead) return;
+        this.playhead.style.left = this.toPercent(Math.min(this.audio.currentTime, this.duration));
+    }
+
+    seek(e) {
+        if (!this.duration) return;
+        const rect = this.container.getBoundingClientRect();
+        if (rect.width === 0) return;
+        this.audio.currentTime = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * this.duration;
+        this.updatePlayhead();
+    }
+
+    toPercent(seconds) {
+        return `${(100 * seconds / this.duration).toFixed(3)}%`;
+    }
+}
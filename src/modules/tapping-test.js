@@ -0,0 +1,401 @@
+/**
+ * Tapping Test Module
+ * Alternating finger-tapping test of a patient session. The patient taps two targets
+ * on a canvas one after the other with the index finger, once with each hand; the time
+ * runs from the first tap for the configured duration. Every touch-down and touch-up
+ * (time, position and pointer) is kept as the raw data. Once both hands are done, their
+ * measures (see MotorAnalysis.analyzeTapping) and touches are stored as a test result of
+ * the assignment and the session moves on.
+ *
+ * Usage (see PatientSession):
+ *   tappingTest.start({ assignmentId, testId, testIndex }, { duration: 20 });
+ */
+class TappingTest {
+    constructor(testManager, patientManager) {
+        this.testManager = testManager;
+        this.patientManager = patientManager;
+
+        // { assignmentId, testId, testIndex } of the session test, and its parameters
+        this.context = null;
+        this.parameters = null;
+        // Hands still to test and the finished trials
+        this.queue = [];
+        this.hands = [];
+        // Trial in progress: { hand, canvas, targets, touches, startedAt, pointerType, restarts, timeUp }
+        this.current = null;
+        // Time origin of the touches, and the target held down by each pointer (null when missed)
+        this.timeOrigin = null;
+        this.activePointers = new Map();
+        this.timer = {
+            end: null,
+            clock: null,
+            startedAt: null
+        };
+        // Result kept for another attempt when saving it failed
+        this.pendingResult = null;
+
+        this.elements = {
+            handName: document.getElementById('tapping-hand-name'),
+            instructions: document.getElementById('tapping-instructions'),
+            progress: document.getElementById('tapping-progress'),
+            message: document.getElementById('tapping-message'),
+            time: document.getElementById('tapping-time'),
+            canvas: document.getElementById('tapping-canvas'),
+            restartBtn: document.getElementById('tapping-restart-btn'),
+            nextBtn: document.getElementById('tapping-next-btn')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const canvas = this.elements.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        // No context menu or text selection on a long press
+        canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        this.elements.restartBtn.addEventListener('click', () => this.restartTrial());
+        this.elements.nextBtn.addEventListener('click', async () => {
+            if (this.pendingResult) {
+                await this.saveResult();
+            } else {
+                this.completeTrial();
+            }
+        });
+        console.log('TappingTest module is loaded.');
+    }
+
+    /**
+     * Starts the test for a session test.
+     * @param {object} context `{ assignmentId, testId, testIndex }` reported with the result.
+     * @param {object} parameters `duration` of each hand's trial in seconds (see TestManager).
+     */
+    start(context, parameters) {
+        this.reset();
+        this.context = context;
+        this.parameters = parameters;
+        this.queue = [...TappingTest.HAND_ORDER];
+        this.nextTrial();
+    }
+
+    reset() {
+        this.stopTimer();
+        this.context = null;
+        this.parameters = null;
+        this.queue = [];
+        this.hands = [];
+        this.current = null;
+        this.activePointers.clear();
+        this.pendingResult = null;
+        this.hideMessage();
+        this.elements.time.textContent = '';
+        this.elements.nextBtn.textContent = 'Continue';
+        this.updateControls();
+    }
+
+    // =============================================================================
+    // TRIALS
+    // =============================================================================
+
+    nextTrial() {
+        const hand = this.queue.shift();
+        if (!hand) {
+            this.current = null;
+            this.finish();
+            return;
+        }
+
+        const total = this.hands.length + this.queue.length + 1;
+        this.elements.handName.textContent = TappingTest.HANDS[hand].name;
+        this.elements.instructions.textContent = TappingTest.HANDS[hand].instructions;
+        this.elements.progress.textContent = `Hand ${this.hands.length + 1} of ${total}`;
+
+        const { width, height } = this.setupCanvas();
+        this.current = {
+            hand,
+            canvas: { width, height, devicePixelRatio: window.devicePixelRatio || 1 },
+            targets: TappingTest.createTargets(width, height),
+            restarts: 0
+        };
+        this.clearTouches();
+    }
+
+    // Starts the current hand over
+    restartTrial() {
+        if (!this.current) return;
+        this.current.restarts += 1;
+        this.clearTouches();
+        this.hideMessage();
+    }
+
+    clearTouches() {
+        this.stopTimer();
+        Object.assign(this.current, {
+            touches: { t: [], type: [], x: [], y: [], pointerId: [] },
+            startedAt: null,
+            pointerType: null,
+            timeUp: false
+        });
+        this.timeOrigin = null;
+        this.activePointers.clear();
+        this.showTime(this.parameters.duration);
+        this.drawTargets();
+        this.updateControls();
+    }
+
+    // The time is up: no new taps, but fingers still on the screen are followed until lifted
+    endTrial() {
+        this.stopTimer();
+        this.current.timeUp = true;
+        this.showTime(0);
+        this.showMessage(this.queue.length > 0
+            ? 'Time is up. Press Continue and then tap with your other hand.'
+            : 'Time is up. Press Continue to finish this test.', 'info');
+        this.updateControls();
+    }
+
+    // Keeps the finished trial with its measures and moves on to the next hand
+    completeTrial() {
+        const trial = this.current;
+        if (!trial?.timeUp) return;
+
+        this.activePointers.clear();
+        this.hands.push({
+            ...trial,
+            measures: MotorAnalysis.analyzeTapping(trial.touches, trial.targets, this.parameters.duration)
+        });
+        this.hideMessage();
+        this.nextTrial();
+    }
+
+    startTimer() {
+        this.stopTimer();
+        this.timer.startedAt = performance.now();
+        this.timer.end = setTimeout(() => this.endTrial(), this.parameters.duration * 1000);
+        this.timer.clock = setInterval(() => {
+            const elapsed = (performance.now() - this.timer.startedAt) / 1000;
+            this.showTime(Math.max(0, this.parameters.duration - elapsed));
+        }, TappingTest.CLOCK_INTERVAL);
+    }
+
+    stopTimer() {
+        clearTimeout(this.timer.end);
+        clearInterval(this.timer.clock);
+        this.timer.end = null;
+        this.timer.clock = null;
+    }
+
+    showTime(seconds) {
+        this.elements.time.textContent = `${Math.ceil(seconds)} s`;
+    }
+
+    // =============================================================================
+    // RESULT
+    // =============================================================================
+
+    async finish() {
+        const { assignmentId, testId } = this.context;
+        this.elements.handName.textContent = 'Both hands done';
+        this.elements.instructions.textContent = '';
+        this.elements.progress.textContent = '';
+        this.elements.time.textContent = '';
+        this.drawTargets();
+        this.updateControls();
+
+        this.pendingResult = {
+            patientId: this.patientManager.getCurrentPatient().id,
+            assignmentId,
+            testId,
+            moduleId: 'tapping-test',
+            parameters: { ...this.parameters },
+            summary: {
+                version: MotorAnalysis.VERSION,
+                hands: this.hands.map(({ hand, restarts, measures }) => ({
+                    hand,
+                    restarts,
+                    ...measures
+                }))
+            },
+            data: {
+                hands: this.hands.map(({ measures, timeUp, ...trial }) => trial)
+            }
+        };
+        await this.saveResult();
+    }
+
+    async saveResult() {
+        this.elements.nextBtn.disabled = true;
+        try {
+            const resultId = await this.testManager.saveTestResult(this.pendingResult);
+            this.pendingResult = null;
+            this.elements.nextBtn.textContent = 'Continue';
+            document.dispatchEvent(new CustomEvent('test-completed', {
+                detail: {
+                    ...this.context,
+                    result: { resultId }
+                }
+            }));
+        } catch (error) {
+            console.error('Failed to save tapping test result:', error);
+            this.showMessage('Your taps could not be saved. Please check your connection and press Save Again.', 'error');
+            this.elements.nextBtn.textContent = 'Save Again';
+            this.elements.nextBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Lines describing a result's measures, for clinicians.
+     * @param {object} summary The `summary` of a tapping test result.
+     * @returns {Array<string>}
+     */
+    static describe(summary) {
+        const format = (value, decimals, unit) => (value === null || value === undefined ? '–' : `${value.toFixed(decimals)}${unit}`);
+        return summary.hands.map(hand => [
+            `${TappingTest.HANDS[hand.hand]?.name || hand.hand}: ${hand.tapCount ?? 0} taps (${format(hand.tapRate, 1, '/s')})`,
+            `interval ${format(hand.meanInterval, 0, ' ms')} (CV ${format(hand.intervalCV, 1, '%')})`,
+            `dwell ${format(hand.meanDwell, 0, ' ms')}`,
+            `distance ${format(hand.meanDistance, 1, ' px')} (${format(hand.hitRate, 0, '%')} hits)`,
+            `decrement ${format(hand.decrement, 0, '%')}`,
+            ...(hand.alternationErrors > 0 ? [`${hand.alternationErrors} alternation error(s)`] : [])
+        ].join(', '));
+    }
+
+    // =============================================================================
+    // POINTER INPUT
+    // =============================================================================
+
+    onPointerDown(e) {
+        const trial = this.current;
+        if (!trial || trial.timeUp || this.activePointers.has(e.pointerId)) return;
+        e.preventDefault();
+
+        if (this.elements.canvas.setPointerCapture) {
+            this.elements.canvas.setPointerCapture(e.pointerId);
+        }
+        if (trial.touches.t.length === 0) {
+            trial.startedAt = new Date().toISOString();
+            trial.pointerType = e.pointerType || null;
+            this.timeOrigin = e.timeStamp;
+            this.startTimer();
+        }
+        const point = this.addTouch('down', e);
+        const target = trial.targets.findIndex(({ x, y, radius }) => Math.hypot(point.x - x, point.y - y) <= radius);
+        this.activePointers.set(e.pointerId, target >= 0 ? target : null);
+        this.drawTargets();
+        this.updateControls();
+    }
+
+    onPointerUp(e) {
+        if (!this.current || !this.activePointers.has(e.pointerId)) return;
+        this.addTouch('up', e);
+        this.activePointers.delete(e.pointerId);
+        this.drawTargets();
+    }
+
+    // Records a touch; returns its position on the canvas (CSS pixels)
+    addTouch(type, event) {
+        const touches = this.current.touches;
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const { width, height } = this.current.canvas;
+        const x = rect.width > 0 ? (event.clientX - rect.left) * width / rect.width : event.offsetX;
+        const y = rect.height > 0 ? (event.clientY - rect.top) * height / rect.height : event.offsetY;
+
+        touches.t.push(Number((event.timeStamp - this.timeOrigin).toFixed(1)));
+        touches.type.push(type);
+        touches.x.push(Number(x.toFixed(1)));
+        touches.y.push(Number(y.toFixed(1)));
+        touches.pointerId.push(event.pointerId);
+        return { x, y };
+    }
+
+    // =============================================================================
+    // CANVAS
+    // =============================================================================
+
+    // Sizes the canvas to the section (at most MAX_WIDTH CSS pixels wide); returns its size
+    setupCanvas() {
+        const canvas = this.elements.canvas;
+        const available = canvas.parentElement?.clientWidth || TappingTest.MAX_WIDTH;
+        const width = Math.floor(Math.min(TappingTest.MAX_WIDTH, available));
+        const height = TappingTest.HEIGHT;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        return { width, height };
+    }
+
+    drawTargets() {
+        const canvas = this.elements.canvas;
+        const context = canvas.getContext('2d');
+        if (!context) return;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.current) return;
+
+        const ratio = canvas.width / this.current.canvas.width;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        const pressed = new Set(this.activePointers.values());
+        const colors = TappingTest.COLORS;
+        this.current.targets.forEach((target, index) => {
+            context.fillStyle = pressed.has(index) ? colors.pressed : colors.target;
+            context.beginPath();
+            context.arc(target.x, target.y, target.radius, 0, 2 * Math.PI);
+            context.fill();
+        });
+    }
+
+    updateControls() {
+        const hasTouches = !!this.current && this.current.touches.t.length > 0;
+        this.elements.restartBtn.disabled = !hasTouches;
+        this.elements.nextBtn.disabled = !this.current?.timeUp;
+    }
+
+    showMessage(message, type) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = `info-banner ${type}`;
+        this.elements.message.style.display = 'block';
+    }
+
+    hideMessage() {
+        this.elements.message.style.display = 'none';
+    }
+
+    /**
+     * The two targets on a canvas: circles of TARGET_RADIUS, a quarter of the width in from
+     * either side.
+     * @returns {Array<{ x: number, y: number, radius: number }>} Left target first.
+     */
+    static createTargets(width, height) {
+        return [0.25, 0.75].map(share => ({
+            x: width * share,
+            y: height / 2,
+            radius: TappingTest.TARGET_RADIUS
+        }));
+    }
+}
+
+TappingTest.HAND_ORDER = ['right', 'left'];
+TappingTest.HANDS = {
+    right: {
+        name: 'Right Hand',
+        instructions: 'Tap the two circles one after the other with the index finger of your right hand, as quickly and as evenly as you can, until the time is up. The time starts with your first tap.'
+    },
+    left: {
+        name: 'Left Hand',
+        instructions: 'Now tap the two circles one after the other with the index finger of your left hand, as quickly and as evenly as you can, until the time is up. The time starts with your first tap.'
+    }
+};
+// Largest canvas width and the canvas height (CSS pixels), and the radius of the targets
+TappingTest.MAX_WIDTH = 480;
+TappingTest.HEIGHT = 240;
+TappingTest.TARGET_RADIUS = 40;
+// Milliseconds between updates of the remaining time
+TappingTest.CLOCK_INTERVAL = 200;
+TappingTest.COLORS = {
+    target: '#90cdf4',
+    pressed: '#2b6cb0'
+};
@@ -0,0 +1,573 @@
+/**
+ * Trail Making Test Module
+ * Trail Making Test (parts A and B) of a patient session, by touch or mouse. The patient
+ * drags from circle to circle in order, 1-2-3… (part A) or 1-A-2-B… (part B); entering
+ * any other circle is an error, shown at once. Circle layouts come from a seeded random
+ * generator, so the same seed gives the same layouts on every device. Every pointer
+ * sample is kept as the raw trace, with the times of the connections and errors. A
+ * practice part with fewer circles can come before each part. Once both parts are done,
+ * their measures (see MotorAnalysis.analyzeTrail) and traces are stored as a test result
+ * of the assignment and the session moves on.
+ *
+ * Usage (see PatientSession):
+ *   trailMakingTest.start({ assignmentId, testId, testIndex }, { seed: 1, targets: 25, practice: true });
+ */
+class TrailMakingTest {
+    constructor(testManager, patientManager) {
+        this.testManager = testManager;
+        this.patientManager = patientManager;
+
+        // { assignmentId, testId, testIndex } of the session test, and its parameters
+        this.context = null;
+        this.parameters = null;
+        // Parts still to do ({ part, practice }) and the finished ones
+        this.queue = [];
+        this.trials = [];
+        // Part in progress: { part, practice, seed, layout, circles, canvas, trace, connections,
+        // errors, next, startedAt, pointerType, completed, timedOut, done }
+        this.current = null;
+        // Pointer drawing, the time origin of the trace, the last point drawn and the circle under the pointer
+        this.pointerId = null;
+        this.timeOrigin = null;
+        this.lastPoint = null;
+        this.insideCircle = -1;
+        this.timeLimitTimer = null;
+        this.errorTimer = null;
+        // Result kept for another attempt when saving it failed
+        this.pendingResult = null;
+
+        this.elements = {
+            partName: document.getElementById('trail-part-name'),
+            instructions: document.getElementById('trail-instructions'),
+            progress: document.getElementById('trail-progress'),
+            message: document.getElementById('trail-message'),
+            canvas: document.getElementById('trail-canvas'),
+            nextBtn: document.getElementById('trail-next-btn')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const canvas = this.elements.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+
+        this.elements.nextBtn.addEventListener('click', async () => {
+            if (this.pendingResult) {
+                await this.saveResult();
+            } else {
+                this.completePart();
+            }
+        });
+        console.log('TrailMakingTest module is loaded.');
+    }
+
+    /**
+     * Starts the test for a session test.
+     * @param {object} context `{ assignmentId, testId, testIndex }` reported with the result.
+     * @param {object} parameters `seed` of the layouts, number of `targets` of each part and
+     *   whether a `practice` part comes first (see TestManager).
+     */
+    start(context, parameters) {
+        this.reset();
+        this.context = context;
+        this.parameters = parameters;
+        TrailMakingTest.PART_ORDER.forEach(part => {
+            if (parameters.practice) this.queue.push({ part, practice: true });
+            this.queue.push({ part, practice: false });
+        });
+        this.nextPart();
+    }
+
+    reset() {
+        this.clearTimers();
+        this.context = null;
+        this.parameters = null;
+        this.queue = [];
+        this.trials = [];
+        this.current = null;
+        this.pointerId = null;
+        this.lastPoint = null;
+        this.insideCircle = -1;
+        this.pendingResult = null;
+        this.hideMessage();
+        this.elements.nextBtn.textContent = 'Continue';
+        this.updateControls();
+    }
+
+    // =============================================================================
+    // PARTS
+    // =============================================================================
+
+    nextPart() {
+        const next = this.queue.shift();
+        if (!next) {
+            this.current = null;
+            this.finish();
+            return;
+        }
+
+        const total = this.trials.length + this.queue.length + 1;
+        const part = TrailMakingTest.PARTS[next.part];
+        this.elements.partName.textContent = next.practice ? `${part.name} – Practice` : part.name;
+        this.elements.instructions.textContent = part.instructions;
+        this.elements.progress.textContent = `Step ${this.trials.length + 1} of ${total}`;
+
+        const size = this.setupCanvas();
+        const count = next.practice ? TrailMakingTest.PRACTICE_TARGETS : this.parameters.targets;
+        const seed = TrailMakingTest.partSeed(this.parameters.seed, next.part, next.practice);
+        const layout = TrailMakingTest.createLayout(count, seed);
+        const labels = TrailMakingTest.createLabels(next.part, count);
+        this.current = {
+            ...next,
+            seed,
+            layout,
+            circles: layout.map((point, index) => ({
+                label: labels[index],
+                x: point.x * size,
+                y: point.y * size,
+                radius: TrailMakingTest.RADIUS * size
+            })),
+            canvas: { width: size, height: size, devicePixelRatio: window.devicePixelRatio || 1 },
+            trace: { t: [], x: [], y: [], strokes: [] },
+            connections: [],
+            errors: [],
+            next: 0,
+            startedAt: null,
+            pointerType: null,
+            completed: false,
+            timedOut: false,
+            done: false
+        };
+        this.pointerId = null;
+        this.timeOrigin = null;
+        this.lastPoint = null;
+        this.insideCircle = -1;
+        this.drawScene();
+        this.updateControls();
+    }
+
+    // All circles connected, or the time limit reached: the part takes no more input
+    endPart(timedOut = false) {
+        const trial = this.current;
+        if (!trial || trial.done) return;
+        this.clearTimers();
+        trial.done = true;
+        trial.timedOut = timedOut;
+        trial.completed = !timedOut;
+        this.pointerId = null;
+        this.drawScene();
+
+        const more = this.queue.length > 0;
+        if (timedOut) {
+            this.showMessage(`The time for this part is up. Press Continue${more ? ' to go on' : ' to finish this test'}.`, 'info');
+        } else {
+            this.showMessage(`Well done! Press Continue${more ? ' to go on' : ' to finish this test'}.`, 'success');
+        }
+        this.updateControls();
+    }
+
+    // Keeps the finished part with its measures and moves on to the next one
+    completePart() {
+        const trial = this.current;
+        if (!trial?.done) return;
+
+        this.trials.push({
+            ...trial,
+            measures: MotorAnalysis.analyzeTrail(trial.trace, trial)
+        });
+        this.hideMessage();
+        this.nextPart();
+    }
+
+    /**
+     * Handles the pointer entering a circle.
+     * @param {number} index The circle.
+     * @param {number} time Time of the sample (ms).
+     */
+    enterCircle(index, time) {
+        const trial = this.current;
+        if (index === trial.next) {
+            trial.connections.push({ circle: index, t: time });
+            trial.next += 1;
+            this.hideMessage();
+            this.drawScene();
+            if (trial.next === trial.circles.length) {
+                this.endPart();
+            }
+            return;
+        }
+        // Going back over circles already connected is allowed
+        if (index < trial.next) return;
+
+        trial.errors.push({ circle: index, expected: trial.next, t: time });
+        const last = trial.next > 0 ? trial.circles[trial.next - 1].label : null;
+        const expected = trial.circles[trial.next].label;
+        this.showMessage(last
+            ? `That is not the next circle. Go back to ${last} and continue to ${expected}.`
+            : `That is not the first circle. Start at ${expected}.`, 'error');
+        this.flashError(index);
+    }
+
+    startTimeLimit() {
+        clearTimeout(this.timeLimitTimer);
+        this.timeLimitTimer = setTimeout(() => this.endPart(true), TrailMakingTest.TIME_LIMIT * 1000);
+    }
+
+    clearTimers() {
+        clearTimeout(this.timeLimitTimer);
+        clearTimeout(this.errorTimer);
+        this.timeLimitTimer = null;
+        this.errorTimer = null;
+    }
+
+    // =============================================================================
+    // RESULT
+    // =============================================================================
+
+    async finish() {
+        const { assignmentId, testId } = this.context;
+        this.elements.partName.textContent = 'All parts done';
+        this.elements.instructions.textContent = '';
+        this.elements.progress.textContent = '';
+        this.drawScene();
+        this.updateControls();
+
+        const parts = this.trials
+            .filter(trial => !trial.practice)
+            .map(({ part, measures }) => ({ part, ...measures }));
+        const timeOf = part => parts.find(entry => entry.part === part)?.completionTime ?? null;
+        const timeA = timeOf('A');
+        const timeB = timeOf('B');
+
+        this.pendingResult = {
+            patientId: this.patientManager.getCurrentPatient().id,
+            assignmentId,
+            testId,
+            moduleId: 'trail-making-test',
+            parameters: { ...this.parameters },
+            summary: {
+                version: MotorAnalysis.VERSION,
+                parts,
+                practice: this.trials
+                    .filter(trial => trial.practice)
+                    .map(({ part, measures }) => ({ part, completed: measures?.completed ?? false, errors: measures?.errors ?? 0 })),
+                differenceBA: timeA !== null && timeB !== null ? Number((timeB - timeA).toFixed(2)) : null,
+                ratioBA: timeA && timeB !== null ? Number((timeB / timeA).toFixed(2)) : null
+            },
+            data: {
+                parts: this.trials.map(({ measures, next, done, ...trial }) => trial)
+            }
+        };
+        await this.saveResult();
+    }
+
+    async saveResult() {
+        this.elements.nextBtn.disabled = true;
+        try {
+            const resultId = await this.testManager.saveTestResult(this.pendingResult);
+            this.pendingResult = null;
+            this.elements.nextBtn.textContent = 'Continue';
+            document.dispatchEvent(new CustomEvent('test-completed', {
+                detail: {
+                    ...this.context,
+                    result: { resultId }
+                }
+            }));
+        } catch (error) {
+            console.error('Failed to save Trail Making Test result:', error);
+            this.showMessage('Your trails could not be saved. Please check your connection and press Save Again.', 'error');
+            this.elements.nextBtn.textContent = 'Save Again';
+            this.elements.nextBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Lines describing a result's measures, for clinicians.
+     * @param {object} summary The `summary` of a Trail Making Test result.
+     * @returns {Array<string>}
+     */
+    static describe(summary) {
+        const format = (value, decimals, unit) => (value === null || value === undefined ? '–' : `${value.toFixed(decimals)}${unit}`);
+        const lines = summary.parts.map(part => [
+            `${TrailMakingTest.PARTS[part.part]?.name || part.part}: ${part.completed ? format(part.completionTime, 1, ' s') : 'not completed'}`,
+            `${part.errors ?? 0} error(s)`,
+            `${part.pauseCount ?? 0} pause(s) (${format(part.pauseTime, 1, ' s')})`,
+            `${part.penLifts ?? 0} lift(s)`
+        ].join(', '));
+        if (summary.ratioBA !== null) {
+            lines.push(`B − A ${format(summary.differenceBA, 1, ' s')}, B/A ${format(summary.ratioBA, 2, '')}`);
+        }
+        return lines;
+    }
+
+    // =============================================================================
+    // POINTER INPUT
+    // =============================================================================
+
+    onPointerDown(e) {
+        const trial = this.current;
+        if (!trial || trial.done || !e.isPrimary || this.pointerId !== null) return;
+        e.preventDefault();
+
+        this.pointerId = e.pointerId;
+        if (this.elements.canvas.setPointerCapture) {
+            this.elements.canvas.setPointerCapture(e.pointerId);
+        }
+        if (trial.trace.t.length === 0) {
+            trial.startedAt = new Date().toISOString();
+            trial.pointerType = e.pointerType || null;
+            this.timeOrigin = e.timeStamp;
+            this.startTimeLimit();
+        }
+        trial.trace.strokes.push(trial.trace.t.length);
+        this.lastPoint = null;
+        this.insideCircle = -1;
+        this.addSample(e);
+    }
+
+    onPointerMove(e) {
+        if (e.pointerId !== this.pointerId) return;
+        // Samples the browser merged into this event, so no circle is skipped over
+        const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        for (const event of (events.length > 0 ? events : [e])) {
+            if (this.pointerId === null) break;
+            this.addSample(event);
+        }
+    }
+
+    onPointerUp(e) {
+        if (e.pointerId !== this.pointerId) return;
+        this.pointerId = null;
+        this.lastPoint = null;
+        this.insideCircle = -1;
+    }
+
+    addSample(event) {
+        const trial = this.current;
+        const trace = trial.trace;
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const { width, height } = trial.canvas;
+        const x = rect.width > 0 ? (event.clientX - rect.left) * width / rect.width : event.offsetX;
+        const y = rect.height > 0 ? (event.clientY - rect.top) * height / rect.height : event.offsetY;
+        const time = Number((event.timeStamp - this.timeOrigin).toFixed(1));
+
+        trace.t.push(time);
+        trace.x.push(Number(x.toFixed(1)));
+        trace.y.push(Number(y.toFixed(1)));
+        this.drawInk({ x, y });
+
+        const inside = trial.circles.findIndex(circle => Math.hypot(x - circle.x, y - circle.y) <= circle.radius);
+        if (inside !== this.insideCircle) {
+            this.insideCircle = inside;
+            if (inside >= 0) this.enterCircle(inside, time);
+        }
+    }
+
+    // =============================================================================
+    // CANVAS
+    // =============================================================================
+
+    // Sizes the canvas to the section (square, at most MAX_SIZE CSS pixels); returns its size
+    setupCanvas() {
+        const canvas = this.elements.canvas;
+        const available = canvas.parentElement?.clientWidth || TrailMakingTest.MAX_SIZE;
+        const size = Math.floor(Math.min(TrailMakingTest.MAX_SIZE, available));
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(size * ratio);
+        canvas.height = Math.round(size * ratio);
+        canvas.style.width = `${size}px`;
+        canvas.style.height = `${size}px`;
+        return size;
+    }
+
+    getContext() {
+        const context = this.elements.canvas.getContext('2d');
+        if (context) {
+            const ratio = this.elements.canvas.width / (this.current?.canvas.width || this.elements.canvas.width);
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        }
+        return context;
+    }
+
+    // Redraws the trace so far and the circles on top of it
+    drawScene(errorCircle = -1) {
+        const context = this.getContext();
+        if (!context) return;
+        const canvas = this.elements.canvas;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        const trial = this.current;
+        if (!trial) return;
+
+        const { t, x, y, strokes } = trial.trace;
+        context.strokeStyle = TrailMakingTest.COLORS.ink;
+        context.lineWidth = TrailMakingTest.INK_WIDTH;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        strokes.forEach((start, index) => {
+            const end = index + 1 < strokes.length ? strokes[index + 1] : t.length;
+            context.beginPath();
+            for (let i = start; i < end; i++) {
+                if (i === start) context.moveTo(x[i], y[i]);
+                else context.lineTo(x[i], y[i]);
+            }
+            context.stroke();
+        });
+
+        const colors = TrailMakingTest.COLORS;
+        context.font = `600 ${Math.round(trial.circles[0].radius)}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        trial.circles.forEach((circle, index) => {
+            context.fillStyle = index === errorCircle ? colors.error : index < trial.next ? colors.connected : colors.circle;
+            context.strokeStyle = colors.border;
+            context.lineWidth = 2;
+            context.beginPath();
+            context.arc(circle.x, circle.y, circle.radius, 0, 2 * Math.PI);
+            context.fill();
+            context.stroke();
+            context.fillStyle = index < trial.next || index === errorCircle ? colors.labelOnFill : colors.label;
+            context.fillText(circle.label, circle.x, circle.y);
+        });
+    }
+
+    drawInk(point) {
+        const context = this.getContext();
+        if (context) {
+            const from = this.lastPoint || point;
+            context.strokeStyle = TrailMakingTest.COLORS.ink;
+            context.lineWidth = TrailMakingTest.INK_WIDTH;
+            context.lineCap = 'round';
+            context.beginPath();
+            context.moveTo(from.x, from.y);
+            context.lineTo(point.x, point.y);
+            context.stroke();
+        }
+        this.lastPoint = point;
+    }
+
+    // Shows a wrongly entered circle in red for a moment
+    flashError(index) {
+        clearTimeout(this.errorTimer);
+        this.drawScene(index);
+        this.errorTimer = setTimeout(() => {
+            this.errorTimer = null;
+            this.drawScene();
+        }, TrailMakingTest.ERROR_FLASH);
+    }
+
+    updateControls() {
+        this.elements.nextBtn.disabled = !this.current?.done;
+    }
+
+    showMessage(message, type) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = `info-banner ${type}`;
+        this.elements.message.style.display = 'block';
+    }
+
+    hideMessage() {
+        this.elements.message.style.display = 'none';
+    }
+
+    // =============================================================================
+    // LAYOUTS
+    // =============================================================================
+
+    /**
+     * Labels of the circles of a part, in the order they are connected.
+     * @param {string} part 'A' (1, 2, 3…) or 'B' (1, A, 2, B…).
+     * @param {number} count Number of circles.
+     * @returns {Array<string>}
+     */
+    static createLabels(part, count) {
+        return Array.from({ length: count }, (_, i) => {
+            if (part === 'A') return String(i + 1);
+            return i % 2 === 0 ? String(i / 2 + 1) : String.fromCharCode(65 + (i - 1) / 2);
+        });
+    }
+
+    /**
+     * Random circle positions on a unit square, at least MIN_DISTANCE (in radii) apart and
+     * a radius plus MARGIN from the edges. The same count and seed always give the same layout.
+     * @returns {Array<{ x: number, y: number }>} Centers between 0 and 1, in connecting order.
+     */
+    static createLayout(count, seed) {
+        const random = TrailMakingTest.random(seed);
+        const edge = TrailMakingTest.RADIUS + TrailMakingTest.MARGIN;
+        const distance = TrailMakingTest.MIN_DISTANCE * TrailMakingTest.RADIUS;
+
+        // Starts over when the circles do not fit; the random sequence continues, so this stays deterministic
+        for (;;) {
+            const points = [];
+            let attempts = 0;
+            while (points.length < count && attempts < TrailMakingTest.MAX_ATTEMPTS) {
+                attempts++;
+                const point = {
+                    x: Number((edge + random() * (1 - 2 * edge)).toFixed(4)),
+                    y: Number((edge + random() * (1 - 2 * edge)).toFixed(4))
+                };
+                if (points.every(other => Math.hypot(point.x - other.x, point.y - other.y) >= distance)) {
+                    points.push(point);
+                }
+            }
+            if (points.length === count) return points;
+        }
+    }
+
+    // Seed of the layout of a part, so the practice and main parts of A and B all differ
+    static partSeed(seed, part, practice) {
+        return seed * 4 + (part === 'B' ? 2 : 0) + (practice ? 1 : 0);
+    }
+
+    // Seeded pseudo-random numbers between 0 and 1 (mulberry32)
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+TrailMakingTest.PART_ORDER = ['A', 'B'];
+TrailMakingTest.PARTS = {
+    A: {
+        name: 'Part A',
+        instructions: 'Keep your finger on the screen and draw a line from circle 1 to 2, then to 3 and so on, in order, as quickly as you can. If a circle turns red, go back to the last correct circle and continue from there.'
+    },
+    B: {
+        name: 'Part B',
+        instructions: 'Keep your finger on the screen and draw a line from 1 to A, then to 2, to B, to 3 and so on, switching between numbers and letters in order, as quickly as you can. If a circle turns red, go back to the last correct circle and continue from there.'
+    }
+};
+// Circles of a practice part
+TrailMakingTest.PRACTICE_TARGETS = 8;
+// Seconds until a part is stopped (the usual limit of paper part B)
+TrailMakingTest.TIME_LIMIT = 300;
+// Largest canvas (CSS pixels); radius of the circles and the free space at the edges as
+// shares of the canvas size, and the smallest distance between circle centers in radii
+TrailMakingTest.MAX_SIZE = 560;
+TrailMakingTest.RADIUS = 0.04;
+TrailMakingTest.MARGIN = 0.01;
+TrailMakingTest.MIN_DISTANCE = 3;
+// Circles placed per layout attempt before starting over
+TrailMakingTest.MAX_ATTEMPTS = 5000;
+// Milliseconds a wrongly entered circle stays red
+TrailMakingTest.ERROR_FLASH = 600;
+TrailMakingTest.INK_WIDTH = 3;
+TrailMakingTest.COLORS = {
+    circle: '#ffffff',
+    connected: '#48bb78',
+    error: '#f56565',
+    border: '#4a5568',
+    label: '#2d3748',
+    labelOnFill: '#ffffff',
+    ink: '#2b6cb0'
+};
@@ -0,0 +1,346 @@
+/**
+ * Tremor Test Module
+ * Rest and postural tremor test of a patient session, with the phone's motion sensors.
+ * The patient holds the phone in the outstretched hand (postural) or rests the hand
+ * holding it on the lap (rest), once with each hand; after a countdown every
+ * DeviceMotionEvent (acceleration, acceleration including gravity and rotation rate, at
+ * the rate the device delivers them) is recorded for the configured duration. iOS asks
+ * for permission to use the motion sensors when the patient presses Start. Once both
+ * hands are done, their measures (see MotorAnalysis.analyzeTremor) and raw signals are
+ * stored as a test result of the assignment and the session moves on.
+ *
+ * Usage (see PatientSession):
+ *   tremorTest.start({ assignmentId, testId, testIndex }, { posture: 'postural', duration: 20, countdown: 5 });
+ */
+class TremorTest {
+    constructor(testManager, patientManager) {
+        this.testManager = testManager;
+        this.patientManager = patientManager;
+
+        // { assignmentId, testId, testIndex } of the session test, and its parameters
+        this.context = null;
+        this.parameters = null;
+        // 'idle', 'countdown', 'recording' or 'done'
+        this.state = 'idle';
+        // Hands still to record and the finished recordings
+        this.queue = [];
+        this.recordings = [];
+        // Recording in progress: { hand, signal, startedAt, interval, restarts }
+        this.current = null;
+        this.timeOrigin = null;
+        this.timer = {
+            countdown: null,
+            end: null,
+            sensorCheck: null
+        };
+        // Result kept for another attempt when saving it failed
+        this.pendingResult = null;
+
+        this.onMotion = (e) => this.addSample(e);
+
+        this.elements = {
+            handName: document.getElementById('tremor-hand-name'),
+            instructions: document.getElementById('tremor-instructions'),
+            progress: document.getElementById('tremor-progress'),
+            message: document.getElementById('tremor-message'),
+            countdown: document.getElementById('tremor-countdown'),
+            startBtn: document.getElementById('tremor-start-btn')
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.elements.startBtn.addEventListener('click', async () => {
+            if (this.pendingResult) {
+                await this.saveResult();
+            } else {
+                await this.startRecording();
+            }
+        });
+        console.log('TremorTest module is loaded.');
+    }
+
+    /**
+     * Starts the test for a session test.
+     * @param {object} context `{ assignmentId, testId, testIndex }` reported with the result.
+     * @param {object} parameters `posture` ('rest' or 'postural'), `duration` of each
+     *   recording and `countdown` before it in seconds (see TestManager).
+     */
+    start(context, parameters) {
+        this.reset();
+        this.context = context;
+        this.parameters = parameters;
+        this.queue = [...TremorTest.HAND_ORDER];
+        this.nextRecording();
+    }
+
+    reset() {
+        this.stopRecording();
+        this.context = null;
+        this.parameters = null;
+        this.state = 'idle';
+        this.queue = [];
+        this.recordings = [];
+        this.current = null;
+        this.pendingResult = null;
+        this.hideMessage();
+        this.elements.countdown.style.display = 'none';
+        this.elements.startBtn.textContent = 'Start';
+        this.elements.startBtn.disabled = false;
+    }
+
+    // =============================================================================
+    // RECORDINGS
+    // =============================================================================
+
+    nextRecording() {
+        const hand = this.queue.shift();
+        if (!hand) {
+            this.current = null;
+            this.finish();
+            return;
+        }
+
+        const total = this.recordings.length + this.queue.length + 1;
+        const posture = TremorTest.POSTURES[this.parameters.posture] || TremorTest.POSTURES.rest;
+        this.elements.handName.textContent = `${posture.name}: ${TremorTest.HANDS[hand]}`;
+        this.elements.instructions.textContent = posture.instructions(TremorTest.HANDS[hand].toLowerCase(), this.parameters.duration);
+        this.elements.progress.textContent = `Recording ${this.recordings.length + 1} of ${total}`;
+        this.current = { hand, restarts: 0 };
+        this.state = 'idle';
+        this.elements.startBtn.textContent = 'Start';
+        this.elements.startBtn.disabled = false;
+    }
+
+    async startRecording() {
+        if (!this.current || this.state !== 'idle') return;
+        this.hideMessage();
+
+        if (typeof DeviceMotionEvent === 'undefined') {
+            this.showMessage('This device has no motion sensors. Please open the test link on a phone.', 'error');
+            return;
+        }
+        // iOS only gives motion events after the patient allows them, from a button press
+        if (typeof DeviceMotionEvent.requestPermission === 'function') {
+            try {
+                const permission = await DeviceMotionEvent.requestPermission();
+                if (permission !== 'granted') {
+                    this.showMessage('Access to the motion sensors was denied. Please allow "Motion & Orientation Access" for this website and press Start again.', 'error');
+                    return;
+                }
+            } catch (error) {
+                console.error('Motion sensor permission request failed:', error);
+                this.showMessage('Access to the motion sensors could not be requested. Please press Start again.', 'error');
+                return;
+            }
+        }
+
+        if (this.current.signal) {
+            this.current.restarts += 1;
+        }
+        this.elements.startBtn.disabled = true;
+        this.state = 'countdown';
+        await this.runCountdown(this.parameters.countdown);
+        if (this.state !== 'countdown') return;
+
+        Object.assign(this.current, {
+            signal: { t: [], ax: [], ay: [], az: [], gx: [], gy: [], gz: [], alpha: [], beta: [], gamma: [] },
+            startedAt: new Date().toISOString(),
+            interval: null
+        });
+        this.timeOrigin = null;
+        this.state = 'recording';
+        this.elements.countdown.textContent = 'Hold still…';
+        this.elements.countdown.style.display = 'block';
+        window.addEventListener('devicemotion', this.onMotion);
+        this.timer.end = setTimeout(() => this.completeRecording(), this.parameters.duration * 1000);
+        this.timer.sensorCheck = setTimeout(() => this.checkSensors(), TremorTest.SENSOR_TIMEOUT);
+    }
+
+    // Counts down so the patient can get into position; resolves at zero (or at once without a countdown)
+    runCountdown(seconds) {
+        return new Promise(resolve => {
+            let remaining = seconds;
+            const show = () => {
+                this.elements.countdown.textContent = String(remaining);
+                this.elements.countdown.style.display = remaining > 0 ? 'block' : 'none';
+            };
+            show();
+            if (remaining <= 0) {
+                resolve();
+                return;
+            }
+            this.timer.countdown = setInterval(() => {
+                remaining -= 1;
+                show();
+                if (remaining <= 0 || this.state !== 'countdown') {
+                    clearInterval(this.timer.countdown);
+                    this.timer.countdown = null;
+                    resolve();
+                }
+            }, 1000);
+        });
+    }
+
+    // Stops a recording that gets no motion events (no sensors, or blocked by the browser)
+    checkSensors() {
+        this.timer.sensorCheck = null;
+        if (this.state !== 'recording' || this.current.signal.t.length > 0) return;
+        this.stopRecording();
+        this.state = 'idle';
+        this.elements.startBtn.disabled = false;
+        this.showMessage('No motion sensor data was received. Please open the test link on a phone, allow access to the motion sensors and press Start again.', 'error');
+    }
+
+    addSample(event) {
+        if (this.state !== 'recording') return;
+        const signal = this.current.signal;
+        if (this.timeOrigin === null) {
+            this.timeOrigin = event.timeStamp;
+            this.current.interval = event.interval ?? null;
+        }
+        const value = number => (number === null || number === undefined ? null : Number(number.toFixed(4)));
+        const acceleration = event.acceleration || {};
+        const gravity = event.accelerationIncludingGravity || {};
+        const rotation = event.rotationRate || {};
+
+        signal.t.push(Number((event.timeStamp - this.timeOrigin).toFixed(1)));
+        signal.ax.push(value(acceleration.x));
+        signal.ay.push(value(acceleration.y));
+        signal.az.push(value(acceleration.z));
+        signal.gx.push(value(gravity.x));
+        signal.gy.push(value(gravity.y));
+        signal.gz.push(value(gravity.z));
+        signal.alpha.push(value(rotation.alpha));
+        signal.beta.push(value(rotation.beta));
+        signal.gamma.push(value(rotation.gamma));
+    }
+
+    stopRecording() {
+        window.removeEventListener('devicemotion', this.onMotion);
+        clearInterval(this.timer.countdown);
+        clearTimeout(this.timer.end);
+        clearTimeout(this.timer.sensorCheck);
+        this.timer.countdown = null;
+        this.timer.end = null;
+        this.timer.sensorCheck = null;
+        this.elements.countdown.style.display = 'none';
+    }
+
+    // Keeps the finished recording with its measures and moves on to the next hand
+    completeRecording() {
+        this.stopRecording();
+        const recording = this.current;
+        // Lets the patient know the recording is over without looking at the screen
+        if (navigator.vibrate) navigator.vibrate(TremorTest.VIBRATION);
+
+        this.recordings.push({
+            ...recording,
+            measures: MotorAnalysis.analyzeTremor(recording.signal)
+        });
+        this.showMessage(this.queue.length > 0 ? 'Done. Now switch hands.' : 'Done.', 'success');
+        this.nextRecording();
+    }
+
+    // =============================================================================
+    // RESULT
+    // =============================================================================
+
+    async finish() {
+        const { assignmentId, testId } = this.context;
+        this.state = 'done';
+        this.elements.handName.textContent = 'Both hands done';
+        this.elements.instructions.textContent = '';
+        this.elements.progress.textContent = '';
+
+        this.pendingResult = {
+            patientId: this.patientManager.getCurrentPatient().id,
+            assignmentId,
+            testId,
+            moduleId: 'tremor-test',
+            parameters: { ...this.parameters },
+            summary: {
+                version: MotorAnalysis.VERSION,
+                posture: this.parameters.posture,
+                recordings: this.recordings.map(({ hand, restarts, measures }) => ({
+                    hand,
+                    restarts,
+                    ...measures
+                }))
+            },
+            data: {
+                recordings: this.recordings.map(({ measures, ...recording }) => recording)
+            }
+        };
+        await this.saveResult();
+    }
+
+    async saveResult() {
+        this.elements.startBtn.disabled = true;
+        try {
+            const resultId = await this.testManager.saveTestResult(this.pendingResult);
+            this.pendingResult = null;
+            this.elements.startBtn.textContent = 'Start';
+            document.dispatchEvent(new CustomEvent('test-completed', {
+                detail: {
+                    ...this.context,
+                    result: { resultId }
+                }
+            }));
+        } catch (error) {
+            console.error('Failed to save tremor test result:', error);
+            this.showMessage('Your recordings could not be saved. Please check your connection and press Save Again.', 'error');
+            this.elements.startBtn.textContent = 'Save Again';
+            this.elements.startBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Lines describing a result's measures, for clinicians.
+     * @param {object} summary The `summary` of a tremor test result.
+     * @returns {Array<string>}
+     */
+    static describe(summary) {
+        const format = (value, decimals, unit) => (value === null || value === undefined ? '–' : `${value.toFixed(decimals)}${unit}`);
+        const sensor = (name, measures, unit) => (measures
+            ? `${name} ${format(measures.frequency, 1, ' Hz')}, ${format(measures.bandRms, 3, ` ${unit}`)} RMS in band (${format(measures.bandShare, 0, '%')} of ${format(measures.rms, 3, ` ${unit}`)})`
+            : `${name} –`);
+        const posture = TremorTest.POSTURES[summary.posture]?.name || summary.posture;
+        return summary.recordings.map(recording => [
+            `${posture}, ${TremorTest.HANDS[recording.hand] || recording.hand}: ${format(recording.duration, 0, ' s')} at ${format(recording.sampleRate, 0, ' Hz')}`,
+            sensor('acceleration', recording.acceleration, 'm/s²'),
+            sensor('rotation', recording.rotationRate, '°/s')
+        ].join('; '));
+    }
+
+    showMessage(message, type) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = `info-banner ${type}`;
+        this.elements.message.style.display = 'block';
+    }
+
+    hideMessage() {
+        this.elements.message.style.display = 'none';
+    }
+}
+
+TremorTest.HAND_ORDER = ['right', 'left'];
+TremorTest.HANDS = {
+    right: 'Right Hand',
+    left: 'Left Hand'
+};
+TremorTest.POSTURES = {
+    rest: {
+        name: 'Rest Tremor',
+        instructions: (hand, seconds) => `Sit comfortably. Hold the phone loosely in your ${hand}, screen up, and rest that hand and forearm on your lap. Press Start, then relax and keep still for ${seconds} seconds until the phone vibrates or the screen says Done.`
+    },
+    postural: {
+        name: 'Postural Tremor',
+        instructions: (hand, seconds) => `Sit upright. Hold the phone in your ${hand}, screen up, and stretch that arm out in front of you at shoulder height. Press Start, then hold the position as still as you can for ${seconds} seconds until the phone vibrates or the screen says Done.`
+    }
+};
+// Milliseconds to wait for the first motion event before giving up
+TremorTest.SENSOR_TIMEOUT = 2000;
+// Vibration (ms) at the end of a recording, where the device supports it
+TremorTest.VIBRATION = 300;
@@ -3,9 +3,10 @@
  * Handles audio recording with pause/resume functionality, visualization, and storage
  */
 class VoiceRecorder {
-    constructor(databaseManager, patientManager) {
+    constructor(databaseManager, patientManager, recordingStaging) {
         this.db = databaseManager;
         this.patientManager = patientManager;
+        this.staging = recordingStaging;
         
         // Initialize all components
         this.elements = this.initializeDOMElements();
@@ -14,6 +15,16 @@ class VoiceRecorder {
         this.timer = this.initializeTimerState();
         this.audio = this.initializeAudioState();
         
+        // Set by PatientSession while the recorder runs as part of an assignment
+        this.sessionContext = null;
+        // Standardized voice task being run (see TestManager.getVoiceTask), or null for free recording
+        this.task = null;
+        this.taskProgress = this.initializeTaskProgress();
+        // Room noise measured with the current microphone: { noiseFloor, measuredAt, deviceId, durationSeconds }
+        this.calibration = null;
+        // Counts showRecoverableTakes() calls, so only the latest one renders
+        this.stagedTakesRequest = 0;
+        
         this.init();
     }
 
@@ -35,11 +46,41 @@ class VoiceRecorder {
             statusIndicator: document.getElementById('status-indicator'),
             recordingTime: document.getElementById('recording-time'),
             levelIndicator: document.getElementById('level-indicator'),
+            liveView: document.getElementById('live-view'),
+            spectrogramCanvas: document.getElementById('live-spectrogram'),
+            pitchCanvas: document.getElementById('live-pitch'),
             errorMessage: document.getElementById('error-message'),
             
+            // Microphone elements
+            microphoneSelect: document.getElementById('microphone-select'),
+            calibrateBtn: document.getElementById('calibrate-btn'),
+            calibrationStatus: document.getElementById('calibration-status'),
+            
+            // Interrupted takes
+            stagedTakes: document.getElementById('staged-takes'),
+            stagedTakesList: document.getElementById('staged-takes-list'),
+            
             // Audio elements
             audioPlayer: document.getElementById('audio-player'),
-            audioPlayback: document.getElementById('audio-playback')
+            audioPlayback: document.getElementById('audio-playback'),
+            waveform: document.getElementById('recording-waveform'),
+            uploadStatus: document.getElementById('upload-status'),
+            
+            // Quality check elements
+            qcPanel: document.getElementById('recording-qc'),
+            qcStatus: document.getElementById('recording-qc-status'),
+            qcMessages: document.getElementById('recording-qc-messages'),
+            qcActions: document.getElementById('recording-qc-actions'),
+            qcRetryBtn: document.getElementById('qc-retry-btn'),
+            qcOverrideBtn: document.getElementById('qc-override-btn'),
+            
+            // Voice task elements
+            taskPanel: document.getElementById('voice-task'),
+            taskName: document.getElementById('voice-task-name'),
+            taskInstructions: document.getElementById('voice-task-instructions'),
+            taskStimulus: document.getElementById('voice-task-stimulus'),
+            taskRepetition: document.getElementById('voice-task-repetition'),
+            taskCountdown: document.getElementById('voice-task-countdown')
         };
     }
 
@@ -47,7 +88,15 @@ class VoiceRecorder {
         return {
             isRecording: false,
             isPaused: false,
-            hasRecording: false
+            hasRecording: false,
+            isCountingDown: false,
+            isCalibrating: false,
+            isSaved: false,
+            savedRecordingId: null,
+            // Quality check of the current take (see RecordingQc): running, result, saved despite failing
+            isCheckingQuality: false,
+            qc: null,
+            qcOverridden: false
         };
     }
 
@@ -57,7 +106,12 @@ class VoiceRecorder {
             audioStream: null,
             audioChunks: [],
             recordingBlob: null,
-            mimeType: null
+            mimeType: null,
+            // Settings the browser applied to the microphone track, and the microphone's name
+            trackSettings: {},
+            deviceLabel: null,
+            // ID of the take's audio in the staging stores (see RecordingStaging) until it is saved or discarded
+            takeId: null
         };
     }
 
@@ -66,7 +120,18 @@ class VoiceRecorder {
             startTime: null,
             pausedDuration: 0,
             totalDuration: 0,
-            interval: null
+            interval: null,
+            countdownInterval: null,
+            countdownResolve: null,
+            calibrationInterval: null,
+            calibrationResolve: null
+        };
+    }
+
+    initializeTaskProgress() {
+        return {
+            repetition: 1,
+            recordingIds: []
         };
     }
 
@@ -75,7 +140,7 @@ class VoiceRecorder {
             context: null,
             analyser: null,
             microphone: null,
-            animationId: null
+            visualizationInterval: null
         };
     }
 
@@ -84,7 +149,12 @@ class VoiceRecorder {
             return;
         }
         
+        this.liveSpectrogram = new LiveSpectrogram(this.elements.spectrogramCanvas, this.elements.pitchCanvas);
+        this.waveform = new WaveformView(this.elements.waveform, this.elements.audioPlayer);
+        
         this.bindEventListeners();
+        this.populateMicrophones();
+        this.showRecoverableTakes();
         this.updateUI();
         
         console.log('Voice Recorder initialized successfully');
@@ -105,6 +175,20 @@ class VoiceRecorder {
         this.elements.stopBtn.addEventListener('click', () => this.handleStop());
         this.elements.saveBtn.addEventListener('click', () => this.handleSave());
         this.elements.downloadBtn.addEventListener('click', () => this.handleDownload());
+        this.elements.qcRetryBtn.addEventListener('click', () => this.handleRetry());
+        this.elements.qcOverrideBtn.addEventListener('click', () => this.handleSaveAnyway());
+        this.elements.microphoneSelect.addEventListener('change', () => this.onMicrophoneChanged());
+        this.elements.calibrateBtn.addEventListener('click', () => this.handleCalibrate());
+        this.elements.stagedTakesList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-take-id]');
+            if (button) {
+                this.handleStagedTake(button.dataset.takeId, button.dataset.action);
+            }
+        });
+        if (navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.populateMicrophones());
+        }
+        document.addEventListener('upload-progress', (event) => this.updateUploadStatus(event.detail));
     }
 
     // =============================================================================
@@ -146,10 +230,23 @@ class VoiceRecorder {
             this.showErrorBanner('No recording available to save.');
             return;
         }
+        if (this.state.isCheckingQuality) {
+            this.showInfoBanner('Please wait until the recording has been checked.');
+            return;
+        }
+        if (this.state.qc && !this.state.qc.passed && !this.state.qcOverridden) {
+            this.showErrorBanner('This recording did not pass the quality check. Record it again, or choose Save Anyway.');
+            return;
+        }
 
         try {
-            await this.saveToDatabase();
-            this.showSuccessBanner('Recording saved successfully');
+            const recordingId = await this.saveToDatabase();
+            if (this.task) {
+                this.onTaskTakeSaved(recordingId);
+            } else {
+                this.showSuccessBanner('Recording saved successfully');
+                this.notifyTestCompleted({ recordingId });
+            }
         } catch (error) {
             this.showErrorBanner('Failed to save recording. Please try again.');
             console.error('Save error:', error);
@@ -162,19 +259,56 @@ class VoiceRecorder {
         }
     }
 
+    // Discards a take that failed the quality check
+    handleRetry() {
+        this.resetRecording();
+        this.showInfoBanner('Press Start Recording when you are ready to try again.');
+    }
+
+    // Saves a take that failed the quality check; the override is stored with it
+    async handleSaveAnyway() {
+        if (!this.state.qc || this.state.qc.passed) return;
+
+        this.state.qcOverridden = true;
+        await this.handleSave();
+        if (!this.state.isSaved) {
+            this.state.qcOverridden = false;
+            this.updateUI();
+        }
+    }
+
     // =============================================================================
     // CORE RECORDING FUNCTIONALITY
     // =============================================================================
     async startRecording() {
+        // A new take replaces one that was not saved (or failed the quality check)
+        this.resetRecording();
+
         // Get microphone access
         this.recorder.audioStream = await this.getMicrophoneAccess();
         
         // Setup recorder
-        this.setupMediaRecorder();
+        await this.setupMediaRecorder();
         this.setupAudioVisualization();
         
-        // Start recording
+        // Voice tasks measure the room noise once, before the first take
+        if (this.task && !this.calibration && !await this.runCalibration()) {
+            this.cleanupAudioStream();
+            this.cleanupAudioContext();
+            return;
+        }
+        
+        // Voice tasks give the patient a countdown before the take starts
+        const countdown = this.task?.parameters.countdown || 0;
+        if (countdown > 0 && !await this.runCountdown(countdown)) {
+            this.cleanupAudioStream();
+            this.cleanupAudioContext();
+            return;
+        }
+        
+        // Start recording; the audio is staged as it arrives, in case the take is interrupted
         this.recorder.mediaRecorder.start(CONFIG.RECORDING.CHUNK_INTERVAL);
+        this.beginStagedTake();
         
         // Update state
         this.state.isRecording = true;
@@ -182,6 +316,8 @@ class VoiceRecorder {
         
         // Start timer and visualization
         this.startTimer();
+        this.liveSpectrogram.clear();
+        this.elements.liveView.style.display = 'block';
         this.startVisualization();
         
         // Update UI
@@ -219,15 +355,18 @@ class VoiceRecorder {
         // Stop recorder
         this.recorder.mediaRecorder.stop();
         
+        // Calculate final duration (while the elapsed time still counts)
+        this.timer.totalDuration = this.getCurrentElapsedTime();
+        this.stopTimer();
+        
         // Update state
         this.state.isRecording = false;
         this.state.isPaused = false;
         
-        // Calculate final duration
-        this.timer.totalDuration = this.getCurrentElapsedTime();
-        
         // Cleanup
         this.stopVisualization();
+        this.liveSpectrogram.stop();
+        this.elements.liveView.style.display = 'none';
         this.cleanupAudioStream();
         this.cleanupAudioContext();
         
@@ -239,32 +378,77 @@ class VoiceRecorder {
     // MEDIA RECORDER SETUP
     // =============================================================================
 
+    isWavCapture() {
+        return CONFIG.RECORDING.CAPTURE_MODE === 'wav';
+    }
+
     async getMicrophoneAccess() {
+        // Browser processing alters the voice signal, so it is off for lossless capture
+        const processing = !this.isWavCapture();
         const constraints = {
             audio: {
-                echoCancellation: true,
-                noiseSuppression: true,
-                autoGainControl: true
+                echoCancellation: processing,
+                noiseSuppression: processing,
+                autoGainControl: processing,
+                ...(processing ? {} : { channelCount: 1 })
             }
         };
-        return await navigator.mediaDevices.getUserMedia(constraints);
+        const deviceId = this.getSelectedDeviceId();
+        if (deviceId) {
+            constraints.audio.deviceId = { exact: deviceId };
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(constraints);
+        } catch (error) {
+            if (!deviceId || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+                throw error;
+            }
+            // The chosen microphone is gone (e.g. unplugged): use the default one
+            console.warn('Selected microphone not available, using the default one:', error);
+            this.selectMicrophone('');
+            delete constraints.audio.deviceId;
+            stream = await navigator.mediaDevices.getUserMedia(constraints);
+        }
+
+        const [track] = stream.getAudioTracks ? stream.getAudioTracks() : [];
+        this.recorder.trackSettings = track?.getSettings ? track.getSettings() : {};
+        this.recorder.deviceLabel = track?.label || null;
+        // Microphone names are only listed once access has been granted
+        this.populateMicrophones();
+        return stream;
     }
 
-    setupMediaRecorder() {
-        this.recorder.mimeType = this.getSupportedMimeType();
-        this.recorder.mediaRecorder = new MediaRecorder(
-            this.recorder.audioStream, 
-            { mimeType: this.recorder.mimeType }
-        );
+    async setupMediaRecorder() {
+        if (this.isWavCapture()) {
+            this.recorder.mediaRecorder = await PcmRecorder.create(this.recorder.audioStream, {
+                sampleRate: CONFIG.RECORDING.WAV.SAMPLE_RATE,
+                bitDepth: CONFIG.RECORDING.WAV.BIT_DEPTH
+            });
+            this.recorder.mimeType = this.recorder.mediaRecorder.mimeType;
+        } else {
+            this.recorder.mimeType = this.getSupportedMimeType();
+            this.recorder.mediaRecorder = new MediaRecorder(
+                this.recorder.audioStream, 
+                { mimeType: this.recorder.mimeType }
+            );
+        }
+
+        // Each recorder (one per take and repetition) fills its own buffers
+        this.recorder.audioChunks = [];
+        this.recorder.recordingBlob = null;
 
         // Setup event handlers
         this.recorder.mediaRecorder.ondataavailable = (event) => {
             if (event.data.size > 0) {
                 this.recorder.audioChunks.push(event.data);
+                this.staging.addChunk(this.recorder.takeId, event.data, this.getCurrentElapsedTime());
             }
         };
 
         this.recorder.mediaRecorder.onstop = () => {
+            this.staging.stop(this.recorder.takeId);
             this.processRecording();
         };
     }
@@ -274,21 +458,441 @@ class VoiceRecorder {
             return;
         }
 
-        // Create blob
-        this.recorder.recordingBlob = new Blob(
-            this.recorder.audioChunks, 
-            { type: this.recorder.mimeType }
-        );
+        // Create blob (PCM chunks get a WAV header)
+        this.recorder.recordingBlob = this.recorder.mediaRecorder instanceof PcmRecorder
+            ? PcmRecorder.toWav(this.recorder.audioChunks, this.recorder.mediaRecorder.format)
+            : new Blob(this.recorder.audioChunks, { type: this.recorder.mimeType });
 
         // Setup audio player
         const audioUrl = URL.createObjectURL(this.recorder.recordingBlob);
         this.elements.audioPlayer.src = audioUrl;
         this.elements.audioPlayback.style.display = 'block';
+        this.loadWaveform();
 
         // Update state
         this.state.hasRecording = true;
+        this.state.isSaved = false;
 
         console.log('Recording processed successfully');
+        this.checkQuality();
+    }
+
+    // =============================================================================
+    // QUALITY CHECK
+    // =============================================================================
+
+    // Checks the take before it can be saved; a take that fails needs "Save Anyway"
+    async checkQuality() {
+        const blob = this.recorder.recordingBlob;
+        this.state.isCheckingQuality = true;
+        this.state.qc = null;
+        this.state.qcOverridden = false;
+        this.renderQuality();
+        this.updateUI();
+
+        let qc = null;
+        try {
+            qc = await RecordingQc.evaluate(blob, {
+                taskLabel: this.task?.label || null,
+                taskDuration: this.task?.parameters.duration || null,
+                noiseFloor: this.calibration?.noiseFloor ?? null
+            });
+        } catch (error) {
+            // Takes that cannot be checked can still be saved
+            console.error('Recording quality check failed:', error);
+        }
+
+        // processRecording() runs again once the recorder has delivered the last audio
+        if (blob !== this.recorder.recordingBlob) return;
+
+        this.state.isCheckingQuality = false;
+        this.state.qc = qc;
+        this.renderQuality();
+        this.updateUI();
+    }
+
+    renderQuality() {
+        const { qcPanel, qcStatus, qcMessages, qcActions } = this.elements;
+        const { isCheckingQuality, qc } = this.state;
+        qcMessages.innerHTML = '';
+        qcActions.style.display = 'none';
+
+        if (isCheckingQuality) {
+            qcPanel.className = 'recording-qc';
+            qcStatus.textContent = 'Checking the recording...';
+        } else if (qc && qc.passed) {
+            qcPanel.className = 'recording-qc passed';
+            qcStatus.textContent = 'Recording quality OK ✓';
+        } else if (qc) {
+            qcPanel.className = 'recording-qc failed';
+            qcStatus.textContent = 'This recording may not be usable. Please record it again:';
+            RecordingQc.describe(qc).forEach(message => {
+                const li = document.createElement('li');
+                li.textContent = message;
+                qcMessages.appendChild(li);
+            });
+            qcActions.style.display = 'flex';
+        } else {
+            qcPanel.style.display = 'none';
+            return;
+        }
+        qcPanel.style.display = 'block';
+    }
+
+    // QC result stored with the recording, with the override if it was saved despite failing
+    getQualityMetadata() {
+        const { qc, qcOverridden } = this.state;
+        if (!qc) return null;
+
+        return {
+            ...qc,
+            override: qcOverridden
+                ? { overriddenAt: new Date().toISOString(), by: this.sessionContext ? 'patient' : 'clinician' }
+                : null
+        };
+    }
+
+    // =============================================================================
+    // MICROPHONE AND CALIBRATION
+    // =============================================================================
+
+    // Lists the audio inputs in the microphone picker, keeping the chosen one selected
+    async populateMicrophones() {
+        const select = this.elements.microphoneSelect;
+        if (!select || !navigator.mediaDevices.enumerateDevices) return;
+
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            // Without microphone access, browsers list inputs without IDs or names
+            const inputs = devices.filter(device => device.kind === 'audioinput' && device.deviceId && device.deviceId !== 'default');
+            const selected = this.getSelectedDeviceId();
+
+            select.innerHTML = '';
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = 'Default microphone';
+            select.appendChild(defaultOption);
+            inputs.forEach((device, index) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `Microphone ${index + 1}`;
+                select.appendChild(option);
+            });
+            select.value = inputs.some(device => device.deviceId === selected) ? selected : '';
+        } catch (error) {
+            console.warn('Could not list microphones:', error);
+        }
+    }
+
+    getSelectedDeviceId() {
+        return localStorage.getItem(VoiceRecorder.DEVICE_STORAGE_KEY) || '';
+    }
+
+    selectMicrophone(deviceId) {
+        if (deviceId) {
+            localStorage.setItem(VoiceRecorder.DEVICE_STORAGE_KEY, deviceId);
+        } else {
+            localStorage.removeItem(VoiceRecorder.DEVICE_STORAGE_KEY);
+        }
+        this.elements.microphoneSelect.value = deviceId;
+        // The room noise was measured with the previous microphone
+        this.calibration = null;
+        this.elements.calibrationStatus.style.display = 'none';
+    }
+
+    onMicrophoneChanged() {
+        this.selectMicrophone(this.elements.microphoneSelect.value);
+    }
+
+    async handleCalibrate() {
+        if (this.state.isRecording || this.state.isCalibrating || this.state.isCountingDown) {
+            return;
+        }
+
+        try {
+            this.recorder.audioStream = await this.getMicrophoneAccess();
+            this.setupAudioVisualization();
+            await this.runCalibration();
+        } catch (error) {
+            this.handleRecordingError(error);
+        } finally {
+            this.cleanupAudioStream();
+            this.cleanupAudioContext();
+        }
+    }
+
+    /**
+     * Measures the room noise through the open microphone and tells the patient whether
+     * the room is quiet enough.
+     * @returns {Promise<boolean>} False if the measurement was cancelled (see cancelCountdown).
+     */
+    async runCalibration() {
+        const { DURATION_SECONDS, MAX_NOISE_FLOOR } = CONFIG.RECORDING.CALIBRATION;
+        this.state.isCalibrating = true;
+        this.updateUI();
+        this.showCalibrationStatus('Measuring the room noise. Please stay quiet for a moment...', 'info');
+
+        const result = await this.measureNoiseFloor(DURATION_SECONDS);
+        this.state.isCalibrating = false;
+        this.updateUI();
+        if (!result) {
+            this.elements.calibrationStatus.style.display = 'none';
+            return false;
+        }
+
+        this.calibration = {
+            noiseFloor: result.noiseFloor,
+            measuredAt: new Date().toISOString(),
+            deviceId: this.recorder.trackSettings.deviceId || null,
+            durationSeconds: DURATION_SECONDS
+        };
+
+        if (result.noiseFloor === null) {
+            this.showCalibrationStatus('The room noise could not be measured in this browser.', 'info');
+        } else if (result.noiseFloor > MAX_NOISE_FLOOR) {
+            this.showCalibrationStatus(`The room is noisy (${result.noiseFloor.toFixed(0)} dBFS). Please move somewhere quieter, or turn off televisions, fans and open windows, then press Check Room Noise again.`, 'error');
+        } else {
+            this.showCalibrationStatus(`Room noise ${result.noiseFloor.toFixed(0)} dBFS: quiet enough for recording.`, 'success');
+        }
+        return true;
+    }
+
+    /**
+     * Median level of the microphone signal over a few seconds.
+     * @param {number} seconds Length of the measurement.
+     * @returns {Promise<{ noiseFloor: number|null }|null>} Level in dBFS (null without an
+     *   analyser), or null if cancelled.
+     */
+    measureNoiseFloor(seconds) {
+        const analyser = this.audio.analyser;
+        if (!analyser || !analyser.getFloatTimeDomainData) {
+            return Promise.resolve({ noiseFloor: null });
+        }
+
+        const buffer = new Float32Array(analyser.fftSize);
+        const levels = [];
+        const started = Date.now();
+        return new Promise(resolve => {
+            this.timer.calibrationResolve = resolve;
+            this.timer.calibrationInterval = setInterval(() => {
+                analyser.getFloatTimeDomainData(buffer);
+                let sum = 0;
+                for (let i = 0; i < buffer.length; i++) {
+                    sum += buffer[i] * buffer[i];
+                }
+                levels.push(10 * Math.log10(sum / buffer.length + 1e-12));
+
+                if (Date.now() - started >= seconds * 1000) {
+                    levels.sort((a, b) => a - b);
+                    const median = levels[Math.floor(levels.length / 2)];
+                    this.finishCalibration({ noiseFloor: Math.round(median * 10) / 10 });
+                }
+            }, VoiceRecorder.CALIBRATION_INTERVAL);
+        });
+    }
+
+    finishCalibration(result) {
+        clearInterval(this.timer.calibrationInterval);
+        this.timer.calibrationInterval = null;
+        if (this.timer.calibrationResolve) {
+            this.timer.calibrationResolve(result);
+            this.timer.calibrationResolve = null;
+        }
+    }
+
+    showCalibrationStatus(message, type) {
+        this.elements.calibrationStatus.textContent = message;
+        this.elements.calibrationStatus.className = `info-banner ${type}`;
+        this.elements.calibrationStatus.style.display = 'block';
+    }
+
+    // =============================================================================
+    // VOICE TASKS
+    // =============================================================================
+
+    /**
+     * Counts down before a task's take starts.
+     * @param {number} seconds Length of the countdown.
+     * @returns {Promise<boolean>} False if the countdown was cancelled (see cancelCountdown).
+     */
+    runCountdown(seconds) {
+        this.state.isCountingDown = true;
+        this.updateUI();
+        this.elements.taskCountdown.textContent = String(seconds);
+        this.elements.taskCountdown.style.display = 'block';
+
+        return new Promise(resolve => {
+            let remaining = seconds;
+            this.timer.countdownResolve = resolve;
+            this.timer.countdownInterval = setInterval(() => {
+                remaining -= 1;
+                if (remaining > 0) {
+                    this.elements.taskCountdown.textContent = String(remaining);
+                    return;
+                }
+                this.finishCountdown(true);
+            }, 1000);
+        });
+    }
+
+    finishCountdown(completed) {
+        clearInterval(this.timer.countdownInterval);
+        this.timer.countdownInterval = null;
+        this.state.isCountingDown = false;
+        this.elements.taskCountdown.style.display = 'none';
+        this.updateUI();
+
+        if (this.timer.countdownResolve) {
+            this.timer.countdownResolve(completed);
+            this.timer.countdownResolve = null;
+        }
+    }
+
+    // Also stops a room noise measurement that runs before the first take
+    cancelCountdown() {
+        if (this.state.isCountingDown) {
+            this.finishCountdown(false);
+        }
+        if (this.timer.calibrationResolve) {
+            this.finishCalibration(null);
+        }
+    }
+
+    // Stops a task's take once the configured duration is reached
+    checkTaskDuration(elapsed) {
+        const duration = this.task?.parameters.duration;
+        if (duration && elapsed >= duration * 1000 && this.canStop()) {
+            this.stopRecording();
+        }
+    }
+
+    onTaskTakeSaved(recordingId) {
+        const repetitions = this.task.parameters.repetitions || 1;
+        this.taskProgress.recordingIds.push(recordingId);
+
+        if (this.taskProgress.repetition < repetitions) {
+            const saved = this.taskProgress.repetition;
+            this.taskProgress.repetition += 1;
+            this.resetRecording();
+            this.renderTask();
+            this.showSuccessBanner(`Take ${saved} of ${repetitions} saved. Press Start Recording when you are ready for the next one.`);
+            return;
+        }
+
+        this.showSuccessBanner('Recording saved successfully');
+        this.notifyTestCompleted({
+            recordingId,
+            recordingIds: [...this.taskProgress.recordingIds],
+            taskLabel: this.task.label
+        });
+    }
+
+    renderTask() {
+        if (!this.elements.taskPanel) return;
+
+        if (!this.task) {
+            this.elements.taskPanel.style.display = 'none';
+            return;
+        }
+
+        const { parameters } = this.task;
+        const repetitions = parameters.repetitions || 1;
+        this.elements.taskName.textContent = this.task.name;
+        this.elements.taskInstructions.textContent = this.task.instructions;
+
+        // What the patient says or reads: the syllables, the passage or the monologue topic
+        const stimulus = parameters.syllables || parameters.passage || parameters.prompt || '';
+        this.elements.taskStimulus.textContent = stimulus;
+        this.elements.taskStimulus.style.display = stimulus ? 'block' : 'none';
+
+        const takeText = repetitions > 1 ? `Take ${this.taskProgress.repetition} of ${repetitions}. ` : '';
+        this.elements.taskRepetition.textContent = `${takeText}The recording stops automatically after ${parameters.duration} seconds.`;
+        this.elements.taskCountdown.style.display = 'none';
+        this.elements.taskPanel.style.display = 'block';
+    }
+
+    // =============================================================================
+    // INTERRUPTED TAKES
+    // =============================================================================
+
+    beginStagedTake() {
+        this.discardStagedTake();
+        const mediaRecorder = this.recorder.mediaRecorder;
+        this.recorder.takeId = this.staging.begin({
+            patientId: this.patientManager.getCurrentPatient().id,
+            mimeType: this.recorder.mimeType,
+            format: mediaRecorder instanceof PcmRecorder ? { ...mediaRecorder.format } : null,
+            metadata: this.getRecordingMetadata()
+        });
+    }
+
+    discardStagedTake() {
+        if (!this.recorder.takeId) return;
+        this.staging.discard(this.recorder.takeId);
+        this.recorder.takeId = null;
+    }
+
+    // Lists takes a crash, a locked phone or a closed tab left unsaved; sessions see only their own
+    async showRecoverableTakes() {
+        const request = ++this.stagedTakesRequest;
+
+        let takes = [];
+        try {
+            takes = await this.staging.getRecoverableTakes(this.recorder.takeId ? [this.recorder.takeId] : []);
+        } catch (error) {
+            console.error('Failed to look for interrupted recordings:', error);
+        }
+        // A newer call (e.g. from setSessionContext) has taken over
+        if (request !== this.stagedTakesRequest) return;
+
+        // Takes interrupted before any audio arrived have nothing to recover
+        takes.filter(take => take.chunkCount === 0).forEach(take => this.staging.discard(take.takeId));
+        takes = takes.filter(take => take.chunkCount > 0
+            && (!this.sessionContext || take.metadata?.assignmentId === this.sessionContext.assignmentId));
+
+        const list = this.elements.stagedTakesList;
+        list.innerHTML = '';
+        takes.forEach(take => {
+            const li = document.createElement('li');
+            const label = take.metadata?.taskLabel
+                ? `${take.metadata.taskLabel}, take ${take.metadata.repetition} of ${take.metadata.repetitions}`
+                : 'Free recording';
+            const text = document.createElement('span');
+            text.textContent = `${new Date(take.startedAt).toLocaleString()} - ${label}: ${(take.duration / 1000).toFixed(1)} s recorded`
+                + (take.stoppedAt ? ' (stopped but not saved)' : ' (interrupted)');
+            li.appendChild(text);
+
+            [['recover', 'Recover', 'btn btn-save'], ['discard', 'Discard', 'btn btn-secondary']].forEach(([action, caption, className]) => {
+                const button = document.createElement('button');
+                button.className = className;
+                button.dataset.takeId = take.takeId;
+                button.dataset.action = action;
+                button.textContent = caption;
+                li.appendChild(button);
+            });
+            list.appendChild(li);
+        });
+        this.elements.stagedTakes.style.display = takes.length > 0 ? 'block' : 'none';
+    }
+
+    // Saves a staged take as a recording flagged as recovered, or deletes it
+    async handleStagedTake(takeId, action) {
+        this.elements.stagedTakesList.querySelectorAll('button').forEach(button => { button.disabled = true; });
+        try {
+            if (action === 'recover') {
+                await this.staging.recover(takeId);
+                await this.updateDatabaseStatus();
+                this.showSuccessBanner('The interrupted recording was saved. It is marked as recovered, so it can be told apart from complete takes.');
+            } else {
+                if (confirm('Discard this recording? It cannot be recovered afterwards.')) {
+                    await this.staging.discard(takeId);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to handle the interrupted recording:', error);
+            this.showErrorBanner(`The interrupted recording could not be recovered: ${error.message}`);
+        }
+        await this.showRecoverableTakes();
     }
 
     // =============================================================================
@@ -300,7 +904,8 @@ class VoiceRecorder {
             this.audio.analyser = this.audio.context.createAnalyser();
             this.audio.microphone = this.audio.context.createMediaStreamSource(this.recorder.audioStream);
             
-            this.audio.analyser.fftSize = 256;
+            // Sets the analyser's FFT size for the spectrogram and the pitch trace
+            this.liveSpectrogram.start(this.audio.analyser, this.audio.context.sampleRate);
             this.audio.microphone.connect(this.audio.analyser);
         } catch (error) {
             console.warn('Audio visualization not available:', error);
@@ -313,7 +918,7 @@ class VoiceRecorder {
         const bufferLength = this.audio.analyser.frequencyBinCount;
         const dataArray = new Uint8Array(bufferLength);
 
-        const animate = () => {
+        this.audio.visualizationInterval = setInterval(() => {
             if (!this.state.isRecording || this.state.isPaused) {
                 return;
             }
@@ -325,16 +930,15 @@ class VoiceRecorder {
             const percentage = (average / 255) * 100;
             this.elements.levelIndicator.style.width = percentage + '%';
             
-            this.audio.animationId = requestAnimationFrame(animate);
-        };
-
-        animate();
+            // Scrolling spectrogram and pitch trace
+            this.liveSpectrogram.update();
+        }, CONFIG.UI.VISUALIZATION_UPDATE_INTERVAL);
     }
 
     stopVisualization() {
-        if (this.audio.animationId) {
-            cancelAnimationFrame(this.audio.animationId);
-            this.audio.animationId = null;
+        if (this.audio.visualizationInterval) {
+            clearInterval(this.audio.visualizationInterval);
+            this.audio.visualizationInterval = null;
         }
         
         if (this.elements.levelIndicator) {
@@ -350,6 +954,20 @@ class VoiceRecorder {
         return sum / dataArray.length;
     }
 
+    // Shows the waveform of the take under the audio player
+    async loadWaveform() {
+        const blob = this.recorder.recordingBlob;
+        try {
+            const { samples, sampleRate } = await VoiceFeatures.decode(blob);
+            // processRecording() runs again once the recorder has delivered the last audio
+            if (blob !== this.recorder.recordingBlob) return;
+            this.waveform.load(samples, sampleRate);
+        } catch (error) {
+            console.warn('Waveform not available:', error);
+            this.waveform.clear();
+        }
+    }
+
     // =============================================================================
     // TIMER FUNCTIONALITY
     // =============================================================================
@@ -360,10 +978,19 @@ class VoiceRecorder {
         this.timer.interval = setInterval(() => {
             const elapsed = this.getCurrentElapsedTime();
             const formatted = this.formatDuration(elapsed);
-            this.elements.recordingTime.textContent = formatted;
+            this.elements.recordingTime.textContent = this.task
+                ? `${formatted} / ${this.formatDuration(this.task.parameters.duration * 1000)}`
+                : formatted;
+            this.checkTaskDuration(elapsed);
         }, CONFIG.UI.TIMER_UPDATE_INTERVAL);
     }
 
+    stopTimer() {
+        clearInterval(this.timer.interval);
+        this.timer.interval = null;
+        this.elements.recordingTime.textContent = this.formatDuration(this.timer.totalDuration);
+    }
+
     getCurrentElapsedTime() {
         if (!this.state.isRecording) {
             return this.timer.totalDuration || 0;
@@ -399,15 +1026,100 @@ class VoiceRecorder {
             audioBlob: this.recorder.recordingBlob,
             duration: this.timer.totalDuration,
             mimeType: this.recorder.mimeType,
-            fileSize: this.recorder.recordingBlob.size
+            fileSize: this.recorder.recordingBlob.size,
+            metadata: {
+                ...this.getRecordingMetadata(),
+                qc: this.getQualityMetadata()
+            }
         };
 
         const recordingId = await this.db.addRecording(recordingData);
+        this.state.isSaved = true;
+        this.state.savedRecordingId = recordingId;
+        this.discardStagedTake();
         await this.updateDatabaseStatus();
+
+        // Lets the FeatureExtractor analyse the new recording
+        document.dispatchEvent(new CustomEvent('recording-saved', {
+            detail: {
+                recordingId,
+                patientId: currentPatient.id,
+                audioBlob: recordingData.audioBlob,
+                taskLabel: recordingData.metadata.taskLabel || null
+            }
+        }));
         
         return recordingId;
     }
 
+    // Metadata stored with the take (the QC result is added once it has been checked)
+    getRecordingMetadata() {
+        return {
+            ...this.sessionContext,
+            ...this.getTaskMetadata(),
+            capture: this.getCaptureMetadata(),
+            device: this.getDeviceMetadata(),
+            calibration: this.calibration ? { ...this.calibration } : null
+        };
+    }
+
+    // How the audio was captured, so analyses can tell lossless from processed recordings
+    getCaptureMetadata() {
+        const settings = this.recorder.trackSettings;
+        const mediaRecorder = this.recorder.mediaRecorder;
+        const capture = {
+            mode: mediaRecorder instanceof PcmRecorder ? 'wav' : 'compressed',
+            mimeType: this.recorder.mimeType,
+            echoCancellation: settings.echoCancellation ?? null,
+            noiseSuppression: settings.noiseSuppression ?? null,
+            autoGainControl: settings.autoGainControl ?? null
+        };
+
+        if (mediaRecorder instanceof PcmRecorder) {
+            Object.assign(capture, mediaRecorder.format, { engine: mediaRecorder.engine });
+        } else {
+            capture.sampleRate = settings.sampleRate ?? null;
+        }
+        // Everything the browser reports about the track (sample rate, channel count,
+        // processing flags, latency, device ID), so recordings from different devices can be compared
+        capture.trackSettings = { ...settings };
+        capture.deviceLabel = this.recorder.deviceLabel;
+        return capture;
+    }
+
+    // The browser and platform the recording was made with
+    getDeviceMetadata() {
+        return {
+            userAgent: navigator.userAgent,
+            platform: navigator.userAgentData?.platform || navigator.platform || null,
+            mobile: navigator.userAgentData?.mobile ?? null
+        };
+    }
+
+    // Task label, take number and parameters stored with each take of a voice task
+    getTaskMetadata() {
+        if (!this.task) return {};
+
+        return {
+            taskLabel: this.task.label,
+            repetition: this.taskProgress.repetition,
+            repetitions: this.task.parameters.repetitions || 1,
+            taskParameters: { ...this.task.parameters }
+        };
+    }
+
+    // Lets a running test session know the voice test produced its saved recording(s)
+    notifyTestCompleted(result) {
+        if (!this.sessionContext) return;
+
+        document.dispatchEvent(new CustomEvent('test-completed', {
+            detail: {
+                ...this.sessionContext,
+                result
+            }
+        }));
+    }
+
     downloadRecording() {
         const url = URL.createObjectURL(this.recorder.recordingBlob);
         const link = document.createElement('a');
@@ -426,8 +1138,9 @@ class VoiceRecorder {
         const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
         const duration = this.formatDuration(this.timer.totalDuration);
         const extension = this.getFileExtension();
+        const task = this.task ? `${this.task.label}-${this.taskProgress.repetition}-` : '';
         
-        return `parkinson-voice-test-${timestamp}-${duration.replace(':', 'm')}s${extension}`;
+        return `parkinson-voice-test-${task}${timestamp}-${duration.replace(':', 'm')}s${extension}`;
     }
 
     // =============================================================================
@@ -440,16 +1153,27 @@ class VoiceRecorder {
     }
 
     updateButtons() {
-        this.elements.startBtn.disabled = this.state.isRecording;
+        this.elements.startBtn.disabled = this.state.isRecording || this.state.isCountingDown || this.state.isCalibrating;
+        this.elements.calibrateBtn.disabled = this.state.isRecording || this.state.isCountingDown || this.state.isCalibrating;
+        this.elements.microphoneSelect.disabled = this.state.isRecording || this.state.isCountingDown || this.state.isCalibrating;
         this.elements.pauseBtn.disabled = !this.canPause();
         this.elements.resumeBtn.disabled = !this.canResume();
         this.elements.stopBtn.disabled = !this.canStop();
-        this.elements.saveBtn.disabled = !this.state.hasRecording;
+        this.elements.saveBtn.disabled = !this.state.hasRecording || this.state.isCheckingQuality
+            || (this.state.qc !== null && !this.state.qc.passed);
+        this.elements.qcRetryBtn.disabled = this.state.isSaved;
+        this.elements.qcOverrideBtn.disabled = this.state.isSaved;
         this.elements.downloadBtn.disabled = !this.state.hasRecording;
     }
 
     updateStatus() {
-        if (this.state.isRecording && !this.state.isPaused) {
+        if (this.state.isCalibrating) {
+            this.elements.statusText.textContent = 'Measuring room noise...';
+            this.elements.statusIndicator.className = 'status-indicator idle';
+        } else if (this.state.isCountingDown) {
+            this.elements.statusText.textContent = 'Get ready...';
+            this.elements.statusIndicator.className = 'status-indicator idle';
+        } else if (this.state.isRecording && !this.state.isPaused) {
             this.elements.statusText.textContent = 'Recording...';
             this.elements.statusIndicator.className = 'status-indicator recording';
         } else if (this.state.isRecording && this.state.isPaused) {
@@ -461,6 +1185,23 @@ class VoiceRecorder {
         }
     }
 
+    // Shows how far the saved recording's audio has got on its way to the server
+    updateUploadStatus({ recordingId, status, progress }) {
+        if (recordingId !== this.state.savedRecordingId || !this.elements.uploadStatus) {
+            return;
+        }
+
+        const messages = {
+            uploading: `Uploading to server... ${Math.round((progress || 0) * 100)}%`,
+            uploaded: 'Uploaded to server ✓',
+            waiting: 'Connection lost. The upload will continue automatically.',
+            failed: 'Upload failed. It will be retried the next time the app is opened.'
+        };
+        this.elements.uploadStatus.textContent = messages[status] || '';
+        this.elements.uploadStatus.className = `upload-status ${status}`;
+        this.elements.uploadStatus.style.display = 'block';
+    }
+
     updateTimer() {
         if (!this.state.isRecording && !this.state.hasRecording) {
             this.elements.recordingTime.textContent = '00:00';
@@ -496,8 +1237,9 @@ class VoiceRecorder {
         return true;
     }
 
+    // Voice tasks are timed, so their takes cannot be paused
     canPause() {
-        return this.state.isRecording && !this.state.isPaused;
+        return this.state.isRecording && !this.state.isPaused && !this.task;
     }
 
     canResume() {
@@ -576,6 +1318,7 @@ class VoiceRecorder {
     getFileExtension() {
         const mimeType = this.recorder.mimeType || this.getSupportedMimeType();
         
+        if (mimeType.includes('wav')) return '.wav';
         if (mimeType.includes('webm')) return '.webm';
         if (mimeType.includes('mp4')) return '.mp4';
         if (mimeType.includes('ogg')) return '.ogg';
@@ -620,6 +1363,60 @@ class VoiceRecorder {
         return this.state.hasRecording && this.recorder.recordingBlob !== null;
     }
 
+    // True while recording or when the last take has not been saved yet
+    hasUnsavedRecording() {
+        return this.state.isRecording || (this.hasRecording() && !this.state.isSaved);
+    }
+
+    setSessionContext(context) {
+        this.sessionContext = context;
+        // Sessions only offer their own interrupted takes
+        this.showRecoverableTakes();
+    }
+
+    /**
+     * Runs the recorder as a standardized voice task, starting at the first take.
+     * @param {object|null} task From TestManager.getVoiceTask; null for free recording.
+     */
+    setTask(task) {
+        this.cancelCountdown();
+        this.task = task;
+        this.taskProgress = this.initializeTaskProgress();
+        this.renderTask();
+        this.updateUI();
+    }
+
+    // Discard the current take so the recorder is ready for the next test
+    resetRecording() {
+        if (this.state.isRecording) return;
+
+        this.cancelCountdown();
+        this.discardStagedTake();
+
+        this.recorder.audioChunks = [];
+        this.recorder.recordingBlob = null;
+        this.timer.totalDuration = 0;
+        this.state.hasRecording = false;
+        this.state.isSaved = false;
+        this.state.savedRecordingId = null;
+        this.state.isCheckingQuality = false;
+        this.state.qc = null;
+        this.state.qcOverridden = false;
+        this.renderQuality();
+        if (this.elements.uploadStatus) {
+            this.elements.uploadStatus.style.display = 'none';
+        }
+
+        if (this.elements.audioPlayer.src) {
+            URL.revokeObjectURL(this.elements.audioPlayer.src);
+            this.elements.audioPlayer.removeAttribute('src');
+        }
+        this.elements.audioPlayback.style.display = 'none';
+        this.waveform.clear();
+
+        this.updateUI();
+    }
+
     getRecordingData() {
         if (!this.hasRecording()) {
             return null;
@@ -643,4 +1440,9 @@ class VoiceRecorder {
         
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
-}
\ No newline at end of file
+}
+
+// localStorage key of the chosen microphone's device ID
+VoiceRecorder.DEVICE_STORAGE_KEY = 'voice-recorder-device-id';
+// Milliseconds between level readings while the room noise is measured
+VoiceRecorder.CALIBRATION_INTERVAL = 50;
@@ -0,0 +1,348 @@
+/**
+ * Waveform View Module
+ * Zoomable waveform of a recording with a playhead that follows an <audio> element.
+ * Clicking the waveform plays from there; with `selectable`, dragging across it selects
+ * a region, and marked segments (e.g. each vowel repetition) are shaded and numbered.
+ * The view builds its own toolbar (zoom), canvas and scroll bar inside the container.
+ *
+ * Usage:
+ *   const view = new WaveformView(container, audio, { selectable: true, onSelect: (selection) => ... });
+ *   view.load(samples, sampleRate);
+ *   view.setMarks([{ start: 0.5, end: 1.2 }]);
+ */
+class WaveformView {
+    constructor(container, audio, { selectable = false, onSelect = null } = {}) {
+        this.container = container;
+        this.audio = audio;
+        this.selectable = selectable;
+        this.onSelect = onSelect;
+
+        this.samples = null;
+        this.sampleRate = null;
+        this.duration = 0;
+        // Visible part of the recording, in seconds
+        this.view = { start: 0, end: 0 };
+        // Selected region { start, end } in seconds, or null
+        this.selection = null;
+        this.marks = [];
+        this.drag = null;
+        this.animationId = null;
+        // playSelection() pauses the audio at this time
+        this.playUntil = null;
+
+        this.elements = this.createElements();
+        this.bindEvents();
+    }
+
+    createElements() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'waveform-toolbar';
+        const button = (text, title) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'btn btn-secondary';
+            element.textContent = text;
+            element.title = title;
+            toolbar.appendChild(element);
+            return element;
+        };
+        const zoomInBtn = button('Zoom In', 'Show less time, around the playhead');
+        const zoomOutBtn = button('Zoom Out', 'Show more time');
+        const zoomFitBtn = button('Whole Recording', 'Show the whole recording');
+        const viewText = document.createElement('span');
+        viewText.className = 'waveform-view-text';
+        toolbar.appendChild(viewText);
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'waveform-canvas';
+        canvas.width = WaveformView.WIDTH;
+        canvas.height = WaveformView.HEIGHT;
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', 'Waveform of the recording');
+
+        const scroll = document.createElement('input');
+        scroll.type = 'range';
+        scroll.className = 'waveform-scroll';
+        scroll.min = '0';
+        scroll.max = '1000';
+        scroll.value = '0';
+        scroll.setAttribute('aria-label', 'Scroll through the recording');
+
+        this.container.append(toolbar, canvas, scroll);
+        return { zoomInBtn, zoomOutBtn, zoomFitBtn, viewText, canvas, scroll };
+    }
+
+    bindEvents() {
+        const { zoomInBtn, zoomOutBtn, zoomFitBtn, canvas, scroll } = this.elements;
+        zoomInBtn.addEventListener('click', () => this.zoom(1 / WaveformView.ZOOM_FACTOR));
+        zoomOutBtn.addEventListener('click', () => this.zoom(WaveformView.ZOOM_FACTOR));
+        zoomFitBtn.addEventListener('click', () => this.setView(0, this.duration));
+        scroll.addEventListener('input', () => {
+            const length = this.view.end - this.view.start;
+            const start = Number(scroll.value) / 1000 * (this.duration - length);
+            this.setView(start, start + length);
+        });
+
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', () => { this.drag = null; });
+
+        this.audio.addEventListener('play', () => this.followPlayback());
+        this.audio.addEventListener('timeupdate', () => this.draw());
+        this.audio.addEventListener('seeked', () => this.draw());
+    }
+
+    /**
+     * Shows a recording, zoomed out to its whole length.
+     * @param {Float32Array|Float64Array} samples Mono samples (-1..1).
+     * @param {number} sampleRate Sample rate in Hz.
+     */
+    load(samples, sampleRate) {
+        this.samples = samples;
+        this.sampleRate = sampleRate;
+        this.duration = samples.length / sampleRate;
+        this.selection = null;
+        this.marks = [];
+        this.view = { start: 0, end: this.duration };
+        this.updateControls();
+        this.draw();
+        this.notifySelection();
+    }
+
+    clear() {
+        this.samples = null;
+        this.duration = 0;
+        this.selection = null;
+        this.marks = [];
+        this.view = { start: 0, end: 0 };
+        this.stopFollowing();
+        this.updateControls();
+        this.draw();
+    }
+
+    /**
+     * Shades and numbers segments of the recording.
+     * @param {Array<{ start: number, end: number }>} marks In seconds.
+     */
+    setMarks(marks) {
+        this.marks = marks.map(mark => ({ ...mark }));
+        this.draw();
+    }
+
+    clearSelection() {
+        this.selection = null;
+        this.draw();
+        this.notifySelection();
+    }
+
+    // Plays the selected region and stops at its end
+    playSelection() {
+        if (!this.selection) return;
+        this.audio.currentTime = this.selection.start;
+        this.playUntil = this.selection.end;
+        this.audio.play();
+    }
+
+    // =============================================================================
+    // VIEW AND ZOOM
+    // =============================================================================
+
+    // Changes the visible length by a factor, keeping the playhead (or the middle) in place
+    zoom(factor) {
+        if (!this.duration) return;
+
+        const length = Math.min(this.duration, Math.max(WaveformView.MIN_VIEW_LENGTH, (this.view.end - this.view.start) * factor));
+        const time = this.audio.currentTime;
+        const anchor = time >= this.view.start && time <= this.view.end
+            ? time
+            : (this.view.start + this.view.end) / 2;
+        const share = this.view.end > this.view.start ? (anchor - this.view.start) / (this.view.end - this.view.start) : 0.5;
+        const start = anchor - share * length;
+        this.setView(start, start + length);
+    }
+
+    setView(start, end) {
+        const length = Math.min(this.duration, end - start);
+        const clampedStart = Math.max(0, Math.min(this.duration - length, start));
+        this.view = { start: clampedStart, end: clampedStart + length };
+        this.updateControls();
+        this.draw();
+    }
+
+    updateControls() {
+        const { zoomInBtn, zoomOutBtn, zoomFitBtn, viewText, scroll } = this.elements;
+        const length = this.view.end - this.view.start;
+        const zoomedOut = !this.duration || length >= this.duration;
+        zoomInBtn.disabled = !this.duration || length <= WaveformView.MIN_VIEW_LENGTH;
+        zoomOutBtn.disabled = zoomedOut;
+        zoomFitBtn.disabled = zoomedOut;
+        scroll.disabled = zoomedOut;
+        scroll.value = zoomedOut ? '0' : String(Math.round(1000 * this.view.start / (this.duration - length)));
+        viewText.textContent = this.duration
+            ? `${this.view.start.toFixed(2)}–${this.view.end.toFixed(2)} s of ${this.duration.toFixed(2)} s`
+            : '';
+    }
+
+    // =============================================================================
+    // POINTER INPUT
+    // =============================================================================
+
+    onPointerDown(e) {
+        if (!this.duration) return;
+        this.drag = { x: e.clientX, time: this.timeAt(e.clientX), moved: false };
+        if (this.elements.canvas.setPointerCapture) {
+            this.elements.canvas.setPointerCapture(e.pointerId);
+        }
+    }
+
+    onPointerMove(e) {
+        if (!this.drag || !this.selectable) return;
+        if (Math.abs(e.clientX - this.drag.x) < WaveformView.DRAG_THRESHOLD && !this.drag.moved) return;
+
+        this.drag.moved = true;
+        const time = this.timeAt(e.clientX);
+        this.selection = {
+            start: Math.min(this.drag.time, time),
+            end: Math.max(this.drag.time, time)
+        };
+        this.draw();
+    }
+
+    onPointerUp(e) {
+        if (!this.drag) return;
+        const { moved, time } = this.drag;
+        this.drag = null;
+
+        if (moved) {
+            this.notifySelection();
+            return;
+        }
+        // A click plays from there
+        this.playUntil = null;
+        this.audio.currentTime = time;
+        this.draw();
+    }
+
+    timeAt(clientX) {
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const share = rect.width > 0 ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0;
+        return this.view.start + share * (this.view.end - this.view.start);
+    }
+
+    notifySelection() {
+        if (this.onSelect) {
+            this.onSelect(this.selection ? { ...this.selection } : null);
+        }
+    }
+
+    // =============================================================================
+    // PLAYBACK
+    // =============================================================================
+
+    // Moves the playhead every frame while playing, scrolling the view along with it
+    followPlayback() {
+        this.stopFollowing();
+        const step = () => {
+            const time = this.audio.currentTime;
+            if (this.playUntil !== null && time >= this.playUntil) {
+                this.audio.pause();
+                this.playUntil = null;
+            }
+            if (time > this.view.end && this.view.end < this.duration) {
+                const length = this.view.end - this.view.start;
+                this.setView(time, time + length);
+            } else {
+                this.draw();
+            }
+            this.animationId = this.audio.paused || this.audio.ended ? null : requestAnimationFrame(step);
+        };
+        this.animationId = requestAnimationFrame(step);
+    }
+
+    stopFollowing() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    // =============================================================================
+    // DRAWING
+    // =============================================================================
+
+    draw() {
+        const canvas = this.elements.canvas;
+        const context = canvas.getContext('2d');
+        if (!context) return;
+        const { width, height } = canvas;
+        const colors = WaveformView.COLORS;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = colors.background;
+        context.fillRect(0, 0, width, height);
+        if (!this.samples || !this.duration) return;
+
+        const length = this.view.end - this.view.start;
+        const toX = time => (time - this.view.start) / length * width;
+        const region = (start, end, color) => {
+            const x = Math.max(0, toX(start));
+            const right = Math.min(width, toX(end));
+            if (right <= x) return;
+            context.fillStyle = color;
+            context.fillRect(x, 0, Math.max(1, right - x), height);
+        };
+
+        context.font = WaveformView.FONT;
+        this.marks.forEach((mark, index) => {
+            region(mark.start, mark.end, colors.mark);
+            context.fillStyle = colors.markLabel;
+            context.fillText(String(index + 1), Math.max(0, toX(mark.start)) + 3, 12);
+        });
+        if (this.selection) {
+            region(this.selection.start, this.selection.end, colors.selection);
+        }
+
+        // Minimum and maximum of the samples under each pixel column
+        const middle = height / 2;
+        const first = Math.floor(this.view.start * this.sampleRate);
+        const perPixel = length * this.sampleRate / width;
+        context.fillStyle = colors.wave;
+        for (let x = 0; x < width; x++) {
+            const from = first + Math.floor(x * perPixel);
+            const to = Math.min(this.samples.length, Math.max(from + 1, first + Math.floor((x + 1) * perPixel)));
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = from; i < to; i++) {
+                if (this.samples[i] < min) min = this.samples[i];
+                if (this.samples[i] > max) max = this.samples[i];
+            }
+            if (min === Infinity) continue;
+            const top = middle - max * middle;
+            context.fillRect(x, top, 1, Math.max(1, (max - min) * middle));
+        }
+
+        const playhead = toX(this.audio.currentTime || 0);
+        if (playhead >= 0 && playhead <= width) {
+            context.fillStyle = colors.playhead;
+            context.fillRect(Math.min(width - 2, playhead), 0, 2, height);
+        }
+    }
+}
+
+// Canvas size in pixels (CSS stretches it to the container's width)
+WaveformView.WIDTH = 1000;
+WaveformView.HEIGHT = 140;
+// Shortest visible length in seconds, and the factor of each zoom step
+WaveformView.MIN_VIEW_LENGTH = 0.05;
+WaveformView.ZOOM_FACTOR = 2;
+// Pixels the pointer must move before a click becomes a selection
+WaveformView.DRAG_THRESHOLD = 4;
+WaveformView.FONT = '11px sans-serif';
+WaveformView.COLORS = {
+    background: '#f7fafc',
+    wave: '#4299e1',
+    selection: 'rgba(237, 137, 54, 0.3)',
+    mark: 'rgba(103, 59, 150, 0.18)',
+    markLabel: '#673b96',
+    playhead: '#f56565'
+};
@@ -0,0 +1,37 @@
+/**
+ * Analysis Worker
+ * Web Worker used by FeatureExtractor and RecordingQc. Runs VoiceFeatures on its own
+ * thread, so analysing a long recording does not block recording or the dashboard.
+ *
+ * Messages in: { type: 'analyze', recordingId, audio, taskLabel } or
+ *              { type: 'qc', audio, options }, where `audio` is a WAV Blob or already
+ *              decoded `{ samples, sampleRate }` (the Web Audio decoder needed for
+ *              compressed formats is not available in workers)
+ * Messages out: { type: 'progress', recordingId, progress } while analysing, then
+ *              { type: 'result', recordingId, sampleRate, features },
+ *              { type: 'qc-result', qc } or { type: 'error', recordingId, message }
+ *
+ * Cancelling a job terminates the worker; FeatureExtractor starts a new one for the next job.
+ */
+importScripts('voice-features.js', 'recording-qc.js');
+
+self.onmessage = async (event) => {
+    const { type, recordingId = null, audio, taskLabel, options } = event.data;
+    try {
+        const { samples, sampleRate } = audio instanceof Blob
+            ? VoiceFeatures.parseWav(await audio.arrayBuffer())
+            : audio;
+
+        if (type === 'qc') {
+            self.postMessage({ type: 'qc-result', qc: RecordingQc.check(samples, sampleRate, options) });
+            return;
+        }
+
+        const features = VoiceFeatures.analyzeRecording(samples, sampleRate, taskLabel, (progress) => {
+            self.postMessage({ type: 'progress', recordingId, progress });
+        });
+        self.postMessage({ type: 'result', recordingId, sampleRate, features });
+    } catch (error) {
+        self.postMessage({ type: 'error', recordingId, message: error.message });
+    }
+};
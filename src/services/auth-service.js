@@ -0,0 +1,159 @@
+/**
+ * Auth Service Module
+ * Keeps track of the logged-in clinician. The session itself is an HttpOnly
+ * cookie set by the server (see server/auth.js), so this only mirrors its state.
+ */
+class AuthService {
+    constructor(baseUrl = CONFIG.API.BASE_URL) {
+        this.baseUrl = baseUrl;
+        this.currentClinician = null;
+    }
+
+    // Restores the clinician of an existing session cookie, if any
+    async init() {
+        try {
+            this.currentClinician = await this.request('GET', '/auth/me', { allowUnauthorized: true });
+        } catch (error) {
+            console.error('Could not check the clinician session:', error);
+            this.currentClinician = null;
+        }
+        return this.currentClinician;
+    }
+
+    async request(method, path, options = {}) {
+        const { body, allowUnauthorized = false } = options;
+        const init = { method, headers: {} };
+
+        if (body !== undefined) {
+            init.body = JSON.stringify(body);
+            init.headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, init);
+
+        if (response.status === 401 && allowUnauthorized) {
+            return null;
+        }
+        if (!response.ok) {
+            const payload = await response.json().catch(() => ({}));
+            const error = new Error(payload.error || `Request failed: ${method} ${path} (${response.status})`);
+            error.status = response.status;
+            error.payload = payload;
+            throw error;
+        }
+        if (response.status === 204) {
+            return null;
+        }
+        return response.json();
+    }
+
+    /**
+     * First login step.
+     * @returns {Promise<object>} The clinician, or `{ mfaRequired: true, mfaToken }` when the
+     *   account has two-factor authentication and `verifyMfa` must be called next.
+     */
+    async login(username, password) {
+        const result = await this.request('POST', '/auth/login', { body: { username, password } });
+        if (result.mfaRequired) {
+            return result;
+        }
+        this.currentClinician = result;
+        return this.currentClinician;
+    }
+
+    /**
+     * Second login step for accounts with two-factor authentication.
+     * @param {string} mfaToken Token returned by `login`.
+     * @param {object} factor `{ code }` from the authenticator app or `{ recoveryCode }`.
+     */
+    async verifyMfa(mfaToken, factor) {
+        this.currentClinician = await this.request('POST', '/auth/mfa/verify', { body: { mfaToken, ...factor } });
+        return this.currentClinician;
+    }
+
+    async logout() {
+        try {
+            await this.request('POST', '/auth/logout');
+        } finally {
+            this.currentClinician = null;
+        }
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        await this.request('PUT', '/auth/password', { body: { currentPassword, newPassword } });
+    }
+
+    // TWO-FACTOR AUTHENTICATION (own account)
+
+    // Returns { secret, otpauthUri } for the authenticator app
+    async startMfaSetup() {
+        return this.request('POST', '/auth/mfa/setup');
+    }
+
+    // Confirms the setup with a code from the app; returns the one-time recovery codes
+    async enableMfa(code) {
+        const { clinician, recoveryCodes } = await this.request('POST', '/auth/mfa/enable', { body: { code } });
+        this.currentClinician = clinician;
+        return recoveryCodes;
+    }
+
+    async regenerateRecoveryCodes(code) {
+        const { clinician, recoveryCodes } = await this.request('POST', '/auth/mfa/recovery-codes', { body: { code } });
+        this.currentClinician = clinician;
+        return recoveryCodes;
+    }
+
+    async disableMfa(password, code) {
+        this.currentClinician = await this.request('DELETE', '/auth/mfa', { body: { password, code } });
+    }
+
+    // The server requires MFA (REQUIRE_MFA) and this clinician has not enrolled yet
+    needsMfaSetup() {
+        return this.isAuthenticated() && Boolean(this.currentClinician.mfaSetupRequired);
+    }
+
+    // Forget the clinician locally, e.g. after the server reported an expired session
+    clear() {
+        this.currentClinician = null;
+    }
+
+    isAuthenticated() {
+        return this.currentClinician !== null;
+    }
+
+    getCurrentClinician() {
+        return this.currentClinician;
+    }
+
+    /**
+     * @param {...string} roles Roles to check ('admin', 'clinician', 'researcher').
+     * @returns {boolean} True if the logged-in clinician has one of the roles.
+     */
+    hasRole(...roles) {
+        return this.isAuthenticated() && roles.includes(this.currentClinician.role);
+    }
+
+    // Researchers have read-only access
+    canWrite() {
+        return this.hasRole('admin', 'clinician');
+    }
+
+    // CLINICIAN ACCOUNTS (admin only)
+
+    async getClinicians() {
+        return this.request('GET', '/clinicians');
+    }
+
+    async createClinician(account) {
+        return this.request('POST', '/clinicians', { body: account });
+    }
+
+    async updateClinician(clinicianId, changes) {
+        return this.request('PUT', `/clinicians/${encodeURIComponent(clinicianId)}`, { body: changes });
+    }
+
+    // Removes MFA from an account whose owner lost their authenticator and recovery codes
+    async resetClinicianMfa(clinicianId) {
+        return this.request('DELETE', `/clinicians/${encodeURIComponent(clinicianId)}/mfa`);
+    }
+}
@@ -6,6 +6,12 @@ class DatabaseManager {
         this.dbVersion = CONFIG.DATABASE.VERSION;
         this.patientsTable = CONFIG.DATABASE?.PATIENTS_TABLE || 'patients';
         this.recordingsTable = CONFIG.DATABASE?.RECORDINGS_TABLE || 'recordings';
+        this.featuresTable = CONFIG.DATABASE?.FEATURES_TABLE || 'recording-features';
+        this.uploadsTable = CONFIG.DATABASE?.UPLOADS_TABLE || 'pending-uploads';
+        this.analysisJobsTable = CONFIG.DATABASE?.ANALYSIS_JOBS_TABLE || 'analysis-jobs';
+        this.stagedTakesTable = CONFIG.DATABASE?.STAGED_TAKES_TABLE || 'staged-takes';
+        this.stagedChunksTable = CONFIG.DATABASE?.STAGED_CHUNKS_TABLE || 'staged-chunks';
+        this.testResultsTable = CONFIG.DATABASE?.TEST_RESULTS_TABLE || 'test-results';
         this.readyPromise = this.init();
         this.isReady = false;
     }
@@ -46,8 +52,7 @@ class DatabaseManager {
         try {
             // Create the patients object store
             if (!db.objectStoreNames.contains(this.patientsTable)) {
-                db.createObjectStore(this.patientsTable, { keyPath: 'id' });
-                patientStore.createIndex('id', { unique: true });
+                const patientStore = db.createObjectStore(this.patientsTable, { keyPath: 'id', autoIncrement: true });
                 patientStore.createIndex('firstName', 'firstName', { unique: false });
                 patientStore.createIndex('lastName', 'lastName', { unique: false });
                 patientStore.createIndex('dateOfBirth', 'dateOfBirth', { unique: false });
@@ -64,12 +69,42 @@ class DatabaseManager {
                 recordingStore.createIndex('patientDateTime', ['patientId', 'dateTime'], { unique: false });
             }
 
+            // Create the recording features object store (one record per recording)
+            if (!db.objectStoreNames.contains(this.featuresTable)) {
+                const featuresStore = db.createObjectStore(this.featuresTable, { keyPath: 'recordingId' });
+                featuresStore.createIndex('patientId', 'patientId', { unique: false });
+            }
+
             // Create the test assignments object store
             if (!db.objectStoreNames.contains('test-assignments')) {
                 const assignmentsStore = db.createObjectStore('test-assignments', { keyPath: 'id' });
                 assignmentsStore.createIndex('patientId', 'patientId', { unique: false });
             }
             
+            // Create the pending uploads object store (audio waiting to reach the server)
+            if (!db.objectStoreNames.contains(this.uploadsTable)) {
+                db.createObjectStore(this.uploadsTable, { keyPath: 'recordingId' });
+            }
+
+            // Create the analysis jobs object store (recordings waiting for feature extraction)
+            if (!db.objectStoreNames.contains(this.analysisJobsTable)) {
+                db.createObjectStore(this.analysisJobsTable, { keyPath: 'recordingId' });
+            }
+
+            // Create the staged takes and chunks object stores (audio of takes not saved yet)
+            if (!db.objectStoreNames.contains(this.stagedTakesTable)) {
+                db.createObjectStore(this.stagedTakesTable, { keyPath: 'takeId' });
+            }
+            if (!db.objectStoreNames.contains(this.stagedChunksTable)) {
+                db.createObjectStore(this.stagedChunksTable, { keyPath: ['takeId', 'index'] });
+            }
+
+            // Create the test results object store (results and raw data of the non-voice tests)
+            if (!db.objectStoreNames.contains(this.testResultsTable)) {
+                const resultsStore = db.createObjectStore(this.testResultsTable, { keyPath: 'id' });
+                resultsStore.createIndex('patientId', 'patientId', { unique: false });
+            }
+            
             console.log('Database upgrade complete. Stores created/updated.');
         } catch (error) {
             console.error('Error creating tables:', error);
@@ -190,19 +225,27 @@ class DatabaseManager {
             throw new Error('Patient ID is required');
         }
 
-        return this.executeTransaction([this.patientsTable, this.recordingsTable], 'readwrite', (transaction) => {
+        return this.executeTransaction([this.patientsTable, this.recordingsTable, this.featuresTable, this.testResultsTable], 'readwrite', (transaction) => {
             return new Promise(async (resolve, reject) => {
                 try {
                     const patientStore = transaction.objectStore(this.patientsTable);
                     const recordingStore = transaction.objectStore(this.recordingsTable);
+                    const featuresStore = transaction.objectStore(this.featuresTable);
+                    const resultsStore = transaction.objectStore(this.testResultsTable);
                     const recordingIndex = recordingStore.index('patientId');
 
+                    const resultsRequest = resultsStore.index('patientId').getAllKeys(Number(patientId));
+                    resultsRequest.onsuccess = () => {
+                        resultsRequest.result.forEach(resultId => resultsStore.delete(resultId));
+                    };
+
                     // Delete all recordings for this patient first
                     const recordingsRequest = recordingIndex.getAll(Number(patientId));
                     recordingsRequest.onsuccess = () => {
                         const recordings = recordingsRequest.result;
                         const deletePromises = recordings.map(recording => {
                             return new Promise((res, rej) => {
+                                featuresStore.delete(recording.id);
                                 const deleteRequest = recordingStore.delete(recording.id);
                                 deleteRequest.onsuccess = () => res();
                                 deleteRequest.onerror = () => rej(deleteRequest.error);
@@ -358,9 +401,10 @@ class DatabaseManager {
             throw new Error('Recording ID is required');
         }
 
-        return this.executeTransaction([this.recordingsTable], 'readwrite', (transaction) => {
+        return this.executeTransaction([this.recordingsTable, this.featuresTable], 'readwrite', (transaction) => {
             return new Promise((resolve, reject) => {
                 const store = transaction.objectStore(this.recordingsTable);
+                transaction.objectStore(this.featuresTable).delete(Number(recordingId));
                 const request = store.delete(Number(recordingId));
 
                 request.onsuccess = () => resolve(true);
@@ -386,6 +430,72 @@ class DatabaseManager {
         });
     }
 
+    // RECORDING FEATURES OPERATIONS
+    // Acoustic features computed from a recording (see VoiceFeatures), stored under its ID
+
+    async saveRecordingFeatures(recordingId, featureData) {
+        if (!recordingId || !featureData?.features) {
+            throw new Error('Recording ID and features are required');
+        }
+
+        const recording = await this.getRecording(recordingId);
+        if (!recording) {
+            throw new Error('Recording not found');
+        }
+
+        const record = {
+            recordingId: recording.id,
+            patientId: recording.patientId,
+            extractorVersion: featureData.extractorVersion,
+            computedAt: featureData.computedAt || new Date().toISOString(),
+            sampleRate: featureData.sampleRate ?? null,
+            duration: featureData.duration ?? null,
+            features: featureData.features
+        };
+
+        return this.executeTransaction([this.featuresTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.featuresTable);
+                const request = store.put(record);
+
+                request.onsuccess = () => resolve(record);
+                request.onerror = () => reject(new Error('Failed to save recording features'));
+            });
+        });
+    }
+
+    async getRecordingFeatures(recordingId) {
+        if (!recordingId) {
+            throw new Error('Recording ID is required');
+        }
+
+        return this.executeTransaction([this.featuresTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.featuresTable);
+                const request = store.get(Number(recordingId));
+
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(new Error('Failed to get recording features'));
+            });
+        });
+    }
+
+    async getPatientFeatures(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        return this.executeTransaction([this.featuresTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.featuresTable);
+                const request = store.index('patientId').getAll(Number(patientId));
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Failed to get patient features'));
+            });
+        });
+    }
+
     // TESTS OPERATIONS
     async addTestAssignment(assignmentData) {
         if (!assignmentData) {
@@ -403,18 +513,398 @@ class DatabaseManager {
         });
     }
 
+    async getTestAssignment(assignmentId) {
+        if (!assignmentId) {
+            throw new Error('Assignment ID is required');
+        }
+
+        return this.executeTransaction(['test-assignments'], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore('test-assignments');
+                const request = store.get(String(assignmentId));
+
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(new Error('Failed to get test assignment'));
+            });
+        });
+    }
+
+    async updateTestAssignment(assignmentData) {
+        if (!assignmentData?.id) {
+            throw new Error('Test assignment data must include an ID');
+        }
+
+        const updatedAssignment = {
+            ...assignmentData,
+            updatedAt: new Date().toISOString()
+        };
+
+        return this.executeTransaction(['test-assignments'], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore('test-assignments');
+                const request = store.put(updatedAssignment);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to update test assignment'));
+            });
+        });
+    }
+
+    async getPatientAssignments(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        return this.executeTransaction(['test-assignments'], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore('test-assignments');
+                const request = store.getAll();
+
+                // Patient IDs may have been stored as strings (e.g. from a select value)
+                request.onsuccess = () => resolve(request.result.filter(a => Number(a.patientId) === Number(patientId)));
+                request.onerror = () => reject(new Error('Failed to get test assignments'));
+            });
+        });
+    }
+
+    // TEST RESULTS OPERATIONS
+    // Results of the tests that are not voice recordings (e.g. the drawing test), with their raw data
+
+    async addTestResult(resultData) {
+        if (!resultData?.id || !resultData.patientId) {
+            throw new Error('Test result data must include an ID and a patient ID');
+        }
+
+        const record = { ...resultData, patientId: Number(resultData.patientId) };
+        return this.executeTransaction([this.testResultsTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.testResultsTable);
+                const request = store.add(record);
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Failed to add test result'));
+            });
+        });
+    }
+
+    async getTestResult(resultId) {
+        if (!resultId) {
+            throw new Error('Test result ID is required');
+        }
+
+        return this.executeTransaction([this.testResultsTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.testResultsTable);
+                const request = store.get(String(resultId));
+
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(new Error('Failed to get test result'));
+            });
+        });
+    }
+
+    // Results without their raw data, which getTestResult() returns
+    async getPatientTestResults(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        return this.executeTransaction([this.testResultsTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.testResultsTable);
+                const request = store.index('patientId').getAll(Number(patientId));
+
+                request.onsuccess = () => resolve(request.result.map(({ data, ...result }) => result));
+                request.onerror = () => reject(new Error('Failed to get test results'));
+            });
+        });
+    }
+
+    // ASSIGNMENT LINKS
+    // Without a server there is no key to sign tokens with: a local link token is the
+    // assignment ID plus a random link ID, checked against the same rules as server links.
+
+    async issueAssignmentLink(assignmentId, options = {}) {
+        const assignment = await this.getTestAssignment(assignmentId);
+        if (!assignment) {
+            throw new Error('Test assignment not found');
+        }
+
+        const expiresInDays = Number(options.expiresInDays) || CONFIG.LINKS.DEFAULT_EXPIRY_DAYS;
+        const randomBytes = crypto.getRandomValues(new Uint8Array(16));
+        const link = {
+            id: Array.from(randomBytes, byte => byte.toString(16).padStart(2, '0')).join(''),
+            issuedAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+            maxUses: Number(options.maxUses) || CONFIG.LINKS.DEFAULT_MAX_USES,
+            uses: 0,
+            requireDateOfBirth: Boolean(options.requireDateOfBirth),
+            failedAttempts: 0,
+            revokedAt: null
+        };
+
+        const updated = { ...assignment, link };
+        await this.updateTestAssignment(updated);
+        return { token: `${assignment.id}.${link.id}`, assignment: updated };
+    }
+
+    async revokeAssignmentLink(assignmentId) {
+        const assignment = await this.getTestAssignment(assignmentId);
+        if (!assignment?.link) {
+            throw new Error('Test assignment has no link');
+        }
+
+        const updated = { ...assignment, link: { ...assignment.link, revokedAt: new Date().toISOString() } };
+        await this.updateTestAssignment(updated);
+        return updated;
+    }
+
+    /**
+     * Opens an assignment link and counts one use of it.
+     * @param {string} token The token from the `#test-session?token=` link.
+     * @param {string|null} [dateOfBirth] Required when the link is bound to the patient's date of birth.
+     * @returns {Promise<object>} The assignment.
+     * @throws {Error} With a `reason`: 'invalid', 'revoked', 'locked', 'expired', 'completed',
+     *   'used', 'dob-required' or 'dob-invalid'.
+     */
+    async openAssignmentLink(token, dateOfBirth = null) {
+        const fail = (reason, message) => Object.assign(new Error(message), { reason });
+        const separator = String(token || '').lastIndexOf('.');
+        const assignment = separator > 0 && await this.getTestAssignment(token.slice(0, separator));
+        if (!assignment) {
+            throw fail('invalid', 'This link is not valid');
+        }
+
+        const link = assignment.link;
+        if (!link || link.id !== token.slice(separator + 1) || (link.revokedAt && link.revokedReason !== 'too-many-attempts')) {
+            throw fail('revoked', 'This link is no longer valid');
+        }
+        if (link.revokedAt) {
+            throw fail('locked', 'This link was locked after too many incorrect attempts');
+        }
+        if (new Date(link.expiresAt) <= new Date()) {
+            throw fail('expired', 'This link has expired');
+        }
+        if (assignment.progress?.status === 'completed') {
+            throw fail('completed', 'These tests have already been completed');
+        }
+
+        // Reopening the link in the same tab (e.g. a reload) does not use it again
+        if (sessionStorage.getItem('open-assignment-link') === token) {
+            return assignment;
+        }
+        if (link.uses >= link.maxUses) {
+            throw fail('used', 'This link has already been used');
+        }
+
+        if (link.requireDateOfBirth) {
+            if (!dateOfBirth) {
+                throw fail('dob-required', 'Please enter your date of birth');
+            }
+            const patient = await this.getPatient(assignment.patientId);
+            if (!patient || patient.dateOfBirth !== dateOfBirth) {
+                const failedAttempts = (link.failedAttempts || 0) + 1;
+                const locked = failedAttempts >= CONFIG.LINKS.MAX_DOB_ATTEMPTS;
+                await this.updateTestAssignment({
+                    ...assignment,
+                    link: {
+                        ...link,
+                        failedAttempts,
+                        ...(locked ? { revokedAt: new Date().toISOString(), revokedReason: 'too-many-attempts' } : {})
+                    }
+                });
+                throw locked
+                    ? fail('locked', 'This link was locked after too many incorrect attempts')
+                    : fail('dob-invalid', 'The date of birth does not match our records');
+            }
+        }
+
+        const updated = {
+            ...assignment,
+            link: { ...link, uses: link.uses + 1, failedAttempts: 0, lastUsedAt: new Date().toISOString() }
+        };
+        await this.updateTestAssignment(updated);
+        sessionStorage.setItem('open-assignment-link', token);
+        return updated;
+    }
+
+    // Patient sessions are authenticated by the server's session cookie;
+    // nothing to do when the data lives in this browser
+    setAssignmentContext(assignmentId) {}
+
+    // PENDING UPLOAD OPERATIONS
+    // Always kept in this browser's IndexedDB, whichever backend stores the recordings
+
+    async savePendingUpload(uploadJob) {
+        if (!uploadJob?.recordingId) {
+            throw new Error('Pending upload must include a recordingId');
+        }
+
+        return this.executeTransaction([this.uploadsTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.uploadsTable);
+                const request = store.put(uploadJob);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to save pending upload'));
+            });
+        });
+    }
+
+    async getPendingUploads() {
+        return this.executeTransaction([this.uploadsTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.uploadsTable);
+                const request = store.getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Failed to get pending uploads'));
+            });
+        });
+    }
+
+    async deletePendingUpload(recordingId) {
+        return this.executeTransaction([this.uploadsTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.uploadsTable);
+                const request = store.delete(recordingId);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to delete pending upload'));
+            });
+        });
+    }
+
+    // ANALYSIS JOB OPERATIONS
+    // Queue of the FeatureExtractor, kept in this browser's IndexedDB like pending uploads
+
+    async saveAnalysisJob(job) {
+        if (!job?.recordingId) {
+            throw new Error('Analysis job must include a recordingId');
+        }
+
+        return this.executeTransaction([this.analysisJobsTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.analysisJobsTable);
+                const request = store.put(job);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to save analysis job'));
+            });
+        });
+    }
+
+    async getAnalysisJobs() {
+        return this.executeTransaction([this.analysisJobsTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.analysisJobsTable);
+                const request = store.getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Failed to get analysis jobs'));
+            });
+        });
+    }
+
+    async deleteAnalysisJob(recordingId) {
+        return this.executeTransaction([this.analysisJobsTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.analysisJobsTable);
+                const request = store.delete(recordingId);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to delete analysis job'));
+            });
+        });
+    }
+
+    // STAGED TAKE OPERATIONS
+    // Takes being recorded, kept in this browser's IndexedDB until saved or discarded (see RecordingStaging)
+
+    async saveStagedTake(take) {
+        if (!take?.takeId) {
+            throw new Error('Staged take must include a takeId');
+        }
+
+        return this.executeTransaction([this.stagedTakesTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.stagedTakesTable);
+                const request = store.put(take);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to save staged take'));
+            });
+        });
+    }
+
+    async getStagedTakes() {
+        return this.executeTransaction([this.stagedTakesTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.stagedTakesTable);
+                const request = store.getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Failed to get staged takes'));
+            });
+        });
+    }
+
+    async addStagedChunk(chunk) {
+        if (!chunk?.takeId || !Number.isInteger(chunk.index)) {
+            throw new Error('Staged chunk must include a takeId and an index');
+        }
+
+        return this.executeTransaction([this.stagedChunksTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.stagedChunksTable);
+                const request = store.put(chunk);
+
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to save staged chunk'));
+            });
+        });
+    }
+
+    // Chunks of a take in recording order
+    async getStagedChunks(takeId) {
+        return this.executeTransaction([this.stagedChunksTable], 'readonly', (transaction) => {
+            return new Promise((resolve, reject) => {
+                const store = transaction.objectStore(this.stagedChunksTable);
+                const request = store.getAll(IDBKeyRange.bound([takeId, 0], [takeId, Infinity]));
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(new Error('Failed to get staged chunks'));
+            });
+        });
+    }
+
+    // Deletes a take with all its chunks
+    async deleteStagedTake(takeId) {
+        return this.executeTransaction([this.stagedTakesTable, this.stagedChunksTable], 'readwrite', (transaction) => {
+            return new Promise((resolve, reject) => {
+                transaction.objectStore(this.stagedChunksTable).delete(IDBKeyRange.bound([takeId, 0], [takeId, Infinity]));
+                const request = transaction.objectStore(this.stagedTakesTable).delete(takeId);
+
+                // Resolved once both deletes are committed
+                transaction.oncomplete = () => resolve(true);
+                request.onerror = () => reject(new Error('Failed to delete staged take'));
+            });
+        });
+    }
 
     // UTILITY METHODS
 
     async clearDatabase() {
-        return this.executeTransaction([this.patientsTable, this.recordingsTable], 'readwrite', (transaction) => {
+        return this.executeTransaction([this.patientsTable, this.recordingsTable, this.featuresTable, this.testResultsTable], 'readwrite', (transaction) => {
             return new Promise((resolve, reject) => {
                 try {
                     const patientStore = transaction.objectStore(this.patientsTable);
                     const recordingStore = transaction.objectStore(this.recordingsTable);
+                    const featuresStore = transaction.objectStore(this.featuresTable);
+                    const resultsStore = transaction.objectStore(this.testResultsTable);
                     
                     let completedOperations = 0;
-                    const totalOperations = 2;
+                    const totalOperations = 4;
 
                     const checkCompletion = () => {
                         completedOperations++;
@@ -432,6 +922,14 @@ class DatabaseManager {
                     recordingClearRequest.onsuccess = checkCompletion;
                     recordingClearRequest.onerror = () => reject(new Error('Failed to clear recordings'));
 
+                    const featuresClearRequest = featuresStore.clear();
+                    featuresClearRequest.onsuccess = checkCompletion;
+                    featuresClearRequest.onerror = () => reject(new Error('Failed to clear recording features'));
+
+                    const resultsClearRequest = resultsStore.clear();
+                    resultsClearRequest.onsuccess = checkCompletion;
+                    resultsClearRequest.onerror = () => reject(new Error('Failed to clear test results'));
+
                 } catch (error) {
                     reject(error);
                 }
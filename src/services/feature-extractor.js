@@ -0,0 +1,351 @@
+/**
+ * Feature Extractor
+ * Computes the acoustic features of recordings (see VoiceFeatures) in this browser
+ * and stores them with the recording through the database manager.
+ *
+ * Recordings to analyse are queued as jobs in IndexedDB and analysed one at a time
+ * in a Web Worker (src/services/analysis-worker.js), so long recordings do not block
+ * the UI and jobs interrupted by a reload are resumed (resumePending()). New
+ * recordings are queued after they are saved (the VoiceRecorder's 'recording-saved'
+ * event); recomputeAll() queues existing recordings again, e.g. after
+ * VoiceFeatures.VERSION changed. Every stored result is tagged with that version.
+ *
+ * Events on `document`:
+ * - 'analysis-progress': detail = { recordingId, status: 'queued' | 'running' | 'done' |
+ *   'failed' | 'cancelled', progress, pending } where `pending` counts unfinished jobs
+ * - 'features-updated': detail = { recordingId, features } whenever a feature record was stored
+ */
+class FeatureExtractor {
+    constructor(databaseManager) {
+        this.db = databaseManager;
+        // Jobs run one at a time; each is chained onto the previous one
+        this.queue = Promise.resolve();
+        // Outcome promise of every unfinished job, by recording ID
+        this.scheduled = new Map();
+        // Audio of queued recordings that is already in memory, by recording ID
+        this.audio = new Map();
+        this.cancelled = new Set();
+        // The job in the worker: { recordingId, reject }
+        this.running = null;
+        this.worker = null;
+
+        document.addEventListener('recording-saved', (event) => {
+            const { recordingId, patientId, audioBlob, taskLabel } = event.detail;
+            this.enqueue(recordingId, { patientId, audioBlob, taskLabel })
+                .catch(error => console.error(`Feature extraction failed for recording ${recordingId}:`, error));
+        });
+    }
+
+    /**
+     * Queues the analysis of a recording (again, if it was analysed before).
+     * @param {number} recordingId
+     * @param {object} [recording] The recording's `patientId`, and its `audioBlob` and
+     *   `taskLabel` if already at hand; otherwise the recording is loaded when the job runs.
+     * @returns {Promise<object>} The stored feature record, once the job has finished.
+     * @throws {Error} If the analysis failed or was cancelled (`error.cancelled`).
+     */
+    async enqueue(recordingId, { patientId = null, audioBlob = null, taskLabel = null } = {}) {
+        if (audioBlob) {
+            this.audio.set(recordingId, audioBlob);
+        }
+        if (this.scheduled.has(recordingId)) {
+            return this.scheduled.get(recordingId);
+        }
+
+        const job = {
+            recordingId,
+            patientId,
+            taskLabel,
+            extractorVersion: VoiceFeatures.VERSION,
+            createdAt: new Date().toISOString()
+        };
+        await this.db.saveAnalysisJob(job);
+        return this.schedule(job);
+    }
+
+    /**
+     * Schedules the jobs left in IndexedDB, e.g. by a reload during an analysis.
+     * @param {number} [patientId] Only this patient's jobs (a patient session can only store its own).
+     */
+    async resumePending(patientId = null) {
+        try {
+            const jobs = await this.db.getAnalysisJobs();
+            jobs
+                .filter(job => !patientId || Number(job.patientId) === Number(patientId))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                .forEach(job => {
+                    this.schedule(job).catch(error => {
+                        console.error(`Feature extraction failed for recording ${job.recordingId}:`, error);
+                    });
+                });
+        } catch (error) {
+            console.error('Failed to resume pending analyses:', error);
+        }
+    }
+
+    schedule(job) {
+        if (this.scheduled.has(job.recordingId)) {
+            return this.scheduled.get(job.recordingId);
+        }
+
+        const outcome = this.queue.then(() => this.run(job));
+        this.scheduled.set(job.recordingId, outcome);
+        this.queue = outcome.catch(() => {});
+        this.emit(job.recordingId, 'queued');
+        return outcome;
+    }
+
+    async run(job) {
+        const { recordingId } = job;
+        try {
+            if (this.cancelled.has(recordingId)) {
+                throw FeatureExtractor.cancelledError();
+            }
+
+            this.emit(recordingId, 'running', 0);
+            const { audioBlob, taskLabel } = await this.loadAudio(job);
+            const featureData = await this.computeFeatures(audioBlob, taskLabel, (progress) => {
+                this.emit(recordingId, 'running', progress);
+            }, recordingId);
+            // Cancelled while the audio was loaded or decoded
+            if (this.cancelled.has(recordingId)) {
+                throw FeatureExtractor.cancelledError();
+            }
+
+            const record = await this.db.saveRecordingFeatures(recordingId, featureData);
+            await this.db.deleteAnalysisJob(recordingId);
+            this.finish(recordingId, 'done');
+            document.dispatchEvent(new CustomEvent('features-updated', {
+                detail: { recordingId, features: record }
+            }));
+            return record;
+        } catch (error) {
+            // Jobs refused for lack of a login stay queued for the next resumePending()
+            if (error.status !== 401 && error.status !== 403) {
+                await this.db.deleteAnalysisJob(recordingId).catch(() => {});
+            }
+            this.finish(recordingId, error.cancelled ? 'cancelled' : 'failed');
+            throw error;
+        }
+    }
+
+    finish(recordingId, status) {
+        this.scheduled.delete(recordingId);
+        this.audio.delete(recordingId);
+        this.cancelled.delete(recordingId);
+        this.emit(recordingId, status, status === 'done' ? 1 : null);
+    }
+
+    // The job's audio: from memory, the stored recording, or an upload still in progress
+    async loadAudio(job) {
+        let audioBlob = this.audio.get(job.recordingId) || null;
+        let taskLabel = job.taskLabel;
+        if (!audioBlob) {
+            const recording = await this.db.getRecording(job.recordingId);
+            audioBlob = recording?.audioBlob || null;
+            taskLabel = taskLabel || recording?.metadata?.taskLabel || null;
+        }
+        if (!audioBlob) {
+            const uploads = await this.db.getPendingUploads();
+            audioBlob = uploads.find(upload => upload.recordingId === job.recordingId)?.blob || null;
+        }
+        if (!audioBlob) {
+            throw new Error('The audio of this recording is not available');
+        }
+        return { audioBlob, taskLabel };
+    }
+
+    /**
+     * Stops a queued or running analysis; its job is removed.
+     * @param {number} recordingId
+     * @returns {boolean} Whether the recording was queued.
+     */
+    cancel(recordingId) {
+        if (!this.scheduled.has(recordingId)) {
+            return false;
+        }
+        this.cancelled.add(recordingId);
+        if (this.running?.recordingId === recordingId) {
+            this.worker.terminate();
+            this.worker = null;
+            this.running.reject(FeatureExtractor.cancelledError());
+            this.running = null;
+        }
+        return true;
+    }
+
+    // Stops every queued and running analysis
+    cancelAll() {
+        [...this.scheduled.keys()].forEach(recordingId => this.cancel(recordingId));
+    }
+
+    get pendingCount() {
+        return this.scheduled.size;
+    }
+
+    /**
+     * Computes the features of an audio file, in the analysis worker where available.
+     * @param {Blob} audioBlob The recording.
+     * @param {string} [taskLabel] The voice task it was recorded for, which adds task-specific measures.
+     * @param {Function} [onProgress] Called with the share of the analysis done (0–1).
+     * @param {number} [recordingId] Recording the analysis is for, so it can be cancelled.
+     * @returns {Promise<object>} `{ extractorVersion, computedAt, sampleRate, duration, features }`.
+     */
+    async computeFeatures(audioBlob, taskLabel = null, onProgress = null, recordingId = null) {
+        const { sampleRate, features: { duration, ...features } } = typeof Worker !== 'undefined'
+            ? await this.analyzeInWorker(audioBlob, taskLabel, onProgress, recordingId)
+            : await this.analyzeHere(audioBlob, taskLabel, onProgress);
+        return {
+            extractorVersion: VoiceFeatures.VERSION,
+            computedAt: new Date().toISOString(),
+            sampleRate,
+            duration,
+            features
+        };
+    }
+
+    async analyzeInWorker(audioBlob, taskLabel, onProgress, recordingId) {
+        // Workers cannot decode compressed audio, so only WAV files are sent as they are
+        const header = new Uint8Array(await audioBlob.slice(0, 4).arrayBuffer());
+        const audio = String.fromCharCode(...header) === 'RIFF'
+            ? audioBlob
+            : await VoiceFeatures.decode(audioBlob);
+
+        if (!this.worker) {
+            this.worker = new Worker(FeatureExtractor.WORKER_URL);
+        }
+        const worker = this.worker;
+        return new Promise((resolve, reject) => {
+            this.running = { recordingId, reject };
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.progress);
+                    return;
+                }
+                this.running = null;
+                if (message.type === 'result') {
+                    resolve(message);
+                } else {
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                this.running = null;
+                this.worker = null;
+                worker.terminate();
+                reject(new Error(event.message || 'The analysis worker failed'));
+            };
+            const transfer = audio instanceof Blob ? [] : [audio.samples.buffer];
+            worker.postMessage({ type: 'analyze', recordingId, audio, taskLabel }, transfer);
+        });
+    }
+
+    // Fallback for browsers without Web Workers
+    async analyzeHere(audioBlob, taskLabel, onProgress) {
+        const { samples, sampleRate } = await VoiceFeatures.decode(audioBlob);
+        const features = VoiceFeatures.analyzeRecording(samples, sampleRate, taskLabel, onProgress);
+        return { sampleRate, features };
+    }
+
+    /**
+     * Computes and stores the features of one recording now (after the jobs already queued).
+     * @param {number} recordingId
+     * @param {object} [recording] The recording's `audioBlob` and `taskLabel`, if already at
+     *   hand; otherwise the recording is loaded.
+     * @returns {Promise<object>} The stored feature record.
+     */
+    async analyzeRecording(recordingId, recording = {}) {
+        return this.enqueue(recordingId, recording);
+    }
+
+    /**
+     * Queues a patient's recordings (or all recordings) for analysis, in one action.
+     * @param {object} [options]
+     * @param {number} [options.patientId] Only this patient's recordings.
+     * @param {boolean} [options.force=false] Also recompute features made by the current extractor version.
+     * @param {Function} [options.onProgress] Called with `{ done, total, recordingId }` after each recording.
+     * @returns {Promise<{ computed: number, skipped: number, failed: number, cancelled: number }>}
+     *   Once every queued recording has finished.
+     */
+    async recomputeAll({ patientId = null, force = false, onProgress = null } = {}) {
+        const recordings = patientId
+            ? await this.db.getPatientRecordings(patientId)
+            : await this.db.getAllRecordings();
+
+        const summary = { computed: 0, skipped: 0, failed: 0, cancelled: 0 };
+        const outdated = [];
+        for (const recording of recordings) {
+            const existing = force ? null : await this.db.getRecordingFeatures(recording.id);
+            if (existing?.extractorVersion === VoiceFeatures.VERSION) {
+                summary.skipped++;
+            } else {
+                outdated.push(recording);
+            }
+        }
+
+        let done = summary.skipped;
+        const report = (recordingId) => {
+            done++;
+            if (onProgress) {
+                onProgress({ done, total: recordings.length, recordingId });
+            }
+        };
+        const jobs = [];
+        for (const recording of outdated) {
+            const job = this.enqueue(recording.id, {
+                patientId: recording.patientId,
+                audioBlob: recording.audioBlob,
+                taskLabel: recording.metadata?.taskLabel
+            }).then(() => {
+                summary.computed++;
+            }, (error) => {
+                if (error.cancelled) {
+                    summary.cancelled++;
+                } else {
+                    console.error(`Feature extraction failed for recording ${recording.id}:`, error);
+                    summary.failed++;
+                }
+            }).then(() => report(recording.id));
+            jobs.push(job);
+        }
+        await Promise.all(jobs);
+        return summary;
+    }
+
+    async getRecordingFeatures(recordingId) {
+        return this.db.getRecordingFeatures(recordingId);
+    }
+
+    /**
+     * A patient's recordings, newest first, each with its feature record (or null).
+     * @param {number} patientId
+     * @returns {Promise<Array<{ recording: object, features: object|null }>>}
+     */
+    async getPatientRecordingFeatures(patientId) {
+        const [recordings, features] = await Promise.all([
+            this.db.getPatientRecordings(patientId),
+            this.db.getPatientFeatures(patientId)
+        ]);
+        const byRecording = new Map(features.map(record => [record.recordingId, record]));
+        return recordings.map(recording => ({
+            recording,
+            features: byRecording.get(recording.id) || null
+        }));
+    }
+
+    emit(recordingId, status, progress = null) {
+        document.dispatchEvent(new CustomEvent('analysis-progress', {
+            detail: { recordingId, status, progress, pending: this.scheduled.size }
+        }));
+    }
+
+    static cancelledError() {
+        const error = new Error('The analysis was cancelled');
+        error.cancelled = true;
+        return error;
+    }
+}
+
+FeatureExtractor.WORKER_URL = 'src/services/analysis-worker.js';
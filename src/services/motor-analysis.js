@@ -0,0 +1,596 @@
+/**
+ * Motor Analysis
+ * Measures of the motor and timed tests computed from their raw samples. Plain JavaScript on the
+ * stored samples, like VoiceFeatures (whose FFT and statistics it uses), so the measures
+ * can be computed again from the raw data of a test result.
+ *
+ * Drawing measures (spiral and straight line, see DrawingTest); distances in CSS pixels:
+ * - duration: seconds from the first touch to the last sample; drawingTime: seconds with
+ *   the finger or pen on the screen; penLifts: strokes after the first
+ * - sampleRate: pointer samples per second of drawing time
+ * - pathLength, meanSpeed: length of the trace and its length per second of drawing time
+ * - meanDeviation, maxDeviation: distance from the template; for the spiral the radial
+ *   distance from the nearest turn, for the line the perpendicular distance
+ * - tremorFrequency (Hz), tremorAmplitude (px, RMS): strongest frequency and level of the
+ *   residual in the tremor band (DEFAULTS.tremorBand). The residual is radial for the
+ *   spiral, the radius minus a spiral r = a + bθ fitted to the drawing itself (so a
+ *   drawing that is evenly too wide or too narrow is not counted as tremor), and the
+ *   perpendicular distance for the line.
+ * - meanPressure: mean pointer pressure (0–1; 0.5 for devices without pressure)
+ *
+ * Tapping measures (alternating taps on two targets, see TappingTest), over the touch-downs
+ * made within the trial duration:
+ * - tapCount, tapRate: touch-downs and touch-downs per second
+ * - alternationErrors: taps on the same target as the tap before
+ * - meanInterval, intervalCV: mean time (ms) between consecutive touch-downs and its
+ *   coefficient of variation (%); intervalSlope: change of the interval over the trial (ms/s)
+ * - meanDwell, dwellCV: mean time (ms) from touch-down to touch-up and its variation (%)
+ * - meanDistance: distance (px) of the touch-downs from the center of the nearest target;
+ *   hitRate: share (%) of touch-downs inside a target
+ * - decrement: drop (%) of the taps in the last third of the trial from the first third
+ *
+ * Reaction-time measures (simple and choice, see ReactionTest); times in ms from the frame
+ * that showed the stimulus:
+ * - each trial is 'correct', 'wrong' (the other side, choice only), 'anticipation' (faster
+ *   than DEFAULTS.anticipationThreshold) or 'miss' (no response); see reactionOutcome()
+ * - medianRT, iqrRT, meanRT, sdRT: of the correct trials
+ * - errorRate: share (%) of the trials that were not correct; prematureResponses:
+ *   responses before the stimulus, which restart the wait and are not trials
+ * - latency: refreshRate (Hz), frameInterval and frameJitter (ms, median and standard
+ *   deviation of the display's frame intervals), timerResolution (ms, smallest step of
+ *   performance.now()), meanFrameDelay (ms from the frame that showed the stimulus to the
+ *   next one), meanInputDelay and maxInputDelay (ms from the input event to its handler)
+ *   and the inputTypes used
+ *
+ * Trail Making measures (one part, see TrailMakingTest); the trace as for drawings:
+ * - completed: all circles were connected in time; completionTime: seconds from the first
+ *   touch to the last circle connected
+ * - errors: entries into a circle that was not the next one
+ * - pathLength (px), penLifts
+ * - pauseCount, pauseTime (s): stretches of at least DEFAULTS.pauseDuration in which the
+ *   pointer stayed within DEFAULTS.pauseRadius, or was lifted
+ * - movingSpeed: path length per second of the completion time (or the whole trace when
+ *   not completed) outside pauses
+ *
+ * Tremor measures (phone held or resting, see TremorTest), for the acceleration (m/s²,
+ * without gravity where the device provides it) and the rotation rate (deg/s); the power
+ * spectra of the three axes are added up, so the measures do not depend on how the phone
+ * is held:
+ * - duration (s), sampleRate: motion events per second
+ * - frequency: strongest frequency (Hz) in the tremor band
+ * - bandPower: power in the tremor band (squared units); bandRms: its square root
+ * - rms: RMS of the whole signal after removing each axis' linear trend
+ * - bandShare: share (%) of the power in the tremor band
+ *
+ * Usage:
+ *   const measures = MotorAnalysis.analyzeDrawing(trace, template);
+ *   const measures = MotorAnalysis.analyzeTapping(touches, targets, duration);
+ *   const measures = MotorAnalysis.analyzeReactionTimes(trials, display);
+ *   const measures = MotorAnalysis.analyzeTrail(trace, { connections, errors, completed });
+ *   const measures = MotorAnalysis.analyzeTremor(signal);
+ */
+
+// VoiceFeatures comes from its own script tag in the browser and is required in Node. A different
+// name, since a second top-level VoiceFeatures binding would clash with the class in the browser.
+const Features = typeof VoiceFeatures !== 'undefined' ? VoiceFeatures : require('./voice-features');
+
+class MotorAnalysis {
+    /**
+     * Measures of one drawing.
+     * @param {{ t: Array<number>, x: Array<number>, y: Array<number>, pressure: Array<number>, strokes: Array<number> }} trace
+     *   Samples with their time (ms) and position (px); `strokes` holds the index of the first
+     *   sample of each stroke.
+     * @param {object} template The shape that was traced (see DrawingTest.createTemplate).
+     * @param {object} [options] Overrides of MotorAnalysis.DEFAULTS.
+     * @returns {object|null} The measures, or null for a trace with fewer than two samples.
+     */
+    static analyzeDrawing(trace, template, options = {}) {
+        const settings = { ...MotorAnalysis.DEFAULTS, ...options };
+        const { t, x, y, pressure, strokes } = trace;
+        const n = t.length;
+        if (n < 2) return null;
+
+        let pathLength = 0;
+        let drawingTime = 0;
+        strokes.forEach((start, index) => {
+            const end = index + 1 < strokes.length ? strokes[index + 1] : n;
+            for (let i = start + 1; i < end; i++) {
+                pathLength += Math.hypot(x[i] - x[i - 1], y[i] - y[i - 1]);
+                drawingTime += t[i] - t[i - 1];
+            }
+        });
+
+        const { deviation, residual } = template.type === 'spiral'
+            ? MotorAnalysis.spiralResidual(x, y, template)
+            : MotorAnalysis.lineResidual(x, y, template);
+        const tremor = MotorAnalysis.tremor(t, residual, settings);
+        const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+        return {
+            duration: round((t[n - 1] - t[0]) / 1000),
+            drawingTime: round(drawingTime / 1000),
+            penLifts: strokes.length - 1,
+            sampleRate: drawingTime > 0 ? round(1000 * (n - strokes.length) / drawingTime, 1) : null,
+            pathLength: round(pathLength, 1),
+            meanSpeed: drawingTime > 0 ? round(1000 * pathLength / drawingTime, 1) : null,
+            meanDeviation: round(Features.mean(deviation)),
+            maxDeviation: round(Features.peak(deviation)),
+            tremorFrequency: round(tremor.frequency),
+            tremorAmplitude: round(tremor.amplitude, 3),
+            meanPressure: round(Features.mean(pressure), 3)
+        };
+    }
+
+    /**
+     * Distance of each sample from an Archimedean spiral r = growth·θ (0 ≤ θ ≤ 2π·turns)
+     * around its center, and the radial residual used for tremor.
+     * @returns {{ deviation: Float64Array, residual: Float64Array }}
+     */
+    static spiralResidual(x, y, { centerX, centerY, turns, growth }) {
+        const n = x.length;
+        const deviation = new Float64Array(n);
+        const radius = new Float64Array(n);
+        const angle = new Float64Array(n);
+        const fullTurn = 2 * Math.PI;
+
+        let unwrapped = 0;
+        let previous = null;
+        for (let i = 0; i < n; i++) {
+            const dx = x[i] - centerX;
+            const dy = y[i] - centerY;
+            const phi = Math.atan2(dy, dx);
+            radius[i] = Math.hypot(dx, dy);
+
+            // Radius of the nearest turn of the template in this direction
+            const base = (phi + fullTurn) % fullTurn;
+            const turn = Math.max(0, Math.min(Math.ceil(turns) - 1, Math.round((radius[i] / growth - base) / fullTurn)));
+            deviation[i] = Math.abs(radius[i] - growth * Math.min(base + turn * fullTurn, turns * fullTurn));
+
+            // Angle along the drawing, counting full turns
+            if (previous === null) {
+                unwrapped = phi;
+            } else {
+                let step = phi - previous;
+                if (step > Math.PI) step -= fullTurn;
+                if (step < -Math.PI) step += fullTurn;
+                unwrapped += step;
+            }
+            angle[i] = unwrapped;
+            previous = phi;
+        }
+
+        // Radius of the spiral fitted to the drawing
+        const slope = Features.slope(angle, radius) ?? 0;
+        const intercept = Features.mean(radius) - slope * Features.mean(angle);
+        const residual = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            residual[i] = radius[i] - (intercept + slope * angle[i]);
+        }
+        return { deviation, residual };
+    }
+
+    /**
+     * Signed perpendicular distance of each sample from the line through (x1, y1) and (x2, y2).
+     * @returns {{ deviation: Float64Array, residual: Float64Array }}
+     */
+    static lineResidual(x, y, { x1, y1, x2, y2 }) {
+        const n = x.length;
+        const length = Math.hypot(x2 - x1, y2 - y1) || 1;
+        const normalX = -(y2 - y1) / length;
+        const normalY = (x2 - x1) / length;
+        const deviation = new Float64Array(n);
+        const residual = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            residual[i] = (x[i] - x1) * normalX + (y[i] - y1) * normalY;
+            deviation[i] = Math.abs(residual[i]);
+        }
+        return { deviation, residual };
+    }
+
+    // =============================================================================
+    // TAPPING
+    // =============================================================================
+
+    /**
+     * Measures of one tapping trial.
+     * @param {{ t: Array<number>, type: Array<string>, x: Array<number>, y: Array<number>, pointerId: Array<number> }} touches
+     *   Every touch-down ('down') and touch-up ('up') in order, with its time (ms from the first
+     *   touch-down), position (px) and pointer.
+     * @param {Array<{ x: number, y: number, radius: number }>} targets The targets tapped in turn.
+     * @param {number} duration Length of the trial in seconds.
+     * @returns {object|null} The measures, or null for a trial without taps.
+     */
+    static analyzeTapping(touches, targets, duration) {
+        const { t, type, x, y, pointerId } = touches;
+        const end = duration * 1000;
+        const taps = [];
+        const down = new Map();
+        for (let i = 0; i < t.length; i++) {
+            if (type[i] === 'up') {
+                const tap = down.get(pointerId[i]);
+                if (tap) tap.dwell = t[i] - tap.t;
+                down.delete(pointerId[i]);
+                continue;
+            }
+            if (t[i] > end) continue;
+
+            const distances = targets.map(target => Math.hypot(x[i] - target.x, y[i] - target.y));
+            const distance = Math.min(...distances);
+            const target = distances.indexOf(distance);
+            const tap = { t: t[i], target, distance, hit: distance <= targets[target].radius, dwell: null };
+            taps.push(tap);
+            down.set(pointerId[i], tap);
+        }
+        if (taps.length === 0) return null;
+
+        const intervals = [];
+        const intervalTimes = [];
+        let alternationErrors = 0;
+        for (let i = 1; i < taps.length; i++) {
+            intervals.push(taps[i].t - taps[i - 1].t);
+            intervalTimes.push(taps[i].t / 1000);
+            if (taps[i].target === taps[i - 1].target) alternationErrors++;
+        }
+        const dwells = taps.filter(tap => tap.dwell !== null).map(tap => tap.dwell);
+        const variation = values => (values.length > 1 ? 100 * Features.standardDeviation(values) / Features.mean(values) : null);
+        const first = taps.filter(tap => tap.t < end / 3).length;
+        const last = taps.filter(tap => tap.t >= 2 * end / 3).length;
+        const round = (value, digits = 2) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+        return {
+            tapCount: taps.length,
+            tapRate: round(taps.length / duration),
+            alternationErrors,
+            meanInterval: intervals.length > 0 ? round(Features.mean(intervals), 1) : null,
+            intervalCV: round(variation(intervals), 1),
+            intervalSlope: intervals.length > 1 ? round(Features.slope(intervalTimes, intervals)) : null,
+            meanDwell: dwells.length > 0 ? round(Features.mean(dwells), 1) : null,
+            dwellCV: round(variation(dwells), 1),
+            meanDistance: round(Features.mean(taps.map(tap => tap.distance)), 1),
+            hitRate: round(100 * taps.filter(tap => tap.hit).length / taps.length, 1),
+            decrement: first > 0 ? round(100 * (first - last) / first, 1) : null
+        };
+    }
+
+    // =============================================================================
+    // REACTION TIMES
+    // =============================================================================
+
+    /**
+     * Measures of a series of reaction-time trials.
+     * @param {Array<object>} trials `{ stimulus, response, responseTime, premature, frameDelay,
+     *   inputType, inputDelay }` of each stimulus shown (see ReactionTest).
+     * @param {{ frameIntervals: Array<number>, timerResolution: number|null }} display
+     *   Measured before the trials.
+     * @param {object} [options] Overrides of MotorAnalysis.DEFAULTS.
+     * @returns {object|null} The measures, or null without trials.
+     */
+    static analyzeReactionTimes(trials, display, options = {}) {
+        const settings = { ...MotorAnalysis.DEFAULTS, ...options };
+        if (trials.length === 0) return null;
+
+        const outcomes = { correct: 0, wrong: 0, anticipation: 0, miss: 0 };
+        const times = [];
+        trials.forEach(trial => {
+            const outcome = MotorAnalysis.reactionOutcome(trial, settings);
+            outcomes[outcome]++;
+            if (outcome === 'correct') times.push(trial.responseTime);
+        });
+        const frameDelays = trials.filter(trial => trial.frameDelay !== null).map(trial => trial.frameDelay);
+        const inputDelays = trials.filter(trial => trial.inputDelay !== null).map(trial => trial.inputDelay);
+        const round = (value, digits = 1) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+        const quantile = share => (times.length > 0 ? MotorAnalysis.quantile(times, share) : null);
+        const frameInterval = display.frameIntervals.length > 0 ? MotorAnalysis.quantile(display.frameIntervals, 0.5) : null;
+
+        return {
+            trials: trials.length,
+            validTrials: times.length,
+            medianRT: round(quantile(0.5)),
+            iqrRT: times.length > 0 ? round(quantile(0.75) - quantile(0.25)) : null,
+            meanRT: times.length > 0 ? round(Features.mean(times)) : null,
+            sdRT: times.length > 1 ? round(Features.standardDeviation(times)) : null,
+            errorRate: round(100 * (trials.length - outcomes.correct) / trials.length),
+            wrongResponses: outcomes.wrong,
+            anticipations: outcomes.anticipation,
+            misses: outcomes.miss,
+            prematureResponses: trials.reduce((sum, trial) => sum + (trial.premature || 0), 0),
+            latency: {
+                refreshRate: frameInterval ? round(1000 / frameInterval) : null,
+                frameInterval: round(frameInterval, 2),
+                frameJitter: display.frameIntervals.length > 1 ? round(Features.standardDeviation(display.frameIntervals), 2) : null,
+                timerResolution: round(display.timerResolution, 4),
+                meanFrameDelay: frameDelays.length > 0 ? round(Features.mean(frameDelays), 2) : null,
+                meanInputDelay: inputDelays.length > 0 ? round(Features.mean(inputDelays), 2) : null,
+                maxInputDelay: inputDelays.length > 0 ? round(Math.max(...inputDelays), 2) : null,
+                inputTypes: [...new Set(trials.map(trial => trial.inputType).filter(Boolean))]
+            }
+        };
+    }
+
+    /**
+     * Outcome of a reaction-time trial.
+     * @param {{ stimulus: string, response: string|null, responseTime: number|null }} trial
+     *   `stimulus` 'center' (simple) or 'left'/'right' (choice); `response` the side answered
+     *   ('any' for simple).
+     * @returns {string} 'correct', 'wrong', 'anticipation' or 'miss'.
+     */
+    static reactionOutcome(trial, settings = MotorAnalysis.DEFAULTS) {
+        if (trial.responseTime === null || trial.response === null) return 'miss';
+        if (trial.responseTime < settings.anticipationThreshold) return 'anticipation';
+        if (trial.stimulus !== 'center' && trial.response !== trial.stimulus) return 'wrong';
+        return 'correct';
+    }
+
+    // Quantile of a list, interpolated between the nearest values
+    static quantile(values, share) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = (sorted.length - 1) * share;
+        const lower = Math.floor(position);
+        const upper = Math.min(sorted.length - 1, lower + 1);
+        return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+    }
+
+    // =============================================================================
+    // TRAIL MAKING
+    // =============================================================================
+
+    /**
+     * Measures of one Trail Making part.
+     * @param {object} trace Pointer samples as for analyzeDrawing (pressure is not needed).
+     * @param {{ connections: Array<{ t: number }>, errors: Array<object>, completed: boolean }} trail
+     *   Times (ms) at which each circle was connected, in order, and the wrong entries.
+     * @param {object} [options] Overrides of MotorAnalysis.DEFAULTS.
+     * @returns {object|null} The measures, or null for a trace without samples.
+     */
+    static analyzeTrail(trace, { connections, errors, completed }, options = {}) {
+        const settings = { ...MotorAnalysis.DEFAULTS, ...options };
+        const { t, x, y, strokes } = trace;
+        if (t.length === 0) return null;
+
+        let pathLength = 0;
+        strokes.forEach((start, index) => {
+            const end = index + 1 < strokes.length ? strokes[index + 1] : t.length;
+            for (let i = start + 1; i < end; i++) {
+                pathLength += Math.hypot(x[i] - x[i - 1], y[i] - y[i - 1]);
+            }
+        });
+
+        const finishedAt = completed ? connections[connections.length - 1].t : t[t.length - 1];
+        const pauses = MotorAnalysis.findPauses(trace, settings).filter(pause => pause.start < finishedAt);
+        const pauseTime = pauses.reduce((sum, pause) => sum + Math.min(pause.end, finishedAt) - pause.start, 0);
+        const movingTime = finishedAt - t[0] - pauseTime;
+        const round = (value, digits = 2) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+        return {
+            completed,
+            completionTime: completed ? round((finishedAt - t[0]) / 1000) : null,
+            errors: errors.length,
+            pathLength: round(pathLength, 1),
+            penLifts: strokes.length - 1,
+            pauseCount: pauses.length,
+            pauseTime: round(pauseTime / 1000),
+            movingSpeed: movingTime > 0 ? round(1000 * pathLength / movingTime, 1) : null
+        };
+    }
+
+    /**
+     * Pauses in a trace: the pointer stayed within `pauseRadius` of a point, or was lifted,
+     * for at least `pauseDuration`. A stationary pointer sends no samples, so a pause lasts
+     * until the first sample that has moved on.
+     * @returns {Array<{ start: number, end: number }>} Times in ms, in order; touching pauses are joined.
+     */
+    static findPauses({ t, x, y, strokes }, settings = MotorAnalysis.DEFAULTS) {
+        const pauses = [];
+        const add = (start, end) => {
+            if (end - start < settings.pauseDuration) return;
+            const last = pauses[pauses.length - 1];
+            if (last && start <= last.end) {
+                last.end = Math.max(last.end, end);
+            } else {
+                pauses.push({ start, end });
+            }
+        };
+
+        strokes.forEach((first, index) => {
+            const end = index + 1 < strokes.length ? strokes[index + 1] : t.length;
+            if (index > 0) add(t[first - 1], t[first]);
+
+            let anchor = first;
+            for (let i = first + 1; i <= end; i++) {
+                if (i === end || Math.hypot(x[i] - x[anchor], y[i] - y[anchor]) > settings.pauseRadius) {
+                    add(t[anchor], t[Math.min(i, end - 1)]);
+                    anchor = i;
+                }
+            }
+        });
+        return pauses;
+    }
+
+    // =============================================================================
+    // TREMOR
+    // =============================================================================
+
+    /**
+     * Measures of a motion sensor recording.
+     * @param {object} signal `t` (ms) of each motion event, acceleration `ax`, `ay`, `az`,
+     *   acceleration including gravity `gx`, `gy`, `gz` and rotation rate `alpha`, `beta`,
+     *   `gamma`; values are null where the device does not provide them.
+     * @param {object} [options] Overrides of MotorAnalysis.DEFAULTS.
+     * @returns {object|null} `{ duration, sampleRate, source, acceleration, rotationRate }`, or
+     *   null for a recording shorter than `minTremorDuration`.
+     */
+    static analyzeTremor(signal, options = {}) {
+        const settings = { ...MotorAnalysis.DEFAULTS, ...options };
+        const { t } = signal;
+        const duration = t.length > 1 ? (t[t.length - 1] - t[0]) / 1000 : 0;
+        if (duration < settings.minTremorDuration) return null;
+
+        const available = axes => axes.every(axis => signal[axis].every(value => value !== null && Number.isFinite(value)));
+        // Acceleration without gravity where the device provides it; gravity is below the band either way
+        const source = available(['ax', 'ay', 'az']) ? 'acceleration' : available(['gx', 'gy', 'gz']) ? 'accelerationIncludingGravity' : null;
+        const accelerationAxes = source === 'acceleration' ? ['ax', 'ay', 'az'] : ['gx', 'gy', 'gz'];
+        const rotationAxes = ['alpha', 'beta', 'gamma'];
+
+        return {
+            duration: Number(duration.toFixed(2)),
+            sampleRate: Number(((t.length - 1) / duration).toFixed(1)),
+            source,
+            acceleration: source ? MotorAnalysis.axesTremor(t, accelerationAxes.map(axis => signal[axis]), settings) : null,
+            rotationRate: available(rotationAxes) ? MotorAnalysis.axesTremor(t, rotationAxes.map(axis => signal[axis]), settings) : null
+        };
+    }
+
+    /**
+     * Tremor band measures of a three-axis signal, from the sum of the axes' power spectra.
+     * @returns {{ frequency: number|null, bandPower: number, bandRms: number, rms: number, bandShare: number|null }}
+     */
+    static axesTremor(times, axes, settings) {
+        const rate = settings.resampleRate;
+        let total = null;
+        axes.forEach(values => {
+            const spectrum = MotorAnalysis.powerSpectrum(MotorAnalysis.resample(times, values, rate), rate);
+            if (total) {
+                spectrum.power.forEach((power, k) => { total.power[k] += power; });
+            } else {
+                total = spectrum;
+            }
+        });
+
+        const band = MotorAnalysis.bandPower(total, settings.tremorBand);
+        const power = total.power.reduce((sum, value) => sum + value, 0);
+        const round = (value, digits) => (value === null ? null : Number(value.toPrecision(digits)));
+        return {
+            frequency: band.peakFrequency === null ? null : Number(band.peakFrequency.toFixed(2)),
+            bandPower: round(band.power, 4),
+            bandRms: round(Math.sqrt(band.power), 4),
+            rms: round(Math.sqrt(power), 4),
+            bandShare: power > 0 ? Number((100 * band.power / power).toFixed(1)) : null
+        };
+    }
+
+    // =============================================================================
+    // SPECTRAL ANALYSIS
+    // =============================================================================
+
+    /**
+     * Strongest frequency and RMS level of a signal in the tremor band.
+     * @param {Array<number>} times Sample times (ms), ascending; they need not be evenly spaced.
+     * @param {ArrayLike<number>} values The signal.
+     * @param {object} settings MotorAnalysis.DEFAULTS or overrides of them.
+     * @returns {{ frequency: number|null, amplitude: number|null }} Null for signals shorter
+     *   than `minTremorDuration`.
+     */
+    static tremor(times, values, settings = MotorAnalysis.DEFAULTS) {
+        if (times.length < 2 || (times[times.length - 1] - times[0]) / 1000 < settings.minTremorDuration) {
+            return { frequency: null, amplitude: null };
+        }
+
+        const signal = MotorAnalysis.resample(times, values, settings.resampleRate);
+        const band = MotorAnalysis.bandPower(MotorAnalysis.powerSpectrum(signal, settings.resampleRate), settings.tremorBand);
+        return { frequency: band.peakFrequency, amplitude: Math.sqrt(band.power) };
+    }
+
+    /**
+     * Linear interpolation of unevenly spaced samples onto an even grid.
+     * @param {Array<number>} times Sample times (ms), ascending (repeated times are allowed).
+     * @param {ArrayLike<number>} values Values at those times.
+     * @param {number} rate Samples per second of the result.
+     * @returns {Float64Array} Values from the first to the last sample time.
+     */
+    static resample(times, values, rate) {
+        const step = 1000 / rate;
+        const length = Math.floor((times[times.length - 1] - times[0]) / step) + 1;
+        const result = new Float64Array(length);
+
+        let j = 0;
+        for (let i = 0; i < length; i++) {
+            const time = times[0] + i * step;
+            while (j < times.length - 2 && times[j + 1] <= time) j++;
+            const span = times[j + 1] - times[j];
+            const share = span > 0 ? Math.max(0, Math.min(1, (time - times[j]) / span)) : 1;
+            result[i] = values[j] + share * (values[j + 1] - values[j]);
+        }
+        return result;
+    }
+
+    /**
+     * One-sided power spectrum of an evenly sampled signal, after removing its linear trend
+     * and applying a Hann window. The powers add up to the mean square of the signal.
+     * @param {Float64Array} signal The samples.
+     * @param {number} rate Sample rate in Hz.
+     * @returns {{ frequencies: Float64Array, power: Float64Array, resolution: number }}
+     */
+    static powerSpectrum(signal, rate) {
+        const n = signal.length;
+        const size = Features.nextPowerOfTwo(Math.max(n, MotorAnalysis.DEFAULTS.minSpectrumSize));
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        const window = Features.window(n, 'hann');
+
+        const mean = Features.mean(signal);
+        const index = Float64Array.from({ length: n }, (_, i) => i);
+        const slope = Features.slope(index, signal) ?? 0;
+        let windowPower = 0;
+        for (let i = 0; i < n; i++) {
+            re[i] = (signal[i] - mean - slope * (i - (n - 1) / 2)) * window[i];
+            windowPower += window[i] * window[i];
+        }
+        Features.fft(re, im);
+
+        const bins = size / 2 + 1;
+        const frequencies = new Float64Array(bins);
+        const power = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            frequencies[k] = k * rate / size;
+            const value = windowPower > 0 ? (re[k] * re[k] + im[k] * im[k]) / (size * windowPower) : 0;
+            power[k] = k > 0 && k < size / 2 ? 2 * value : value;
+        }
+        return { frequencies, power, resolution: rate / size };
+    }
+
+    /**
+     * Power in a frequency band and the frequency of its peak, refined between bins by a parabola.
+     * @param {object} spectrum Result of powerSpectrum().
+     * @param {Array<number>} band Lowest and highest frequency (Hz).
+     * @returns {{ power: number, peakFrequency: number|null }}
+     */
+    static bandPower({ frequencies, power, resolution }, [low, high]) {
+        let total = 0;
+        let peak = -1;
+        for (let k = 0; k < power.length; k++) {
+            if (frequencies[k] < low || frequencies[k] > high) continue;
+            total += power[k];
+            if (peak < 0 || power[k] > power[peak]) peak = k;
+        }
+        if (peak < 0 || total === 0) {
+            return { power: total, peakFrequency: null };
+        }
+
+        let offset = 0;
+        if (peak > 0 && peak < power.length - 1) {
+            const curvature = power[peak - 1] - 2 * power[peak] + power[peak + 1];
+            if (curvature < 0) {
+                offset = 0.5 * (power[peak - 1] - power[peak + 1]) / curvature;
+            }
+        }
+        return { power: total, peakFrequency: frequencies[peak] + offset * resolution };
+    }
+}
+
+// Changes whenever the measures are computed differently, so stored results can be recomputed
+MotorAnalysis.VERSION = '1.0.0';
+
+MotorAnalysis.DEFAULTS = {
+    resampleRate: 100, // Hz; evenly spaced samples for the spectrum
+    tremorBand: [3, 12], // Hz; parkinsonian rest tremor is 3–7 Hz, postural and essential tremor up to 12 Hz
+    minTremorDuration: 1, // seconds of samples needed to measure tremor
+    minSpectrumSize: 1024, // FFT size at least, for a frequency resolution of ~0.1 Hz at 100 Hz
+    anticipationThreshold: 100, // ms; faster responses cannot be reactions to the stimulus
+    pauseDuration: 500, // ms without moving counted as a pause in the Trail Making Test
+    pauseRadius: 5 // px the pointer may drift during a pause
+};
+
+// Export for use in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MotorAnalysis;
+}
@@ -332,8 +332,7 @@ class PatientManager {
     }
 
     showRecordingSection() {
-        this.recordingSection.style.display = 'block';
-        this.recordingSection.scrollIntoView({ behavior: 'smooth' });
+        window.location.hash = '#voice-recorder';
     }
 
  
@@ -414,6 +413,15 @@ class PatientManager {
         return this.currentPatient;
     }
 
+    // Used by flows that resolve the patient themselves (e.g. an assignment link)
+    setCurrentPatient(patient) {
+        this.currentPatient = patient;
+    }
+
+    async getPatient(patientId) {
+        return this.db.getPatient(patientId);
+    }
+
     async getAllPatients() {
         return this.db.getAllPatients();
     }
@@ -0,0 +1,51 @@
+/**
+ * PCM Capture Worklet
+ * AudioWorkletProcessor used by PcmRecorder. Runs on the audio rendering thread,
+ * collects the first input channel into blocks and posts them to the main thread
+ * as Float32Array buffers. A 'flush' message posts the partial block followed by
+ * 'flushed', so nothing recorded before stop() is lost.
+ */
+const BLOCK_FRAMES = 4096;
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = new Float32Array(BLOCK_FRAMES);
+        this.length = 0;
+        this.port.onmessage = (event) => {
+            if (event.data === 'flush') {
+                this.postBlock();
+                this.port.postMessage('flushed');
+            }
+        };
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) {
+            return true;
+        }
+
+        let offset = 0;
+        while (offset < channel.length) {
+            const count = Math.min(channel.length - offset, BLOCK_FRAMES - this.length);
+            this.block.set(channel.subarray(offset, offset + count), this.length);
+            this.length += count;
+            offset += count;
+            if (this.length === BLOCK_FRAMES) {
+                this.postBlock();
+            }
+        }
+        return true;
+    }
+
+    postBlock() {
+        if (this.length === 0) return;
+
+        const samples = this.block.slice(0, this.length);
+        this.port.postMessage(samples, [samples.buffer]);
+        this.length = 0;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -0,0 +1,261 @@
+/**
+ * PCM Recorder
+ * Lossless alternative to MediaRecorder. Captures raw PCM from a microphone stream
+ * through an AudioWorklet (src/services/pcm-capture-worklet.js), or through a
+ * ScriptProcessorNode where AudioWorklet is not available, at a known sample rate
+ * and bit depth.
+ *
+ * It offers the part of the MediaRecorder interface VoiceRecorder uses: start(timeslice),
+ * pause(), resume(), stop(), state, mimeType, ondataavailable and onstop. Each
+ * dataavailable event carries the PCM samples recorded since the previous one;
+ * PcmRecorder.toWav() joins them into a standard WAV file.
+ *
+ * Usage:
+ *   const recorder = await PcmRecorder.create(stream, { sampleRate: 44100, bitDepth: 16 });
+ *   recorder.ondataavailable = (event) => chunks.push(event.data);
+ *   recorder.onstop = () => save(PcmRecorder.toWav(chunks, recorder.format));
+ *   recorder.start(100);
+ */
+class PcmRecorder {
+    /**
+     * Creates a recorder for the first audio track of a stream.
+     * @param {MediaStream} stream Microphone stream.
+     * @param {object} [options]
+     * @param {number} [options.sampleRate] Requested sample rate; the device rate is used if the browser cannot resample.
+     * @param {number} [options.bitDepth=16] 16 or 24 bits per sample.
+     * @returns {Promise<PcmRecorder>}
+     */
+    static async create(stream, { sampleRate, bitDepth = 16 } = {}) {
+        if (!PcmRecorder.BIT_DEPTHS.includes(bitDepth)) {
+            throw new Error(`Unsupported bit depth: ${bitDepth}`);
+        }
+        const recorder = new PcmRecorder(bitDepth);
+        await recorder.connect(stream, sampleRate);
+        return recorder;
+    }
+
+    constructor(bitDepth) {
+        this.mimeType = 'audio/wav';
+        this.state = 'inactive';
+        this.ondataavailable = null;
+        this.onstop = null;
+
+        // { sampleRate, bitDepth, channels } of the samples, known once connected
+        this.format = { sampleRate: null, bitDepth, channels: 1 };
+        // 'audio-worklet' or 'script-processor'
+        this.engine = null;
+
+        this.context = null;
+        this.source = null;
+        this.node = null;
+        this.sink = null;
+        this.pending = [];
+        this.sliceInterval = null;
+        this.isFlushing = false;
+    }
+
+    async connect(stream, sampleRate) {
+        this.context = PcmRecorder.createContext(sampleRate);
+        try {
+            this.source = this.context.createMediaStreamSource(stream);
+        } catch (error) {
+            // Some browsers cannot connect a microphone to a context running at another rate
+            console.warn(`Recording at ${sampleRate} Hz is not supported, using the device rate:`, error);
+            await this.context.close();
+            this.context = PcmRecorder.createContext();
+            this.source = this.context.createMediaStreamSource(stream);
+        }
+        this.format.sampleRate = this.context.sampleRate;
+
+        // The capture node must be connected to the destination to be processed; the
+        // muted gain keeps the microphone from being played back
+        this.sink = this.context.createGain();
+        this.sink.gain.value = 0;
+        this.sink.connect(this.context.destination);
+
+        if (this.context.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+            try {
+                await this.context.audioWorklet.addModule(PcmRecorder.WORKLET_URL);
+                this.node = new AudioWorkletNode(this.context, 'pcm-capture', {
+                    numberOfInputs: 1,
+                    numberOfOutputs: 1,
+                    channelCount: 1,
+                    channelCountMode: 'explicit'
+                });
+                this.node.port.onmessage = (event) => this.onWorkletMessage(event.data);
+                this.engine = 'audio-worklet';
+            } catch (error) {
+                console.warn('AudioWorklet not available, using ScriptProcessor:', error);
+                this.node = null;
+            }
+        }
+
+        if (!this.node) {
+            this.node = this.context.createScriptProcessor(PcmRecorder.SCRIPT_PROCESSOR_FRAMES, 1, 1);
+            this.node.onaudioprocess = (event) => this.onSamples(event.inputBuffer.getChannelData(0));
+            this.engine = 'script-processor';
+        }
+
+        this.source.connect(this.node);
+        this.node.connect(this.sink);
+    }
+
+    static createContext(sampleRate) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return sampleRate ? new AudioContextClass({ sampleRate }) : new AudioContextClass();
+    }
+
+    // =============================================================================
+    // MEDIARECORDER INTERFACE
+    // =============================================================================
+    start(timeslice) {
+        this.state = 'recording';
+        this.context.resume();
+        if (timeslice) {
+            this.sliceInterval = setInterval(() => this.emitData(), timeslice);
+        }
+    }
+
+    pause() {
+        if (this.state === 'recording') {
+            this.state = 'paused';
+        }
+    }
+
+    resume() {
+        if (this.state === 'paused') {
+            this.state = 'recording';
+        }
+    }
+
+    // Like MediaRecorder, the last dataavailable and onstop follow asynchronously
+    stop() {
+        if (this.state === 'inactive') return;
+
+        const wasRecording = this.state === 'recording';
+        this.state = 'inactive';
+
+        if (this.engine === 'audio-worklet' && wasRecording) {
+            // Collect the samples still buffered in the worklet before finishing
+            this.isFlushing = true;
+            this.node.port.postMessage('flush');
+        } else {
+            setTimeout(() => this.finish(), 0);
+        }
+    }
+
+    // =============================================================================
+    // SAMPLE HANDLING
+    // =============================================================================
+    onWorkletMessage(data) {
+        if (data === 'flushed') {
+            this.finish();
+            return;
+        }
+        this.onSamples(data);
+    }
+
+    onSamples(samples) {
+        if (this.state !== 'recording' && !this.isFlushing) return;
+        this.pending.push(PcmRecorder.encodeSamples(samples, this.format.bitDepth));
+    }
+
+    emitData() {
+        if (this.pending.length === 0) return;
+
+        const data = new Blob(this.pending);
+        this.pending = [];
+        if (this.ondataavailable) {
+            this.ondataavailable({ data });
+        }
+    }
+
+    finish() {
+        this.isFlushing = false;
+        clearInterval(this.sliceInterval);
+        this.sliceInterval = null;
+        this.emitData();
+
+        this.source.disconnect();
+        this.node.disconnect();
+        this.sink.disconnect();
+        this.context.close();
+
+        if (this.onstop) {
+            this.onstop();
+        }
+    }
+
+    // =============================================================================
+    // ENCODING
+    // =============================================================================
+
+    /**
+     * Converts float samples (-1..1) to little-endian signed integer PCM.
+     * @param {Float32Array} samples
+     * @param {number} bitDepth 16 or 24.
+     * @returns {Uint8Array}
+     */
+    static encodeSamples(samples, bitDepth) {
+        const bytesPerSample = bitDepth / 8;
+        const bytes = new Uint8Array(samples.length * bytesPerSample);
+        const view = new DataView(bytes.buffer);
+        const max = 2 ** (bitDepth - 1);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            const value = Math.round(sample < 0 ? sample * max : sample * (max - 1));
+            if (bitDepth === 16) {
+                view.setInt16(i * 2, value, true);
+            } else {
+                const offset = i * 3;
+                bytes[offset] = value & 0xff;
+                bytes[offset + 1] = (value >> 8) & 0xff;
+                bytes[offset + 2] = (value >> 16) & 0xff;
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Builds a WAV file from PCM chunks.
+     * @param {Array<Blob|ArrayBuffer|Uint8Array>} chunks PCM data in recording order.
+     * @param {object} format `{ sampleRate, bitDepth, channels }` of the data.
+     * @returns {Blob} An `audio/wav` blob.
+     */
+    static toWav(chunks, { sampleRate, bitDepth, channels = 1 }) {
+        const dataLength = chunks.reduce((sum, chunk) => sum + (chunk.size ?? chunk.byteLength), 0);
+        const blockAlign = channels * bitDepth / 8;
+
+        const header = new DataView(new ArrayBuffer(44));
+        const writeText = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                header.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+        writeText(0, 'RIFF');
+        header.setUint32(4, 36 + dataLength, true);
+        writeText(8, 'WAVE');
+        writeText(12, 'fmt ');
+        header.setUint32(16, 16, true); // fmt chunk size
+        header.setUint16(20, 1, true); // PCM
+        header.setUint16(22, channels, true);
+        header.setUint32(24, sampleRate, true);
+        header.setUint32(28, sampleRate * blockAlign, true); // byte rate
+        header.setUint16(32, blockAlign, true);
+        header.setUint16(34, bitDepth, true);
+        writeText(36, 'data');
+        header.setUint32(40, dataLength, true);
+
+        return new Blob([header.buffer, ...chunks], { type: 'audio/wav' });
+    }
+}
+
+PcmRecorder.WORKLET_URL = 'src/services/pcm-capture-worklet.js';
+PcmRecorder.SCRIPT_PROCESSOR_FRAMES = 4096;
+PcmRecorder.BIT_DEPTHS = [16, 24];
+
+// Export for use in Node (e.g. writing WAV files in scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PcmRecorder;
+}
@@ -0,0 +1,458 @@
+/**
+ * QR Code Module
+ * Self-contained QR code encoder (ISO/IEC 18004) so patient links can be shown
+ * and printed without loading anything from the network.
+ *
+ * Text is encoded in byte mode (UTF-8), in the smallest version (1-40) that fits
+ * at the requested error correction level, with the mask pattern that scores the
+ * lowest penalty.
+ *
+ * Usage:
+ *   const qr = QrCode.encode('https://...', 'M');
+ *   element.innerHTML = qr.toSvg();
+ *   qr.drawToCanvas(canvas, { scale: 8 });
+ */
+class QrCode {
+    /**
+     * Encodes text as a QR code.
+     * @param {string} text The text to encode.
+     * @param {string} [errorCorrection] 'L', 'M', 'Q' or 'H' (7, 15, 25 or 30% recovery).
+     * @returns {QrCode} The QR code.
+     * @throws {Error} If the text is too long for a version 40 QR code.
+     */
+    static encode(text, errorCorrection = 'M') {
+        const level = QrCode.LEVELS[errorCorrection];
+        if (!level) {
+            throw new Error(`Unknown error correction level: ${errorCorrection}`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(text));
+        for (let version = 1; version <= 40; version++) {
+            const capacityBits = QrCode.getDataCodewordCount(version, level) * 8;
+            const countBits = version < 10 ? 8 : 16;
+            if (bytes.length < (1 << countBits) && 4 + countBits + bytes.length * 8 <= capacityBits) {
+                return new QrCode(version, level, QrCode.buildDataCodewords(bytes, version, level));
+            }
+        }
+        throw new Error('Text is too long to fit in a QR code');
+    }
+
+    constructor(version, level, dataCodewords) {
+        this.version = version;
+        this.level = level;
+        this.size = version * 4 + 17;
+        // modules[y][x] is true for a dark module
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(dataCodewords));
+        this.mask = this.applyBestMask();
+    }
+
+    // DATA CODEWORDS
+
+    // Byte-mode segment, terminator and padding up to the version's data capacity
+    static buildDataCodewords(bytes, version, level) {
+        const capacityBits = QrCode.getDataCodewordCount(version, level) * 8;
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0b0100, 4); // byte mode
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    // Splits the data into blocks, appends Reed-Solomon codewords to each and interleaves them
+    addErrorCorrection(data) {
+        const blockCount = QrCode.ERROR_CORRECTION_BLOCKS[this.level.index][this.version];
+        const eccLength = QrCode.ECC_CODEWORDS_PER_BLOCK[this.level.index][this.version];
+        const rawCodewords = Math.floor(QrCode.getRawDataModuleCount(this.version) / 8);
+        const shortBlockCount = blockCount - (rawCodewords % blockCount);
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = QrCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+            const blockData = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = QrCode.reedSolomonRemainder(blockData, divisor);
+            if (i < shortBlockCount) {
+                blockData.push(0); // placeholder so all blocks have the same length
+            }
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    // FUNCTION PATTERNS
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = QrCode.getAlignmentPatternPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                // Skip the three positions covered by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                this.drawAlignmentPattern(x, y);
+            });
+        });
+
+        // Reserve the format areas now; the real bits are written once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    drawFinderPattern(centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignmentPattern(centerX, centerY) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    // 15 format bits (error correction level and mask, BCH-protected), stored twice
+    drawFormatBits(mask) {
+        const data = (this.level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true); // always-dark module
+    }
+
+    // 18 version bits for versions 7 and up, stored twice
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    // Places the codewords in the zigzag order, two columns at a time from the bottom right
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing pattern
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // MASKING
+
+    applyMask(mask) {
+        const condition = QrCode.MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    applyBestMask() {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenaltyScore();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(mask); // XOR again to undo
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        return bestMask;
+    }
+
+    // Penalty rules of the specification: long runs, 2x2 blocks, finder-like patterns, dark/light balance
+    getPenaltyScore() {
+        const size = this.size;
+        const get = (x, y, vertical) => (vertical ? this.modules[x][y] : this.modules[y][x]);
+        const finderLike = [true, false, true, true, true, false, true, false, false, false, false];
+        let penalty = 0;
+
+        for (const vertical of [false, true]) {
+            for (let y = 0; y < size; y++) {
+                let runLength = 1;
+                for (let x = 1; x <= size; x++) {
+                    if (x < size && get(x, y, vertical) === get(x - 1, y, vertical)) {
+                        runLength++;
+                        continue;
+                    }
+                    if (runLength >= 5) penalty += 3 + (runLength - 5);
+                    runLength = 1;
+                }
+
+                for (let x = 0; x + finderLike.length <= size; x++) {
+                    const forward = finderLike.every((dark, i) => get(x + i, y, vertical) === dark);
+                    const backward = finderLike.every((dark, i) => get(x + finderLike.length - 1 - i, y, vertical) === dark);
+                    if (forward) penalty += 40;
+                    if (backward) penalty += 40;
+                }
+            }
+        }
+
+        let darkCount = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const dark = this.modules[y][x];
+                if (dark) darkCount++;
+                if (x < size - 1 && y < size - 1
+                    && dark === this.modules[y][x + 1]
+                    && dark === this.modules[y + 1][x]
+                    && dark === this.modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.floor(Math.abs(darkCount * 100 / total - 50) / 5) * 10;
+        return penalty;
+    }
+
+    // OUTPUT
+
+    /**
+     * @param {object} [options] `margin` in modules (the specification asks for 4) and
+     *   `dark`/`light` colors.
+     * @returns {string} An SVG document that scales to its container.
+     */
+    toSvg(options = {}) {
+        const { margin = 4, dark = '#000000', light = '#ffffff' } = options;
+        const dimension = this.size + margin * 2;
+        const path = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+                }
+            }
+        }
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+            + `<rect width="100%" height="100%" fill="${light}"/>`
+            + `<path d="${path.join('')}" fill="${dark}"/>`
+            + '</svg>';
+    }
+
+    /**
+     * Draws the code onto a canvas, resizing the canvas to fit.
+     * @param {HTMLCanvasElement} canvas The target canvas.
+     * @param {object} [options] `scale` in pixels per module, `margin` in modules, `dark`/`light` colors.
+     */
+    drawToCanvas(canvas, options = {}) {
+        const { scale = 8, margin = 4, dark = '#000000', light = '#ffffff' } = options;
+        const dimension = (this.size + margin * 2) * scale;
+        canvas.width = dimension;
+        canvas.height = dimension;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = light;
+        context.fillRect(0, 0, dimension, dimension);
+        context.fillStyle = dark;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                }
+            }
+        }
+    }
+
+    // TABLES AND ARITHMETIC
+
+    static getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const size = version * 4 + 17;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    // Modules available for data and error correction codewords (including remainder bits)
+    static getRawDataModuleCount(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static getDataCodewordCount(version, level) {
+        return Math.floor(QrCode.getRawDataModuleCount(version) / 8)
+            - QrCode.ECC_CODEWORDS_PER_BLOCK[level.index][version] * QrCode.ERROR_CORRECTION_BLOCKS[level.index][version];
+    }
+
+    // Generator polynomial of the given degree over GF(256), highest coefficient omitted
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QrCode.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = QrCode.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+}
+
+// index: row in the tables below; formatBits: value in the format information
+QrCode.LEVELS = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+// Indexed by [level][version]; index 0 is unused
+QrCode.ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+QrCode.ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Mask conditions by mask number; x is the column, y the row
+QrCode.MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrCode;
+}
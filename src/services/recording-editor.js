@@ -0,0 +1,107 @@
+/**
+ * Recording Editor
+ * Saves parts of a recording (a trimmed region, or marked segments such as each vowel
+ * repetition) as new recordings of the same patient. The original stays as it was; each
+ * derived recording is a WAV file with the original's metadata plus `derivedFrom`, which
+ * links it to the original, and is analysed like any other recording.
+ *
+ * Usage:
+ *   const editor = new RecordingEditor(databaseManager);
+ *   const ids = await editor.saveSegments(recording, [{ start: 0.4, end: 2.1 }], 'segment');
+ */
+class RecordingEditor {
+    constructor(databaseManager) {
+        this.db = databaseManager;
+    }
+
+    /**
+     * Decodes the audio of a recording.
+     * @param {object} recording From the database; its audio is fetched if not included.
+     * @returns {Promise<{ samples: Float32Array, sampleRate: number }>}
+     */
+    async loadSamples(recording) {
+        let audioBlob = recording.audioBlob || null;
+        if (!audioBlob) {
+            audioBlob = (await this.db.getRecording(recording.id))?.audioBlob || null;
+        }
+        if (!audioBlob) {
+            // Still waiting to be uploaded from this browser
+            const uploads = await this.db.getPendingUploads();
+            audioBlob = uploads.find(upload => upload.recordingId === recording.id)?.blob || null;
+        }
+        if (!audioBlob) {
+            throw new Error('The audio of this recording is not available yet');
+        }
+        return VoiceFeatures.decode(audioBlob);
+    }
+
+    /**
+     * Saves regions of a recording as derived recordings.
+     * @param {object} recording The original recording.
+     * @param {Array<{ start: number, end: number }>} segments Regions in seconds.
+     * @param {string} kind 'trim' for a trimmed copy, 'segment' for marked segments.
+     * @param {{ samples: Float32Array, sampleRate: number }} [audio] Decoded audio, if already loaded.
+     * @returns {Promise<Array<number|string>>} IDs of the new recordings, in the order of the segments.
+     */
+    async saveSegments(recording, segments, kind, audio = null) {
+        if (!RecordingEditor.KINDS.includes(kind)) {
+            throw new Error(`Unknown kind of derived recording: ${kind}`);
+        }
+        if (segments.length === 0) {
+            throw new Error('No region selected');
+        }
+
+        const { samples, sampleRate } = audio || await this.loadSamples(recording);
+        const bitDepth = PcmRecorder.BIT_DEPTHS.includes(recording.metadata?.capture?.bitDepth)
+            ? recording.metadata.capture.bitDepth
+            : 16;
+        const { qc, derivedFrom, ...metadata } = recording.metadata || {};
+
+        const ids = [];
+        for (const [index, segment] of segments.entries()) {
+            const from = Math.max(0, Math.round(segment.start * sampleRate));
+            const to = Math.min(samples.length, Math.round(segment.end * sampleRate));
+            if (to - from < RecordingEditor.MIN_DURATION * sampleRate) {
+                throw new Error(`Segment ${index + 1} is shorter than ${RecordingEditor.MIN_DURATION} s`);
+            }
+
+            const audioBlob = PcmRecorder.toWav([PcmRecorder.encodeSamples(samples.subarray(from, to), bitDepth)], { sampleRate, bitDepth });
+            const recordingData = {
+                patientId: recording.patientId,
+                audioBlob,
+                duration: Math.round(1000 * (to - from) / sampleRate),
+                mimeType: 'audio/wav',
+                fileSize: audioBlob.size,
+                metadata: {
+                    ...metadata,
+                    derivedFrom: {
+                        recordingId: recording.id,
+                        kind,
+                        index: index + 1,
+                        count: segments.length,
+                        start: Number((from / sampleRate).toFixed(3)),
+                        end: Number((to / sampleRate).toFixed(3)),
+                        createdAt: new Date().toISOString()
+                    }
+                }
+            };
+
+            const recordingId = await this.db.addRecording(recordingData);
+            ids.push(recordingId);
+            // Lets the FeatureExtractor analyse the new recording
+            document.dispatchEvent(new CustomEvent('recording-saved', {
+                detail: {
+                    recordingId,
+                    patientId: recording.patientId,
+                    audioBlob,
+                    taskLabel: metadata.taskLabel || null
+                }
+            }));
+        }
+        return ids;
+    }
+}
+
+RecordingEditor.KINDS = ['trim', 'segment'];
+// Shortest region (seconds) that can be saved
+RecordingEditor.MIN_DURATION = 0.1;
@@ -0,0 +1,223 @@
+/**
+ * Recording QC
+ * Quality checks of a take before it is saved, so silent, clipped, noisy or too short
+ * recordings are noticed while the patient can still record again. Plain JavaScript on
+ * raw samples like VoiceFeatures, whose pitch frames tell voiced from unvoiced audio.
+ *
+ * Checks (limits in RecordingQc.DEFAULTS):
+ * - voicePresent: seconds of voiced frames, at least `minVoice`
+ * - clipping: share of samples at full scale (%)
+ * - snr: median level of the voiced frames above the noise floor (dB); the noise floor
+ *   is the 10th percentile of the level of the unvoiced frames, or the room noise
+ *   measured before recording when the take has too little unvoiced audio
+ * - leadingSilence, trailingSilence: seconds before the first and after the last voiced frame
+ * - voicedDuration: seconds of voiced frames, at least the task's minimum
+ *   (RecordingQc.MIN_VOICED_DURATION, but no more than half of the task's duration)
+ *
+ * Usage:
+ *   const qc = await RecordingQc.evaluate(blob, { taskLabel: 'sustained-a', taskDuration: 5 });
+ *   if (!qc.passed) showMessages(RecordingQc.describe(qc));
+ */
+class RecordingQc {
+    /**
+     * Checks a recording in the analysis worker (src/services/analysis-worker.js), or on
+     * this thread in browsers without Web Workers.
+     * @param {Blob} audioBlob The take.
+     * @param {object} [options] See check().
+     * @returns {Promise<object>} The result of check().
+     */
+    static async evaluate(audioBlob, options = {}) {
+        // Workers cannot decode compressed audio, so only WAV files are sent as they are
+        const header = new Uint8Array(await audioBlob.slice(0, 4).arrayBuffer());
+        const audio = String.fromCharCode(...header) === 'RIFF'
+            ? audioBlob
+            : await VoiceFeatures.decode(audioBlob);
+
+        if (typeof Worker === 'undefined') {
+            const { samples, sampleRate } = audio instanceof Blob
+                ? VoiceFeatures.parseWav(await audio.arrayBuffer())
+                : audio;
+            return RecordingQc.check(samples, sampleRate, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(FeatureExtractor.WORKER_URL);
+            worker.onmessage = (event) => {
+                const message = event.data;
+                worker.terminate();
+                if (message.type === 'qc-result') {
+                    resolve(message.qc);
+                } else {
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                reject(new Error(event.message || 'The quality check failed'));
+            };
+            const transfer = audio instanceof Blob ? [] : [audio.samples.buffer];
+            worker.postMessage({ type: 'qc', audio, options }, transfer);
+        });
+    }
+
+    /**
+     * Runs the quality checks on a mono signal.
+     * @param {Float32Array|Float64Array} samples Mono samples (-1..1).
+     * @param {number} sampleRate Sample rate in Hz.
+     * @param {object} [options] `taskLabel` and `taskDuration` (seconds) of the voice task,
+     *   `noiseFloor` (dBFS) measured before recording, and overrides of RecordingQc.DEFAULTS.
+     * @returns {object} `{ version, passed, problems, checks }`: `checks` has a
+     *   `{ value, limit, passed }` entry per check (value null when it cannot be measured,
+     *   which passes), `problems` the names of the failed checks.
+     */
+    static check(samples, sampleRate, options = {}) {
+        const { taskLabel = null, taskDuration = null, noiseFloor = null, ...overrides } = options;
+        const settings = { ...RecordingQc.DEFAULTS, ...overrides };
+        const duration = samples.length / sampleRate;
+        const timeStep = VoiceFeatures.DEFAULTS.timeStep;
+
+        const frames = RecordingQc.pitchFrames(samples, sampleRate);
+        const voiced = frames.filter(frame => frame.f0);
+        const voicedDuration = voiced.length * timeStep;
+        const hasVoice = voicedDuration >= settings.minVoice;
+
+        let clipped = 0;
+        for (let i = 0; i < samples.length; i++) {
+            if (Math.abs(samples[i]) >= settings.clipLevel) clipped++;
+        }
+
+        const minVoiced = Math.min(
+            RecordingQc.MIN_VOICED_DURATION[taskLabel] ?? RecordingQc.MIN_VOICED_DURATION.default,
+            taskDuration ? taskDuration / 2 : Infinity
+        );
+        const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+        const checks = {
+            voicePresent: {
+                value: round(voicedDuration),
+                limit: settings.minVoice,
+                passed: hasVoice
+            },
+            clipping: {
+                value: round(samples.length > 0 ? 100 * clipped / samples.length : 0, 3),
+                limit: settings.maxClipping
+            },
+            snr: {
+                value: hasVoice ? round(RecordingQc.signalToNoise(samples, sampleRate, frames, settings, noiseFloor), 1) : null,
+                limit: settings.minSnr
+            },
+            leadingSilence: {
+                value: hasVoice ? round(voiced[0].time - timeStep / 2) : null,
+                limit: settings.maxLeadingSilence
+            },
+            trailingSilence: {
+                value: hasVoice ? round(Math.max(0, duration - voiced[voiced.length - 1].time - timeStep / 2)) : null,
+                limit: settings.maxTrailingSilence
+            },
+            voicedDuration: {
+                value: round(voicedDuration),
+                limit: round(minVoiced),
+                passed: voicedDuration >= minVoiced
+            }
+        };
+        checks.clipping.passed = checks.clipping.value <= checks.clipping.limit;
+        checks.snr.passed = checks.snr.value === null || checks.snr.value >= checks.snr.limit;
+        checks.leadingSilence.passed = checks.leadingSilence.value === null || checks.leadingSilence.value <= checks.leadingSilence.limit;
+        checks.trailingSilence.passed = checks.trailingSilence.value === null || checks.trailingSilence.value <= checks.trailingSilence.limit;
+
+        const problems = Object.keys(checks).filter(name => !checks[name].passed);
+        return {
+            version: RecordingQc.VERSION,
+            passed: problems.length === 0,
+            problems,
+            checks
+        };
+    }
+
+    /**
+     * Plain-language advice for the failed checks of a result; without a voice, the other
+     * checks mean little, so only that advice is given.
+     * @param {object} qc Result of check().
+     * @returns {Array<string>}
+     */
+    static describe(qc) {
+        const problems = qc.problems.includes('voicePresent') ? ['voicePresent'] : qc.problems;
+        return problems.map(name => RecordingQc.MESSAGES[name]);
+    }
+
+    // Pitch frames as in VoiceFeatures.measure()
+    static pitchFrames(samples, sampleRate) {
+        const settings = VoiceFeatures.DEFAULTS;
+        const signal = VoiceFeatures.removeDc(samples);
+        const factor = Math.max(1, Math.ceil(sampleRate / settings.analysisRate));
+        const decimated = factor > 1 ? VoiceFeatures.decimate(signal, factor) : signal;
+        return VoiceFeatures.analyzeFrames(decimated, sampleRate / factor, settings);
+    }
+
+    // Level of the voiced frames above the noise floor of the unvoiced ones (dB); takes with too
+    // little unvoiced audio (e.g. a sustained vowel) use the room noise measured before recording
+    static signalToNoise(samples, sampleRate, frames, settings, noiseFloor) {
+        const envelope = VoiceFeatures.intensityEnvelope(samples, sampleRate, VoiceFeatures.DEFAULTS.timeStep, settings.levelWindow);
+        const { values, step, offset } = envelope;
+        const levelAt = (time) => values[Math.max(0, Math.min(values.length - 1, Math.round((time - offset) / step)))];
+
+        const voiced = [];
+        const unvoiced = [];
+        frames.forEach(frame => (frame.f0 ? voiced : unvoiced).push(levelAt(frame.time)));
+        if (values.length === 0 || voiced.length === 0) {
+            return null;
+        }
+
+        const percentile = (list, share) => {
+            const sorted = [...list].sort((a, b) => a - b);
+            return sorted[Math.floor((sorted.length - 1) * share)];
+        };
+        if (unvoiced.length * VoiceFeatures.DEFAULTS.timeStep >= settings.minNoiseDuration) {
+            return percentile(voiced, 0.5) - percentile(unvoiced, 0.1);
+        }
+        return noiseFloor === null ? null : percentile(voiced, 0.5) - noiseFloor;
+    }
+}
+
+RecordingQc.VERSION = '1.0.0';
+
+RecordingQc.DEFAULTS = {
+    minVoice: 0.25, // seconds of voiced frames for a voice to count as present
+    clipLevel: 0.999, // absolute sample value counted as clipped
+    maxClipping: 0.1, // % of samples
+    minSnr: 20, // dB
+    minNoiseDuration: 0.2, // seconds of unvoiced frames needed to estimate the noise floor
+    levelWindow: 0.025, // seconds; window of the frame levels
+    maxLeadingSilence: 3, // seconds
+    maxTrailingSilence: 3 // seconds
+};
+
+// Seconds of voiced frames a take needs, by voice task label
+RecordingQc.MIN_VOICED_DURATION = {
+    'sustained-a': 2,
+    ddk: 1,
+    reading: 5,
+    monologue: 5,
+    default: 1
+};
+
+// Short names of the checks for clinicians
+RecordingQc.LABELS = {
+    voicePresent: 'no voice',
+    clipping: 'clipping',
+    snr: 'low SNR',
+    leadingSilence: 'late start',
+    trailingSilence: 'early stop',
+    voicedDuration: 'too little voice'
+};
+
+// Advice shown to the patient for each failed check
+RecordingQc.MESSAGES = {
+    voicePresent: 'We could not hear your voice. Please check that the microphone is not muted or covered, and speak towards it.',
+    clipping: 'Your voice was too loud for the microphone. Please move a little further away from it.',
+    snr: 'There was too much background noise. Please try again in a quieter room, away from televisions, fans and open windows.',
+    leadingSilence: 'The recording started with a long silence. Please start speaking as soon as the recording starts.',
+    trailingSilence: 'The recording ended with a long silence. Please keep going until the recording stops.',
+    voicedDuration: 'The recording was too short. Please keep speaking for the whole recording.'
+};
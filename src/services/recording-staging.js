@@ -0,0 +1,194 @@
+/**
+ * Recording Staging
+ * Keeps the audio of a take in IndexedDB while it is recorded, chunk by chunk, so a
+ * crashed tab, a locked phone or a flat battery does not lose it. A take stays staged
+ * until it is saved or discarded; takes found on the next start can be recovered as a
+ * (partial) recording, flagged with where the audio stopped and any gaps in it.
+ *
+ * Writes run one after another in the background; a failed write is logged and never
+ * interrupts the recording.
+ *
+ * Usage:
+ *   const takeId = staging.begin({ patientId, mimeType, format, metadata });
+ *   recorder.ondataavailable = (e) => staging.addChunk(takeId, e.data, elapsedMs);
+ *   await staging.discard(takeId); // once the take is saved
+ */
+class RecordingStaging {
+    constructor(databaseManager) {
+        this.db = databaseManager;
+        this.writes = Promise.resolve();
+        // Next chunk index per take being recorded
+        this.chunkCounts = new Map();
+    }
+
+    /**
+     * Stages a new take.
+     * @param {object} take `patientId`, `mimeType`, `format` (`{ sampleRate, bitDepth, channels }`
+     *   of PCM chunks, or null for compressed audio) and the `metadata` to save it with.
+     * @returns {string} ID of the staged take.
+     */
+    begin(take) {
+        const takeId = 'take-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+        this.chunkCounts.set(takeId, 0);
+        this.write(() => this.db.saveStagedTake({
+            ...take,
+            takeId,
+            startedAt: new Date().toISOString(),
+            stoppedAt: null
+        }));
+        return takeId;
+    }
+
+    /**
+     * Stages the next chunk of a take.
+     * @param {string} takeId From begin().
+     * @param {Blob} data The chunk as delivered by the recorder.
+     * @param {number} elapsed Recording time (ms, pauses excluded) when the chunk arrived.
+     */
+    addChunk(takeId, data, elapsed) {
+        if (!this.chunkCounts.has(takeId)) return;
+
+        const index = this.chunkCounts.get(takeId);
+        this.chunkCounts.set(takeId, index + 1);
+        this.write(() => this.db.addStagedChunk({
+            takeId,
+            index,
+            data,
+            elapsed,
+            receivedAt: new Date().toISOString()
+        }));
+    }
+
+    // Notes that the take was stopped normally (it is still kept until saved or discarded)
+    stop(takeId) {
+        this.write(async () => {
+            const take = (await this.db.getStagedTakes()).find(entry => entry.takeId === takeId);
+            if (take) {
+                await this.db.saveStagedTake({ ...take, stoppedAt: new Date().toISOString() });
+            }
+        });
+    }
+
+    async discard(takeId) {
+        this.chunkCounts.delete(takeId);
+        this.write(() => this.db.deleteStagedTake(takeId));
+        await this.writes;
+    }
+
+    write(operation) {
+        this.writes = this.writes.then(operation).catch(error => {
+            console.warn('Failed to stage recording audio:', error);
+        });
+    }
+
+    // =============================================================================
+    // RECOVERY
+    // =============================================================================
+
+    /**
+     * Takes left from earlier visits, newest first, with how much audio they hold.
+     * @param {Array<string>} [exclude] IDs of takes still being recorded or reviewed.
+     * @returns {Promise<Array<object>>} Staged takes with `chunkCount` and `duration` (ms).
+     */
+    async getRecoverableTakes(exclude = []) {
+        await this.writes;
+        const takes = (await this.db.getStagedTakes()).filter(take => !exclude.includes(take.takeId));
+        const result = [];
+        for (const take of takes) {
+            const chunks = await this.db.getStagedChunks(take.takeId);
+            result.push({ ...take, chunkCount: chunks.length, duration: RecordingStaging.audioDuration(take, chunks) });
+        }
+        return result.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    /**
+     * Saves a staged take as a recording and removes it from the staging stores.
+     * @param {string} takeId
+     * @returns {Promise<number|string>} ID of the new recording.
+     */
+    async recover(takeId) {
+        await this.writes;
+        const take = (await this.db.getStagedTakes()).find(entry => entry.takeId === takeId);
+        if (!take) {
+            throw new Error('This recording is no longer available');
+        }
+        const chunks = await this.db.getStagedChunks(takeId);
+        if (chunks.length === 0) {
+            throw new Error('No audio was recorded before the interruption');
+        }
+
+        const data = chunks.map(chunk => chunk.data);
+        const audioBlob = take.format
+            ? PcmRecorder.toWav(data, take.format)
+            : new Blob(data, { type: take.mimeType });
+        const last = chunks[chunks.length - 1];
+        const recordingData = {
+            patientId: take.patientId,
+            dateTime: take.startedAt,
+            audioBlob,
+            duration: RecordingStaging.audioDuration(take, chunks),
+            mimeType: take.mimeType,
+            fileSize: audioBlob.size,
+            metadata: {
+                ...take.metadata,
+                qc: null,
+                recovered: {
+                    interrupted: !take.stoppedAt,
+                    startedAt: take.startedAt,
+                    lastChunkAt: last.receivedAt,
+                    recoveredAt: new Date().toISOString(),
+                    gaps: RecordingStaging.findGaps(chunks, CONFIG.RECORDING.STAGING.GAP_THRESHOLD)
+                }
+            }
+        };
+
+        const recordingId = await this.db.addRecording(recordingData);
+        await this.discard(takeId);
+        // Lets the FeatureExtractor analyse the new recording
+        document.dispatchEvent(new CustomEvent('recording-saved', {
+            detail: {
+                recordingId,
+                patientId: take.patientId,
+                audioBlob,
+                taskLabel: take.metadata?.taskLabel || null
+            }
+        }));
+        return recordingId;
+    }
+
+    /**
+     * Stretches of recording time in which no audio arrived (e.g. while the browser was
+     * suspended), from the recording time at which consecutive chunks arrived.
+     * @param {Array<{ elapsed: number, receivedAt: string }>} chunks In recording order.
+     * @param {number} threshold Milliseconds between chunks counted as a gap.
+     * @returns {Array<{ start: number, end: number, duration: number, resumedAt: string }>}
+     *   Start and end in seconds of recording time.
+     */
+    static findGaps(chunks, threshold) {
+        const gaps = [];
+        for (let i = 1; i < chunks.length; i++) {
+            const start = chunks[i - 1].elapsed;
+            const end = chunks[i].elapsed;
+            if (end - start > threshold) {
+                gaps.push({
+                    start: Number((start / 1000).toFixed(2)),
+                    end: Number((end / 1000).toFixed(2)),
+                    duration: Number(((end - start) / 1000).toFixed(2)),
+                    resumedAt: chunks[i].receivedAt
+                });
+            }
+        }
+        return gaps;
+    }
+
+    // Milliseconds of audio in the chunks: exact for PCM, otherwise the recording time of the last chunk
+    static audioDuration(take, chunks) {
+        if (chunks.length === 0) return 0;
+        if (take.format) {
+            const bytes = chunks.reduce((sum, chunk) => sum + (chunk.data.size ?? chunk.data.byteLength), 0);
+            const { sampleRate, bitDepth, channels = 1 } = take.format;
+            return Math.round(1000 * bytes / (sampleRate * channels * bitDepth / 8));
+        }
+        return Math.round(chunks[chunks.length - 1].elapsed);
+    }
+}
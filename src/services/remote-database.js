@@ -0,0 +1,324 @@
+/**
+ * Remote Database Module
+ * DatabaseManager backend that stores patients, recordings and test assignments
+ * on the server through the REST API (see server/api.js), so data created on one
+ * device is visible on every other device.
+ *
+ * It keeps the DatabaseManager method surface. IndexedDB is still opened for
+ * data that only ever lives in this browser (e.g. audio waiting to be uploaded).
+ */
+class RemoteDatabaseManager extends DatabaseManager {
+    constructor(baseUrl = CONFIG.API.BASE_URL) {
+        super();
+        this.baseUrl = baseUrl;
+        // Set while a patient session runs; it is authenticated by the cookie set when its link was opened
+        this.assignmentId = null;
+        this.uploadManager = new UploadManager(this, baseUrl);
+    }
+
+    setAssignmentContext(assignmentId) {
+        this.assignmentId = assignmentId || null;
+    }
+
+    /**
+     * Sends a request to the API.
+     * @param {string} method HTTP method.
+     * @param {string} path Path below the API base URL.
+     * @param {object} [options] `body` (JSON-encoded unless it is a Blob), `allowNotFound`,
+     *   and `anonymous` for requests that never need a clinician login.
+     * @returns {Promise<any>} Parsed JSON response, or null for 204 and allowed 404 responses.
+     * @throws {Error} With the HTTP `status` and the server's `reason` code, if any.
+     */
+    async request(method, path, options = {}) {
+        const { body, allowNotFound = false, anonymous = false } = options;
+        const init = { method, headers: {} };
+
+        if (body instanceof Blob) {
+            init.body = body;
+            init.headers['Content-Type'] = body.type || 'application/octet-stream';
+        } else if (body !== undefined) {
+            init.body = JSON.stringify(body);
+            init.headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, init);
+
+        if (response.status === 404 && allowNotFound) {
+            return null;
+        }
+        if (response.status === 401 && !this.assignmentId && !anonymous) {
+            document.dispatchEvent(new CustomEvent('auth-required'));
+        }
+        if (!response.ok) {
+            const payload = await response.json().catch(() => ({}));
+            const error = new Error(payload.error || `Request failed: ${method} ${path} (${response.status})`);
+            error.status = response.status;
+            error.reason = payload.reason || null;
+            throw error;
+        }
+        if (response.status === 204) {
+            return null;
+        }
+        return response.json();
+    }
+
+    // Recordings listed from the server carry a URL instead of the audio itself
+    withAudioUrl(recording) {
+        return {
+            ...recording,
+            audioBlob: null,
+            audioUrl: `${this.baseUrl}/recordings/${recording.id}/audio`
+        };
+    }
+
+    // PATIENT OPERATIONS
+
+    async addPatient(patientData) {
+        if (!patientData || !patientData.firstName || !patientData.lastName) {
+            throw new Error('Patient data must include firstName and lastName');
+        }
+
+        const patient = await this.request('POST', '/patients', { body: patientData });
+        return patient.id;
+    }
+
+    async getPatient(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        return this.request('GET', `/patients/${encodeURIComponent(patientId)}`, { allowNotFound: true });
+    }
+
+    async updatePatient(patientData) {
+        if (!patientData?.id) {
+            throw new Error('Patient data must include an ID');
+        }
+
+        await this.request('PUT', `/patients/${encodeURIComponent(patientData.id)}`, { body: patientData });
+        return true;
+    }
+
+    async deletePatient(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        await this.request('DELETE', `/patients/${encodeURIComponent(patientId)}`);
+        return true;
+    }
+
+    async searchPatients(searchCriteria) {
+        const { firstName, lastName, dateOfBirth, limit = 100 } = searchCriteria;
+        let patients = await this.getAllPatients();
+
+        if (firstName) {
+            const searchTerm = firstName.toLowerCase().trim();
+            patients = patients.filter(p => p.firstName?.toLowerCase().includes(searchTerm));
+        }
+
+        if (lastName) {
+            const searchTerm = lastName.toLowerCase().trim();
+            patients = patients.filter(p => p.lastName?.toLowerCase().includes(searchTerm));
+        }
+
+        if (dateOfBirth) {
+            patients = patients.filter(p => p.dateOfBirth === dateOfBirth);
+        }
+
+        return patients.slice(0, limit);
+    }
+
+    async getAllPatients() {
+        return this.request('GET', '/patients');
+    }
+
+    // RECORDING OPERATIONS
+
+    // The row is created right away; the audio follows through the UploadManager
+    // and the row's uploadStatus tracks whether it has reached the server
+    async addRecording(recordingData) {
+        if (!recordingData?.patientId || !recordingData?.audioBlob) {
+            throw new Error('Recording data must include patientId and audioBlob');
+        }
+
+        const { audioBlob, ...fields } = recordingData;
+        const recording = await this.request('POST', '/recordings', {
+            body: {
+                ...fields,
+                mimeType: fields.mimeType || audioBlob.type,
+                fileSize: fields.fileSize || audioBlob.size
+            }
+        });
+
+        await this.uploadManager.enqueue(recording.id, audioBlob);
+        return recording.id;
+    }
+
+    // A single recording is returned with its audio, like the IndexedDB backend
+    async getRecording(recordingId) {
+        if (!recordingId) {
+            throw new Error('Recording ID is required');
+        }
+
+        const recording = await this.request('GET', `/recordings/${encodeURIComponent(recordingId)}`, { allowNotFound: true });
+        if (!recording) {
+            return null;
+        }
+
+        const result = this.withAudioUrl(recording);
+        if (recording.hasAudio) {
+            const response = await fetch(result.audioUrl);
+            if (response.ok) {
+                result.audioBlob = await response.blob();
+            }
+        }
+        return result;
+    }
+
+    async getPatientRecordings(patientId, sortOrder = 'desc') {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        const recordings = await this.request('GET', `/patients/${encodeURIComponent(patientId)}/recordings?sort=${sortOrder}`);
+        return recordings.map(recording => this.withAudioUrl(recording));
+    }
+
+    async deleteRecording(recordingId) {
+        if (!recordingId) {
+            throw new Error('Recording ID is required');
+        }
+
+        await this.request('DELETE', `/recordings/${encodeURIComponent(recordingId)}`);
+        return true;
+    }
+
+    async getAllRecordings() {
+        const recordings = await this.request('GET', '/recordings');
+        return recordings.map(recording => this.withAudioUrl(recording));
+    }
+
+    // RECORDING FEATURES OPERATIONS
+
+    async saveRecordingFeatures(recordingId, featureData) {
+        if (!recordingId || !featureData?.features) {
+            throw new Error('Recording ID and features are required');
+        }
+
+        const record = await this.request('PUT', `/recordings/${encodeURIComponent(recordingId)}/features`, { body: featureData });
+        return this.withoutStoreId(record);
+    }
+
+    async getRecordingFeatures(recordingId) {
+        if (!recordingId) {
+            throw new Error('Recording ID is required');
+        }
+
+        const record = await this.request('GET', `/recordings/${encodeURIComponent(recordingId)}/features`, { allowNotFound: true });
+        return record ? this.withoutStoreId(record) : null;
+    }
+
+    async getPatientFeatures(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        const records = await this.request('GET', `/patients/${encodeURIComponent(patientId)}/features`);
+        return records.map(record => this.withoutStoreId(record));
+    }
+
+    // The server keys feature records by recording ID; the client only uses recordingId
+    withoutStoreId({ id, ...record }) {
+        return record;
+    }
+
+    // TESTS OPERATIONS
+
+    async addTestAssignment(assignmentData) {
+        if (!assignmentData) {
+            throw new Error('Test assignment data is required');
+        }
+
+        const assignment = await this.request('POST', '/assignments', { body: assignmentData });
+        return assignment.id;
+    }
+
+    async getTestAssignment(assignmentId) {
+        if (!assignmentId) {
+            throw new Error('Assignment ID is required');
+        }
+
+        return this.request('GET', `/assignments/${encodeURIComponent(assignmentId)}`, { allowNotFound: true });
+    }
+
+    async updateTestAssignment(assignmentData) {
+        if (!assignmentData?.id) {
+            throw new Error('Test assignment data must include an ID');
+        }
+
+        await this.request('PUT', `/assignments/${encodeURIComponent(assignmentData.id)}`, {
+            body: { ...assignmentData, updatedAt: new Date().toISOString() }
+        });
+        return true;
+    }
+
+    async getPatientAssignments(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        return this.request('GET', `/patients/${encodeURIComponent(patientId)}/assignments`);
+    }
+
+    // TEST RESULTS OPERATIONS
+
+    async addTestResult(resultData) {
+        if (!resultData?.id || !resultData.patientId) {
+            throw new Error('Test result data must include an ID and a patient ID');
+        }
+
+        const result = await this.request('POST', '/test-results', { body: resultData });
+        return result.id;
+    }
+
+    async getTestResult(resultId) {
+        if (!resultId) {
+            throw new Error('Test result ID is required');
+        }
+
+        return this.request('GET', `/test-results/${encodeURIComponent(resultId)}`, { allowNotFound: true });
+    }
+
+    async getPatientTestResults(patientId) {
+        if (!patientId) {
+            throw new Error('Patient ID is required');
+        }
+
+        return this.request('GET', `/patients/${encodeURIComponent(patientId)}/test-results`);
+    }
+
+    // ASSIGNMENT LINKS (signed and checked by the server, see server/links.js)
+
+    async issueAssignmentLink(assignmentId, options = {}) {
+        return this.request('POST', `/assignments/${encodeURIComponent(assignmentId)}/link`, { body: options });
+    }
+
+    async revokeAssignmentLink(assignmentId) {
+        return this.request('DELETE', `/assignments/${encodeURIComponent(assignmentId)}/link`);
+    }
+
+    async openAssignmentLink(token, dateOfBirth = null) {
+        return this.request('POST', '/patient-sessions', {
+            body: { token, dateOfBirth },
+            anonymous: true
+        });
+    }
+
+    // UTILITY METHODS
+
+    async clearDatabase() {
+        await this.request('DELETE', '/data');
+        return true;
+    }
+}
@@ -1,19 +1,22 @@
 /**
  * Routing Module
  * Manages the application's single-page navigation.
- * It shows and hides different sections based on the URL's hash.
+ * Routes are hash patterns (e.g. '#test-session' or '#patients/:id') that may carry
+ * a query string ('#test-session?id=...'). Each route shows one section and can
+ * declare guards and enter/leave hooks.
  */
 class Router {
     constructor(app) {
         this.app = app;
-        // Map of routes to their corresponding sections
-        this.routes = {
-            '#': 'patient-section', // Default route
-            '#patient-manager': 'patient-section',
-            '#voice-recorder': 'recording-section',
-            '#clinician-dashboard': 'clinician-dashboard-section'
-        };
+        this.routes = [];
+        this.defaultPath = '#';
 
+        // The route currently shown: { route, params, query, hash }
+        this.current = null;
+        // Incremented on every navigation so stale async guards can be ignored
+        this.navigationId = 0;
+
+        this.registerRoutes();
         this.init();
     }
 
@@ -25,21 +28,205 @@ class Router {
         this.handleRoute();
     }
 
-    handleRoute() {
-        const hash = window.location.hash || '#';
-        const sectionId = this.routes[hash];
+    registerRoutes() {
+        // Patients only ever reach #test-session through their link; everything else is for clinicians
+        this.addRoute('#', { section: 'patient-section', guards: [match => this.requireClinician(match)] }); // Default route
+        this.addRoute('#patient-manager', { section: 'patient-section', guards: [match => this.requireClinician(match)] });
+
+        this.addRoute('#login', {
+            section: 'login-section',
+            onEnter: ({ query }) => this.app.clinicianLogin.show(query.next)
+        });
+
+        this.addRoute('#account-security', {
+            section: 'account-security-section',
+            guards: [match => this.requireClinician(match)],
+            onEnter: () => this.app.accountSecurity.refresh()
+        });
+
+        this.addRoute('#voice-recorder', {
+            section: 'recording-section',
+            guards: [match => this.requireClinician(match), () => this.requirePatient()],
+            canLeave: () => this.confirmDiscardRecording()
+        });
+
+        this.addRoute('#clinician-dashboard', {
+            section: 'clinician-dashboard-section',
+            guards: [match => this.requireClinician(match)],
+            onEnter: () => this.app.clinicianDashboard.refresh()
+        });
+
+        this.addRoute('#test-session', {
+            section: 'test-session-section',
+            canLeave: () => this.confirmDiscardRecording(),
+            onEnter: ({ query }) => this.app.patientSession.start(query.token),
+            onLeave: () => this.app.patientSession.reset()
+        });
+    }
+
+    /**
+     * Registers a route.
+     * @param {string} pattern Hash pattern; segments starting with ':' are path params.
+     * @param {object} options Route options.
+     * @param {string} options.section ID of the section shown for this route.
+     * @param {Array<Function>} [options.guards] Called with the match before entering.
+     *   Return true to allow, false to block, or a hash string to redirect to.
+     * @param {Function} [options.canLeave] Called with the match before leaving; return false to stay.
+     * @param {Function} [options.onEnter] Called with the match once the section is shown.
+     * @param {Function} [options.onLeave] Called with the match after navigating away.
+     */
+    addRoute(pattern, options) {
+        const paramNames = [];
+        const source = pattern
+            .split('/')
+            .map(segment => {
+                if (segment.startsWith(':')) {
+                    paramNames.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        this.routes.push({
+            pattern,
+            regex: new RegExp(`^${source}$`),
+            paramNames,
+            section: options.section,
+            guards: options.guards || [],
+            canLeave: options.canLeave || null,
+            onEnter: options.onEnter || null,
+            onLeave: options.onLeave || null
+        });
+    }
+
+    /**
+     * Matches a full hash (path and optional query string) against the registered routes.
+     * @param {string} hash The hash, e.g. '#test-session?id=abc'.
+     * @returns {object|null} { route, params, query, hash } or null when nothing matches.
+     */
+    match(hash) {
+        const [path, queryString = ''] = (hash || this.defaultPath).split('?');
+        const query = Object.fromEntries(new URLSearchParams(queryString));
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+            if (!result) continue;
+
+            const params = {};
+            try {
+                route.paramNames.forEach((name, i) => {
+                    params[name] = decodeURIComponent(result[i + 1]);
+                });
+            } catch (error) {
+                // Malformed percent-encoding: the hash does not match this route
+                continue;
+            }
+            return { route, params, query, hash: hash || this.defaultPath };
+        }
+        return null;
+    }
+
+    async handleRoute() {
+        const navigationId = ++this.navigationId;
+        const hash = window.location.hash || this.defaultPath;
+        let match = this.match(hash);
+
+        if (!match) {
+            console.warn(`Route not found for hash: ${hash}`);
+            match = this.match(this.defaultPath);
+        }
+
+        // Re-entering the same hash (e.g. after restoring it) is a no-op
+        if (this.current && this.current.hash === match.hash) {
+            return;
+        }
+
+        // Guards first, so a redirect does not ask to leave for a page that is never shown
+        for (const guard of match.route.guards) {
+            const verdict = await guard(match);
+            if (navigationId !== this.navigationId) return;
+
+            if (typeof verdict === 'string') {
+                this.navigate(verdict, { replace: true });
+                return;
+            }
+            if (verdict === false) {
+                this.restoreHash();
+                return;
+            }
+        }
+
+        if (this.current?.route.canLeave && !(await this.current.route.canLeave(this.current))) {
+            this.restoreHash();
+            return;
+        }
+        if (navigationId !== this.navigationId) return;
+
+        const previous = this.current;
+        this.current = match;
 
-        // Hide all sections first
+        // Hide all sections first, then show the correct one
         this.hideAllSections();
+        this.showSection(match.route.section);
+        console.log(`Mapsd to section: ${match.route.section}`);
 
-        // Show the correct section
-        if (sectionId) {
-            this.showSection(sectionId);
-            console.log(`Mapsd to section: ${sectionId}`);
+        if (previous?.route.onLeave) {
+            previous.route.onLeave(previous);
+        }
+        if (match.route.onEnter) {
+            match.route.onEnter(match);
+        }
+    }
+
+    /**
+     * Navigates to a hash.
+     * @param {string} hash The target hash.
+     * @param {object} [options] Set `replace` to overwrite the current history entry.
+     */
+    navigate(hash, options = {}) {
+        if (options.replace) {
+            history.replaceState(null, '', hash);
+            this.handleRoute();
         } else {
-            console.warn(`Route not found for hash: ${hash}`);
-            this.showSection(this.routes['#']); // Show default section
+            window.location.hash = hash;
+        }
+    }
+
+    // Put the URL back to the route that is still shown after a blocked navigation
+    restoreHash() {
+        history.replaceState(null, '', this.current ? this.current.hash : this.defaultPath);
+        if (!this.current) {
+            this.handleRoute();
+        }
+    }
+
+    // GUARDS
+
+    requirePatient() {
+        if (this.app.patientManager.getCurrentPatient()) {
+            return true;
+        }
+        this.app.patientManager.showInfoBanner('Please select or create a patient before recording.');
+        return '#patient-manager';
+    }
+
+    requireClinician(match) {
+        if (!this.app.isClinicianAuthenticated()) {
+            return `#login?next=${encodeURIComponent(match.hash)}`;
+        }
+        // When the server requires MFA, nothing else is reachable until it is set up
+        if (this.app.authService.needsMfaSetup() && match.route.pattern !== '#account-security') {
+            return '#account-security';
+        }
+        return true;
+    }
+
+    confirmDiscardRecording() {
+        if (!this.app.voiceRecorder.hasUnsavedRecording()) {
+            return true;
         }
+        return confirm('You have an unsaved recording. Leaving this page will discard it. Continue?');
     }
 
     hideAllSections() {
@@ -57,4 +244,4 @@ class Router {
 }
 
 // Make the class available globally
-window.Router = Router;
\ No newline at end of file
+window.Router = Router;
@@ -26,6 +26,171 @@ class TestManager {
             parameters: {} // Placeholder for test-specific settings
         });
 
+        // Standardized speech tasks, run by the voice recorder with a countdown and an
+        // automatic stop. Clinicians can change the parameters for each assignment.
+        const limits = CONFIG.VOICE_TASKS;
+        const timedTaskFields = [
+            { name: 'duration', label: 'Duration (seconds)', type: 'number', min: 1, max: limits.MAX_DURATION_SECONDS },
+            { name: 'repetitions', label: 'Repetitions', type: 'number', min: 1, max: limits.MAX_REPETITIONS },
+            { name: 'countdown', label: 'Countdown (seconds)', type: 'number', min: 0, max: limits.MAX_COUNTDOWN_SECONDS }
+        ];
+
+        this.registerTest({
+            id: 'sustained-vowel',
+            name: 'Sustained Vowel /a/',
+            description: 'Hold the sound "aaah" steadily for a few seconds.',
+            moduleId: 'voice-recorder',
+            taskLabel: 'sustained-a',
+            instructions: 'Take a deep breath. When the countdown ends, say "aaah" at a comfortable pitch and loudness, and keep it as steady as you can until the recording stops by itself.',
+            parameters: { duration: 5, repetitions: 3, countdown: 3 },
+            parameterFields: timedTaskFields
+        });
+
+        this.registerTest({
+            id: 'ddk',
+            name: 'Syllable Repetition (pa-ta-ka)',
+            description: 'Repeat "pa-ta-ka" as quickly and clearly as possible.',
+            moduleId: 'voice-recorder',
+            taskLabel: 'ddk',
+            instructions: 'Take a deep breath. When the countdown ends, repeat the syllables below over and over, as quickly and as clearly as you can, until the recording stops by itself.',
+            parameters: { duration: 7, repetitions: 2, countdown: 3, syllables: 'pa-ta-ka' },
+            parameterFields: [
+                ...timedTaskFields,
+                { name: 'syllables', label: 'Syllables', type: 'text' }
+            ]
+        });
+
+        this.registerTest({
+            id: 'reading-passage',
+            name: 'Reading Passage',
+            description: 'Read a short text aloud.',
+            moduleId: 'voice-recorder',
+            taskLabel: 'reading',
+            instructions: 'Read the text below aloud at your normal pace and loudness. Press Stop when you have finished; the recording stops by itself at the time limit.',
+            parameters: {
+                duration: 60,
+                repetitions: 1,
+                countdown: 3,
+                passage: 'When the sunlight strikes raindrops in the air, they act as a prism and form a rainbow. '
+                    + 'The rainbow is a division of white light into many beautiful colors. '
+                    + 'These take the shape of a long round arch, with its path high above, and its two ends apparently beyond the horizon. '
+                    + 'There is, according to legend, a boiling pot of gold at one end. People look, but no one ever finds it.'
+            },
+            parameterFields: [
+                ...timedTaskFields,
+                { name: 'passage', label: 'Passage', type: 'textarea' }
+            ]
+        });
+
+        this.registerTest({
+            id: 'monologue',
+            name: 'Free Speech (Monologue)',
+            description: 'Talk freely about a topic.',
+            moduleId: 'voice-recorder',
+            taskLabel: 'monologue',
+            instructions: 'Talk about the topic below in your own words until the recording stops by itself. There are no right or wrong answers.',
+            parameters: { duration: 90, repetitions: 1, countdown: 3, prompt: 'Describe what you did yesterday, from the morning until the evening.' },
+            parameterFields: [
+                ...timedTaskFields,
+                { name: 'prompt', label: 'Topic', type: 'text' }
+            ]
+        });
+
+        // Motor tests, run by their own modules; their results and raw samples are stored
+        // as test results (see saveTestResult)
+        const motorLimits = CONFIG.MOTOR_TESTS;
+
+        this.registerTest({
+            id: 'spiral-drawing',
+            name: 'Spiral and Line Drawing',
+            description: 'Trace a spiral and a straight line on the screen with your finger or a stylus.',
+            moduleId: 'drawing-test',
+            instructions: 'Place the device on a table and use your writing hand. Trace the grey shape from the green dot to the red dot as accurately as you can, without resting your hand on the screen. Press Done when you have reached the end.',
+            parameters: { turns: 3, repetitions: 1, timeLimit: 60 },
+            parameterFields: [
+                { name: 'turns', label: 'Spiral turns', type: 'number', min: 2, max: 6 },
+                { name: 'repetitions', label: 'Drawings of each shape', type: 'number', min: 1, max: motorLimits.MAX_REPETITIONS },
+                { name: 'timeLimit', label: 'Time limit per drawing (seconds)', type: 'number', min: 10, max: motorLimits.MAX_TIME_LIMIT_SECONDS }
+            ]
+        });
+
+        this.registerTest({
+            id: 'finger-tapping',
+            name: 'Alternating Finger Tapping',
+            description: 'Tap two circles on the screen one after the other, once with each hand.',
+            moduleId: 'tapping-test',
+            instructions: 'Place the device on a table in front of you. Tap the two circles one after the other with your index finger, as quickly and as evenly as you can, first with your right hand and then with your left hand. Keep your other fingers off the screen.',
+            parameters: { duration: 20 },
+            parameterFields: [
+                { name: 'duration', label: 'Duration per hand (seconds)', type: 'number', min: 5, max: motorLimits.MAX_TIME_LIMIT_SECONDS }
+            ]
+        });
+
+        const reactionFields = [
+            { name: 'trials', label: 'Trials', type: 'number', min: 5, max: motorLimits.MAX_TRIALS },
+            { name: 'minInterval', label: 'Shortest wait before a stimulus (ms)', type: 'number', min: 500, max: 5000, atMost: 'maxInterval' },
+            { name: 'maxInterval', label: 'Longest wait before a stimulus (ms)', type: 'number', min: 500, max: 10000 }
+        ];
+
+        this.registerTest({
+            id: 'simple-reaction-time',
+            name: 'Simple Reaction Time',
+            description: 'Tap the screen as soon as a circle appears.',
+            moduleId: 'reaction-test',
+            instructions: 'Sit comfortably with the device in front of you and use the index finger of your writing hand. Respond as quickly as you can when the circle appears, but not before.',
+            parameters: { variant: 'simple', trials: 20, minInterval: 1000, maxInterval: 3000 },
+            parameterFields: reactionFields
+        });
+
+        this.registerTest({
+            id: 'choice-reaction-time',
+            name: 'Choice Reaction Time',
+            description: 'Tap the side of the screen where a circle appears.',
+            moduleId: 'reaction-test',
+            instructions: 'Sit comfortably with the device in front of you and use the index finger of your writing hand. Respond as quickly as you can when the circle appears, on the side where it appears.',
+            parameters: { variant: 'choice', trials: 20, minInterval: 1000, maxInterval: 3000 },
+            parameterFields: reactionFields
+        });
+
+        this.registerTest({
+            id: 'trail-making',
+            name: 'Trail Making Test (A and B)',
+            description: 'Connect numbered circles in order (part A), then numbers and letters in turn (part B).',
+            moduleId: 'trail-making-test',
+            instructions: 'Place the device on a table or hold it steady and use your writing hand (or the mouse). Connect the circles in order as quickly as you can without lifting your finger.',
+            parameters: { seed: 1, targets: 25, practice: true },
+            parameterFields: [
+                { name: 'seed', label: 'Layout seed', type: 'number', min: 1, max: 99999 },
+                { name: 'targets', label: 'Circles per part', type: 'number', min: 5, max: 25 },
+                { name: 'practice', label: 'Practice trial before each part', type: 'checkbox' }
+            ]
+        });
+
+        const tremorFields = [
+            { name: 'duration', label: 'Duration per hand (seconds)', type: 'number', min: 10, max: motorLimits.MAX_TIME_LIMIT_SECONDS },
+            { name: 'countdown', label: 'Countdown (seconds)', type: 'number', min: 0, max: 10 }
+        ];
+
+        this.registerTest({
+            id: 'rest-tremor',
+            name: 'Rest Tremor (phone sensors)',
+            description: 'Rest the hand holding your phone on your lap and keep still, once with each hand.',
+            moduleId: 'tremor-test',
+            instructions: 'This test needs a phone. The phone measures small movements of your hand while you hold it resting on your lap, first in your right hand and then in your left hand.',
+            parameters: { posture: 'rest', duration: 20, countdown: 5 },
+            parameterFields: tremorFields
+        });
+
+        this.registerTest({
+            id: 'postural-tremor',
+            name: 'Postural Tremor (phone sensors)',
+            description: 'Hold your phone with your arm stretched out in front of you, once with each hand.',
+            moduleId: 'tremor-test',
+            instructions: 'This test needs a phone. The phone measures small movements of your hand while you hold it with your arm stretched out, first in your right hand and then in your left hand.',
+            parameters: { posture: 'postural', duration: 20, countdown: 5 },
+            parameterFields: tremorFields
+        });
+
         // Add tests here
         
         console.log('TestManager initialized with available tests:', this.testRegistry);
@@ -60,8 +225,96 @@ class TestManager {
         return Array.from(this.testRegistry.values());
     }
 
+    /**
+     * Parameters of a test as set for an assignment, falling back to the test's defaults.
+     * Numbers outside the limits of the test's parameter fields are clamped, also to the
+     * field named by `atMost`; checkbox fields are true or false.
+     * @param {string} testId The test ID.
+     * @param {object} [overrides] Parameters set by the clinician.
+     * @returns {object} The parameters to run the test with.
+     */
+    getTestParameters(testId, overrides = {}) {
+        const test = this.getTest(testId);
+        if (!test) return {};
+
+        const parameters = { ...test.parameters };
+        (test.parameterFields || []).forEach(field => {
+            const value = overrides?.[field.name];
+            if (value === undefined || value === null || value === '') return;
+
+            if (field.type === 'number') {
+                const number = Math.round(Number(value));
+                if (Number.isFinite(number)) {
+                    parameters[field.name] = Math.min(field.max, Math.max(field.min, number));
+                }
+            } else if (field.type === 'checkbox') {
+                parameters[field.name] = value === true || value === 'true';
+            } else {
+                parameters[field.name] = String(value).trim() || parameters[field.name];
+            }
+        });
+        (test.parameterFields || []).forEach(field => {
+            if (field.atMost && parameters[field.name] > parameters[field.atMost]) {
+                parameters[field.name] = parameters[field.atMost];
+            }
+        });
+        return parameters;
+    }
+
+    /**
+     * The voice task of an assignment's test, as run by the voice recorder.
+     * @param {string} testId The test ID.
+     * @param {object} [assignment] The assignment (its `testParameters` override the defaults).
+     * @returns {object|null} `{ testId, label, name, instructions, parameters }`, or null for free recording.
+     */
+    getVoiceTask(testId, assignment = null) {
+        const test = this.getTest(testId);
+        if (!test?.taskLabel) return null;
+
+        return {
+            testId: test.id,
+            label: test.taskLabel,
+            name: test.name,
+            instructions: test.instructions,
+            parameters: this.getTestParameters(testId, assignment?.testParameters?.[testId])
+        };
+    }
+
+    /**
+     * Stores the result of a test that is not a voice recording, with the browser it was made with.
+     * @param {object} result `patientId`, `assignmentId`, `testId`, `moduleId`, `parameters`,
+     *   the `summary` shown to clinicians and the raw `data` of the test.
+     * @returns {Promise<string>} ID of the stored result.
+     */
+    async saveTestResult(result) {
+        const record = {
+            id: this.generateUniqueId('result'),
+            createdAt: new Date().toISOString(),
+            device: {
+                userAgent: navigator.userAgent,
+                platform: navigator.userAgentData?.platform || navigator.platform || null,
+                mobile: navigator.userAgentData?.mobile ?? null
+            },
+            ...result
+        };
+        await this.db.addTestResult(record);
+        return record.id;
+    }
+
+    // Results of a patient's tests without their raw data (newest first)
+    async getPatientTestResults(patientId) {
+        const results = await this.db.getPatientTestResults(patientId);
+        return results.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // A test result with its raw data
+    async getTestResult(resultId) {
+        return this.db.getTestResult(resultId);
+    }
+
     // Method to save a new test assignment to the database
-    async saveTestAssignment(patientId, selectedTests) {
+    // testParameters: { [testId]: parameters } set by the clinician for configurable tests
+    async saveTestAssignment(patientId, selectedTests, testParameters = {}) {
         try {
             const assignmentId = this.generateUniqueId();
             const assignment = {
@@ -71,6 +324,14 @@ class TestManager {
                 createdAt: new Date().toISOString()
             };
 
+            const configurable = selectedTests.filter(testId => this.getTest(testId)?.parameterFields);
+            if (configurable.length > 0) {
+                assignment.testParameters = Object.fromEntries(configurable.map(testId => [
+                    testId,
+                    this.getTestParameters(testId, testParameters[testId])
+                ]));
+            }
+
             await this.db.addTestAssignment(assignment);
             console.log(`Test assignment created for patient ${patientId} with ID: ${assignmentId}`);
             return assignmentId;
@@ -83,7 +344,7 @@ class TestManager {
     // Method to retrieve a test assignment from the database
     async getTestAssignment(assignmentId) {
         try {
-            const assignment = await this.db.get('test-assignments', assignmentId);
+            const assignment = await this.db.getTestAssignment(assignmentId);
             return assignment;
         } catch (error) {
             console.error('Error retrieving test assignment:', error);
@@ -91,8 +352,73 @@ class TestManager {
         }
     }
 
+    // Method to list the test assignments of a patient (newest first)
+    async getPatientAssignments(patientId) {
+        const assignments = await this.db.getPatientAssignments(patientId);
+        return assignments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Issues a link for an assignment. Any earlier link of the assignment stops working.
+     * @param {string} assignmentId The assignment to link to.
+     * @param {object} [options] `expiresInDays`, `maxUses` and `requireDateOfBirth`.
+     * @returns {Promise<object>} `{ token, assignment }`; the token goes into `#test-session?token=`.
+     */
+    async issueAssignmentLink(assignmentId, options = {}) {
+        return this.db.issueAssignmentLink(assignmentId, options);
+    }
+
+    async revokeAssignmentLink(assignmentId) {
+        return this.db.revokeAssignmentLink(assignmentId);
+    }
+
+    /**
+     * Opens a patient link. Errors carry a `reason` (see DatabaseManager.openAssignmentLink).
+     * @param {string} token The link token.
+     * @param {string|null} [dateOfBirth] Patient's date of birth (YYYY-MM-DD) for bound links.
+     * @returns {Promise<object>} The assignment.
+     */
+    async openAssignmentLink(token, dateOfBirth = null) {
+        return this.db.openAssignmentLink(token, dateOfBirth);
+    }
+
+    /**
+     * State of an assignment's link, for display to clinicians.
+     * @param {object} assignment The assignment.
+     * @returns {string} 'none', 'active', 'expired', 'revoked', 'locked', 'used' or 'completed'.
+     */
+    getLinkStatus(assignment) {
+        const link = assignment.link;
+        if (!link) return 'none';
+        if (assignment.progress?.status === 'completed') return 'completed';
+        if (link.revokedAt) return link.revokedReason === 'too-many-attempts' ? 'locked' : 'revoked';
+        if (new Date(link.expiresAt) <= new Date()) return 'expired';
+        if (link.uses >= link.maxUses) return 'used';
+        return 'active';
+    }
+
+    // Lets the database act on behalf of a patient session opened through an assignment link
+    setAssignmentAccess(assignmentId) {
+        this.db.setAssignmentContext(assignmentId);
+    }
+
+    // Method to persist session progress (current test, completed tests) on an assignment
+    async updateAssignmentProgress(assignment, progress) {
+        try {
+            const updated = {
+                ...assignment,
+                progress: { ...assignment.progress, ...progress }
+            };
+            await this.db.updateTestAssignment(updated);
+            return updated;
+        } catch (error) {
+            console.error('Error updating test assignment progress:', error);
+            throw error;
+        }
+    }
+
     // A simple utility to generate a unique ID
-    generateUniqueId() {
-        return 'assignment-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    generateUniqueId(prefix = 'assignment') {
+        return prefix + '-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
     }
 }
@@ -0,0 +1,190 @@
+/**
+ * Upload Manager Module
+ * Sends recording audio to the server with the resumable chunked upload protocol
+ * (see server/uploads.js). Every job is kept in IndexedDB until the server has
+ * verified the file's SHA-256, so uploads survive dropped connections and reloads.
+ *
+ * Progress is announced with `upload-progress` events on `document`:
+ * detail = { recordingId, status: 'uploading' | 'uploaded' | 'waiting' | 'failed', progress }
+ */
+class UploadManager {
+    constructor(databaseManager, baseUrl = CONFIG.API.BASE_URL) {
+        this.db = databaseManager;
+        this.baseUrl = baseUrl;
+        this.chunkSize = CONFIG.UPLOAD.CHUNK_SIZE;
+        this.retryDelays = CONFIG.UPLOAD.RETRY_DELAYS;
+
+        // Jobs run one at a time so a slow connection is not split between recordings
+        this.queue = Promise.resolve();
+        this.activeRecordingIds = new Set();
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.resumePending());
+    }
+
+    /**
+     * Stores the audio for a recording locally and starts uploading it.
+     * @param {number} recordingId ID of the recording row on the server.
+     * @param {Blob} blob The recording audio.
+     * @returns {Promise<void>} Resolves once the job is persisted (not when it is uploaded).
+     */
+    async enqueue(recordingId, blob) {
+        const job = {
+            recordingId,
+            blob,
+            mimeType: blob.type,
+            size: blob.size,
+            uploadId: null,
+            checksum: null,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.db.savePendingUpload(job);
+        this.schedule(job);
+    }
+
+    // Called on startup and when the browser comes back online
+    async resumePending() {
+        try {
+            const jobs = await this.db.getPendingUploads();
+            jobs.forEach(job => this.schedule(job));
+        } catch (error) {
+            console.error('Failed to resume pending uploads:', error);
+        }
+    }
+
+    schedule(job) {
+        if (this.activeRecordingIds.has(job.recordingId)) {
+            return;
+        }
+        this.activeRecordingIds.add(job.recordingId);
+
+        this.queue = this.queue
+            .then(() => this.runWithRetry(job))
+            .catch(error => {
+                console.error(`Upload of recording ${job.recordingId} failed:`, error);
+                this.emit(job, 'failed');
+            })
+            .finally(() => this.activeRecordingIds.delete(job.recordingId));
+    }
+
+    async runWithRetry(job) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.upload(job);
+                return;
+            } catch (error) {
+                if (error.permanent || attempt >= this.retryDelays.length) {
+                    throw error;
+                }
+                console.warn(`Upload of recording ${job.recordingId} interrupted, retrying:`, error.message);
+                this.emit(job, 'waiting');
+                await this.waitBeforeRetry(this.retryDelays[attempt]);
+            }
+        }
+    }
+
+    async upload(job) {
+        if (!job.checksum) {
+            job.checksum = await this.computeChecksum(job.blob);
+            await this.db.savePendingUpload(job);
+        }
+
+        let receivedBytes = 0;
+        const existing = job.uploadId && await this.request('GET', `/uploads/${job.uploadId}`, { allowNotFound: true });
+
+        if (existing && existing.status === 'uploading') {
+            receivedBytes = existing.receivedBytes;
+        } else {
+            const created = await this.request('POST', '/uploads', {
+                body: { recordingId: job.recordingId, size: job.size, mimeType: job.mimeType }
+            });
+            job.uploadId = created.id;
+            await this.db.savePendingUpload(job);
+        }
+
+        while (receivedBytes < job.size) {
+            this.emit(job, 'uploading', receivedBytes / job.size);
+            const chunk = job.blob.slice(receivedBytes, receivedBytes + this.chunkSize);
+            const result = await this.request('PUT', `/uploads/${job.uploadId}/chunks?offset=${receivedBytes}`, {
+                body: chunk,
+                acceptConflict: true
+            });
+            receivedBytes = result.receivedBytes;
+        }
+
+        try {
+            await this.request('POST', `/uploads/${job.uploadId}/complete`, { body: { sha256: job.checksum } });
+        } catch (error) {
+            if (error.status === 422) {
+                // The server discarded the corrupt file: start a fresh upload on the next attempt
+                job.uploadId = null;
+                await this.db.savePendingUpload(job);
+            }
+            throw error;
+        }
+
+        await this.db.deletePendingUpload(job.recordingId);
+        this.emit(job, 'uploaded', 1);
+    }
+
+    async request(method, path, options = {}) {
+        const { body, allowNotFound = false, acceptConflict = false } = options;
+        const init = { method, headers: {} };
+
+        if (body instanceof Blob) {
+            init.body = body;
+            init.headers['Content-Type'] = 'application/octet-stream';
+        } else if (body !== undefined) {
+            init.body = JSON.stringify(body);
+            init.headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, init);
+        const payload = await response.json().catch(() => ({}));
+
+        if (response.status === 404 && allowNotFound) {
+            return null;
+        }
+        // 409 on a chunk means the server has fewer bytes than expected: continue from its count
+        if (response.status === 409 && acceptConflict) {
+            return payload;
+        }
+        if (!response.ok) {
+            const error = new Error(payload.error || `Request failed: ${method} ${path} (${response.status})`);
+            error.status = response.status;
+            // Client errors other than a checksum mismatch will not succeed on retry
+            error.permanent = response.status >= 400 && response.status < 500 && response.status !== 422;
+            throw error;
+        }
+        return payload;
+    }
+
+    async computeChecksum(blob) {
+        const buffer = await blob.arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Wait for the delay, or until the browser is back online if it is offline
+    waitBeforeRetry(delay) {
+        return new Promise(resolve => {
+            if (navigator.onLine === false) {
+                window.addEventListener('online', () => resolve(), { once: true });
+            } else {
+                setTimeout(resolve, delay);
+            }
+        });
+    }
+
+    emit(job, status, progress = null) {
+        document.dispatchEvent(new CustomEvent('upload-progress', {
+            detail: { recordingId: job.recordingId, status, progress }
+        }));
+    }
+}
@@ -0,0 +1,1146 @@
+/**
+ * Voice Features
+ * Acoustic measures of dysphonia computed from raw audio samples. Plain JavaScript
+ * without Web Audio, so the same code runs in the browser and in Node
+ * (see server/compute-features.js).
+ *
+ * Measures (following Praat's definitions where they exist):
+ * - f0Mean, f0Sd: fundamental frequency of the voiced frames (Hz), autocorrelation
+ *   method with path finding (Boersma 1993)
+ * - jitterLocal: mean absolute difference of consecutive glottal periods divided by
+ *   the mean period (%)
+ * - shimmerLocal: mean absolute difference of the peak-to-peak amplitudes of
+ *   consecutive periods divided by the mean amplitude (%)
+ * - hnr: harmonics-to-noise ratio (dB), mean over voiced frames of
+ *   10·log10(r / (1 − r)) with r the normalized autocorrelation peak
+ * - cpp: cepstral peak prominence (dB), Hillenbrand's method, mean over voiced frames
+ * - voicedFraction: share of analysis frames that are voiced (0–1)
+ *
+ * Task-specific measures are added for recordings of a voice task (see
+ * analyzeRecording): syllable rate and rhythm for /pa-ta-ka/ (`ddk`), pauses,
+ * speech rate and intensity decay for the reading passage and the monologue
+ * (`speechTiming`).
+ *
+ * Usage:
+ *   const { samples, sampleRate } = VoiceFeatures.parseWav(arrayBuffer);
+ *   const features = VoiceFeatures.analyzeRecording(samples, sampleRate, 'ddk');
+ */
+class VoiceFeatures {
+    /**
+     * All measures for a recording: the voice measures of analyze() plus those of its task.
+     * @param {Float32Array|Float64Array} samples Mono samples (-1..1).
+     * @param {number} sampleRate Sample rate in Hz.
+     * @param {string} [taskLabel] The recording's `metadata.taskLabel`, e.g. 'ddk'.
+     * @param {Function} [onProgress] Called with the share of the analysis done (0–1) while it runs.
+     * @returns {object} The measures of analyze(), with `ddk` for DDK recordings and
+     *   `speechTiming` for reading and monologue recordings.
+     */
+    static analyzeRecording(samples, sampleRate, taskLabel = null, onProgress = null) {
+        const { features, frames } = VoiceFeatures.measure(samples, sampleRate, { onProgress });
+        if (taskLabel === 'ddk') {
+            features.ddk = VoiceFeatures.analyzeDdk(samples, sampleRate);
+        } else if (VoiceFeatures.CONNECTED_SPEECH_TASKS.includes(taskLabel)) {
+            features.speechTiming = VoiceFeatures.analyzeSpeechTiming(samples, sampleRate, frames);
+        }
+        if (onProgress) onProgress(1);
+        return features;
+    }
+
+    /**
+     * Computes the voice measures of a mono signal.
+     * @param {Float32Array|Float64Array} samples Mono samples (-1..1).
+     * @param {number} sampleRate Sample rate in Hz.
+     * @param {object} [options] Overrides of VoiceFeatures.DEFAULTS, and `onProgress`
+     *   (called with the share done, 0–1, as the frames are analysed).
+     * @returns {object} `{ f0Mean, f0Sd, jitterLocal, shimmerLocal, hnr, cpp, voicedFraction,
+     *   duration, voicedDuration }`; measures that cannot be computed (e.g. no voiced frames) are null.
+     */
+    static analyze(samples, sampleRate, options = {}) {
+        return VoiceFeatures.measure(samples, sampleRate, options).features;
+    }
+
+    // analyze() that also returns the pitch frames (`{ time, f0 }`, f0 null when unvoiced)
+    static measure(samples, sampleRate, options = {}) {
+        const settings = { ...VoiceFeatures.DEFAULTS, ...options };
+        const duration = samples.length / sampleRate;
+        const signal = VoiceFeatures.removeDc(samples);
+
+        // Pitch and spectra only need the low frequencies, so they run on a decimated copy
+        const factor = Math.max(1, Math.ceil(sampleRate / settings.analysisRate));
+        const decimated = factor > 1 ? VoiceFeatures.decimate(signal, factor) : signal;
+        const frames = VoiceFeatures.analyzeFrames(decimated, sampleRate / factor, settings);
+        if (settings.onProgress) settings.onProgress(VoiceFeatures.FRAME_PROGRESS);
+        const voiced = frames.filter(frame => frame.f0);
+
+        const result = {
+            f0Mean: null,
+            f0Sd: null,
+            jitterLocal: null,
+            shimmerLocal: null,
+            hnr: null,
+            cpp: null,
+            voicedFraction: frames.length > 0 ? voiced.length / frames.length : 0,
+            duration,
+            voicedDuration: voiced.length * settings.timeStep
+        };
+        if (voiced.length === 0) {
+            return { features: result, frames };
+        }
+
+        const f0 = voiced.map(frame => frame.f0);
+        result.f0Mean = VoiceFeatures.mean(f0);
+        result.f0Sd = VoiceFeatures.standardDeviation(f0);
+        result.hnr = VoiceFeatures.mean(voiced.map(frame => {
+            const r = Math.min(frame.strength, 1 - 1e-6);
+            return 10 * Math.log10(r / (1 - r));
+        }));
+        result.cpp = VoiceFeatures.mean(voiced.map(frame => frame.cpp));
+
+        const pulses = VoiceFeatures.findPulses(signal, sampleRate, frames, settings);
+        const perturbation = VoiceFeatures.perturbation(signal, sampleRate, pulses, settings);
+        result.jitterLocal = perturbation.jitterLocal;
+        result.shimmerLocal = perturbation.shimmerLocal;
+        return { features: result, frames };
+    }
+
+    // =============================================================================
+    // PITCH AND SPECTRAL FRAMES
+    // =============================================================================
+
+    /**
+     * Short-term analysis: pitch candidates from the normalized autocorrelation of each
+     * frame, the best path through them, and the cepstral peak prominence of voiced frames.
+     * @returns {Array<object>} One `{ time, f0, strength, cpp }` per frame; f0 is null when unvoiced.
+     */
+    static analyzeFrames(signal, sampleRate, settings) {
+        const windowLength = Math.round(settings.periodsPerWindow / settings.minPitch * sampleRate);
+        const hop = Math.max(1, Math.round(settings.timeStep * sampleRate));
+        const minLag = Math.max(2, Math.floor(sampleRate / settings.maxPitch));
+        const maxLag = Math.min(Math.ceil(sampleRate / settings.minPitch), Math.floor(windowLength / 2));
+        if (signal.length < windowLength || maxLag <= minLag) {
+            return [];
+        }
+
+        const fftSize = VoiceFeatures.nextPowerOfTwo(windowLength + maxLag);
+        const hann = VoiceFeatures.window(windowLength, 'hann');
+        const hamming = VoiceFeatures.window(windowLength, 'hamming');
+        const windowCorrelation = VoiceFeatures.autocorrelation(hann, fftSize);
+        const globalPeak = VoiceFeatures.peak(signal);
+        if (globalPeak === 0) {
+            return [];
+        }
+
+        const frames = [];
+        const frame = new Float64Array(windowLength);
+        for (let start = 0; start + windowLength <= signal.length; start += hop) {
+            let frameMean = 0;
+            for (let i = 0; i < windowLength; i++) {
+                frameMean += signal[start + i];
+            }
+            frameMean /= windowLength;
+
+            let localPeak = 0;
+            for (let i = 0; i < windowLength; i++) {
+                frame[i] = signal[start + i] - frameMean;
+                localPeak = Math.max(localPeak, Math.abs(frame[i]));
+            }
+
+            const candidates = VoiceFeatures.pitchCandidates(frame, hann, windowCorrelation, {
+                sampleRate, fftSize, minLag, maxLag, localPeak, globalPeak, settings
+            });
+            frames.push({
+                time: (start + windowLength / 2) / sampleRate,
+                start,
+                candidates
+            });
+            if (settings.onProgress && frames.length % 100 === 0) {
+                settings.onProgress(VoiceFeatures.FRAME_PROGRESS * start / signal.length);
+            }
+        }
+
+        VoiceFeatures.findPitchPath(frames, settings);
+
+        frames.forEach(entry => {
+            entry.cpp = entry.f0
+                ? VoiceFeatures.cepstralPeakProminence(signal.subarray(entry.start, entry.start + windowLength), hamming, sampleRate, fftSize, settings)
+                : null;
+            delete entry.candidates;
+            delete entry.start;
+        });
+        return frames;
+    }
+
+    static pitchCandidates(frame, hann, windowCorrelation, { sampleRate, fftSize, minLag, maxLag, localPeak, globalPeak, settings }) {
+        const { voicingThreshold, silenceThreshold, octaveCost, maxCandidates } = settings;
+
+        // Praat's strength of the unvoiced candidate: high for quiet frames
+        const unvoiced = {
+            f0: null,
+            strength: voicingThreshold + Math.max(0, 2 - (localPeak / globalPeak) / (silenceThreshold / (1 + voicingThreshold)))
+        };
+        if (localPeak === 0) {
+            return [unvoiced];
+        }
+
+        const windowed = new Float64Array(frame.length);
+        for (let i = 0; i < frame.length; i++) {
+            windowed[i] = frame[i] * hann[i];
+        }
+        const correlation = VoiceFeatures.autocorrelation(windowed, fftSize);
+
+        // r(τ) of the signal = r(τ) of the windowed frame / r(τ) of the window
+        const normalized = lag => correlation[lag] / windowCorrelation[lag];
+        const candidates = [];
+        for (let lag = minLag; lag < maxLag; lag++) {
+            const previous = normalized(lag - 1);
+            const current = normalized(lag);
+            const next = normalized(lag + 1);
+            if (current < voicingThreshold * 0.5 || current < previous || current < next) continue;
+
+            // Parabolic interpolation of the peak
+            const denominator = previous - 2 * current + next;
+            const shift = denominator !== 0 ? 0.5 * (previous - next) / denominator : 0;
+            const peakLag = lag + shift;
+            const value = Math.min(current - 0.25 * (previous - next) * shift, 1);
+            const period = peakLag / sampleRate;
+
+            candidates.push({
+                f0: 1 / period,
+                correlation: value,
+                // Favours the shorter of two candidate periods, against octave errors
+                strength: value - octaveCost * Math.log2(settings.minPitch * period)
+            });
+        }
+
+        candidates.sort((a, b) => b.strength - a.strength);
+        return [unvoiced, ...candidates.slice(0, maxCandidates - 1)];
+    }
+
+    // Viterbi search for the best path through the candidates (Boersma 1993)
+    static findPitchPath(frames, settings) {
+        if (frames.length === 0) return;
+
+        const timeCorrection = 0.01 / settings.timeStep;
+        const voicedUnvoicedCost = settings.voicedUnvoicedCost * timeCorrection;
+        const octaveJumpCost = settings.octaveJumpCost * timeCorrection;
+        const transitionCost = (from, to) => {
+            if (!from.f0 && !to.f0) return 0;
+            if (!from.f0 || !to.f0) return voicedUnvoicedCost;
+            return octaveJumpCost * Math.abs(Math.log2(from.f0 / to.f0));
+        };
+
+        let scores = frames[0].candidates.map(candidate => candidate.strength);
+        const back = [];
+        for (let i = 1; i < frames.length; i++) {
+            const previous = frames[i - 1].candidates;
+            const current = frames[i].candidates;
+            const pointers = new Array(current.length);
+            const nextScores = current.map((candidate, c) => {
+                let best = -Infinity;
+                previous.forEach((from, p) => {
+                    const score = scores[p] - transitionCost(from, candidate);
+                    if (score > best) {
+                        best = score;
+                        pointers[c] = p;
+                    }
+                });
+                return best + candidate.strength;
+            });
+            back.push(pointers);
+            scores = nextScores;
+        }
+
+        let index = scores.indexOf(Math.max(...scores));
+        for (let i = frames.length - 1; i >= 0; i--) {
+            const chosen = frames[i].candidates[index];
+            const voiced = chosen.f0 && chosen.correlation >= settings.voicingThreshold;
+            frames[i].f0 = voiced ? chosen.f0 : null;
+            frames[i].strength = voiced ? chosen.correlation : null;
+            if (i > 0) {
+                index = back[i - 1][index];
+            }
+        }
+    }
+
+    /**
+     * Cepstral peak prominence of one frame: height of the cepstral peak in the pitch range
+     * above the straight line fitted to the cepstrum (Hillenbrand et al. 1994).
+     */
+    static cepstralPeakProminence(segment, window, sampleRate, fftSize, settings) {
+        const re = new Float64Array(fftSize);
+        const im = new Float64Array(fftSize);
+        for (let i = 0; i < segment.length; i++) {
+            re[i] = segment[i] * window[i];
+        }
+        VoiceFeatures.fft(re, im);
+
+        // Log power spectrum (dB), then its power spectrum: the power cepstrum
+        for (let i = 0; i < fftSize; i++) {
+            re[i] = 10 * Math.log10(re[i] * re[i] + im[i] * im[i] + 1e-20);
+            im[i] = 0;
+        }
+        VoiceFeatures.fft(re, im);
+        const half = fftSize / 2;
+        const cepstrum = new Float64Array(half);
+        for (let i = 0; i < half; i++) {
+            cepstrum[i] = 10 * Math.log10((re[i] * re[i] + im[i] * im[i]) / (fftSize * fftSize) + 1e-20);
+        }
+
+        const first = Math.max(1, Math.round(0.001 * sampleRate));
+        const minIndex = Math.max(first, Math.floor(sampleRate / settings.maxPitch));
+        const maxIndex = Math.min(half - 1, Math.ceil(sampleRate / settings.minPitch));
+
+        let peakIndex = minIndex;
+        for (let i = minIndex; i <= maxIndex; i++) {
+            if (cepstrum[i] > cepstrum[peakIndex]) peakIndex = i;
+        }
+
+        // Least-squares trend line over quefrencies from 1 ms upwards
+        let sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+        const count = half - first;
+        for (let i = first; i < half; i++) {
+            sumX += i;
+            sumY += cepstrum[i];
+            sumXX += i * i;
+            sumXY += i * cepstrum[i];
+        }
+        const slope = (count * sumXY - sumX * sumY) / (count * sumXX - sumX * sumX);
+        const intercept = (sumY - slope * sumX) / count;
+        return cepstrum[peakIndex] - (intercept + slope * peakIndex);
+    }
+
+    // =============================================================================
+    // PERIOD-TO-PERIOD PERTURBATION
+    // =============================================================================
+
+    /**
+     * Marks one glottal pulse per period in each voiced stretch: starting at the largest
+     * peak of the first period, each next pulse is placed 0.8–1.2 local periods after the
+     * previous one where the waveform correlates best with the previous period.
+     * @returns {Array<Array<number>>} Pulse times (in samples, sub-sample precision) per voiced stretch.
+     */
+    static findPulses(signal, sampleRate, frames, settings) {
+        const stretches = [];
+        let current = null;
+        frames.forEach(frame => {
+            if (frame.f0) {
+                if (!current) {
+                    current = [];
+                    stretches.push(current);
+                }
+                current.push(frame);
+            } else {
+                current = null;
+            }
+        });
+
+        const halfStep = settings.timeStep / 2;
+        return stretches.map(stretch => {
+            const startTime = stretch[0].time - halfStep;
+            const endSample = Math.min(signal.length - 2, Math.floor((stretch[stretch.length - 1].time + halfStep) * sampleRate));
+            const periodAt = (sample) => {
+                const index = Math.round((sample / sampleRate - stretch[0].time) / settings.timeStep);
+                const frame = stretch[Math.max(0, Math.min(stretch.length - 1, index))];
+                return sampleRate / frame.f0;
+            };
+
+            // Polarity of the strongest peak of the stretch
+            const start = Math.max(1, Math.floor(startTime * sampleRate));
+            const firstEnd = Math.min(endSample, start + Math.ceil(periodAt(start)));
+            let polarity = 1;
+            let extreme = 0;
+            for (let i = start; i <= endSample; i++) {
+                if (Math.abs(signal[i]) > extreme) {
+                    extreme = Math.abs(signal[i]);
+                    polarity = signal[i] < 0 ? -1 : 1;
+                }
+            }
+
+            const pulses = [];
+            let pulse = VoiceFeatures.findPeak(signal, start, firstEnd, polarity);
+            while (pulse !== null) {
+                pulses.push(pulse);
+                pulse = VoiceFeatures.nextPulse(signal, pulse, periodAt(pulse), endSample);
+            }
+            return pulses;
+        });
+    }
+
+    // Offset of the next period with the highest normalized cross-correlation with the period around `pulse`
+    static nextPulse(signal, pulse, period, endSample) {
+        const half = Math.round(period / 2);
+        const reference = Math.round(pulse) - half;
+        const minOffset = Math.ceil(0.8 * period);
+        const maxOffset = Math.floor(1.2 * period);
+        if (reference < 0 || reference + maxOffset + 1 + 2 * half > endSample) {
+            return null;
+        }
+
+        let referenceEnergy = 0;
+        for (let i = 0; i <= 2 * half; i++) {
+            referenceEnergy += signal[reference + i] ** 2;
+        }
+        const correlations = new Float64Array(maxOffset - minOffset + 3);
+        for (let offset = minOffset - 1; offset <= maxOffset + 1; offset++) {
+            let product = 0;
+            let energy = 0;
+            for (let i = 0; i <= 2 * half; i++) {
+                const value = signal[reference + offset + i];
+                product += signal[reference + i] * value;
+                energy += value * value;
+            }
+            correlations[offset - minOffset + 1] = energy > 0 ? product / Math.sqrt(referenceEnergy * energy) : 0;
+        }
+
+        let best = 1;
+        for (let i = 2; i < correlations.length - 1; i++) {
+            if (correlations[i] > correlations[best]) best = i;
+        }
+        const previous = correlations[best - 1];
+        const next = correlations[best + 1];
+        const denominator = previous - 2 * correlations[best] + next;
+        const shift = denominator !== 0 ? 0.5 * (previous - next) / denominator : 0;
+        return pulse + minOffset - 1 + best + shift;
+    }
+
+    // Position of the largest polarity·sample in [from, to], refined by parabolic interpolation
+    static findPeak(signal, from, to, polarity) {
+        if (to <= from) return null;
+
+        let best = from;
+        for (let i = from + 1; i <= to; i++) {
+            if (polarity * signal[i] > polarity * signal[best]) best = i;
+        }
+        const previous = signal[best - 1] ?? signal[best];
+        const next = signal[best + 1] ?? signal[best];
+        const denominator = previous - 2 * signal[best] + next;
+        return denominator !== 0 ? best + 0.5 * (previous - next) / denominator : best;
+    }
+
+    static perturbation(signal, sampleRate, pulseStretches, settings) {
+        const { minPeriod, maxPeriod, maxPeriodFactor, maxAmplitudeFactor } = settings;
+        const periods = [];
+        const periodDifferences = [];
+        const amplitudes = [];
+        const amplitudeDifferences = [];
+
+        pulseStretches.forEach(pulses => {
+            // Pulses are the extremes of one polarity (see findPulses)
+            const polarity = signal[Math.round(pulses[0])] < 0 ? -1 : 1;
+            let previous = null;
+            for (let i = 0; i + 1 < pulses.length; i++) {
+                const period = (pulses[i + 1] - pulses[i]) / sampleRate;
+                if (period < minPeriod || period > maxPeriod) {
+                    previous = null;
+                    continue;
+                }
+
+                // Peak-to-peak amplitude of the period between this pulse and the next: the peak
+                // at this pulse to the opposite extreme before the next one (whose own peak
+                // belongs to the next period)
+                const peak = Math.round(pulses[i]);
+                const end = Math.min(signal.length, Math.round(pulses[i + 1]));
+                let trough = polarity * signal[peak];
+                for (let s = peak + 1; s < end; s++) {
+                    trough = Math.min(trough, polarity * signal[s]);
+                }
+                const current = { period, amplitude: polarity * signal[peak] - trough };
+                periods.push(period);
+                amplitudes.push(current.amplitude);
+
+                if (previous) {
+                    const periodRatio = Math.max(period, previous.period) / Math.min(period, previous.period);
+                    if (periodRatio <= maxPeriodFactor) {
+                        periodDifferences.push(Math.abs(period - previous.period));
+
+                        const amplitudeRatio = Math.max(current.amplitude, previous.amplitude) / Math.min(current.amplitude, previous.amplitude);
+                        if (amplitudeRatio <= maxAmplitudeFactor) {
+                            amplitudeDifferences.push(Math.abs(current.amplitude - previous.amplitude));
+                        }
+                    }
+                }
+                previous = current;
+            }
+        });
+
+        return {
+            jitterLocal: periodDifferences.length > 0
+                ? 100 * VoiceFeatures.mean(periodDifferences) / VoiceFeatures.mean(periods)
+                : null,
+            shimmerLocal: amplitudeDifferences.length > 0
+                ? 100 * VoiceFeatures.mean(amplitudeDifferences) / VoiceFeatures.mean(amplitudes)
+                : null
+        };
+    }
+
+    // =============================================================================
+    // DIADOCHOKINESIS (/pa-ta-ka/)
+    // =============================================================================
+
+    /**
+     * Syllable onsets and rhythm of a DDK recording. Each syllable shows as a rise and fall
+     * of the intensity envelope by at least `peakDepth` dB; its onset is the steepest rise
+     * before the peak. Intervals longer than `maxInterval` (breaths, hesitations) are left
+     * out of the rate and its variability.
+     * @param {Float32Array|Float64Array} samples Mono samples (-1..1).
+     * @param {number} sampleRate Sample rate in Hz.
+     * @param {object} [options] Overrides of VoiceFeatures.DDK_DEFAULTS.
+     * @returns {object} `{ syllableCount, rate (syllables/s), meanInterval (s), intervalCv (%),
+     *   rateDecay (% change from the first to the last third), rateSlope (syllables/s per s),
+     *   breakCount, onsets (s) }`; measures that need more syllables are null.
+     */
+    static analyzeDdk(samples, sampleRate, options = {}) {
+        const settings = { ...VoiceFeatures.DDK_DEFAULTS, ...options };
+        const envelope = VoiceFeatures.intensityEnvelope(samples, sampleRate, settings.envelopeStep, settings.envelopeWindow);
+        const onsets = VoiceFeatures.findSyllableOnsets(envelope, settings);
+
+        const result = {
+            syllableCount: onsets.length,
+            rate: null,
+            meanInterval: null,
+            intervalCv: null,
+            rateDecay: null,
+            rateSlope: null,
+            breakCount: 0,
+            onsets: onsets.map(time => Math.round(time * 1000) / 1000)
+        };
+
+        const intervals = [];
+        for (let i = 1; i < onsets.length; i++) {
+            const interval = onsets[i] - onsets[i - 1];
+            if (interval > settings.maxInterval) {
+                result.breakCount++;
+            } else {
+                intervals.push({ time: (onsets[i] + onsets[i - 1]) / 2, interval });
+            }
+        }
+        if (intervals.length < 2) {
+            return result;
+        }
+
+        const lengths = intervals.map(entry => entry.interval);
+        result.meanInterval = VoiceFeatures.mean(lengths);
+        result.rate = 1 / result.meanInterval;
+        result.intervalCv = 100 * VoiceFeatures.standardDeviation(lengths) / result.meanInterval;
+
+        if (intervals.length >= settings.minIntervalsForDecay) {
+            const rates = intervals.map(entry => ({ time: entry.time, rate: 1 / entry.interval }));
+            const start = onsets[0];
+            const third = (onsets[onsets.length - 1] - start) / 3;
+            const firstRate = VoiceFeatures.mean(rates.filter(r => r.time < start + third).map(r => r.rate));
+            const lastRate = VoiceFeatures.mean(rates.filter(r => r.time >= start + 2 * third).map(r => r.rate));
+            if (firstRate && lastRate) {
+                result.rateDecay = 100 * (lastRate - firstRate) / firstRate;
+            }
+            result.rateSlope = VoiceFeatures.slope(rates.map(r => r.time), rates.map(r => r.rate));
+        }
+        return result;
+    }
+
+    /**
+     * Peaks of the intensity envelope found with hysteresis: a peak counts once the envelope
+     * has fallen `peakDepth` dB below it, and the next one can only start after a rise of as
+     * much. Peaks close to the noise floor are ignored and of two peaks closer than
+     * `minInterval` the louder one is kept.
+     * @returns {Array<number>} Onset times in seconds.
+     */
+    static findSyllableOnsets({ values, step, offset }, settings) {
+        if (values.length < 3) return [];
+
+        const sorted = Array.from(values).sort((a, b) => a - b);
+        const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+        const threshold = Math.max(noiseFloor + settings.minPeakAboveFloor, sorted[sorted.length - 1] - settings.dynamicRange);
+
+        const peaks = [];
+        let max = -Infinity, maxIndex = 0;
+        let min = Infinity, minIndex = 0;
+        let valleyIndex = 0;
+        let lookingForPeak = true;
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (value > max) { max = value; maxIndex = i; }
+            if (value < min) { min = value; minIndex = i; }
+
+            if (lookingForPeak && value < max - settings.peakDepth) {
+                peaks.push({ index: maxIndex, valley: valleyIndex });
+                min = value;
+                minIndex = i;
+                lookingForPeak = false;
+            } else if (!lookingForPeak && value > min + settings.peakDepth) {
+                valleyIndex = minIndex;
+                max = value;
+                maxIndex = i;
+                lookingForPeak = true;
+            }
+        }
+
+        const syllables = [];
+        peaks.filter(peak => values[peak.index] >= threshold).forEach(peak => {
+            // Onset: the steepest rise between the preceding valley and the peak
+            let onset = peak.valley;
+            let steepest = -Infinity;
+            for (let i = Math.max(1, peak.valley); i < peak.index && i + 1 < values.length; i++) {
+                const rise = values[i + 1] - values[i - 1];
+                if (rise > steepest) {
+                    steepest = rise;
+                    onset = i;
+                }
+            }
+            const syllable = { onset: offset + onset * step, level: values[peak.index] };
+
+            const previous = syllables[syllables.length - 1];
+            if (previous && syllable.onset - previous.onset < settings.minInterval) {
+                if (syllable.level > previous.level) {
+                    syllables[syllables.length - 1] = syllable;
+                }
+            } else {
+                syllables.push(syllable);
+            }
+        });
+        return syllables.map(syllable => syllable.onset);
+    }
+
+    /**
+     * Short-term intensity in dB, smoothed over three frames.
+     * @returns {{ values: Float64Array, step: number, offset: number }} Levels every `step`
+     *   seconds; `offset` is the time of the first value (the centre of the first window).
+     */
+    static intensityEnvelope(samples, sampleRate, step, windowLength) {
+        const hop = Math.max(1, Math.round(step * sampleRate));
+        const size = Math.max(1, Math.round(windowLength * sampleRate));
+        const count = samples.length >= size ? Math.floor((samples.length - size) / hop) + 1 : 0;
+        const levels = new Float64Array(count);
+        for (let frame = 0; frame < count; frame++) {
+            let sum = 0;
+            const start = frame * hop;
+            for (let i = start; i < start + size; i++) {
+                sum += samples[i] * samples[i];
+            }
+            levels[frame] = 10 * Math.log10(sum / size + 1e-12);
+        }
+
+        const values = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const from = Math.max(0, i - 1);
+            const to = Math.min(count - 1, i + 1);
+            let sum = 0;
+            for (let j = from; j <= to; j++) {
+                sum += levels[j];
+            }
+            values[i] = sum / (to - from + 1);
+        }
+        return { values, step: hop / sampleRate, offset: size / 2 / sampleRate };
+    }
+
+    // =============================================================================
+    // PAUSES AND SPEECH RATE (reading passage, monologue)
+    // =============================================================================
+
+    /**
+     * Voice activity detection and speech timing of connected speech. Frames louder than
+     * `silenceThreshold` dB below the loudest speech (and `minAboveFloor` dB above the noise
+     * floor) are speech; silences shorter than `minPause` are closed and speech bursts
+     * shorter than `minSpeech` (clicks, breaths) dropped. Silence before the first and after
+     * the last speech is not counted as a pause.
+     *
+     * Syllable nuclei for the articulation rate are voiced intensity peaks within speech
+     * that stand out by `nucleusDip` dB from the dips around them (de Jong & Wempe 2009).
+     * @param {Float32Array|Float64Array} samples Mono samples (-1..1).
+     * @param {number} sampleRate Sample rate in Hz.
+     * @param {Array<object>} [frames] Pitch frames from measure(); without them every peak counts as voiced.
+     * @param {object} [options] Overrides of VoiceFeatures.SPEECH_TIMING_DEFAULTS.
+     * @returns {object} `{ segments: [{ start, end, type: 'speech'|'pause' }], speechTime, pauseTime,
+     *   pauseCount, pauseDurations: { mean, median, sd, max, histogram }, speechToPauseRatio,
+     *   syllableCount, articulationRate, speechRate, nuclei (s), intensityDecay, intensitySlope }`
+     */
+    static analyzeSpeechTiming(samples, sampleRate, frames = null, options = {}) {
+        const settings = { ...VoiceFeatures.SPEECH_TIMING_DEFAULTS, ...options };
+        const envelope = VoiceFeatures.intensityEnvelope(samples, sampleRate, settings.envelopeStep, settings.envelopeWindow);
+        const segments = VoiceFeatures.detectSpeech(envelope, settings);
+
+        const speech = segments.filter(segment => segment.type === 'speech');
+        const pauses = segments.filter(segment => segment.type === 'pause');
+        const length = segment => segment.end - segment.start;
+        const speechTime = speech.reduce((sum, segment) => sum + length(segment), 0);
+        const pauseTime = pauses.reduce((sum, segment) => sum + length(segment), 0);
+
+        const nuclei = VoiceFeatures.findSyllableNuclei(envelope, speech, frames, settings);
+        const intensity = VoiceFeatures.speechIntensityTrend(envelope, speech);
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return {
+            segments: segments.map(segment => ({ start: round(segment.start), end: round(segment.end), type: segment.type })),
+            speechTime,
+            pauseTime,
+            pauseCount: pauses.length,
+            pauseDurations: VoiceFeatures.durationDistribution(pauses.map(length), settings.pauseHistogramBins),
+            speechToPauseRatio: pauseTime > 0 ? speechTime / pauseTime : null,
+            syllableCount: nuclei.length,
+            articulationRate: speechTime > 0 ? nuclei.length / speechTime : null,
+            speechRate: speechTime > 0 ? nuclei.length / (speechTime + pauseTime) : null,
+            nuclei: nuclei.map(round),
+            ...intensity
+        };
+    }
+
+    // Speech and pause segments from the first to the last speech
+    static detectSpeech({ values, step, offset }, settings) {
+        if (values.length === 0) return [];
+
+        const sorted = Array.from(values).sort((a, b) => a - b);
+        const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+        const speechLevel = sorted[Math.floor((sorted.length - 1) * 0.99)];
+        const threshold = Math.max(speechLevel - settings.silenceThreshold, noiseFloor + settings.minAboveFloor);
+
+        // Runs of frames above / below the threshold
+        let runs = [];
+        for (let i = 0; i < values.length; i++) {
+            const type = values[i] >= threshold ? 'speech' : 'pause';
+            const last = runs[runs.length - 1];
+            if (last && last.type === type) {
+                last.to = i;
+            } else {
+                runs.push({ type, from: i, to: i });
+            }
+        }
+
+        const duration = run => (run.to - run.from + 1) * step;
+        const merge = (list) => list.reduce((merged, run) => {
+            const last = merged[merged.length - 1];
+            if (last && last.type === run.type) {
+                last.to = run.to;
+            } else {
+                merged.push({ ...run });
+            }
+            return merged;
+        }, []);
+
+        // Short silences are part of speech (stop closures); then short bursts are not speech
+        runs = merge(runs.map((run, i) => (run.type === 'pause' && i > 0 && i < runs.length - 1 && duration(run) < settings.minPause
+            ? { ...run, type: 'speech' } : run)));
+        runs = merge(runs.map(run => (run.type === 'speech' && duration(run) < settings.minSpeech
+            ? { ...run, type: 'pause' } : run)));
+
+        const first = runs.findIndex(run => run.type === 'speech');
+        if (first < 0) return [];
+        let last = runs.length - 1;
+        while (runs[last].type !== 'speech') last--;
+
+        return runs.slice(first, last + 1).map(run => ({
+            type: run.type,
+            start: offset + (run.from - 0.5) * step,
+            end: offset + (run.to + 0.5) * step
+        }));
+    }
+
+    static findSyllableNuclei({ values, step, offset }, speech, frames, settings) {
+        const timeStep = VoiceFeatures.DEFAULTS.timeStep;
+        const isVoiced = (time) => {
+            if (!frames) return true;
+            if (frames.length === 0) return false;
+            const index = Math.round((time - frames[0].time) / timeStep);
+            const frame = frames[Math.max(0, Math.min(frames.length - 1, index))];
+            return Boolean(frame.f0);
+        };
+
+        const nuclei = [];
+        speech.forEach(segment => {
+            const from = Math.max(0, Math.ceil((segment.start - offset) / step));
+            const to = Math.min(values.length - 1, Math.floor((segment.end - offset) / step));
+
+            // Local maxima that rise nucleusDip dB above the lowest point since the previous nucleus
+            // and are followed by a dip of as much before the next higher point
+            for (let i = from + 1; i < to; i++) {
+                if (values[i] < values[i - 1] || values[i] <= values[i + 1]) continue;
+
+                let leftMin = values[i];
+                for (let j = i - 1; j >= from && values[j] <= values[i]; j--) {
+                    leftMin = Math.min(leftMin, values[j]);
+                }
+                let rightMin = values[i];
+                for (let j = i + 1; j <= to && values[j] <= values[i]; j++) {
+                    rightMin = Math.min(rightMin, values[j]);
+                }
+                const time = offset + i * step;
+                const previous = nuclei[nuclei.length - 1];
+                if (Math.min(values[i] - leftMin, values[i] - rightMin) >= settings.nucleusDip
+                    && (previous === undefined || time - previous >= settings.minNucleusInterval)
+                    && isVoiced(time)) {
+                    nuclei.push(time);
+                }
+            }
+        });
+        return nuclei;
+    }
+
+    // Change of the speech intensity over the recording: last third minus first third (dB),
+    // and the slope of a line fitted to the speech frames (dB per minute)
+    static speechIntensityTrend({ values, step, offset }, speech) {
+        const times = [];
+        const levels = [];
+        speech.forEach(segment => {
+            const from = Math.max(0, Math.ceil((segment.start - offset) / step));
+            const to = Math.min(values.length - 1, Math.floor((segment.end - offset) / step));
+            for (let i = from; i <= to; i++) {
+                times.push(offset + i * step);
+                levels.push(values[i]);
+            }
+        });
+        if (times.length < 2) {
+            return { intensityDecay: null, intensitySlope: null };
+        }
+
+        const start = times[0];
+        const third = (times[times.length - 1] - start) / 3;
+        const firstLevels = levels.filter((level, i) => times[i] < start + third);
+        const lastLevels = levels.filter((level, i) => times[i] >= start + 2 * third);
+        const slope = VoiceFeatures.slope(times, levels);
+        return {
+            intensityDecay: firstLevels.length && lastLevels.length
+                ? VoiceFeatures.mean(lastLevels) - VoiceFeatures.mean(firstLevels)
+                : null,
+            intensitySlope: slope === null ? null : slope * 60
+        };
+    }
+
+    // Summary of a list of durations (s), with counts per histogram bin ('0.25-0.5', ..., '2+')
+    static durationDistribution(durations, bins) {
+        const histogram = {};
+        bins.forEach((lower, i) => {
+            const upper = bins[i + 1];
+            const label = upper === undefined ? `${lower}+` : `${lower}-${upper}`;
+            histogram[label] = durations.filter(d => d >= lower && (upper === undefined || d < upper)).length;
+        });
+        if (durations.length === 0) {
+            return { mean: null, median: null, sd: null, max: null, histogram };
+        }
+
+        const sorted = [...durations].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return {
+            mean: VoiceFeatures.mean(sorted),
+            median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+            sd: VoiceFeatures.standardDeviation(sorted),
+            max: sorted[sorted.length - 1],
+            histogram
+        };
+    }
+
+    // =============================================================================
+    // WAV DECODING
+    // =============================================================================
+
+    /**
+     * Reads a PCM or IEEE-float WAV file and mixes it down to mono.
+     * @param {ArrayBuffer} buffer The file contents.
+     * @returns {{ samples: Float32Array, sampleRate: number }}
+     */
+    static parseWav(buffer) {
+        const view = new DataView(buffer);
+        const text = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length));
+        if (buffer.byteLength < 12 || text(0, 4) !== 'RIFF' || text(8, 4) !== 'WAVE') {
+            throw new Error('Not a WAV file');
+        }
+
+        let format = null;
+        let offset = 12;
+        while (offset + 8 <= buffer.byteLength) {
+            const id = text(offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            if (id === 'fmt ') {
+                let code = view.getUint16(body, true);
+                if (code === 0xfffe) {
+                    // WAVE_FORMAT_EXTENSIBLE: the format code starts the subformat GUID
+                    code = view.getUint16(body + 24, true);
+                }
+                format = {
+                    code,
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitDepth: view.getUint16(body + 14, true)
+                };
+            } else if (id === 'data') {
+                if (!format) {
+                    throw new Error('WAV file has no format chunk');
+                }
+                const length = Math.min(size, buffer.byteLength - body);
+                return {
+                    samples: VoiceFeatures.decodePcm(view, body, length, format),
+                    sampleRate: format.sampleRate
+                };
+            }
+            offset = body + size + (size % 2);
+        }
+        throw new Error('WAV file has no data chunk');
+    }
+
+    static decodePcm(view, offset, length, { code, channels, bitDepth }) {
+        const bytesPerSample = bitDepth / 8;
+        const frameCount = Math.floor(length / (bytesPerSample * channels));
+        const samples = new Float32Array(frameCount);
+
+        const read = (position) => {
+            if (code === 3) {
+                return bitDepth === 64 ? view.getFloat64(position, true) : view.getFloat32(position, true);
+            }
+            switch (bitDepth) {
+                case 8: return (view.getUint8(position) - 128) / 128;
+                case 16: return view.getInt16(position, true) / 32768;
+                case 24: {
+                    const value = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+                    return value / 8388608;
+                }
+                case 32: return view.getInt32(position, true) / 2147483648;
+                default: throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+            }
+        };
+        if (code !== 1 && code !== 3) {
+            throw new Error(`Unsupported WAV format: ${code}`);
+        }
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            let sum = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                sum += read(offset + (frame * channels + channel) * bytesPerSample);
+            }
+            samples[frame] = sum / channels;
+        }
+        return samples;
+    }
+
+    /**
+     * Decodes a recording in the browser: WAV files are read directly (exact samples),
+     * other formats through the Web Audio decoder.
+     * @param {Blob} blob The recording's audio.
+     * @returns {Promise<{ samples: Float32Array, sampleRate: number }>}
+     */
+    static async decode(blob) {
+        const buffer = await blob.arrayBuffer();
+        const header = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        if (String.fromCharCode(...header) === 'RIFF') {
+            return VoiceFeatures.parseWav(buffer);
+        }
+
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const audioBuffer = await new OfflineContext(1, 1, 44100).decodeAudioData(buffer);
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return { samples, sampleRate: audioBuffer.sampleRate };
+    }
+
+    // =============================================================================
+    // SIGNAL UTILITIES
+    // =============================================================================
+
+    static removeDc(samples) {
+        const mean = samples.length > 0 ? VoiceFeatures.mean(samples) : 0;
+        const result = new Float64Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            result[i] = samples[i] - mean;
+        }
+        return result;
+    }
+
+    // Low-pass (windowed sinc) filter and keep every factor-th sample
+    static decimate(signal, factor) {
+        const taps = 16 * factor + 1;
+        const center = (taps - 1) / 2;
+        const cutoff = 0.45 / factor;
+        const kernel = new Float64Array(taps);
+        let sum = 0;
+        for (let i = 0; i < taps; i++) {
+            const n = i - center;
+            const sinc = n === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * n) / (Math.PI * n);
+            kernel[i] = sinc * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (taps - 1)));
+            sum += kernel[i];
+        }
+
+        const output = new Float64Array(Math.floor(signal.length / factor));
+        for (let o = 0; o < output.length; o++) {
+            const position = o * factor;
+            let value = 0;
+            for (let k = 0; k < taps; k++) {
+                const index = position + k - center;
+                if (index >= 0 && index < signal.length) {
+                    value += signal[index] * kernel[k];
+                }
+            }
+            output[o] = value / sum;
+        }
+        return output;
+    }
+
+    static window(length, type) {
+        const result = new Float64Array(length);
+        const a0 = type === 'hamming' ? 0.54 : 0.5;
+        for (let i = 0; i < length; i++) {
+            result[i] = a0 - (1 - a0) * Math.cos(2 * Math.PI * i / (length - 1));
+        }
+        return result;
+    }
+
+    // Autocorrelation normalized to r(0) = 1, via the power spectrum
+    static autocorrelation(values, fftSize) {
+        const re = new Float64Array(fftSize);
+        const im = new Float64Array(fftSize);
+        re.set(values);
+        VoiceFeatures.fft(re, im);
+        for (let i = 0; i < fftSize; i++) {
+            re[i] = re[i] * re[i] + im[i] * im[i];
+            im[i] = 0;
+        }
+        VoiceFeatures.fft(re, im);
+        const result = new Float64Array(fftSize / 2);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = re[0] !== 0 ? re[i] / re[0] : 0;
+        }
+        return result;
+    }
+
+    // In-place iterative radix-2 FFT; the length must be a power of two
+    static fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let size = 2; size <= n; size <<= 1) {
+            const angle = -2 * Math.PI / size;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+            for (let start = 0; start < n; start += size) {
+                let wRe = 1;
+                let wIm = 0;
+                for (let k = 0; k < size / 2; k++) {
+                    const a = start + k;
+                    const b = a + size / 2;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = wRe * stepRe - wIm * stepIm;
+                    wIm = wRe * stepIm + wIm * stepRe;
+                    wRe = nextRe;
+                }
+            }
+        }
+    }
+
+    static nextPowerOfTwo(value) {
+        return 2 ** Math.ceil(Math.log2(value));
+    }
+
+    static peak(values) {
+        let peak = 0;
+        for (let i = 0; i < values.length; i++) {
+            peak = Math.max(peak, Math.abs(values[i]));
+        }
+        return peak;
+    }
+
+    static mean(values) {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+        }
+        return sum / values.length;
+    }
+
+    // Least-squares slope of y over x
+    static slope(x, y) {
+        const meanX = VoiceFeatures.mean(x);
+        const meanY = VoiceFeatures.mean(y);
+        let covariance = 0;
+        let variance = 0;
+        for (let i = 0; i < x.length; i++) {
+            covariance += (x[i] - meanX) * (y[i] - meanY);
+            variance += (x[i] - meanX) ** 2;
+        }
+        return variance > 0 ? covariance / variance : null;
+    }
+
+    static standardDeviation(values) {
+        if (values.length < 2) return 0;
+        const mean = VoiceFeatures.mean(values);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += (values[i] - mean) ** 2;
+        }
+        return Math.sqrt(sum / (values.length - 1));
+    }
+}
+
+// Changes whenever the measures are computed differently, so stored results can be recomputed
+VoiceFeatures.VERSION = '1.2.1';
+
+// Share of the analysis time taken by the pitch frames, for progress reports
+VoiceFeatures.FRAME_PROGRESS = 0.8;
+
+// Analysis settings (Praat's defaults for pitch and voice reports where applicable)
+VoiceFeatures.DEFAULTS = {
+    minPitch: 75, // Hz
+    maxPitch: 500, // Hz
+    timeStep: 0.01, // seconds between frames
+    periodsPerWindow: 3, // frame length in periods of minPitch
+    analysisRate: 16000, // Hz; frames are analysed on a signal decimated to at most this rate
+    maxCandidates: 15,
+    voicingThreshold: 0.45,
+    silenceThreshold: 0.03,
+    octaveCost: 0.01,
+    octaveJumpCost: 0.35,
+    voicedUnvoicedCost: 0.14,
+    minPeriod: 0.0001, // seconds; shortest and longest periods used for jitter and shimmer
+    maxPeriod: 0.02,
+    maxPeriodFactor: 1.3,
+    maxAmplitudeFactor: 1.6
+};
+
+// Syllable detection settings for DDK recordings
+VoiceFeatures.DDK_DEFAULTS = {
+    envelopeStep: 0.005, // seconds between intensity values
+    envelopeWindow: 0.01, // seconds
+    peakDepth: 6, // dB a syllable must rise above and fall below its neighbours
+    minPeakAboveFloor: 12, // dB above the noise floor (10th percentile of the envelope)
+    dynamicRange: 40, // dB below the loudest syllable
+    minInterval: 0.06, // seconds; closer peaks belong to one syllable (e.g. a burst and its vowel)
+    maxInterval: 0.6, // seconds; longer intervals are breaks, not part of the rhythm
+    minIntervalsForDecay: 6
+};
+
+// Voice task labels of connected speech, analysed for pauses and speech rate
+VoiceFeatures.CONNECTED_SPEECH_TASKS = ['reading', 'monologue'];
+
+// Voice activity and syllable nucleus settings for connected speech
+VoiceFeatures.SPEECH_TIMING_DEFAULTS = {
+    envelopeStep: 0.01, // seconds between intensity values
+    envelopeWindow: 0.025, // seconds
+    silenceThreshold: 25, // dB below the speech level (99th percentile of the envelope)
+    minAboveFloor: 6, // dB above the noise floor (10th percentile of the envelope)
+    minPause: 0.25, // seconds; shorter silences are part of speech
+    minSpeech: 0.1, // seconds; shorter sounds are not speech
+    nucleusDip: 2, // dB a syllable nucleus must stand out from the dips around it
+    minNucleusInterval: 0.1, // seconds
+    pauseHistogramBins: [0.25, 0.5, 1, 2] // seconds; lower bounds of the pause duration bins
+};
+
+// Export for use in Node (see server/compute-features.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VoiceFeatures;
+}